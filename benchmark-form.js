@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+// Form lookup benchmark for Pickleball Ranking System
+// Compares one getPlayerForm query per player with the batched getFormForPlayers
+// Usage: node benchmark-form.js [--runs=N]
+
+import { performance } from 'perf_hooks'
+import PickleballDatabaseFactory from './database-factory.js'
+
+// Parse command line arguments
+const args = process.argv.slice(2)
+const runsArg = args.find(arg => arg.startsWith('--runs='))?.split('=')[1]
+const runs = runsArg === undefined ? 20 : parseInt(runsArg)
+const help = args.includes('--help') || args.includes('-h')
+
+function showHelp() {
+  console.log(`
+Pickleball Ranking System - Form Lookup Benchmark
+
+Usage: node benchmark-form.js [options]
+
+Options:
+  --runs=N       Timed runs per variant and scope (default: 20)
+  -h, --help     Show this help message
+
+Runs against the database chosen by DB_TYPE (sqlite or postgresql), read only.
+Each scope (lifetime and the active season) is timed with one query per player
+and with the single batched query, and both results are compared.
+`)
+}
+
+const time = async (fn) => {
+  const start = performance.now()
+  const result = await fn()
+  return { result, ms: performance.now() - start }
+}
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b)
+  return sorted[Math.floor(sorted.length / 2)]
+}
+
+async function benchmark(label, playerIds, perPlayer, batched) {
+  const perPlayerTimes = []
+  const batchedTimes = []
+  let perPlayerForm = null
+  let batchedForm = null
+  // One untimed warm-up run each, then alternate so both see the same cache state
+  for (let run = 0; run <= runs; run++) {
+    const single = await time(() => Promise.all(playerIds.map(perPlayer)))
+    const batch = await time(batched)
+    if (run === 0) {
+      perPlayerForm = single.result
+      batchedForm = batch.result
+      continue
+    }
+    perPlayerTimes.push(single.ms)
+    batchedTimes.push(batch.ms)
+  }
+
+  const same = playerIds.every((id, index) =>
+    JSON.stringify(perPlayerForm[index]) === JSON.stringify(batchedForm.get(Number(id))))
+  const perPlayerMs = median(perPlayerTimes)
+  const batchedMs = median(batchedTimes)
+  console.log(`\n${label} (${playerIds.length} players)`)
+  console.log(`  per player  ${String(playerIds.length).padStart(4)} queries  ${perPlayerMs.toFixed(2).padStart(9)} ms`)
+  console.log(`  batched        1 query    ${batchedMs.toFixed(2).padStart(9)} ms`)
+  console.log(`  speed-up    ${(perPlayerMs / batchedMs).toFixed(1)}x, results ${same ? 'identical' : 'DIFFER'}`)
+  return same
+}
+
+async function main() {
+  if (help) {
+    showHelp()
+    return
+  }
+  if (!(runs > 0)) {
+    console.error('❌ --runs must be a positive whole number')
+    process.exitCode = 1
+    return
+  }
+
+  const db = PickleballDatabaseFactory.instantiate()
+  await db.connect()
+  try {
+    const playerIds = (await db.getPlayers()).map(player => player.id)
+    if (playerIds.length === 0) {
+      console.log('No players in the database, nothing to benchmark')
+      return
+    }
+    console.log(`⏱️  Median of ${runs} run(s) per variant`)
+
+    let same = await benchmark('Lifetime', playerIds,
+      (id) => db.getPlayerForm(id, 5),
+      () => db.getFormForPlayers(playerIds, {}, 5))
+
+    const activeSeason = await db.getActiveSeason()
+    if (activeSeason) {
+      const seasonId = activeSeason.id
+      same = await benchmark(`Season "${activeSeason.name}"`, playerIds,
+        (id) => db.getPlayerFormBySeason(id, seasonId, 5),
+        () => db.getFormForPlayers(playerIds, { seasonId }, 5)) && same
+    }
+
+    if (!same) {
+      console.error('\n❌ Batched form differs from the per-player queries')
+      process.exitCode = 1
+    }
+  } finally {
+    await db.close()
+  }
+}
+
+main().catch((error) => {
+  console.error('💥 Benchmark failed:', error.message)
+  process.exitCode = 1
+})
@@ -1,24 +1,31 @@
 import PickleballDatabaseSQLite from './database.js'
 import PickleballDatabasePostgreSQL from './database-postgresql.js'
+import { getDialect } from './repositories/dialects.js'
 import dotenv from 'dotenv'
 
 dotenv.config()
 
 class PickleballDatabaseFactory {
-  static async create() {
+  // Backend chosen by DB_TYPE, not yet connected
+  static instantiate() {
     const dbType = process.env.DB_TYPE || 'sqlite'
-    
-    if (dbType === 'postgresql') {
+    return dbType === 'postgresql' ? new PickleballDatabasePostgreSQL() : new PickleballDatabaseSQLite()
+  }
+
+  // SQL dialect adapter of the DB_TYPE backend, for building shared repository queries
+  static getDialect() {
+    return getDialect(process.env.DB_TYPE || 'sqlite')
+  }
+
+  static async create() {
+    const db = PickleballDatabaseFactory.instantiate()
+    if (db instanceof PickleballDatabasePostgreSQL) {
       console.log('🐘 Initializing PostgreSQL database...')
-      const db = new PickleballDatabasePostgreSQL()
-      await db.init()
-      return db
     } else {
       console.log('🗃️ Initializing SQLite database...')
-      const db = new PickleballDatabaseSQLite()
-      await db.init()
-      return db
     }
+    await db.init()
+    return db
   }
 }
 
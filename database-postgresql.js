@@ -2,12 +2,62 @@ import pg from 'pg'
 import { dirname, join } from 'path'
 import { fileURLToPath } from 'url'
 import fs from 'fs/promises'
+import { describeMatch, reassignTrashPlayer, trashHoldsBothPlayers } from './lib/trash.js'
+import { recordBracketResult, getBracketChampion } from './lib/tournament-bracket.js'
+import { createMigrator, loadMigrations } from './lib/migrations.js'
+import { POSTGRESQL_DIALECT, createQueryRunner } from './repositories/dialects.js'
+import { createStatsRepository } from './repositories/stats-repository.js'
+import { createStandingsRepository, dateScope, lifetimeScope, seasonScope } from './repositories/standings-repository.js'
+import { createScheduledMatchRepository } from './repositories/scheduled-match-repository.js'
+import { pointsFormulaValues, scoringRuleValues } from './repositories/season-columns.js'
 
 const { Pool } = pg
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
 
+// Game scores of a match (alias m) as a JSON array, empty for single-score matches
+const MATCH_GAMES_JSON = `COALESCE((
+          SELECT json_agg(json_build_object('game_number', g.game_number, 'team1_score', g.team1_score, 'team2_score', g.team2_score) ORDER BY g.game_number)
+          FROM match_games g WHERE g.match_id = m.id
+        ), '[]'::json) as games`
+
+const AUDIT_INSERT_SQL = `
+  INSERT INTO audit_log (actor, action, entity_type, entity_id, before_data, after_data)
+  VALUES ($1, $2, $3, $4, $5, $6)
+  RETURNING id
+`
+
+const auditEntryValues = ({ actor = null, action, entityType, entityId = null, before = null, after = null }) => [
+  actor,
+  action,
+  entityType,
+  entityId,
+  before == null ? null : JSON.stringify(before),
+  after == null ? null : JSON.stringify(after)
+]
+
+// Rows copied into a trash item, per table, with $1 the trashed entity's id.
+// Tables are listed parents first: the order they are inserted back on restore.
+const TRASH_ROW_FILTERS = {
+  match: {
+    matches: 'id = $1',
+    match_games: 'match_id = $1'
+  },
+  season: {
+    seasons: 'id = $1',
+    season_players: 'season_id = $1',
+    matches: 'season_id = $1',
+    match_games: 'match_id IN (SELECT id FROM matches WHERE season_id = $1)',
+    tournaments: 'season_id = $1',
+    tournament_entries: 'tournament_id IN (SELECT id FROM tournaments WHERE season_id = $1)',
+    tournament_matches: 'tournament_id IN (SELECT id FROM tournaments WHERE season_id = $1)',
+    scheduled_matches: 'season_id = $1',
+    scheduled_match_checkins: 'scheduled_match_id IN (SELECT id FROM scheduled_matches WHERE season_id = $1)',
+    ledger_entries: 'season_id = $1'
+  }
+}
+
 class PickleballDatabasePostgreSQL {
   constructor() {
     this.config = {
@@ -37,20 +87,20 @@ class PickleballDatabasePostgreSQL {
       console.error('❌ DB_PASSWORD environment variable is required')
       process.exit(1)
     }
+
+    // Queries shared with the SQLite backend (see repositories/)
+    const runner = this.queryRunner()
+    this.stats = createStatsRepository(runner)
+    this.standings = createStandingsRepository(runner)
+    this.scheduledMatches = createScheduledMatchRepository(runner)
   }
 
   async init() {
     try {
-      // Create connection pool
-      this.pool = new Pool(this.config)
+      await this.connect()
 
-      // Test connection
-      const client = await this.pool.connect()
-      console.log('✅ PostgreSQL connection established successfully')
-      client.release()
-
-      // Create tables
-      await this.createTables()
+      // Bring the schema up to date
+      await this.runMigrations()
       
       console.log('✅ PostgreSQL database initialized successfully')
     } catch (error) {
@@ -59,141 +109,81 @@ class PickleballDatabasePostgreSQL {
     }
   }
 
-  async createTables() {
-    const client = await this.pool.connect()
-    
-    try {
-      await client.query('BEGIN')
-
-      // Players table
-      await client.query(`
-        CREATE TABLE IF NOT EXISTS players (
-          id SERIAL PRIMARY KEY,
-          name VARCHAR(255) UNIQUE NOT NULL,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        )
-      `)
-
-      // Seasons table - supports multiple concurrent active seasons
-      await client.query(`
-        CREATE TABLE IF NOT EXISTS seasons (
-          id SERIAL PRIMARY KEY,
-          name VARCHAR(255) NOT NULL,
-          start_date DATE NOT NULL,
-          end_date DATE,
-          is_active BOOLEAN DEFAULT true,
-          auto_end BOOLEAN DEFAULT true,
-          description TEXT,
-          lose_money INTEGER DEFAULT 0,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          ended_at TIMESTAMP,
-          ended_by VARCHAR(255)
-        )
-      `)
+  // Open the connection pool without touching the schema (used by the migration CLI)
+  async connect() {
+    // Create connection pool
+    this.pool = new Pool(this.config)
 
-      // Add lose_money column if it doesn't exist (for existing databases)
-      await client.query(`
-        DO $$ BEGIN
-          ALTER TABLE seasons ADD COLUMN IF NOT EXISTS lose_money INTEGER DEFAULT 0;
-        EXCEPTION WHEN duplicate_column THEN NULL;
-        END $$;
-      `)
-
-      // Matches table
-      await client.query(`
-        CREATE TABLE IF NOT EXISTS matches (
-          id SERIAL PRIMARY KEY,
-          season_id INTEGER NOT NULL REFERENCES seasons(id),
-          play_date DATE NOT NULL,
-          match_type VARCHAR(10) DEFAULT 'duo' CHECK (match_type IN ('solo', 'duo')),
-          player1_id INTEGER NOT NULL REFERENCES players(id),
-          player2_id INTEGER REFERENCES players(id),
-          player3_id INTEGER NOT NULL REFERENCES players(id),
-          player4_id INTEGER REFERENCES players(id),
-          team1_score INTEGER NOT NULL,
-          team2_score INTEGER NOT NULL,
-          winning_team INTEGER NOT NULL,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        )
-      `)
-
-      // Add match_type column if it doesn't exist (for existing databases)
-      await client.query(`
-        DO $$ BEGIN
-          ALTER TABLE matches ADD COLUMN IF NOT EXISTS match_type VARCHAR(10) DEFAULT 'duo' CHECK (match_type IN ('solo', 'duo'));
-        EXCEPTION WHEN duplicate_column THEN NULL;
-        END $$;
-      `)
-
-      // Make player2_id and player4_id nullable for solo matches (migration for existing databases)
-      await client.query(`
-        DO $$ BEGIN
-          ALTER TABLE matches ALTER COLUMN player2_id DROP NOT NULL;
-        EXCEPTION WHEN others THEN NULL;
-        END $$;
-      `)
-      await client.query(`
-        DO $$ BEGIN
-          ALTER TABLE matches ALTER COLUMN player4_id DROP NOT NULL;
-        EXCEPTION WHEN others THEN NULL;
-        END $$;
-      `)
-
-      // Season players table - tracks which players participate in each season
-      await client.query(`
-        CREATE TABLE IF NOT EXISTS season_players (
-          id SERIAL PRIMARY KEY,
-          season_id INTEGER NOT NULL REFERENCES seasons(id) ON DELETE CASCADE,
-          player_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
-          joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          UNIQUE(season_id, player_id)
-        )
-      `)
-
-      // Users table - for admin/editor authentication
-      await client.query(`
-        CREATE TABLE IF NOT EXISTS users (
-          id SERIAL PRIMARY KEY,
-          username VARCHAR(255) UNIQUE NOT NULL,
-          password_hash VARCHAR(255) NOT NULL,
-          email VARCHAR(255),
-          role VARCHAR(50) NOT NULL CHECK (role IN ('admin', 'editor')),
-          is_active BOOLEAN DEFAULT true,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          created_by VARCHAR(255),
-          last_login TIMESTAMP
-        )
-      `)
+    // Test connection
+    const client = await this.pool.connect()
+    console.log('✅ PostgreSQL connection established successfully')
+    client.release()
+  }
 
-      // Create indexes for better performance
-      await client.query(`
-        CREATE INDEX IF NOT EXISTS idx_matches_play_date ON matches(play_date);
-      `)
-      await client.query(`
-        CREATE INDEX IF NOT EXISTS idx_matches_season_id ON matches(season_id);
-      `)
-      await client.query(`
-        CREATE INDEX IF NOT EXISTS idx_seasons_active ON seasons(is_active);
-      `)
-      await client.query(`
-        CREATE INDEX IF NOT EXISTS idx_season_players_season ON season_players(season_id);
-      `)
-      await client.query(`
-        CREATE INDEX IF NOT EXISTS idx_season_players_player ON season_players(player_id);
-      `)
-      await client.query(`
-        CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
-      `)
+  // Apply pending schema migrations (see lib/migrations.js)
+  async runMigrations() {
+    const applied = await createMigrator(this.migrationAdapter(), await loadMigrations()).migrate()
+    for (const migration of applied) {
+      console.log(`🗂️ Applied migration ${migration.version}_${migration.name}`)
+    }
+  }
 
-      await client.query('COMMIT')
-    } catch (error) {
-      await client.query('ROLLBACK')
-      throw error
-    } finally {
-      client.release()
+  migrationAdapter() {
+    const adapterFor = (queryable) => ({
+      dialect: 'postgresql',
+      query: async (sql, params = []) => (await queryable.query(sql, params)).rows,
+      exec: async (sql) => {
+        await queryable.query(sql)
+      }
+    })
+    return {
+      ...adapterFor(this.pool),
+      placeholder: (n) => `$${n}`,
+      transaction: async (fn) => {
+        const client = await this.pool.connect()
+        try {
+          await client.query('BEGIN')
+          await fn(adapterFor(client))
+          await client.query('COMMIT')
+        } catch (error) {
+          await client.query('ROLLBACK')
+          throw error
+        } finally {
+          client.release()
+        }
+      }
     }
   }
 
+  // Query runner for the shared repositories. The pool is looked up on every query
+  // since it only exists once connect() has run.
+  queryRunner() {
+    const driverFor = (queryable) => ({
+      all: async (text, values) => (await queryable().query(text, values)).rows,
+      run: async (text, values) => {
+        const result = await queryable().query(text, values)
+        return { lastId: result.rows[0]?.id ?? null, changes: result.rowCount }
+      }
+    })
+    return createQueryRunner(POSTGRESQL_DIALECT, {
+      ...driverFor(() => this.pool),
+      transaction: async (fn) => {
+        const client = await this.pool.connect()
+        try {
+          await client.query('BEGIN')
+          const result = await fn(driverFor(() => client))
+          await client.query('COMMIT')
+          return result
+        } catch (error) {
+          await client.query('ROLLBACK')
+          throw error
+        } finally {
+          client.release()
+        }
+      }
+    })
+  }
+
   async createDefaultSeason() {
     const existingSeasons = await this.query('SELECT COUNT(*) as count FROM seasons')
     if (existingSeasons.rows[0].count == 0) {
@@ -216,31 +206,145 @@ class PickleballDatabasePostgreSQL {
   }
 
   // Players CRUD operations
-  async getPlayers() {
-    const result = await this.query('SELECT * FROM players ORDER BY name')
+  // status: 'active' or 'archived' to filter, all players by default (stats need archived names too)
+  async getPlayers({ status } = {}) {
+    const filter = status === 'active'
+      ? 'WHERE archived_at IS NULL'
+      : status === 'archived' ? 'WHERE archived_at IS NOT NULL' : ''
+    const result = await this.query(`SELECT * FROM players ${filter} ORDER BY name`)
     return result.rows
   }
 
+  async getPlayerById(playerId) {
+    const result = await this.query('SELECT * FROM players WHERE id = $1', [playerId])
+    return result.rows[0] || null
+  }
+
   async addPlayer(name) {
     const result = await this.query('INSERT INTO players (name) VALUES ($1) RETURNING id', [name])
     return result.rows[0].id
   }
 
-  async removePlayer(playerId) {
+  async renamePlayer(playerId, name) {
+    await this.query('UPDATE players SET name = $1 WHERE id = $2', [name, playerId])
+  }
+
+  // details: { nickname, dominant_hand, preferred_side, phone, email, bio }, null clears a field
+  async updatePlayerDetails(playerId, details) {
+    await this.query(`
+      UPDATE players
+      SET nickname = $2, dominant_hand = $3, preferred_side = $4, phone = $5, email = $6, bio = $7
+      WHERE id = $1
+    `, [playerId, details.nickname, details.dominant_hand, details.preferred_side, details.phone, details.email, details.bio])
+  }
+
+  async setPlayerAvatar(playerId, avatarPath) {
+    await this.query('UPDATE players SET avatar_path = $2 WHERE id = $1', [playerId, avatarPath])
+  }
+
+  async archivePlayer(playerId) {
+    await this.query('UPDATE players SET archived_at = CURRENT_TIMESTAMP WHERE id = $1 AND archived_at IS NULL', [playerId])
+  }
+
+  async restorePlayer(playerId) {
+    await this.query('UPDATE players SET archived_at = NULL WHERE id = $1', [playerId])
+  }
+
+  // Fold a duplicate player into another one: every reference to the source player
+  // is re-pointed to the target, including rows kept in the trash, the source is
+  // deleted and the merge is written to the audit log, all in one transaction.
+  // Rows that would clash with one the target already has (same season, play date,
+  // check-in) are dropped with the source.
+  // Returns null when either player is gone, and { conflicts } with counts per kind
+  // (nothing changed) when the players share a match, fixture or tournament, live or
+  // in the trash, as those would end up with the same player twice. Otherwise returns
+  // both players and the source's avatar file, which the caller removes once the
+  // merge is committed.
+  async mergePlayers(sourceId, targetId, mergedBy = null) {
     const client = await this.pool.connect()
     try {
       await client.query('BEGIN')
-      
-      // First remove all matches involving this player
+
+      // Locking both players also holds back writes that would add a row referring to them
+      const players = await client.query('SELECT id, name, avatar_path FROM players WHERE id = ANY($1) FOR UPDATE', [[sourceId, targetId]])
+      const source = players.rows.find(player => player.id === sourceId)
+      const target = players.rows.find(player => player.id === targetId)
+      if (!source || !target) {
+        await client.query('ROLLBACK')
+        return null
+      }
+
+      const shared = await client.query(`
+        SELECT
+          (SELECT COUNT(*) FROM matches
+            WHERE $1 IN (player1_id, player2_id, player3_id, player4_id)
+              AND $2 IN (player1_id, player2_id, player3_id, player4_id))::int as matches,
+          (SELECT COUNT(*) FROM scheduled_matches
+            WHERE $1 IN (player1_id, player2_id, player3_id, player4_id)
+              AND $2 IN (player1_id, player2_id, player3_id, player4_id))::int as scheduled_matches,
+          (SELECT COUNT(*) FROM (
+            SELECT tournament_id FROM tournament_entries WHERE $1 IN (player1_id, player2_id)
+            INTERSECT
+            SELECT tournament_id FROM tournament_entries WHERE $2 IN (player1_id, player2_id)
+          ) t)::int as tournaments
+      `, [sourceId, targetId])
+      const trashItems = await client.query('SELECT id, data FROM trash FOR UPDATE')
+      const conflicts = {
+        ...shared.rows[0],
+        trash_items: trashItems.rows.filter(item => trashHoldsBothPlayers(item.data, sourceId, targetId)).length
+      }
+      if (Object.values(conflicts).some(count => count > 0)) {
+        await client.query('ROLLBACK')
+        return { conflicts }
+      }
+
+      let matchesMoved = 0
+      for (const column of ['player1_id', 'player2_id', 'player3_id', 'player4_id']) {
+        const moved = await client.query(`UPDATE matches SET ${column} = $2 WHERE ${column} = $1`, [sourceId, targetId])
+        matchesMoved += moved.rowCount
+        await client.query(`UPDATE scheduled_matches SET ${column} = $2 WHERE ${column} = $1`, [sourceId, targetId])
+      }
+      for (const column of ['player1_id', 'player2_id']) {
+        await client.query(`UPDATE tournament_entries SET ${column} = $2 WHERE ${column} = $1`, [sourceId, targetId])
+      }
+
       await client.query(`
-        DELETE FROM matches 
-        WHERE player1_id = $1 OR player2_id = $1 OR player3_id = $1 OR player4_id = $1
-      `, [playerId])
-      
-      // Then remove the player
-      await client.query('DELETE FROM players WHERE id = $1', [playerId])
-      
+        UPDATE season_players sp SET player_id = $2
+        WHERE sp.player_id = $1
+          AND NOT EXISTS (SELECT 1 FROM season_players t WHERE t.season_id = sp.season_id AND t.player_id = $2)
+      `, [sourceId, targetId])
+      await client.query(`
+        UPDATE attendance a SET player_id = $2
+        WHERE a.player_id = $1
+          AND NOT EXISTS (SELECT 1 FROM attendance t WHERE t.play_date = a.play_date AND t.player_id = $2)
+      `, [sourceId, targetId])
+      await client.query(`
+        UPDATE scheduled_match_checkins c SET player_id = $2
+        WHERE c.player_id = $1
+          AND NOT EXISTS (SELECT 1 FROM scheduled_match_checkins t WHERE t.scheduled_match_id = c.scheduled_match_id AND t.player_id = $2)
+      `, [sourceId, targetId])
+      await client.query('UPDATE ledger_entries SET player_id = $2 WHERE player_id = $1', [sourceId, targetId])
+
+      // Trashed rows are restored with their player ids, so they follow the merge too
+      for (const item of trashItems.rows) {
+        const data = reassignTrashPlayer(item.data, sourceId, targetId)
+        if (data) {
+          await client.query('UPDATE trash SET data = $2 WHERE id = $1', [item.id, JSON.stringify(data)])
+        }
+      }
+
+      await client.query('DELETE FROM players WHERE id = $1', [sourceId])
+      await client.query(AUDIT_INSERT_SQL, auditEntryValues({
+        actor: mergedBy,
+        action: 'merge',
+        entityType: 'player',
+        entityId: targetId,
+        before: { merged_player: { id: source.id, name: source.name }, into_player: { id: target.id, name: target.name } },
+        after: { player: { id: target.id, name: target.name }, matches_moved: matchesMoved }
+      }))
+
       await client.query('COMMIT')
+      return { source, target, matchesMoved, avatarPath: source.avatar_path }
     } catch (error) {
       await client.query('ROLLBACK')
       throw error
@@ -259,6 +363,8 @@ class PickleballDatabasePostgreSQL {
           ELSE NULL 
         END as end_date,
         is_active, auto_end, description, lose_money,
+        target_score, win_by, score_cap, scoring_system,
+        points_per_win, points_per_loss, bonus_points, bonus_type, bonus_margin, tiebreak_order,
         created_at, ended_at, ended_by
       FROM seasons 
       ORDER BY is_active DESC, start_date DESC
@@ -275,6 +381,8 @@ class PickleballDatabasePostgreSQL {
           ELSE NULL 
         END as end_date,
         is_active, auto_end, description, lose_money,
+        target_score, win_by, score_cap, scoring_system,
+        points_per_win, points_per_loss, bonus_points, bonus_type, bonus_margin, tiebreak_order,
         created_at, ended_at, ended_by
       FROM seasons 
       WHERE is_active = true
@@ -293,6 +401,8 @@ class PickleballDatabasePostgreSQL {
           ELSE NULL 
         END as end_date,
         is_active, auto_end, description, lose_money,
+        target_score, win_by, score_cap, scoring_system,
+        points_per_win, points_per_loss, bonus_points, bonus_type, bonus_margin, tiebreak_order,
         created_at, ended_at, ended_by
       FROM seasons 
       WHERE is_active = true
@@ -302,22 +412,27 @@ class PickleballDatabasePostgreSQL {
     return result.rows[0] || null
   }
 
-  async createSeason(name, startDate, endDate = null, autoEnd = true, description = '', loseMoney = 0) {
+  // scoringRules: { targetScore, winBy, scoreCap, scoringSystem }, or null for no rules
+  // pointsFormula: { pointsPerWin, pointsPerLoss, bonusPoints, bonusType, bonusMargin, tiebreakers }, or null for the default
+  async createSeason(name, startDate, endDate = null, autoEnd = true, description = '', loseMoney = 0, scoringRules = null, pointsFormula = null) {
     console.log('📝 DB createSeason - loseMoney:', loseMoney)
     const result = await this.query(`
-      INSERT INTO seasons (name, start_date, end_date, is_active, auto_end, description, lose_money) 
-      VALUES ($1, $2, $3, true, $4, $5, $6) RETURNING id
-    `, [name, startDate, endDate, autoEnd, description, loseMoney])
+      INSERT INTO seasons (name, start_date, end_date, is_active, auto_end, description, lose_money, target_score, win_by, score_cap, scoring_system,
+        points_per_win, points_per_loss, bonus_points, bonus_type, bonus_margin, tiebreak_order) 
+      VALUES ($1, $2, $3, true, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16) RETURNING id
+    `, [name, startDate, endDate, autoEnd, description, loseMoney, ...scoringRuleValues(scoringRules), ...pointsFormulaValues(pointsFormula)])
     return result.rows[0].id
   }
 
-  async updateSeason(seasonId, name, startDate, endDate, autoEnd, description, loseMoney = 0) {
+  async updateSeason(seasonId, name, startDate, endDate, autoEnd, description, loseMoney = 0, scoringRules = null, pointsFormula = null) {
     console.log('📝 DB updateSeason - loseMoney:', loseMoney, 'for season:', seasonId)
     await this.query(`
       UPDATE seasons 
-      SET name = $1, start_date = $2, end_date = $3, auto_end = $4, description = $5, lose_money = $6
-      WHERE id = $7
-    `, [name, startDate, endDate, autoEnd, description, loseMoney, seasonId])
+      SET name = $1, start_date = $2, end_date = $3, auto_end = $4, description = $5, lose_money = $6,
+          target_score = $7, win_by = $8, score_cap = $9, scoring_system = $10,
+          points_per_win = $11, points_per_loss = $12, bonus_points = $13, bonus_type = $14, bonus_margin = $15, tiebreak_order = $16
+      WHERE id = $17
+    `, [name, startDate, endDate, autoEnd, description, loseMoney, ...scoringRuleValues(scoringRules), ...pointsFormulaValues(pointsFormula), seasonId])
   }
 
   async endSeason(seasonId, endDate, endedBy) {
@@ -358,7 +473,9 @@ class PickleballDatabasePostgreSQL {
           WHEN end_date IS NOT NULL THEN TO_CHAR(end_date, 'YYYY-MM-DD')
           ELSE NULL 
         END as end_date,
-        is_active, auto_end, description,
+        is_active, auto_end, description, lose_money,
+        target_score, win_by, score_cap, scoring_system,
+        points_per_win, points_per_loss, bonus_points, bonus_type, bonus_margin, tiebreak_order,
         created_at, ended_at, ended_by
       FROM seasons 
       WHERE id = $1
@@ -366,11 +483,17 @@ class PickleballDatabasePostgreSQL {
     return result.rows[0] || null
   }
 
-  async deleteSeason(seasonId) {
+  // Move a season to the trash with everything that belongs to it (see TRASH_ROW_FILTERS)
+  async deleteSeason(seasonId, deletedBy = null) {
+    const season = await this.getSeasonById(seasonId)
+    if (!season) return null
+
     const client = await this.pool.connect()
     try {
       await client.query('BEGIN')
-      
+
+      const trashId = await this.moveToTrash(client, 'season', seasonId, season.name, deletedBy)
+
       // First delete all matches in this season
       await client.query('DELETE FROM matches WHERE season_id = $1', [seasonId])
       
@@ -378,6 +501,7 @@ class PickleballDatabasePostgreSQL {
       await client.query('DELETE FROM seasons WHERE id = $1', [seasonId])
       
       await client.query('COMMIT')
+      return trashId
     } catch (error) {
       await client.query('ROLLBACK')
       throw error
@@ -387,19 +511,51 @@ class PickleballDatabasePostgreSQL {
   }
 
   // Matches CRUD operations
-  async addMatch(seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam, matchType = 'duo') {
-    const result = await this.query(`
-      INSERT INTO matches (season_id, play_date, match_type, player1_id, player2_id, player3_id, player4_id, team1_score, team2_score, winning_team) 
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING id
-    `, [seasonId, playDate, matchType, player1Id, player2Id || null, player3Id, player4Id || null, team1Score, team2Score, winningTeam])
-    return result.rows[0].id
+  // games: optional [{ team1Score, team2Score }] for best-of-N matches
+  // stake: money each loser owes for this match, null to use the season's lose_money
+  async addMatch(seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam, matchType = 'duo', games = [], stake = null) {
+    const client = await this.pool.connect()
+    try {
+      await client.query('BEGIN')
+      const matchId = await this.insertMatch(client, seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam, matchType, games, stake)
+      await client.query('COMMIT')
+      return matchId
+    } catch (error) {
+      await client.query('ROLLBACK')
+      throw error
+    } finally {
+      client.release()
+    }
+  }
+
+  // Insert a match and its games (inside the caller's transaction); returns the match id
+  async insertMatch(client, seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam, matchType = 'duo', games = [], stake = null) {
+    const result = await client.query(`
+      INSERT INTO matches (season_id, play_date, match_type, player1_id, player2_id, player3_id, player4_id, team1_score, team2_score, winning_team, stake) 
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING id
+    `, [seasonId, playDate, matchType, player1Id, player2Id || null, player3Id, player4Id || null, team1Score, team2Score, winningTeam, stake])
+    const matchId = result.rows[0].id
+    await this.saveMatchGames(client, matchId, games)
+    return matchId
+  }
+
+  // Replace the game rows of a match (inside the caller's transaction)
+  async saveMatchGames(client, matchId, games = []) {
+    await client.query('DELETE FROM match_games WHERE match_id = $1', [matchId])
+    for (const [index, game] of games.entries()) {
+      await client.query(`
+        INSERT INTO match_games (match_id, game_number, team1_score, team2_score)
+        VALUES ($1, $2, $3, $4)
+      `, [matchId, index + 1, game.team1Score, game.team2Score])
+    }
   }
 
   async getMatches(limit = null) {
     let query = `
       SELECT m.id, m.season_id, TO_CHAR(m.play_date, 'YYYY-MM-DD') as play_date,
         m.match_type, m.player1_id, m.player2_id, m.player3_id, m.player4_id,
-        m.team1_score, m.team2_score, m.winning_team, m.created_at,
+        m.team1_score, m.team2_score, m.winning_team, m.stake, m.created_at,
+        ${MATCH_GAMES_JSON},
         s.name as season_name,
         p1.name as player1_name, p2.name as player2_name, 
         p3.name as player3_name, p4.name as player4_name
@@ -426,7 +582,8 @@ class PickleballDatabasePostgreSQL {
     const result = await this.query(`
       SELECT m.id, m.season_id, TO_CHAR(m.play_date, 'YYYY-MM-DD') as play_date,
         m.match_type, m.player1_id, m.player2_id, m.player3_id, m.player4_id,
-        m.team1_score, m.team2_score, m.winning_team, m.created_at,
+        m.team1_score, m.team2_score, m.winning_team, m.stake, m.created_at,
+        ${MATCH_GAMES_JSON},
         s.name as season_name,
         p1.name as player1_name, p2.name as player2_name, 
         p3.name as player3_name, p4.name as player4_name
@@ -446,7 +603,8 @@ class PickleballDatabasePostgreSQL {
     const result = await this.query(`
       SELECT m.id, m.season_id, TO_CHAR(m.play_date, 'YYYY-MM-DD') as play_date,
         m.match_type, m.player1_id, m.player2_id, m.player3_id, m.player4_id,
-        m.team1_score, m.team2_score, m.winning_team, m.created_at,
+        m.team1_score, m.team2_score, m.winning_team, m.stake, m.created_at,
+        ${MATCH_GAMES_JSON},
         s.name as season_name,
         p1.name as player1_name, p2.name as player2_name, 
         p3.name as player3_name, p4.name as player4_name
@@ -464,7 +622,8 @@ class PickleballDatabasePostgreSQL {
 
   async getMatchesByDate(date) {
     const result = await this.query(`
-      SELECT m.*, s.name as season_name,
+      SELECT m.*, ${MATCH_GAMES_JSON},
+        s.name as season_name,
         p1.name as player1_name, p2.name as player2_name, 
         p3.name as player3_name, p4.name as player4_name
       FROM matches m
@@ -481,7 +640,8 @@ class PickleballDatabasePostgreSQL {
 
   async getMatchById(matchId) {
     const result = await this.query(`
-      SELECT m.*, s.name as season_name,
+      SELECT m.*, ${MATCH_GAMES_JSON},
+        s.name as season_name,
         p1.name as player1_name, p2.name as player2_name, 
         p3.name as player3_name, p4.name as player4_name
       FROM matches m
@@ -495,34 +655,124 @@ class PickleballDatabasePostgreSQL {
     return result.rows[0] || null
   }
 
-  async updateMatch(matchId, seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam, matchType = 'duo') {
-    await this.query(`
-      UPDATE matches 
-      SET season_id = $1, play_date = $2, match_type = $3, player1_id = $4, player2_id = $5, 
-          player3_id = $6, player4_id = $7, team1_score = $8, team2_score = $9, 
-          winning_team = $10
-      WHERE id = $11
-    `, [seasonId, playDate, matchType, player1Id, player2Id || null, player3Id, player4Id || null, team1Score, team2Score, winningTeam, matchId])
+  // Oldest first, used to replay the match log (skill ratings, streaks...)
+  async getMatchesChronological() {
+    const result = await this.query(`
+      SELECT m.id, m.season_id, TO_CHAR(m.play_date, 'YYYY-MM-DD') as play_date,
+        m.match_type, m.player1_id, m.player2_id, m.player3_id, m.player4_id,
+        m.team1_score, m.team2_score, m.winning_team, m.created_at
+      FROM matches m
+      ORDER BY m.play_date ASC, m.created_at ASC, m.id ASC
+    `)
+    return result.rows
   }
 
-  async deleteMatch(matchId) {
-    await this.query('DELETE FROM matches WHERE id = $1', [matchId])
+  // All matches of one player (oldest first) with season info for the profile page
+  async getPlayerMatchesWithSeason(playerId) {
+    const result = await this.query(`
+      SELECT m.id, m.season_id, s.name as season_name, COALESCE(m.stake, s.lose_money, 0) as lose_money,
+        TO_CHAR(m.play_date, 'YYYY-MM-DD') as play_date,
+        m.match_type, m.player1_id, m.player2_id, m.player3_id, m.player4_id,
+        m.team1_score, m.team2_score, m.winning_team, m.created_at
+      FROM matches m
+      JOIN seasons s ON m.season_id = s.id
+      WHERE m.player1_id = $1 OR m.player2_id = $1 OR m.player3_id = $1 OR m.player4_id = $1
+      ORDER BY m.play_date ASC, m.created_at ASC, m.id ASC
+    `, [playerId])
+    return result.rows
+  }
+
+  // Matches both players took part in, newest first (either as opponents or teammates)
+  async getMatchesBetweenPlayers(playerAId, playerBId) {
+    const result = await this.query(`
+      SELECT m.id, m.season_id, TO_CHAR(m.play_date, 'YYYY-MM-DD') as play_date,
+        m.match_type, m.player1_id, m.player2_id, m.player3_id, m.player4_id,
+        m.team1_score, m.team2_score, m.winning_team, m.stake, m.created_at,
+        ${MATCH_GAMES_JSON},
+        s.name as season_name,
+        p1.name as player1_name, p2.name as player2_name,
+        p3.name as player3_name, p4.name as player4_name
+      FROM matches m
+      JOIN seasons s ON m.season_id = s.id
+      JOIN players p1 ON m.player1_id = p1.id
+      LEFT JOIN players p2 ON m.player2_id = p2.id
+      JOIN players p3 ON m.player3_id = p3.id
+      LEFT JOIN players p4 ON m.player4_id = p4.id
+      WHERE $1 IN (m.player1_id, m.player2_id, m.player3_id, m.player4_id)
+        AND $2 IN (m.player1_id, m.player2_id, m.player3_id, m.player4_id)
+      ORDER BY m.play_date DESC, m.created_at DESC
+    `, [playerAId, playerBId])
+    return result.rows
+  }
+
+  async updateMatch(matchId, seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam, matchType = 'duo', games = [], stake = null) {
+    const client = await this.pool.connect()
+    try {
+      await client.query('BEGIN')
+
+      await client.query(`
+        UPDATE matches 
+        SET season_id = $1, play_date = $2, match_type = $3, player1_id = $4, player2_id = $5, 
+            player3_id = $6, player4_id = $7, team1_score = $8, team2_score = $9, 
+            winning_team = $10, stake = $11
+        WHERE id = $12
+      `, [seasonId, playDate, matchType, player1Id, player2Id || null, player3Id, player4Id || null, team1Score, team2Score, winningTeam, stake, matchId])
+      await this.saveMatchGames(client, matchId, games)
+
+      await client.query('COMMIT')
+    } catch (error) {
+      await client.query('ROLLBACK')
+      throw error
+    } finally {
+      client.release()
+    }
   }
 
+  // Move a match to the trash. Scheduled and tournament matches that pointed at it
+  // are remembered so a restore links them again.
+  async deleteMatch(matchId, deletedBy = null) {
+    const match = await this.getMatchById(matchId)
+    if (!match) return null
+
+    const client = await this.pool.connect()
+    try {
+      await client.query('BEGIN')
+
+      const links = await client.query(`
+        SELECT
+          (SELECT COALESCE(jsonb_agg(id), '[]'::jsonb) FROM scheduled_matches WHERE match_id = $1) as scheduled_matches,
+          (SELECT COALESCE(jsonb_agg(id), '[]'::jsonb) FROM tournament_matches WHERE match_id = $1) as tournament_matches
+      `, [matchId])
+      const trashId = await this.moveToTrash(client, 'match', matchId, describeMatch(match), deletedBy, { links: links.rows[0] })
+      await client.query('DELETE FROM matches WHERE id = $1', [matchId])
+
+      await client.query('COMMIT')
+      return trashId
+    } catch (error) {
+      await client.query('ROLLBACK')
+      throw error
+    } finally {
+      client.release()
+    }
+  }
+
+  // Play dates are the days with a match or with recorded attendance
   async getPlayDates() {
     const result = await this.query(`
-      SELECT DISTINCT TO_CHAR(DATE(play_date), 'YYYY-MM-DD') as play_date 
-      FROM matches 
-      ORDER BY TO_CHAR(DATE(play_date), 'YYYY-MM-DD') DESC
+      SELECT TO_CHAR(DATE(play_date), 'YYYY-MM-DD') as play_date FROM matches
+      UNION
+      SELECT TO_CHAR(play_date, 'YYYY-MM-DD') as play_date FROM attendance
+      ORDER BY play_date DESC
     `)
     return result.rows
   }
 
   async getLatestPlayDate() {
     const result = await this.query(`
-      SELECT TO_CHAR(DATE(play_date), 'YYYY-MM-DD') as play_date 
-      FROM matches 
-      ORDER BY TO_CHAR(DATE(play_date), 'YYYY-MM-DD') DESC 
+      SELECT TO_CHAR(DATE(play_date), 'YYYY-MM-DD') as play_date FROM matches
+      UNION
+      SELECT TO_CHAR(play_date, 'YYYY-MM-DD') as play_date FROM attendance
+      ORDER BY play_date DESC
       LIMIT 1
     `)
     return result.rows[0]?.play_date || null
@@ -530,355 +780,682 @@ class PickleballDatabasePostgreSQL {
 
   // Statistics and rankings
   async getPlayerStatsLifetime() {
+    return this.stats.getPlayerStandings()
+  }
+
+  async getPlayerStatsBySeason(seasonId) {
+    return this.stats.getPlayerStandings({ seasonId })
+  }
+
+  async getPlayerStatsByPlayDate(playDate) {
+    return this.stats.getPlayerStandings({ upToDate: playDate })
+  }
+
+  async getPlayerStatsBySpecificDate(playDate) {
+    return this.stats.getPlayerStandings({ onDate: playDate })
+  }
+
+  async getPlayerForm(playerId, limit = 5) {
+    return this.stats.getPlayerForm(playerId, { limit })
+  }
+
+  async getPlayerFormBySeason(playerId, seasonId, limit = 5) {
+    return this.stats.getPlayerForm(playerId, { seasonId, limit })
+  }
+
+  async getPlayerFormByDate(playerId, date, limit = 5) {
+    return this.stats.getPlayerForm(playerId, { upToDate: date, limit })
+  }
+
+  async getPlayerFormOnSpecificDate(playerId, date, limit = 5) {
+    return this.stats.getPlayerForm(playerId, { onDate: date, limit })
+  }
+
+  async getPlayerFormBySpecificDate(playerId, date, limit = 5) {
+    return this.stats.getPlayerForm(playerId, { onDate: date, limit })
+  }
+
+  // Form of many players in one query, as a Map of player id to results.
+  // scope: {} for lifetime, { seasonId }, { upToDate } or { onDate }
+  async getFormForPlayers(playerIds, scope = {}, limit = 5) {
+    return this.stats.getFormForPlayers(playerIds, { ...scope, limit })
+  }
+
+  // Materialized standings (see repositories/standings-repository.js and lib/standings.js)
+  async getStandingsLifetime() {
+    return this.standings.getStandings(lifetimeScope())
+  }
+
+  async getStandingsBySeason(seasonId) {
+    return this.standings.getStandings(seasonScope(seasonId))
+  }
+
+  async getStandingsBySpecificDate(playDate) {
+    return this.standings.getStandings(dateScope(playDate))
+  }
+
+  // scopes: from lifetimeScope / seasonScope / dateScope; playerIds null for everyone
+  async refreshStandings(scopes, playerIds = null) {
+    return this.standings.refresh(scopes, playerIds)
+  }
+
+  async refreshSeasonStandings(seasonId) {
+    return this.standings.refreshSeason(seasonId)
+  }
+
+  async rebuildStandings() {
+    return this.standings.rebuild()
+  }
+
+  async checkStandings() {
+    return this.standings.check()
+  }
+
+  // ============================================================================
+  // PAIR (DOUBLES TEAM) STATISTICS
+  // ============================================================================
+
+  // Each unordered pair of teammates is one entity: (a, b) and (b, a) are folded
+  // together with LEAST/GREATEST. Optional filters: seasonId, playDate, minGames.
+  async getPairStats({ seasonId = null, playDate = null, minGames = 1 } = {}) {
+    const params = []
+    const filters = ["m.match_type = 'duo'"]
+    if (seasonId) {
+      params.push(seasonId)
+      filters.push(`m.season_id = $${params.length}`)
+    }
+    if (playDate) {
+      params.push(playDate)
+      filters.push(`DATE(m.play_date) = $${params.length}`)
+    }
+    params.push(minGames)
+    const minGamesParam = `$${params.length}`
+    const where = filters.join(' AND ')
+
     const result = await this.query(`
-      WITH player_season_losses AS (
-        SELECT 
-          p.id as player_id,
-          s.id as season_id,
-          COALESCE(s.lose_money, 0) as lose_money,
-          COUNT(CASE WHEN 
-            (m.winning_team = 2 AND (m.player1_id = p.id OR m.player2_id = p.id)) OR 
-            (m.winning_team = 1 AND (m.player3_id = p.id OR m.player4_id = p.id))
-            THEN 1 END) as season_losses
-        FROM players p
-        CROSS JOIN seasons s
-        LEFT JOIN matches m ON (m.player1_id = p.id OR m.player2_id = p.id OR m.player3_id = p.id OR m.player4_id = p.id)
-          AND m.season_id = s.id
-        GROUP BY p.id, s.id, s.lose_money
-      ),
-      player_money AS (
-        SELECT player_id, SUM(season_losses * lose_money) as total_money_lost
-        FROM player_season_losses
-        GROUP BY player_id
-      ),
-      player_points AS (
-        SELECT 
-          p.id as player_id,
-          SUM(CASE 
-            WHEN m.player1_id = p.id OR m.player2_id = p.id THEN COALESCE(m.team1_score, 0)
-            WHEN m.player3_id = p.id OR m.player4_id = p.id THEN COALESCE(m.team2_score, 0)
-            ELSE 0 END) as points_for,
-          SUM(CASE 
-            WHEN m.player1_id = p.id OR m.player2_id = p.id THEN COALESCE(m.team2_score, 0)
-            WHEN m.player3_id = p.id OR m.player4_id = p.id THEN COALESCE(m.team1_score, 0)
-            ELSE 0 END) as points_against
-        FROM players p
-        LEFT JOIN matches m ON (m.player1_id = p.id OR m.player2_id = p.id OR m.player3_id = p.id OR m.player4_id = p.id)
-        GROUP BY p.id
-      ),
-      player_stats AS (
-        SELECT 
-          p.id,
-          p.name,
-          COUNT(CASE WHEN 
-            (m.winning_team = 1 AND (m.player1_id = p.id OR m.player2_id = p.id)) OR 
-            (m.winning_team = 2 AND (m.player3_id = p.id OR m.player4_id = p.id))
-            THEN 1 END) as wins,
-          COUNT(CASE WHEN 
-            (m.winning_team = 2 AND (m.player1_id = p.id OR m.player2_id = p.id)) OR 
-            (m.winning_team = 1 AND (m.player3_id = p.id OR m.player4_id = p.id))
-            THEN 1 END) as losses,
-          COUNT(CASE WHEN m.id IS NOT NULL THEN 1 END) as total_matches
-        FROM players p
-        LEFT JOIN matches m ON (m.player1_id = p.id OR m.player2_id = p.id OR m.player3_id = p.id OR m.player4_id = p.id)
-        GROUP BY p.id, p.name
+      WITH pair_results AS (
+        SELECT LEAST(m.player1_id, m.player2_id) as player_a_id,
+          GREATEST(m.player1_id, m.player2_id) as player_b_id,
+          CASE WHEN m.winning_team = 1 THEN 1 ELSE 0 END as is_win,
+          m.team1_score as points_for, m.team2_score as points_against
+        FROM matches m
+        WHERE ${where} AND m.player2_id IS NOT NULL
+        UNION ALL
+        SELECT LEAST(m.player3_id, m.player4_id) as player_a_id,
+          GREATEST(m.player3_id, m.player4_id) as player_b_id,
+          CASE WHEN m.winning_team = 2 THEN 1 ELSE 0 END as is_win,
+          m.team2_score as points_for, m.team1_score as points_against
+        FROM matches m
+        WHERE ${where} AND m.player4_id IS NOT NULL
       )
-      SELECT 
-        ps.*,
-        COALESCE(pp.points_for, 0) as points_for,
-        COALESCE(pp.points_against, 0) as points_against,
-        (COALESCE(pp.points_for, 0) - COALESCE(pp.points_against, 0)) as goal_difference,
-        (ps.wins * 4 + ps.losses * 1) as points,
-        CASE WHEN (ps.wins + ps.losses) > 0 THEN ROUND((ps.wins * 100.0) / (ps.wins + ps.losses), 1) ELSE 0 END as win_percentage,
-        COALESCE(pm.total_money_lost, 0) as money_lost
-      FROM player_stats ps
-      LEFT JOIN player_money pm ON ps.id = pm.player_id
-      LEFT JOIN player_points pp ON ps.id = pp.player_id
-      ORDER BY points DESC, goal_difference DESC, win_percentage DESC, name ASC
-    `)
+      SELECT
+        pr.player_a_id, pa.name as player_a_name,
+        pr.player_b_id, pb.name as player_b_name,
+        SUM(pr.is_win)::int as wins,
+        (COUNT(*) - SUM(pr.is_win))::int as losses,
+        COUNT(*)::int as total_matches,
+        SUM(pr.points_for)::int as points_for,
+        SUM(pr.points_against)::int as points_against,
+        (SUM(pr.points_for) - SUM(pr.points_against))::int as goal_difference,
+        ROUND((SUM(pr.is_win) * 100.0) / COUNT(*), 1) as win_percentage
+      FROM pair_results pr
+      JOIN players pa ON pr.player_a_id = pa.id
+      JOIN players pb ON pr.player_b_id = pb.id
+      GROUP BY pr.player_a_id, pa.name, pr.player_b_id, pb.name
+      HAVING COUNT(*) >= ${minGamesParam}
+      ORDER BY win_percentage DESC, wins DESC, goal_difference DESC, total_matches DESC
+    `, params)
     return result.rows
   }
 
-  async getPlayerStatsBySeason(seasonId) {
+  // ============================================================================
+  // TOURNAMENTS
+  // ============================================================================
+
+  async getTournaments(seasonId = null) {
     const result = await this.query(`
-      WITH season_info AS (
-        SELECT lose_money FROM seasons WHERE id = $1
-      ),
-      player_points AS (
-        SELECT 
-          p.id as player_id,
-          SUM(CASE 
-            WHEN m.player1_id = p.id OR m.player2_id = p.id THEN COALESCE(m.team1_score, 0)
-            WHEN m.player3_id = p.id OR m.player4_id = p.id THEN COALESCE(m.team2_score, 0)
-            ELSE 0 END) as points_for,
-          SUM(CASE 
-            WHEN m.player1_id = p.id OR m.player2_id = p.id THEN COALESCE(m.team2_score, 0)
-            WHEN m.player3_id = p.id OR m.player4_id = p.id THEN COALESCE(m.team1_score, 0)
-            ELSE 0 END) as points_against
-        FROM players p
-        LEFT JOIN matches m ON (m.player1_id = p.id OR m.player2_id = p.id OR m.player3_id = p.id OR m.player4_id = p.id)
-          AND m.season_id = $1
-        GROUP BY p.id
-      ),
-      player_stats AS (
-        SELECT 
-          p.id,
-          p.name,
-          COUNT(CASE WHEN 
-            (m.winning_team = 1 AND (m.player1_id = p.id OR m.player2_id = p.id)) OR 
-            (m.winning_team = 2 AND (m.player3_id = p.id OR m.player4_id = p.id))
-            THEN 1 END) as wins,
-          COUNT(CASE WHEN 
-            (m.winning_team = 2 AND (m.player1_id = p.id OR m.player2_id = p.id)) OR 
-            (m.winning_team = 1 AND (m.player3_id = p.id OR m.player4_id = p.id))
-            THEN 1 END) as losses,
-          COUNT(CASE WHEN m.id IS NOT NULL THEN 1 END) as total_matches
-        FROM players p
-        LEFT JOIN matches m ON (m.player1_id = p.id OR m.player2_id = p.id OR m.player3_id = p.id OR m.player4_id = p.id)
-          AND m.season_id = $1
-        GROUP BY p.id, p.name
-      )
-      SELECT 
-        ps.*,
-        COALESCE(pp.points_for, 0) as points_for,
-        COALESCE(pp.points_against, 0) as points_against,
-        (COALESCE(pp.points_for, 0) - COALESCE(pp.points_against, 0)) as goal_difference,
-        (ps.wins * 4 + ps.losses * 1) as points,
-        CASE WHEN (ps.wins + ps.losses) > 0 THEN ROUND((ps.wins * 100.0) / (ps.wins + ps.losses), 1) ELSE 0 END as win_percentage,
-        ps.losses * COALESCE((SELECT lose_money FROM season_info), 0) as money_lost
-      FROM player_stats ps
-      LEFT JOIN player_points pp ON ps.id = pp.player_id
-      ORDER BY points DESC, goal_difference DESC, win_percentage DESC, name ASC
+      SELECT t.id, t.season_id, s.name as season_name, t.name, t.format, t.entry_type,
+        t.status, t.champion_entry_id, t.created_at, t.created_by,
+        (SELECT COUNT(*)::int FROM tournament_entries te WHERE te.tournament_id = t.id) as entry_count
+      FROM tournaments t
+      JOIN seasons s ON t.season_id = s.id
+      WHERE $1::int IS NULL OR t.season_id = $1
+      ORDER BY t.created_at DESC
     `, [seasonId])
     return result.rows
   }
 
-  async getPlayerStatsByPlayDate(playDate) {
+  async getTournamentById(tournamentId) {
     const result = await this.query(`
-      WITH player_match_losses AS (
-        SELECT 
-          p.id as player_id,
-          COALESCE(s.lose_money, 0) as lose_money,
-          CASE WHEN 
-            (m.winning_team = 2 AND (m.player1_id = p.id OR m.player2_id = p.id)) OR 
-            (m.winning_team = 1 AND (m.player3_id = p.id OR m.player4_id = p.id))
-            THEN 1 ELSE 0 END as is_loss
-        FROM players p
-        LEFT JOIN matches m ON (m.player1_id = p.id OR m.player2_id = p.id OR m.player3_id = p.id OR m.player4_id = p.id)
-          AND DATE(m.play_date) <= $1
-        LEFT JOIN seasons s ON m.season_id = s.id
-      ),
-      player_money AS (
-        SELECT player_id, SUM(is_loss * lose_money) as total_money_lost
-        FROM player_match_losses
-        GROUP BY player_id
-      ),
-      player_points AS (
-        SELECT 
-          p.id as player_id,
-          SUM(CASE 
-            WHEN m.player1_id = p.id OR m.player2_id = p.id THEN COALESCE(m.team1_score, 0)
-            WHEN m.player3_id = p.id OR m.player4_id = p.id THEN COALESCE(m.team2_score, 0)
-            ELSE 0 END) as points_for,
-          SUM(CASE 
-            WHEN m.player1_id = p.id OR m.player2_id = p.id THEN COALESCE(m.team2_score, 0)
-            WHEN m.player3_id = p.id OR m.player4_id = p.id THEN COALESCE(m.team1_score, 0)
-            ELSE 0 END) as points_against
-        FROM players p
-        LEFT JOIN matches m ON (m.player1_id = p.id OR m.player2_id = p.id OR m.player3_id = p.id OR m.player4_id = p.id)
-          AND DATE(m.play_date) <= $1
-        GROUP BY p.id
-      ),
-      player_stats AS (
-        SELECT 
-          p.id,
-          p.name,
-          COUNT(CASE WHEN 
-            (m.winning_team = 1 AND (m.player1_id = p.id OR m.player2_id = p.id)) OR 
-            (m.winning_team = 2 AND (m.player3_id = p.id OR m.player4_id = p.id))
-            THEN 1 END) as wins,
-          COUNT(CASE WHEN 
-            (m.winning_team = 2 AND (m.player1_id = p.id OR m.player2_id = p.id)) OR 
-            (m.winning_team = 1 AND (m.player3_id = p.id OR m.player4_id = p.id))
-            THEN 1 END) as losses,
-          COUNT(CASE WHEN m.id IS NOT NULL THEN 1 END) as total_matches
-        FROM players p
-        LEFT JOIN matches m ON (m.player1_id = p.id OR m.player2_id = p.id OR m.player3_id = p.id OR m.player4_id = p.id)
-          AND DATE(m.play_date) <= $1
-        GROUP BY p.id, p.name
-      )
-      SELECT 
-        ps.*,
-        COALESCE(pp.points_for, 0) as points_for,
-        COALESCE(pp.points_against, 0) as points_against,
-        (COALESCE(pp.points_for, 0) - COALESCE(pp.points_against, 0)) as goal_difference,
-        (ps.wins * 4 + ps.losses * 1) as points,
-        CASE WHEN (ps.wins + ps.losses) > 0 THEN ROUND((ps.wins * 100.0) / (ps.wins + ps.losses), 1) ELSE 0 END as win_percentage,
-        COALESCE(pm.total_money_lost, 0) as money_lost
-      FROM player_stats ps
-      LEFT JOIN player_money pm ON ps.id = pm.player_id
-      LEFT JOIN player_points pp ON ps.id = pp.player_id
-      ORDER BY points DESC, goal_difference DESC, win_percentage DESC, name ASC
-    `, [playDate])
+      SELECT t.id, t.season_id, s.name as season_name, t.name, t.format, t.entry_type,
+        t.status, t.champion_entry_id, t.created_at, t.created_by
+      FROM tournaments t
+      JOIN seasons s ON t.season_id = s.id
+      WHERE t.id = $1
+    `, [tournamentId])
+    return result.rows[0] || null
+  }
+
+  // entries: [{ seed, playerIds: [player1Id, player2Id?] }]
+  async createTournament({ seasonId, name, format, entryType, createdBy }, entries) {
+    const client = await this.pool.connect()
+    try {
+      await client.query('BEGIN')
+
+      const result = await client.query(`
+        INSERT INTO tournaments (season_id, name, format, entry_type, created_by)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING id
+      `, [seasonId, name, format, entryType, createdBy])
+      const tournamentId = result.rows[0].id
+
+      for (const entry of entries) {
+        await client.query(`
+          INSERT INTO tournament_entries (tournament_id, seed, player1_id, player2_id)
+          VALUES ($1, $2, $3, $4)
+        `, [tournamentId, entry.seed, entry.playerIds[0], entry.playerIds[1] || null])
+      }
+
+      await client.query('COMMIT')
+      return tournamentId
+    } catch (error) {
+      await client.query('ROLLBACK')
+      throw error
+    } finally {
+      client.release()
+    }
+  }
+
+  async getTournamentEntries(tournamentId, client = this) {
+    const result = await client.query(`
+      SELECT te.id, te.seed, te.player1_id, te.player2_id,
+        p1.name as player1_name, p2.name as player2_name
+      FROM tournament_entries te
+      JOIN players p1 ON te.player1_id = p1.id
+      LEFT JOIN players p2 ON te.player2_id = p2.id
+      WHERE te.tournament_id = $1
+      ORDER BY te.seed ASC
+    `, [tournamentId])
     return result.rows
   }
 
-  async getPlayerStatsBySpecificDate(playDate) {
+  // Bracket nodes in dependency order (insertion order of generateBracket)
+  async getTournamentMatches(tournamentId, client = this) {
+    const result = await client.query(`
+      SELECT id, bracket_key as key, bracket, round, position, seed1, seed2,
+        next_key, next_slot, loser_next_key, loser_next_slot,
+        entry1_id, entry2_id, winner_entry_id, match_id, status
+      FROM tournament_matches
+      WHERE tournament_id = $1
+      ORDER BY id ASC
+    `, [tournamentId])
+    return result.rows
+  }
+
+  async getTournamentMatchById(tournamentMatchId) {
     const result = await this.query(`
-      WITH player_match_losses AS (
-        SELECT 
-          p.id as player_id,
-          COALESCE(s.lose_money, 0) as lose_money,
-          CASE WHEN 
-            (m.winning_team = 2 AND (m.player1_id = p.id OR m.player2_id = p.id)) OR 
-            (m.winning_team = 1 AND (m.player3_id = p.id OR m.player4_id = p.id))
-            THEN 1 ELSE 0 END as is_loss
-        FROM players p
-        LEFT JOIN matches m ON (m.player1_id = p.id OR m.player2_id = p.id OR m.player3_id = p.id OR m.player4_id = p.id)
-          AND DATE(m.play_date) = $1
-        LEFT JOIN seasons s ON m.season_id = s.id
-      ),
-      player_money AS (
-        SELECT player_id, SUM(is_loss * lose_money) as total_money_lost
-        FROM player_match_losses
-        GROUP BY player_id
-      ),
-      player_points AS (
+      SELECT tm.id, tm.tournament_id, tm.bracket_key as key, tm.status,
+        tm.entry1_id, tm.entry2_id, t.season_id, t.entry_type, t.status as tournament_status
+      FROM tournament_matches tm
+      JOIN tournaments t ON tm.tournament_id = t.id
+      WHERE tm.id = $1
+    `, [tournamentMatchId])
+    return result.rows[0] || null
+  }
+
+  // Insert or update every bracket node, matched on (tournament_id, bracket_key)
+  async saveTournamentMatches(tournamentId, nodes) {
+    const client = await this.pool.connect()
+    try {
+      await client.query('BEGIN')
+      await this.writeTournamentMatches(client, tournamentId, nodes)
+      await client.query('COMMIT')
+    } catch (error) {
+      await client.query('ROLLBACK')
+      throw error
+    } finally {
+      client.release()
+    }
+  }
+
+  // saveTournamentMatches inside the caller's transaction
+  async writeTournamentMatches(client, tournamentId, nodes) {
+    for (const node of nodes) {
+      await client.query(`
+        INSERT INTO tournament_matches (
+          tournament_id, bracket_key, bracket, round, position, seed1, seed2,
+          next_key, next_slot, loser_next_key, loser_next_slot,
+          entry1_id, entry2_id, winner_entry_id, match_id, status
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+        ON CONFLICT (tournament_id, bracket_key) DO UPDATE SET
+          entry1_id = EXCLUDED.entry1_id,
+          entry2_id = EXCLUDED.entry2_id,
+          winner_entry_id = EXCLUDED.winner_entry_id,
+          match_id = EXCLUDED.match_id,
+          status = EXCLUDED.status
+      `, [
+        tournamentId, node.key, node.bracket, node.round, node.position, node.seed1, node.seed2,
+        node.next_key, node.next_slot, node.loser_next_key, node.loser_next_slot,
+        node.entry1_id, node.entry2_id, node.winner_entry_id, node.match_id, node.status
+      ])
+    }
+  }
+
+  // Record the match played for a bracket match and advance the bracket (winner, and
+  // loser in double elimination) in one transaction. The bracket match row is locked
+  // first, so of two results sent for it at once only one is recorded. Takes addMatch's
+  // arguments after the bracket ones. Returns null, recording nothing, when the bracket
+  // match is not ready to be played (any more) or the winner is not one of its entries.
+  async addTournamentMatchResult(tournamentMatchId, winnerEntryId, ...matchValues) {
+    const client = await this.pool.connect()
+    try {
+      await client.query('BEGIN')
+
+      const locked = await client.query(`
+        SELECT tournament_id, bracket_key, status, entry1_id, entry2_id
+        FROM tournament_matches WHERE id = $1 FOR UPDATE
+      `, [tournamentMatchId])
+      const tournamentMatch = locked.rows[0]
+      if (!tournamentMatch || tournamentMatch.status !== 'ready' ||
+          ![tournamentMatch.entry1_id, tournamentMatch.entry2_id].includes(winnerEntryId)) {
+        await client.query('ROLLBACK')
+        return null
+      }
+
+      const matchId = await this.insertMatch(client, ...matchValues)
+      const tournamentId = tournamentMatch.tournament_id
+      const nodes = await this.getTournamentMatches(tournamentId, client)
+      const entries = await this.getTournamentEntries(tournamentId, client)
+      const entryIdBySeed = new Map(entries.map(entry => [entry.seed, entry.id]))
+      recordBracketResult(nodes, tournamentMatch.bracket_key, winnerEntryId, matchId, entryIdBySeed)
+      await this.writeTournamentMatches(client, tournamentId, nodes)
+
+      const championEntryId = getBracketChampion(nodes)
+      if (championEntryId) {
+        await client.query(`
+          UPDATE tournaments SET status = 'completed', champion_entry_id = $1 WHERE id = $2
+        `, [championEntryId, tournamentId])
+      }
+
+      await client.query('COMMIT')
+      return { matchId, championEntryId }
+    } catch (error) {
+      await client.query('ROLLBACK')
+      throw error
+    } finally {
+      client.release()
+    }
+  }
+
+  // The bracket match a recorded match was played for, or null
+  async getTournamentMatchByMatchId(matchId) {
+    const result = await this.query(`
+      SELECT tm.id, tm.tournament_id, t.name as tournament_name, tm.bracket_key as key, tm.status
+      FROM tournament_matches tm
+      JOIN tournaments t ON tm.tournament_id = t.id
+      WHERE tm.match_id = $1
+    `, [matchId])
+    return result.rows[0] || null
+  }
+
+  async deleteTournament(tournamentId) {
+    await this.query('DELETE FROM tournaments WHERE id = $1', [tournamentId])
+  }
+
+  // ============================================================================
+  // SCHEDULED MATCHES (ROUND-ROBIN FIXTURES)
+  // ============================================================================
+
+  async getScheduledMatches({ seasonId = null, playDate = null, status = null } = {}) {
+    const result = await this.query(`
+      SELECT sm.id, sm.season_id, s.name as season_name,
+        TO_CHAR(sm.play_date, 'YYYY-MM-DD') as play_date,
+        TO_CHAR(sm.scheduled_time, 'HH24:MI') as scheduled_time,
+        sm.round, sm.court, sm.match_type, sm.status, sm.match_id,
+        sm.player1_id, sm.player2_id, sm.player3_id, sm.player4_id,
+        p1.name as player1_name, p2.name as player2_name,
+        p3.name as player3_name, p4.name as player4_name,
+        m.team1_score, m.team2_score, m.winning_team,
+        COALESCE((
+          SELECT json_agg(json_build_object('player_id', c.player_id, 'status', c.status))
+          FROM scheduled_match_checkins c
+          WHERE c.scheduled_match_id = sm.id
+        ), '[]'::json) as checkins
+      FROM scheduled_matches sm
+      JOIN seasons s ON sm.season_id = s.id
+      JOIN players p1 ON sm.player1_id = p1.id
+      LEFT JOIN players p2 ON sm.player2_id = p2.id
+      JOIN players p3 ON sm.player3_id = p3.id
+      LEFT JOIN players p4 ON sm.player4_id = p4.id
+      LEFT JOIN matches m ON sm.match_id = m.id
+      WHERE ($1::int IS NULL OR sm.season_id = $1)
+        AND ($2::date IS NULL OR sm.play_date = $2)
+        AND ($3::varchar IS NULL OR sm.status = $3)
+      ORDER BY sm.play_date DESC, sm.round ASC NULLS LAST, sm.scheduled_time ASC NULLS LAST, sm.court ASC, sm.id ASC
+    `, [seasonId, playDate, status])
+    return result.rows
+  }
+
+  async getScheduledMatchById(scheduledMatchId) {
+    const result = await this.query(`
+      SELECT id, season_id, TO_CHAR(play_date, 'YYYY-MM-DD') as play_date,
+        TO_CHAR(scheduled_time, 'HH24:MI') as scheduled_time, round, court, match_type, player1_id, player2_id, player3_id, player4_id, status, match_id
+      FROM scheduled_matches
+      WHERE id = $1
+    `, [scheduledMatchId])
+    return result.rows[0] || null
+  }
+
+  async addScheduledMatches(seasonId, playDate, matchType, fixtures, createdBy = null) {
+    return this.scheduledMatches.addScheduledMatches(seasonId, playDate, matchType, fixtures, createdBy)
+  }
+
+  async completeScheduledMatch(scheduledMatchId, matchId) {
+    await this.scheduledMatches.completeScheduledMatch(scheduledMatchId, matchId)
+  }
+
+  async updateScheduledMatch(scheduledMatchId, changes) {
+    await this.scheduledMatches.updateScheduledMatch(scheduledMatchId, changes)
+  }
+
+  async cancelScheduledMatch(scheduledMatchId) {
+    await this.scheduledMatches.cancelScheduledMatch(scheduledMatchId)
+  }
+
+  async setScheduledMatchCheckIn(scheduledMatchId, playerId, status, updatedBy = null) {
+    await this.scheduledMatches.setScheduledMatchCheckIn(scheduledMatchId, playerId, status, updatedBy)
+  }
+
+  async deleteScheduledMatch(scheduledMatchId) {
+    await this.scheduledMatches.deleteScheduledMatch(scheduledMatchId)
+  }
+
+  async deletePendingScheduledMatches(seasonId, playDate) {
+    await this.scheduledMatches.deletePendingScheduledMatches(seasonId, playDate)
+  }
+
+  // ============================================================================
+  // MONEY LEDGER
+  // ============================================================================
+
+  async getLedgerEntries(seasonId) {
+    const result = await this.query(`
+      SELECT l.id, l.season_id, l.player_id, p.name as player_name, l.entry_type, l.amount,
+        TO_CHAR(l.entry_date, 'YYYY-MM-DD') as entry_date, l.note, l.created_at, l.created_by
+      FROM ledger_entries l
+      JOIN players p ON l.player_id = p.id
+      WHERE l.season_id = $1
+      ORDER BY l.entry_date DESC, l.id DESC
+    `, [seasonId])
+    return result.rows
+  }
+
+  async getLedgerEntryById(entryId) {
+    const result = await this.query('SELECT * FROM ledger_entries WHERE id = $1', [entryId])
+    return result.rows[0] || null
+  }
+
+  async addLedgerEntry(seasonId, playerId, entryType, amount, entryDate = null, note = null, createdBy = null) {
+    const result = await this.query(`
+      INSERT INTO ledger_entries (season_id, player_id, entry_type, amount, entry_date, note, created_by)
+      VALUES ($1, $2, $3, $4, COALESCE($5::date, CURRENT_DATE), $6, $7)
+      RETURNING id
+    `, [seasonId, playerId, entryType, amount, entryDate, note, createdBy])
+    return result.rows[0].id
+  }
+
+  async deleteLedgerEntry(entryId) {
+    await this.query('DELETE FROM ledger_entries WHERE id = $1', [entryId])
+  }
+
+  // Per-player balance of a season: stakes of lost matches (match stake, else the
+  // season's lose_money) plus manual charges, minus payments. Positive balance = still owed.
+  async getLedgerBalances(seasonId) {
+    const result = await this.query(`
+      WITH match_charges AS (
         SELECT 
           p.id as player_id,
-          SUM(CASE 
-            WHEN m.player1_id = p.id OR m.player2_id = p.id THEN COALESCE(m.team1_score, 0)
-            WHEN m.player3_id = p.id OR m.player4_id = p.id THEN COALESCE(m.team2_score, 0)
-            ELSE 0 END) as points_for,
-          SUM(CASE 
-            WHEN m.player1_id = p.id OR m.player2_id = p.id THEN COALESCE(m.team2_score, 0)
-            WHEN m.player3_id = p.id OR m.player4_id = p.id THEN COALESCE(m.team1_score, 0)
-            ELSE 0 END) as points_against
+          COUNT(*) as matches_lost,
+          SUM(COALESCE(m.stake, s.lose_money, 0)) as amount
         FROM players p
-        LEFT JOIN matches m ON (m.player1_id = p.id OR m.player2_id = p.id OR m.player3_id = p.id OR m.player4_id = p.id)
-          AND DATE(m.play_date) = $1
+        JOIN matches m ON (m.winning_team = 2 AND (m.player1_id = p.id OR m.player2_id = p.id)) OR 
+            (m.winning_team = 1 AND (m.player3_id = p.id OR m.player4_id = p.id))
+        JOIN seasons s ON m.season_id = s.id
+        WHERE m.season_id = $1
         GROUP BY p.id
       ),
-      player_stats AS (
+      entry_totals AS (
         SELECT 
-          p.id,
-          p.name,
-          COUNT(CASE WHEN 
-            (m.winning_team = 1 AND (m.player1_id = p.id OR m.player2_id = p.id)) OR 
-            (m.winning_team = 2 AND (m.player3_id = p.id OR m.player4_id = p.id))
-            THEN 1 END) as wins,
-          COUNT(CASE WHEN 
-            (m.winning_team = 2 AND (m.player1_id = p.id OR m.player2_id = p.id)) OR 
-            (m.winning_team = 1 AND (m.player3_id = p.id OR m.player4_id = p.id))
-            THEN 1 END) as losses,
-          COUNT(CASE WHEN m.id IS NOT NULL THEN 1 END) as total_matches
-        FROM players p
-        LEFT JOIN matches m ON (m.player1_id = p.id OR m.player2_id = p.id OR m.player3_id = p.id OR m.player4_id = p.id)
-          AND DATE(m.play_date) = $1
-        GROUP BY p.id, p.name
+          player_id,
+          SUM(CASE WHEN entry_type = 'charge' THEN amount ELSE 0 END) as charges,
+          SUM(CASE WHEN entry_type = 'payment' THEN amount ELSE 0 END) as paid
+        FROM ledger_entries
+        WHERE season_id = $1
+        GROUP BY player_id
       )
       SELECT 
-        ps.*,
-        COALESCE(pp.points_for, 0) as points_for,
-        COALESCE(pp.points_against, 0) as points_against,
-        (COALESCE(pp.points_for, 0) - COALESCE(pp.points_against, 0)) as goal_difference,
-        (ps.wins * 4 + ps.losses * 1) as points,
-        CASE WHEN (ps.wins + ps.losses) > 0 THEN ROUND((ps.wins * 100.0) / (ps.wins + ps.losses), 1) ELSE 0 END as win_percentage,
-        COALESCE(pm.total_money_lost, 0) as money_lost
-      FROM player_stats ps
-      LEFT JOIN player_money pm ON ps.id = pm.player_id
-      LEFT JOIN player_points pp ON ps.id = pp.player_id
-      ORDER BY points DESC, goal_difference DESC, win_percentage DESC, name ASC
-    `, [playDate])
+        p.id as player_id,
+        p.name,
+        COALESCE(mc.matches_lost, 0)::int as matches_lost,
+        COALESCE(mc.amount, 0)::int as match_charges,
+        COALESCE(et.charges, 0)::int as other_charges,
+        COALESCE(et.paid, 0)::int as paid,
+        (COALESCE(mc.amount, 0) + COALESCE(et.charges, 0) - COALESCE(et.paid, 0))::int as balance
+      FROM players p
+      LEFT JOIN match_charges mc ON mc.player_id = p.id
+      LEFT JOIN entry_totals et ON et.player_id = p.id
+      WHERE mc.player_id IS NOT NULL OR et.player_id IS NOT NULL
+      ORDER BY balance DESC, p.name ASC
+    `, [seasonId])
     return result.rows
   }
 
-  async getPlayerForm(playerId, limit = 5) {
+  // ============================================================================
+  // AUDIT LOG
+  // ============================================================================
+
+  async addAuditEntry(entry) {
+    const result = await this.query(AUDIT_INSERT_SQL, auditEntryValues(entry))
+    return result.rows[0].id
+  }
+
+  async getAuditEntryById(entryId) {
+    const result = await this.query('SELECT * FROM audit_log WHERE id = $1', [entryId])
+    return result.rows[0] || null
+  }
+
+  // filters: entityType, entityId, actor, action, from/to (dates, inclusive); newest first
+  async getAuditLog({ entityType, entityId, actor, action, from, to, limit = 50, offset = 0 } = {}) {
+    const conditions = []
+    const params = []
+    const addCondition = (sql, value) => {
+      params.push(value)
+      conditions.push(sql.replace('?', `$${params.length}`))
+    }
+    if (entityType) addCondition('entity_type = ?', entityType)
+    if (entityId) addCondition('entity_id = ?', entityId)
+    if (actor) addCondition('actor = ?', actor)
+    if (action) addCondition('action = ?', action)
+    if (from) addCondition('occurred_at >= ?::date', from)
+    if (to) addCondition('occurred_at < ?::date + 1', to)
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''
+
+    const countResult = await this.query(`SELECT COUNT(*)::int as total FROM audit_log ${where}`, params)
     const result = await this.query(`
-      SELECT 
-        CASE WHEN 
-          (m.winning_team = 1 AND (m.player1_id = $1 OR m.player2_id = $1)) OR 
-          (m.winning_team = 2 AND (m.player3_id = $1 OR m.player4_id = $1))
-          THEN 'win' ELSE 'loss' 
-        END as result,
-        TO_CHAR(m.play_date, 'YYYY-MM-DD') as play_date
-      FROM matches m
-      WHERE m.player1_id = $1 OR m.player2_id = $1 OR m.player3_id = $1 OR m.player4_id = $1
-      ORDER BY m.play_date DESC, m.created_at DESC
-      LIMIT $2
-    `, [playerId, limit])
-    return result.rows
+      SELECT * FROM audit_log ${where}
+      ORDER BY occurred_at DESC, id DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset])
+    return { total: countResult.rows[0].total, entries: result.rows }
   }
 
-  async getPlayerFormBySeason(playerId, seasonId, limit = 5) {
+  async markAuditEntryReverted(entryId, revertEntryId) {
+    await this.query('UPDATE audit_log SET reverted_by = $2 WHERE id = $1', [entryId, revertEntryId])
+  }
+
+  // ============================================================================
+  // TRASH
+  // ============================================================================
+
+  // Copy the rows of a match or season into a new trash item (inside the caller's transaction)
+  async moveToTrash(client, entityType, entityId, label, deletedBy, extraData = {}) {
+    const tables = Object.entries(TRASH_ROW_FILTERS[entityType]).map(([table, filter]) =>
+      `'${table}', (SELECT COALESCE(jsonb_agg(to_jsonb(t)), '[]'::jsonb) FROM ${table} t WHERE ${filter})`)
+    const result = await client.query(`
+      INSERT INTO trash (entity_type, entity_id, label, deleted_by, data)
+      VALUES ($2, $1, $3, $4, jsonb_build_object(${tables.join(', ')}) || $5::jsonb)
+      RETURNING id
+    `, [entityId, entityType, label, deletedBy, JSON.stringify(extraData)])
+    return result.rows[0].id
+  }
+
+  async getTrash(retentionDays) {
     const result = await this.query(`
-      SELECT 
-        CASE WHEN 
-          (m.winning_team = 1 AND (m.player1_id = $1 OR m.player2_id = $1)) OR 
-          (m.winning_team = 2 AND (m.player3_id = $1 OR m.player4_id = $1))
-          THEN 'win' ELSE 'loss' 
-        END as result,
-        TO_CHAR(m.play_date, 'YYYY-MM-DD') as play_date
-      FROM matches m
-      WHERE (m.player1_id = $1 OR m.player2_id = $1 OR m.player3_id = $1 OR m.player4_id = $1)
-        AND m.season_id = $2
-      ORDER BY m.play_date DESC, m.created_at DESC
-      LIMIT $3
-    `, [playerId, seasonId, limit])
+      SELECT id, entity_type, entity_id, label, deleted_at, deleted_by,
+        deleted_at + make_interval(days => $1) as expires_at,
+        jsonb_array_length(data -> 'matches') as match_count
+      FROM trash
+      ORDER BY deleted_at DESC, id DESC
+    `, [retentionDays])
     return result.rows
   }
 
-  async getPlayerFormByDate(playerId, date, limit = 5) {
+  // Insert the rows of a trash item back with their original ids and drop the item.
+  // Returns null when the item does not exist. Fails with a foreign key violation
+  // when something the rows refer to is gone (e.g. a match whose season is trashed).
+  async restoreFromTrash(trashId) {
+    const client = await this.pool.connect()
+    try {
+      await client.query('BEGIN')
+
+      const itemResult = await client.query(`
+        SELECT id, entity_type, entity_id, label, data -> 'links' as links
+        FROM trash WHERE id = $1 FOR UPDATE
+      `, [trashId])
+      const item = itemResult.rows[0]
+      if (!item) {
+        await client.query('ROLLBACK')
+        return null
+      }
+
+      for (const table of Object.keys(TRASH_ROW_FILTERS[item.entity_type])) {
+        await client.query(`
+          INSERT INTO ${table}
+          SELECT * FROM jsonb_populate_recordset(NULL::${table}, (SELECT data -> '${table}' FROM trash WHERE id = $1))
+        `, [trashId])
+      }
+      if (item.links) {
+        await client.query(
+          'UPDATE scheduled_matches SET match_id = $1 WHERE match_id IS NULL AND id = ANY($2::int[])',
+          [item.entity_id, item.links.scheduled_matches]
+        )
+        await client.query(
+          'UPDATE tournament_matches SET match_id = $1 WHERE match_id IS NULL AND id = ANY($2::int[])',
+          [item.entity_id, item.links.tournament_matches]
+        )
+      }
+      await client.query('DELETE FROM trash WHERE id = $1', [trashId])
+
+      await client.query('COMMIT')
+      return { entity_type: item.entity_type, entity_id: item.entity_id, label: item.label }
+    } catch (error) {
+      await client.query('ROLLBACK')
+      throw error
+    } finally {
+      client.release()
+    }
+  }
+
+  // Delete a trash item for good; returns the removed item or null
+  async purgeTrashItem(trashId) {
+    const result = await this.query(
+      'DELETE FROM trash WHERE id = $1 RETURNING id, entity_type, entity_id, label',
+      [trashId]
+    )
+    return result.rows[0] || null
+  }
+
+  // Delete trash items older than the retention period; returns how many were removed
+  async purgeExpiredTrash(retentionDays) {
     const result = await this.query(`
-      SELECT 
-        CASE WHEN 
-          (m.winning_team = 1 AND (m.player1_id = $1 OR m.player2_id = $1)) OR 
-          (m.winning_team = 2 AND (m.player3_id = $1 OR m.player4_id = $1))
-          THEN 'win' ELSE 'loss' 
-        END as result,
-        TO_CHAR(m.play_date, 'YYYY-MM-DD') as play_date
-      FROM matches m
-      WHERE (m.player1_id = $1 OR m.player2_id = $1 OR m.player3_id = $1 OR m.player4_id = $1)
-        AND DATE(m.play_date) <= $2
-      ORDER BY m.play_date DESC, m.created_at DESC
-      LIMIT $3
-    `, [playerId, date, limit])
-    return result.rows
+      DELETE FROM trash WHERE deleted_at < CURRENT_TIMESTAMP - make_interval(days => $1)
+    `, [retentionDays])
+    return result.rowCount
   }
 
-  async getPlayerFormOnSpecificDate(playerId, date, limit = 5) {
+  // ============================================================================
+  // ATTENDANCE
+  // ============================================================================
+
+  // Players present on a play date: marked present, or played a match that day
+  async getAttendanceByDate(playDate) {
     const result = await this.query(`
-      SELECT 
-        CASE WHEN 
-          (m.winning_team = 1 AND (m.player1_id = $1 OR m.player2_id = $1)) OR 
-          (m.winning_team = 2 AND (m.player3_id = $1 OR m.player4_id = $1))
-          THEN 'win' ELSE 'loss' 
-        END as result,
-        m.play_date
-      FROM matches m
-      WHERE (m.player1_id = $1 OR m.player2_id = $1 OR m.player3_id = $1 OR m.player4_id = $1)
-        AND DATE(m.play_date) = $2
-      ORDER BY m.created_at DESC
-      LIMIT $3
-    `, [playerId, date, limit])
+      WITH played AS (
+        SELECT DISTINCT p.id as player_id
+        FROM matches m
+        JOIN players p ON (m.player1_id = p.id OR m.player2_id = p.id OR m.player3_id = p.id OR m.player4_id = p.id)
+        WHERE DATE(m.play_date) = $1
+      )
+      SELECT p.id as player_id, p.name,
+        (a.id IS NOT NULL) as marked_present,
+        (pl.player_id IS NOT NULL) as played
+      FROM players p
+      LEFT JOIN attendance a ON a.player_id = p.id AND a.play_date = $1
+      LEFT JOIN played pl ON pl.player_id = p.id
+      WHERE a.id IS NOT NULL OR pl.player_id IS NOT NULL
+      ORDER BY p.name
+    `, [playDate])
     return result.rows
   }
 
-  async getPlayerFormBySpecificDate(playerId, date, limit = 5) {
+  // Replace the players marked present on a play date
+  async setAttendance(playDate, playerIds, createdBy = null) {
+    const client = await this.pool.connect()
+    try {
+      await client.query('BEGIN')
+      await client.query('DELETE FROM attendance WHERE play_date = $1', [playDate])
+      for (const playerId of playerIds) {
+        await client.query(`
+          INSERT INTO attendance (play_date, player_id, created_by)
+          VALUES ($1, $2, $3)
+          ON CONFLICT (play_date, player_id) DO NOTHING
+        `, [playDate, playerId, createdBy])
+      }
+      await client.query('COMMIT')
+    } catch (error) {
+      await client.query('ROLLBACK')
+      throw error
+    } finally {
+      client.release()
+    }
+  }
+
+  // Sessions of a season (days with a season match, or with attendance within the season's
+  // dates) and who was present at each of them
+  async getSeasonAttendance(seasonId) {
     const result = await this.query(`
-      SELECT 
-        CASE WHEN 
-          (m.winning_team = 1 AND (m.player1_id = $1 OR m.player2_id = $1)) OR 
-          (m.winning_team = 2 AND (m.player3_id = $1 OR m.player4_id = $1))
-          THEN 'win' ELSE 'loss' 
-        END as result,
-        TO_CHAR(m.play_date, 'YYYY-MM-DD') as play_date
-      FROM matches m
-      WHERE (m.player1_id = $1 OR m.player2_id = $1 OR m.player3_id = $1 OR m.player4_id = $1)
-        AND DATE(m.play_date) = $2
-      ORDER BY m.play_date DESC, m.created_at DESC
-      LIMIT $3
-    `, [playerId, date, limit])
+      WITH season AS (
+        SELECT id, start_date, COALESCE(end_date, CURRENT_DATE) as end_date
+        FROM seasons WHERE id = $1
+      ),
+      season_attendance AS (
+        SELECT a.play_date, a.player_id
+        FROM attendance a
+        JOIN season s ON a.play_date BETWEEN s.start_date AND s.end_date
+      ),
+      presence AS (
+        SELECT DATE(m.play_date) as play_date, p.id as player_id
+        FROM matches m
+        JOIN players p ON (m.player1_id = p.id OR m.player2_id = p.id OR m.player3_id = p.id OR m.player4_id = p.id)
+        WHERE m.season_id = $1
+        UNION
+        SELECT play_date, player_id FROM season_attendance
+      )
+      SELECT TO_CHAR(play_date, 'YYYY-MM-DD') as play_date, player_id
+      FROM presence
+      ORDER BY play_date, player_id
+    `, [seasonId])
     return result.rows
   }
 
@@ -891,7 +1468,7 @@ class PickleballDatabasePostgreSQL {
       SELECT p.id, p.name, sp.joined_at
       FROM season_players sp
       JOIN players p ON sp.player_id = p.id
-      WHERE sp.season_id = $1
+      WHERE sp.season_id = $1 AND p.archived_at IS NULL
       ORDER BY p.name
     `, [seasonId])
     return result.rows
@@ -1008,11 +1585,18 @@ class PickleballDatabasePostgreSQL {
       await client.query('BEGIN')
       
       // Clear all tables in the correct order (respecting foreign key constraints)
+      await client.query('DELETE FROM ledger_entries')
+      await client.query('DELETE FROM attendance')
+      await client.query('DELETE FROM tournaments')
+      await client.query('DELETE FROM scheduled_matches')
       await client.query('DELETE FROM matches')
       await client.query('DELETE FROM season_players')
       await client.query('DELETE FROM seasons')
+      await client.query('DELETE FROM player_standings')
       await client.query('DELETE FROM players')
-      // Don't delete users - they should persist
+      // Trashed rows would clash with the restarted sequences below
+      await client.query('DELETE FROM trash')
+      // Don't delete users or the audit log - they should persist
       
       // Reset sequences (PostgreSQL equivalent of SQLite's auto-increment reset)
       await client.query('ALTER SEQUENCE players_id_seq RESTART WITH 1')
@@ -3,6 +3,12 @@ import { open } from 'sqlite'
 import { dirname, join } from 'path'
 import { fileURLToPath } from 'url'
 import fs from 'fs/promises'
+import { createMigrator, loadMigrations } from './lib/migrations.js'
+import { SQLITE_DIALECT, createQueryRunner } from './repositories/dialects.js'
+import { createStatsRepository } from './repositories/stats-repository.js'
+import { createStandingsRepository, dateScope, lifetimeScope, seasonScope } from './repositories/standings-repository.js'
+import { createScheduledMatchRepository } from './repositories/scheduled-match-repository.js'
+import { pointsFormulaValues, scoringRuleValues } from './repositories/season-columns.js'
 
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
@@ -11,9 +17,25 @@ class PickleballDatabase {
   constructor() {
     this.db = null
     this.dbPath = join(__dirname, 'data', 'pickleball.db')
+
+    // Queries shared with the PostgreSQL backend (see repositories/)
+    const runner = this.queryRunner()
+    this.stats = createStatsRepository(runner)
+    this.standings = createStandingsRepository(runner)
+    this.scheduledMatches = createScheduledMatchRepository(runner)
   }
 
   async init() {
+    await this.connect()
+
+    // Bring the schema up to date
+    await this.runMigrations()
+    
+    // Don't automatically create default season - let admin create seasons manually
+  }
+
+  // Open the database file without touching the schema (used by the migration CLI)
+  async connect() {
     // Ensure data directory exists
     const dataDir = join(__dirname, 'data')
     try {
@@ -27,63 +49,62 @@ class PickleballDatabase {
       filename: this.dbPath,
       driver: sqlite3.Database
     })
-
-    // Create tables
-    await this.createTables()
-    
-    // Don't automatically create default season - let admin create seasons manually
   }
 
-  async createTables() {
-    // Players table
-    await this.db.exec(`
-      CREATE TABLE IF NOT EXISTS players (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT UNIQUE NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `)
-
-    // Seasons table
-    await this.db.exec(`
-      CREATE TABLE IF NOT EXISTS seasons (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT NOT NULL,
-        start_date DATE NOT NULL,
-        end_date DATE,
-        is_active BOOLEAN DEFAULT 1,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `)
+  // Apply pending schema migrations (see lib/migrations.js)
+  async runMigrations() {
+    const applied = await createMigrator(this.migrationAdapter(), await loadMigrations()).migrate()
+    for (const migration of applied) {
+      console.log(`🗂️ Applied migration ${migration.version}_${migration.name}`)
+    }
+  }
 
-    // Matches table
-    await this.db.exec(`
-      CREATE TABLE IF NOT EXISTS matches (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        season_id INTEGER NOT NULL,
-        play_date DATE NOT NULL,
-        player1_id INTEGER NOT NULL,
-        player2_id INTEGER NOT NULL,
-        player3_id INTEGER NOT NULL,
-        player4_id INTEGER NOT NULL,
-        team1_score INTEGER NOT NULL,
-        team2_score INTEGER NOT NULL,
-        winning_team INTEGER NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (season_id) REFERENCES seasons(id),
-        FOREIGN KEY (player1_id) REFERENCES players(id),
-        FOREIGN KEY (player2_id) REFERENCES players(id),
-        FOREIGN KEY (player3_id) REFERENCES players(id),
-        FOREIGN KEY (player4_id) REFERENCES players(id)
-      )
-    `)
+  migrationAdapter() {
+    const adapter = {
+      dialect: 'sqlite',
+      query: (sql, params = []) => this.db.all(sql, params),
+      exec: (sql) => this.db.exec(sql)
+    }
+    return {
+      ...adapter,
+      placeholder: () => '?',
+      transaction: async (fn) => {
+        await this.db.exec('BEGIN')
+        try {
+          await fn(adapter)
+          await this.db.exec('COMMIT')
+        } catch (error) {
+          await this.db.exec('ROLLBACK')
+          throw error
+        }
+      }
+    }
+  }
 
-    // Create indexes for better performance
-    await this.db.exec(`
-      CREATE INDEX IF NOT EXISTS idx_matches_play_date ON matches(play_date);
-      CREATE INDEX IF NOT EXISTS idx_matches_season_id ON matches(season_id);
-      CREATE INDEX IF NOT EXISTS idx_seasons_active ON seasons(is_active);
-    `)
+  // Query runner for the shared repositories, reading this.db lazily since the
+  // connection only exists once connect() has run
+  queryRunner() {
+    const driver = {
+      all: (text, values) => this.db.all(text, values),
+      run: async (text, values) => {
+        const result = await this.db.run(text, values)
+        return { lastId: result.lastID ?? null, changes: result.changes }
+      }
+    }
+    return createQueryRunner(SQLITE_DIALECT, {
+      ...driver,
+      transaction: async (fn) => {
+        await this.db.exec('BEGIN')
+        try {
+          const result = await fn(driver)
+          await this.db.exec('COMMIT')
+          return result
+        } catch (error) {
+          await this.db.exec('ROLLBACK')
+          throw error
+        }
+      }
+    })
   }
 
   async createDefaultSeason() {
@@ -127,24 +148,29 @@ class PickleballDatabase {
     return await this.db.get('SELECT * FROM seasons WHERE is_active = 1')
   }
 
-  async createSeason(name, startDate) {
+  // scoringRules: { targetScore, winBy, scoreCap, scoringSystem }, or null for no rules
+  // pointsFormula: { pointsPerWin, pointsPerLoss, bonusPoints, bonusType, bonusMargin, tiebreakers }, or null for the default
+  async createSeason(name, startDate, endDate = null, autoEnd = true, description = '', loseMoney = 0, scoringRules = null, pointsFormula = null) {
     // Deactivate current active season
     await this.db.run('UPDATE seasons SET is_active = 0 WHERE is_active = 1')
     
     // Create new season
     const result = await this.db.run(`
-      INSERT INTO seasons (name, start_date, is_active) 
-      VALUES (?, ?, 1)
-    `, [name, startDate])
+      INSERT INTO seasons (name, start_date, is_active, lose_money, target_score, win_by, score_cap, scoring_system,
+        points_per_win, points_per_loss, bonus_points, bonus_type, bonus_margin, tiebreak_order) 
+      VALUES (?, ?, 1, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [name, startDate, loseMoney, ...scoringRuleValues(scoringRules), ...pointsFormulaValues(pointsFormula)])
     return result.lastID
   }
 
-  async updateSeason(seasonId, name, startDate, endDate) {
+  async updateSeason(seasonId, name, startDate, endDate, autoEnd, description, loseMoney = 0, scoringRules = null, pointsFormula = null) {
     await this.db.run(`
       UPDATE seasons 
-      SET name = ?, start_date = ?, end_date = ? 
+      SET name = ?, start_date = ?, end_date = ?, lose_money = ?,
+          target_score = ?, win_by = ?, score_cap = ?, scoring_system = ?,
+          points_per_win = ?, points_per_loss = ?, bonus_points = ?, bonus_type = ?, bonus_margin = ?, tiebreak_order = ?
       WHERE id = ?
-    `, [name, startDate, endDate, seasonId])
+    `, [name, startDate, endDate, loseMoney, ...scoringRuleValues(scoringRules), ...pointsFormulaValues(pointsFormula), seasonId])
   }
 
   async endSeason(seasonId, endDate) {
@@ -174,12 +200,50 @@ class PickleballDatabase {
   }
 
   // Matches CRUD operations
-  async addMatch(seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam) {
-    const result = await this.db.run(`
-      INSERT INTO matches (season_id, play_date, player1_id, player2_id, player3_id, player4_id, team1_score, team2_score, winning_team) 
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `, [seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam])
-    return result.lastID
+  // games: optional [{ team1Score, team2Score }] for best-of-N matches
+  async addMatch(seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam, matchType = 'duo', games = [], stake = null) {
+    await this.db.exec('BEGIN TRANSACTION')
+    try {
+      const result = await this.db.run(`
+        INSERT INTO matches (season_id, play_date, match_type, player1_id, player2_id, player3_id, player4_id, team1_score, team2_score, winning_team, stake) 
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [seasonId, playDate, matchType, player1Id, player2Id || null, player3Id, player4Id || null, team1Score, team2Score, winningTeam, stake])
+      await this.saveMatchGames(result.lastID, games)
+      await this.db.exec('COMMIT')
+      return result.lastID
+    } catch (error) {
+      await this.db.exec('ROLLBACK')
+      throw error
+    }
+  }
+
+  // Replace the game rows of a match (inside the caller's transaction)
+  async saveMatchGames(matchId, games = []) {
+    await this.db.run('DELETE FROM match_games WHERE match_id = ?', [matchId])
+    for (const [index, game] of games.entries()) {
+      await this.db.run(`
+        INSERT INTO match_games (match_id, game_number, team1_score, team2_score)
+        VALUES (?, ?, ?, ?)
+      `, [matchId, index + 1, game.team1Score, game.team2Score])
+    }
+  }
+
+  // Attach the game scores to each match as match.games, empty for single-score matches
+  async attachMatchGames(matches) {
+    if (matches.length === 0) return matches
+    const placeholders = matches.map(() => '?').join(', ')
+    const games = await this.db.all(`
+      SELECT match_id, game_number, team1_score, team2_score
+      FROM match_games
+      WHERE match_id IN (${placeholders})
+      ORDER BY match_id, game_number
+    `, matches.map(match => match.id))
+    for (const match of matches) {
+      match.games = games
+        .filter(game => game.match_id === match.id)
+        .map(({ game_number, team1_score, team2_score }) => ({ game_number, team1_score, team2_score }))
+    }
+    return matches
   }
 
   async getMatches(limit = null) {
@@ -190,9 +254,9 @@ class PickleballDatabase {
       FROM matches m
       JOIN seasons s ON m.season_id = s.id
       JOIN players p1 ON m.player1_id = p1.id
-      JOIN players p2 ON m.player2_id = p2.id
+      LEFT JOIN players p2 ON m.player2_id = p2.id
       JOIN players p3 ON m.player3_id = p3.id
-      JOIN players p4 ON m.player4_id = p4.id
+      LEFT JOIN players p4 ON m.player4_id = p4.id
       ORDER BY m.play_date DESC, m.created_at DESC
     `
     
@@ -200,39 +264,41 @@ class PickleballDatabase {
       query += ` LIMIT ${limit}`
     }
     
-    return await this.db.all(query)
+    return await this.attachMatchGames(await this.db.all(query))
   }
 
   async getMatchesByPlayDate(playDate) {
-    return await this.db.all(`
+    const matches = await this.db.all(`
       SELECT m.*, s.name as season_name,
         p1.name as player1_name, p2.name as player2_name, 
         p3.name as player3_name, p4.name as player4_name
       FROM matches m
       JOIN seasons s ON m.season_id = s.id
       JOIN players p1 ON m.player1_id = p1.id
-      JOIN players p2 ON m.player2_id = p2.id
+      LEFT JOIN players p2 ON m.player2_id = p2.id
       JOIN players p3 ON m.player3_id = p3.id
-      JOIN players p4 ON m.player4_id = p4.id
+      LEFT JOIN players p4 ON m.player4_id = p4.id
       WHERE m.play_date = ?
       ORDER BY m.created_at DESC
     `, [playDate])
+    return await this.attachMatchGames(matches)
   }
 
   async getMatchesBySeason(seasonId) {
-    return await this.db.all(`
+    const matches = await this.db.all(`
       SELECT m.*, s.name as season_name,
         p1.name as player1_name, p2.name as player2_name, 
         p3.name as player3_name, p4.name as player4_name
       FROM matches m
       JOIN seasons s ON m.season_id = s.id
       JOIN players p1 ON m.player1_id = p1.id
-      JOIN players p2 ON m.player2_id = p2.id
+      LEFT JOIN players p2 ON m.player2_id = p2.id
       JOIN players p3 ON m.player3_id = p3.id
-      JOIN players p4 ON m.player4_id = p4.id
+      LEFT JOIN players p4 ON m.player4_id = p4.id
       WHERE m.season_id = ?
       ORDER BY m.play_date DESC, m.created_at DESC
     `, [seasonId])
+    return await this.attachMatchGames(matches)
   }
 
   async getPlayDates() {
@@ -255,199 +321,145 @@ class PickleballDatabase {
 
   // Statistics and rankings
   async getPlayerStatsLifetime() {
-    return await this.db.all(`
-      WITH player_stats AS (
-        SELECT 
-          p.id,
-          p.name,
-          COUNT(CASE WHEN 
-            (m.winning_team = 1 AND (m.player1_id = p.id OR m.player2_id = p.id)) OR 
-            (m.winning_team = 2 AND (m.player3_id = p.id OR m.player4_id = p.id))
-            THEN 1 END) as wins,
-          COUNT(CASE WHEN 
-            (m.winning_team = 2 AND (m.player1_id = p.id OR m.player2_id = p.id)) OR 
-            (m.winning_team = 1 AND (m.player3_id = p.id OR m.player4_id = p.id))
-            THEN 1 END) as losses,
-          COUNT(CASE WHEN m.id IS NOT NULL THEN 1 END) as total_matches
-        FROM players p
-        LEFT JOIN matches m ON (m.player1_id = p.id OR m.player2_id = p.id OR m.player3_id = p.id OR m.player4_id = p.id)
-        GROUP BY p.id, p.name
-      )
-      SELECT 
-        *,
-        (wins * 4 + losses * 1) as points,
-        CASE WHEN (wins + losses) > 0 THEN ROUND((wins * 100.0) / (wins + losses), 1) ELSE 0 END as win_percentage,
-        losses * 20000 as money_lost
-      FROM player_stats
-      ORDER BY points DESC, win_percentage DESC, name ASC
-    `)
+    return this.stats.getPlayerStandings()
   }
 
   async getPlayerStatsBySeason(seasonId) {
-    return await this.db.all(`
-      WITH player_stats AS (
-        SELECT 
-          p.id,
-          p.name,
-          COUNT(CASE WHEN 
-            (m.winning_team = 1 AND (m.player1_id = p.id OR m.player2_id = p.id)) OR 
-            (m.winning_team = 2 AND (m.player3_id = p.id OR m.player4_id = p.id))
-            THEN 1 END) as wins,
-          COUNT(CASE WHEN 
-            (m.winning_team = 2 AND (m.player1_id = p.id OR m.player2_id = p.id)) OR 
-            (m.winning_team = 1 AND (m.player3_id = p.id OR m.player4_id = p.id))
-            THEN 1 END) as losses,
-          COUNT(CASE WHEN m.id IS NOT NULL THEN 1 END) as total_matches
-        FROM players p
-        LEFT JOIN matches m ON (m.player1_id = p.id OR m.player2_id = p.id OR m.player3_id = p.id OR m.player4_id = p.id)
-          AND m.season_id = ?
-        GROUP BY p.id, p.name
-      )
-      SELECT 
-        *,
-        (wins * 4 + losses * 1) as points,
-        CASE WHEN (wins + losses) > 0 THEN ROUND((wins * 100.0) / (wins + losses), 1) ELSE 0 END as win_percentage,
-        losses * 20000 as money_lost
-      FROM player_stats
-      ORDER BY points DESC, win_percentage DESC, name ASC
-    `, [seasonId])
+    return this.stats.getPlayerStandings({ seasonId })
   }
 
   async getPlayerStatsByPlayDate(playDate) {
-    return await this.db.all(`
-      WITH player_stats AS (
-        SELECT 
-          p.id,
-          p.name,
-          COUNT(CASE WHEN 
-            (m.winning_team = 1 AND (m.player1_id = p.id OR m.player2_id = p.id)) OR 
-            (m.winning_team = 2 AND (m.player3_id = p.id OR m.player4_id = p.id))
-            THEN 1 END) as wins,
-          COUNT(CASE WHEN 
-            (m.winning_team = 2 AND (m.player1_id = p.id OR m.player2_id = p.id)) OR 
-            (m.winning_team = 1 AND (m.player3_id = p.id OR m.player4_id = p.id))
-            THEN 1 END) as losses,
-          COUNT(CASE WHEN m.id IS NOT NULL THEN 1 END) as total_matches
-        FROM players p
-        LEFT JOIN matches m ON (m.player1_id = p.id OR m.player2_id = p.id OR m.player3_id = p.id OR m.player4_id = p.id)
-          AND m.play_date <= ?
-        GROUP BY p.id, p.name
-      )
-      SELECT 
-        *,
-        (wins * 4 + losses * 1) as points,
-        CASE WHEN (wins + losses) > 0 THEN ROUND((wins * 100.0) / (wins + losses), 1) ELSE 0 END as win_percentage,
-        losses * 20000 as money_lost
-      FROM player_stats
-      ORDER BY points DESC, win_percentage DESC, name ASC
-    `, [playDate])
+    return this.stats.getPlayerStandings({ upToDate: playDate })
   }
 
   async getPlayerStatsBySpecificDate(playDate) {
-    return await this.db.all(`
-      WITH player_stats AS (
-        SELECT 
-          p.id,
-          p.name,
-          COUNT(CASE WHEN 
-            (m.winning_team = 1 AND (m.player1_id = p.id OR m.player2_id = p.id)) OR 
-            (m.winning_team = 2 AND (m.player3_id = p.id OR m.player4_id = p.id))
-            THEN 1 END) as wins,
-          COUNT(CASE WHEN 
-            (m.winning_team = 2 AND (m.player1_id = p.id OR m.player2_id = p.id)) OR 
-            (m.winning_team = 1 AND (m.player3_id = p.id OR m.player4_id = p.id))
-            THEN 1 END) as losses,
-          COUNT(CASE WHEN m.id IS NOT NULL THEN 1 END) as total_matches
-        FROM players p
-        LEFT JOIN matches m ON (m.player1_id = p.id OR m.player2_id = p.id OR m.player3_id = p.id OR m.player4_id = p.id)
-          AND m.play_date = ?
-        GROUP BY p.id, p.name
-      )
-      SELECT 
-        *,
-        (wins * 4 + losses * 1) as points,
-        CASE WHEN (wins + losses) > 0 THEN ROUND((wins * 100.0) / (wins + losses), 1) ELSE 0 END as win_percentage,
-        losses * 20000 as money_lost
-      FROM player_stats
-      ORDER BY points DESC, win_percentage DESC, name ASC
-    `, [playDate])
+    return this.stats.getPlayerStandings({ onDate: playDate })
   }
 
   async getPlayerForm(playerId, limit = 5) {
-    return await this.db.all(`
-      SELECT 
-        CASE WHEN 
-          (m.winning_team = 1 AND (m.player1_id = ? OR m.player2_id = ?)) OR 
-          (m.winning_team = 2 AND (m.player3_id = ? OR m.player4_id = ?))
-          THEN 'win' ELSE 'loss' 
-        END as result,
-        m.play_date
-      FROM matches m
-      WHERE m.player1_id = ? OR m.player2_id = ? OR m.player3_id = ? OR m.player4_id = ?
-      ORDER BY m.play_date DESC, m.created_at DESC
-      LIMIT ?
-    `, [playerId, playerId, playerId, playerId, playerId, playerId, playerId, playerId, limit])
+    return this.stats.getPlayerForm(playerId, { limit })
   }
 
   async getPlayerFormBySeason(playerId, seasonId, limit = 5) {
-    return await this.db.all(`
-      SELECT 
-        CASE WHEN 
-          (m.winning_team = 1 AND (m.player1_id = ? OR m.player2_id = ?)) OR 
-          (m.winning_team = 2 AND (m.player3_id = ? OR m.player4_id = ?))
-          THEN 'win' ELSE 'loss' 
-        END as result,
-        m.play_date
-      FROM matches m
-      WHERE (m.player1_id = ? OR m.player2_id = ? OR m.player3_id = ? OR m.player4_id = ?)
-        AND m.season_id = ?
-      ORDER BY m.play_date DESC, m.created_at DESC
-      LIMIT ?
-    `, [playerId, playerId, playerId, playerId, playerId, playerId, playerId, playerId, seasonId, limit])
+    return this.stats.getPlayerForm(playerId, { seasonId, limit })
   }
 
   async getPlayerFormByDate(playerId, date, limit = 5) {
-    return await this.db.all(`
-      SELECT 
-        CASE WHEN 
-          (m.winning_team = 1 AND (m.player1_id = ? OR m.player2_id = ?)) OR 
-          (m.winning_team = 2 AND (m.player3_id = ? OR m.player4_id = ?))
-          THEN 'win' ELSE 'loss' 
-        END as result,
-        m.play_date
-      FROM matches m
-      WHERE (m.player1_id = ? OR m.player2_id = ? OR m.player3_id = ? OR m.player4_id = ?)
-        AND m.play_date <= ?
-      ORDER BY m.play_date DESC, m.created_at DESC
-      LIMIT ?
-    `, [playerId, playerId, playerId, playerId, playerId, playerId, playerId, playerId, date, limit])
+    return this.stats.getPlayerForm(playerId, { upToDate: date, limit })
+  }
+
+  async getPlayerFormBySpecificDate(playerId, date, limit = 5) {
+    return this.stats.getPlayerForm(playerId, { onDate: date, limit })
   }
 
   async getPlayerFormOnSpecificDate(playerId, date, limit = 5) {
-    return await this.db.all(`
-      SELECT 
-        CASE WHEN 
-          (m.winning_team = 1 AND (m.player1_id = ? OR m.player2_id = ?)) OR 
-          (m.winning_team = 2 AND (m.player3_id = ? OR m.player4_id = ?))
-          THEN 'win' ELSE 'loss' 
-        END as result,
-        m.play_date
-      FROM matches m
-      WHERE (m.player1_id = ? OR m.player2_id = ? OR m.player3_id = ? OR m.player4_id = ?)
-        AND DATE(m.play_date) = ?
-      ORDER BY m.created_at DESC
-      LIMIT ?
-    `, [playerId, playerId, playerId, playerId, playerId, playerId, playerId, playerId, date, limit])
+    return this.stats.getPlayerForm(playerId, { onDate: date, limit })
+  }
+
+  // Form of many players in one query, as a Map of player id to results.
+  // scope: {} for lifetime, { seasonId }, { upToDate } or { onDate }
+  async getFormForPlayers(playerIds, scope = {}, limit = 5) {
+    return this.stats.getFormForPlayers(playerIds, { ...scope, limit })
+  }
+
+  // Materialized standings (see repositories/standings-repository.js and lib/standings.js)
+  async getStandingsLifetime() {
+    return this.standings.getStandings(lifetimeScope())
+  }
+
+  async getStandingsBySeason(seasonId) {
+    return this.standings.getStandings(seasonScope(seasonId))
+  }
+
+  async getStandingsBySpecificDate(playDate) {
+    return this.standings.getStandings(dateScope(playDate))
+  }
+
+  // scopes: from lifetimeScope / seasonScope / dateScope; playerIds null for everyone
+  async refreshStandings(scopes, playerIds = null) {
+    return this.standings.refresh(scopes, playerIds)
+  }
+
+  async refreshSeasonStandings(seasonId) {
+    return this.standings.refreshSeason(seasonId)
+  }
+
+  async rebuildStandings() {
+    return this.standings.rebuild()
+  }
+
+  async checkStandings() {
+    return this.standings.check()
+  }
+
+  // Scheduled matches
+  async getScheduledMatches({ seasonId = null, playDate = null, status = null } = {}) {
+    const rows = await this.db.all(`
+      SELECT sm.*, s.name as season_name,
+        p1.name as player1_name, p2.name as player2_name,
+        p3.name as player3_name, p4.name as player4_name,
+        m.team1_score, m.team2_score, m.winning_team,
+        (SELECT json_group_array(json_object('player_id', c.player_id, 'status', c.status))
+          FROM scheduled_match_checkins c WHERE c.scheduled_match_id = sm.id) as checkins
+      FROM scheduled_matches sm
+      JOIN seasons s ON sm.season_id = s.id
+      JOIN players p1 ON sm.player1_id = p1.id
+      LEFT JOIN players p2 ON sm.player2_id = p2.id
+      JOIN players p3 ON sm.player3_id = p3.id
+      LEFT JOIN players p4 ON sm.player4_id = p4.id
+      LEFT JOIN matches m ON sm.match_id = m.id
+      WHERE (? IS NULL OR sm.season_id = ?)
+        AND (? IS NULL OR sm.play_date = ?)
+        AND (? IS NULL OR sm.status = ?)
+      ORDER BY sm.play_date DESC, sm.round IS NULL, sm.round, sm.scheduled_time IS NULL, sm.scheduled_time, sm.court, sm.id
+    `, [seasonId, seasonId, playDate, playDate, status, status])
+    return rows.map(row => ({ ...row, checkins: JSON.parse(row.checkins) }))
+  }
+
+  async getScheduledMatchById(scheduledMatchId) {
+    return (await this.db.get('SELECT * FROM scheduled_matches WHERE id = ?', [scheduledMatchId])) || null
+  }
+
+  async addScheduledMatches(seasonId, playDate, matchType, fixtures, createdBy = null) {
+    return this.scheduledMatches.addScheduledMatches(seasonId, playDate, matchType, fixtures, createdBy)
+  }
+
+  async updateScheduledMatch(scheduledMatchId, changes) {
+    await this.scheduledMatches.updateScheduledMatch(scheduledMatchId, changes)
+  }
+
+  async completeScheduledMatch(scheduledMatchId, matchId) {
+    await this.scheduledMatches.completeScheduledMatch(scheduledMatchId, matchId)
+  }
+
+  async cancelScheduledMatch(scheduledMatchId) {
+    await this.scheduledMatches.cancelScheduledMatch(scheduledMatchId)
+  }
+
+  async deleteScheduledMatch(scheduledMatchId) {
+    await this.scheduledMatches.deleteScheduledMatch(scheduledMatchId)
+  }
+
+  async deletePendingScheduledMatches(seasonId, playDate) {
+    await this.scheduledMatches.deletePendingScheduledMatches(seasonId, playDate)
+  }
+
+  async setScheduledMatchCheckIn(scheduledMatchId, playerId, status, updatedBy = null) {
+    await this.scheduledMatches.setScheduledMatchCheckIn(scheduledMatchId, playerId, status, updatedBy)
   }
 
   async clearAllData() {
     // Clear all tables in the correct order (respecting foreign key constraints)
+    await this.db.run('DELETE FROM scheduled_match_checkins')
+    await this.db.run('DELETE FROM scheduled_matches')
+    await this.db.run('DELETE FROM match_games')
     await this.db.run('DELETE FROM matches')
     await this.db.run('DELETE FROM seasons')
+    await this.db.run('DELETE FROM player_standings')
     await this.db.run('DELETE FROM players')
     
     // Reset auto-increment counters
-    await this.db.run('DELETE FROM sqlite_sequence WHERE name IN ("players", "seasons", "matches")')
+    await this.db.run('DELETE FROM sqlite_sequence WHERE name IN ("players", "seasons", "matches", "match_games", "scheduled_matches", "scheduled_match_checkins")')
     
     console.log('🗑️ All data cleared from database')
   }
@@ -458,33 +470,46 @@ class PickleballDatabase {
     }
   }
 
-  async updateMatch(matchId, seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam) {
-    await this.db.run(`
-      UPDATE matches 
-      SET season_id = ?, play_date = ?, player1_id = ?, player2_id = ?, 
-          player3_id = ?, player4_id = ?, team1_score = ?, team2_score = ?, 
-          winning_team = ?
-      WHERE id = ?
-    `, [seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam, matchId])
+  async updateMatch(matchId, seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam, matchType = 'duo', games = [], stake = null) {
+    await this.db.exec('BEGIN TRANSACTION')
+    try {
+      await this.db.run(`
+        UPDATE matches 
+        SET season_id = ?, play_date = ?, match_type = ?, player1_id = ?, player2_id = ?, 
+            player3_id = ?, player4_id = ?, team1_score = ?, team2_score = ?, 
+            winning_team = ?, stake = ?
+        WHERE id = ?
+      `, [seasonId, playDate, matchType, player1Id, player2Id || null, player3Id, player4Id || null, team1Score, team2Score, winningTeam, stake, matchId])
+      await this.saveMatchGames(matchId, games)
+      await this.db.exec('COMMIT')
+    } catch (error) {
+      await this.db.exec('ROLLBACK')
+      throw error
+    }
   }
 
   async deleteMatch(matchId) {
+    // SQLite does not enforce foreign keys by default, so remove the games explicitly
+    await this.db.run('DELETE FROM match_games WHERE match_id = ?', [matchId])
     await this.db.run('DELETE FROM matches WHERE id = ?', [matchId])
   }
 
   async getMatchById(matchId) {
-    return await this.db.get(`
+    const match = await this.db.get(`
       SELECT m.*, s.name as season_name,
         p1.name as player1_name, p2.name as player2_name, 
         p3.name as player3_name, p4.name as player4_name
       FROM matches m
       JOIN seasons s ON m.season_id = s.id
       JOIN players p1 ON m.player1_id = p1.id
-      JOIN players p2 ON m.player2_id = p2.id
+      LEFT JOIN players p2 ON m.player2_id = p2.id
       JOIN players p3 ON m.player3_id = p3.id
-      JOIN players p4 ON m.player4_id = p4.id
+      LEFT JOIN players p4 ON m.player4_id = p4.id
       WHERE m.id = ?
     `, [matchId])
+    if (!match) return match
+    const [withGames] = await this.attachMatchGames([match])
+    return withGames
   }
 }
 
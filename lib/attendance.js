@@ -0,0 +1,60 @@
+// Attendance statistics of a season. A session is a play date of the season, and a
+// player was present if they were marked present or played a match that day.
+// The roster is the season's players plus anyone who showed up; rostered players
+// who were not present at a session are its no-shows. Streaks count consecutive
+// sessions, not calendar days, so a weekly group keeps its streak between weeks.
+
+/**
+ * @param {Array<{play_date: string, player_id: number}>} presence - one row per player present at a session
+ * @param {Array<{id: number, name: string}>} players - every player, to resolve names
+ * @param {number[]} rosterIds - ids of the season's players
+ * @returns {{sessions: Array<{play_date: string, present_count: number, no_shows: Array<{player_id: number, name: string}>}>, players: Array<object>}}
+ */
+export const buildAttendanceStats = (presence, players, rosterIds = []) => {
+  const names = new Map(players.map(player => [player.id, player.name]))
+  const sessionDates = [...new Set(presence.map(row => row.play_date))].sort()
+  const presentBySession = new Map(sessionDates.map(date => [date, new Set()]))
+  for (const row of presence) {
+    presentBySession.get(row.play_date).add(row.player_id)
+  }
+
+  const rosterSet = new Set([...rosterIds, ...presence.map(row => row.player_id)])
+  const roster = [...rosterSet]
+    .filter(playerId => names.has(playerId))
+    .map(playerId => ({ player_id: playerId, name: names.get(playerId) }))
+    .sort((a, b) => a.name.localeCompare(b.name))
+
+  const sessions = sessionDates.map(date => {
+    const present = presentBySession.get(date)
+    return {
+      play_date: date,
+      present_count: present.size,
+      no_shows: roster.filter(player => !present.has(player.player_id))
+    }
+  })
+
+  const playerStats = roster.map(player => {
+    let attended = 0
+    let run = 0
+    let longestStreak = 0
+    for (const date of sessionDates) {
+      if (presentBySession.get(date).has(player.player_id)) {
+        attended++
+        run++
+        longestStreak = Math.max(longestStreak, run)
+      } else {
+        run = 0
+      }
+    }
+    return {
+      ...player,
+      attended,
+      missed: sessionDates.length - attended,
+      attendance_percentage: sessionDates.length > 0 ? Math.round(attended / sessionDates.length * 1000) / 10 : 0,
+      current_streak: run,
+      longest_streak: longestStreak
+    }
+  }).sort((a, b) => b.attendance_percentage - a.attendance_percentage || b.current_streak - a.current_streak || a.name.localeCompare(b.name))
+
+  return { sessions, players: playerStats }
+}
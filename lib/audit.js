@@ -0,0 +1,79 @@
+// Audit log of data changes made through the API. Each entry has the actor, the
+// action, the entity and JSON snapshots of the entity before and after the change.
+// Writing the log never fails the request that made the change: errors are only
+// reported on the console. Match edits can be reverted from their "before"
+// snapshot, so matches are logged as normalized snapshots (see toMatchSnapshot).
+
+export const AUDIT_ACTIONS = ['create', 'update', 'delete', 'archive', 'restore', 'merge', 'end', 'reactivate', 'cancel', 'complete', 'revert', 'purge']
+export const AUDIT_ENTITY_TYPES = [
+  'match',
+  'season',
+  'season_players',
+  'player',
+  'user',
+  'scheduled_match',
+  'tournament',
+  'ledger_entry',
+  'attendance',
+  'data'
+]
+
+const SECRET_FIELDS = ['password', 'password_hash']
+
+const stripSecrets = (data) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return data
+  const result = { ...data }
+  for (const field of SECRET_FIELDS) delete result[field]
+  return result
+}
+
+export const createAuditLog = (db) => ({
+  async record(req, { action, entityType, entityId = null, before = null, after = null }) {
+    try {
+      return await db.addAuditEntry({
+        actor: req.user?.username || null,
+        action,
+        entityType,
+        entityId,
+        before: stripSecrets(before),
+        after: stripSecrets(after)
+      })
+    } catch (error) {
+      console.error('Error writing audit log:', error)
+      return null
+    }
+  }
+})
+
+// Top-level fields that differ between two snapshots
+export const changedFields = (before, after) => {
+  if (!before || !after) return []
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)])
+  return [...keys].filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+}
+
+// YYYY-MM-DD of a DATE column, which pg returns as local midnight
+export const toDateOnly = (value) => {
+  if (value instanceof Date) {
+    const month = String(value.getMonth() + 1).padStart(2, '0')
+    const day = String(value.getDate()).padStart(2, '0')
+    return `${value.getFullYear()}-${month}-${day}`
+  }
+  return String(value).split('T')[0]
+}
+
+// The editable fields of a match row, in the shape updateMatch takes them back
+export const toMatchSnapshot = (match) => ({
+  season_id: match.season_id,
+  play_date: toDateOnly(match.play_date),
+  match_type: match.match_type || 'duo',
+  player1_id: match.player1_id,
+  player2_id: match.player2_id ?? null,
+  player3_id: match.player3_id,
+  player4_id: match.player4_id ?? null,
+  team1_score: match.team1_score,
+  team2_score: match.team2_score,
+  winning_team: match.winning_team,
+  stake: match.stake ?? null,
+  games: (match.games || []).map(game => ({ team1_score: game.team1_score, team2_score: game.team2_score }))
+})
@@ -0,0 +1,319 @@
+// Storage backends for RankingsCache (lib/rankings-cache.js). The memory store keeps
+// entries in the server process, the Redis store keeps them in a Redis-compatible
+// server shared by every instance. Both implement:
+//
+//   get(key) -> entry | null           entry: { data, dependsOn, createdAt, expiresAt }
+//   marker(dependsOn) -> marker        taken before loading a value
+//   set(key, entry, marker?) -> bool   stores unless a dependency changed since marker
+//   delete(key)
+//   invalidateDependencies(deps) -> number of entries evicted
+//   invalidatePattern(pattern) -> number of entries evicted
+//   clear() -> number of entries evicted
+//   cleanupExpired() -> number of entries removed
+//   describe() -> { entries, expired, bytes }
+//
+// Entries without dependencies (dependsOn null) are evicted by every invalidation.
+// The check behind set() runs inside the store (a Lua script on Redis), so a value
+// loaded by one instance is never stored after another instance invalidated it.
+//
+// Invalidations are also broadcast (createRedisBroadcast) so instances running the
+// memory store each evict their own copies. The Redis store is shared, so instances
+// using it have nothing left to evict when a broadcast arrives.
+
+import { createRespClient } from './resp-client.js'
+
+export const CACHE_STORES = ['memory', 'redis']
+
+export const createMemoryCacheStore = () => {
+  const entries = new Map()
+  // Change sequence: bumped on every invalidation, recorded per dependency
+  let sequence = 0
+  let clearedAt = 0
+  const changedAt = new Map()
+
+  const isExpired = (entry) => Date.now() > entry.expiresAt
+
+  const changedSince = (marker, dependsOn) => {
+    if (clearedAt > marker) return true
+    if (!dependsOn) return sequence > marker
+    return dependsOn.some(dependency => (changedAt.get(dependency) || 0) > marker)
+  }
+
+  const clearAll = () => {
+    const size = entries.size
+    entries.clear()
+    sequence++
+    clearedAt = sequence
+    return size
+  }
+
+  return {
+    name: 'memory',
+    shared: false,
+
+    async get(key) {
+      return entries.get(key) || null
+    },
+
+    async marker() {
+      return sequence
+    },
+
+    async set(key, entry, marker = null) {
+      if (marker !== null && changedSince(marker, entry.dependsOn)) return false
+      entries.set(key, entry)
+      return true
+    },
+
+    async delete(key) {
+      entries.delete(key)
+    },
+
+    async invalidateDependencies(dependencies) {
+      sequence++
+      for (const dependency of dependencies) {
+        changedAt.set(dependency, sequence)
+      }
+
+      let invalidated = 0
+      for (const [key, entry] of entries.entries()) {
+        if (!entry.dependsOn || entry.dependsOn.some(dependency => dependencies.includes(dependency))) {
+          entries.delete(key)
+          invalidated++
+        }
+      }
+      return invalidated
+    },
+
+    // Loads in flight cannot be matched against a key pattern, so none of them is stored
+    async invalidatePattern(pattern) {
+      sequence++
+      clearedAt = sequence
+
+      let invalidated = 0
+      for (const key of entries.keys()) {
+        if (key.includes(pattern)) {
+          entries.delete(key)
+          invalidated++
+        }
+      }
+      return invalidated
+    },
+
+    async clear() {
+      return clearAll()
+    },
+
+    async cleanupExpired() {
+      let cleanedCount = 0
+      for (const [key, entry] of entries.entries()) {
+        if (isExpired(entry)) {
+          entries.delete(key)
+          cleanedCount++
+        }
+      }
+      return cleanedCount
+    },
+
+    async describe() {
+      let expired = 0
+      for (const entry of entries.values()) {
+        if (isExpired(entry)) expired++
+      }
+      return {
+        entries: entries.size,
+        expired,
+        bytes: JSON.stringify([...entries.entries()]).length
+      }
+    }
+  }
+}
+
+// KEYS: entry, the versions to check, then the dependency indexes to add the entry to.
+// ARGV: entry JSON, TTL in ms, number of versions, then the expected versions.
+const SET_IF_UNCHANGED_SCRIPT = `
+local versions = tonumber(ARGV[3])
+for i = 1, versions do
+  if (redis.call('GET', KEYS[1 + i]) or '0') ~= ARGV[3 + i] then return 0 end
+end
+local ttl = tonumber(ARGV[2])
+redis.call('SET', KEYS[1], ARGV[1], 'PX', ttl)
+for i = versions + 2, #KEYS do
+  redis.call('SADD', KEYS[i], KEYS[1])
+  if redis.call('PTTL', KEYS[i]) < ttl then redis.call('PEXPIRE', KEYS[i], ttl) end
+end
+return 1
+`
+
+// KEYS: the any-change version, the index of entries without dependencies, then the
+// version and the index of each dependency. ARGV: number of dependencies.
+const INVALIDATE_SCRIPT = `
+local count = tonumber(ARGV[1])
+local removed = 0
+local function evict(index)
+  for _, key in ipairs(redis.call('SMEMBERS', index)) do
+    removed = removed + redis.call('DEL', key)
+  end
+  redis.call('DEL', index)
+end
+redis.call('INCR', KEYS[1])
+evict(KEYS[2])
+for i = 1, count do
+  redis.call('INCR', KEYS[2 + i])
+  evict(KEYS[2 + count + i])
+end
+return removed
+`
+
+/**
+ * @param {object} client - { command(...args) -> Promise<reply> }, from createRespClient
+ * @param {object} [options]
+ * @param {string} [options.prefix] - namespace of every key, for sharing a Redis server
+ */
+export const createRedisCacheStore = (client, { prefix = 'pickleball:cache:' } = {}) => {
+  const entryKey = (key) => `${prefix}entry:${key}`
+  const indexKey = (dependency) => `${prefix}index:${dependency}`
+  const versionKey = (dependency) => `${prefix}version:${dependency}`
+  const ANY_CHANGE_VERSION = `${prefix}version-any`
+  const CLEAR_VERSION = `${prefix}version-clear`
+  const NO_DEPENDENCIES_INDEX = `${prefix}index-none`
+
+  // Versions a value depends on: the clear counter plus its dependencies, or any
+  // change at all for a value without dependencies
+  const versionKeysOf = (dependsOn) => dependsOn
+    ? [CLEAR_VERSION, ...dependsOn.map(versionKey)]
+    : [CLEAR_VERSION, ANY_CHANGE_VERSION]
+
+  const scanKeys = async (pattern) => {
+    const keys = []
+    let cursor = '0'
+    do {
+      const [nextCursor, batch] = await client.command('SCAN', cursor, 'MATCH', pattern, 'COUNT', 500)
+      keys.push(...batch)
+      cursor = nextCursor
+    } while (cursor !== '0')
+    return keys
+  }
+
+  const deleteKeys = async (keys) => {
+    let deleted = 0
+    for (let i = 0; i < keys.length; i += 500) {
+      deleted += await client.command('DEL', ...keys.slice(i, i + 500))
+    }
+    return deleted
+  }
+
+  return {
+    name: 'redis',
+    shared: true,
+
+    async get(key) {
+      const payload = await client.command('GET', entryKey(key))
+      return payload === null ? null : JSON.parse(payload)
+    },
+
+    async marker(dependsOn) {
+      return client.command('MGET', ...versionKeysOf(dependsOn))
+    },
+
+    async set(key, entry, marker = null) {
+      const versionKeys = marker === null ? [] : versionKeysOf(entry.dependsOn)
+      const expected = marker === null ? [] : marker.map(version => version ?? '0')
+      const indexKeys = entry.dependsOn ? entry.dependsOn.map(indexKey) : [NO_DEPENDENCIES_INDEX]
+      const ttl = Math.max(1, entry.expiresAt - Date.now())
+      const keys = [entryKey(key), ...versionKeys, ...indexKeys]
+      const stored = await client.command(
+        'EVAL', SET_IF_UNCHANGED_SCRIPT, keys.length, ...keys,
+        JSON.stringify(entry), ttl, versionKeys.length, ...expected
+      )
+      return stored === 1
+    },
+
+    async delete(key) {
+      await client.command('DEL', entryKey(key))
+    },
+
+    async invalidateDependencies(dependencies) {
+      const keys = [
+        ANY_CHANGE_VERSION,
+        NO_DEPENDENCIES_INDEX,
+        ...dependencies.map(versionKey),
+        ...dependencies.map(indexKey)
+      ]
+      return client.command('EVAL', INVALIDATE_SCRIPT, keys.length, ...keys, dependencies.length)
+    },
+
+    async invalidatePattern(pattern) {
+      await client.command('INCR', CLEAR_VERSION)
+      const prefixLength = entryKey('').length
+      const keys = (await scanKeys(`${prefix}entry:*`)).filter(key => key.slice(prefixLength).includes(pattern))
+      return deleteKeys(keys)
+    },
+
+    async clear() {
+      await client.command('INCR', CLEAR_VERSION)
+      const invalidated = await deleteKeys(await scanKeys(`${prefix}entry:*`))
+      await deleteKeys(await scanKeys(`${prefix}index*`))
+      return invalidated
+    },
+
+    // Redis expires entries by itself
+    async cleanupExpired() {
+      return 0
+    },
+
+    async describe() {
+      return {
+        entries: (await scanKeys(`${prefix}entry:*`)).length,
+        expired: 0,
+        bytes: null
+      }
+    }
+  }
+}
+
+/**
+ * Invalidation messages between server instances over Redis pub/sub.
+ * @param {object} client - { publish(channel, message), subscribe(channel, handler) }, from createRespClient
+ */
+export const createRedisBroadcast = (client, { channel = 'pickleball:cache:invalidations' } = {}) => ({
+  async publish(message) {
+    await client.publish(channel, JSON.stringify(message))
+  },
+
+  // A message that is not JSON is logged and dropped
+  async subscribe(handler) {
+    await client.subscribe(channel, (payload) => {
+      let message
+      try {
+        message = JSON.parse(payload)
+      } catch (error) {
+        console.error(`❌ Dropped malformed cache invalidation on ${channel}:`, error.message)
+        return
+      }
+      handler(message)
+    })
+  }
+})
+
+// Store and broadcast picked by CACHE_STORE ("memory" or "redis") and REDIS_URL.
+// With the memory store, REDIS_URL alone enables broadcasting invalidations.
+export const createCacheBackendFromEnv = (env = process.env) => {
+  const storeName = env.CACHE_STORE || 'memory'
+  if (!CACHE_STORES.includes(storeName)) {
+    throw new Error(`Unknown CACHE_STORE "${storeName}", expected one of: ${CACHE_STORES.join(', ')}`)
+  }
+  if (storeName === 'redis' && !env.REDIS_URL) {
+    throw new Error('CACHE_STORE=redis requires REDIS_URL')
+  }
+  if (!env.REDIS_URL) {
+    return { store: createMemoryCacheStore(), broadcast: null }
+  }
+
+  const client = createRespClient(env.REDIS_URL)
+  const prefix = env.CACHE_PREFIX || 'pickleball:cache:'
+  return {
+    store: storeName === 'redis' ? createRedisCacheStore(client, { prefix }) : createMemoryCacheStore(),
+    broadcast: createRedisBroadcast(client, { channel: `${prefix}invalidations` })
+  }
+}
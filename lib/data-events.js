@@ -0,0 +1,52 @@
+// Data-change event bus. Routes announce what they changed (a match was edited, a
+// season was deleted, ...) instead of clearing caches themselves; listeners such as
+// the rankings cache decide what each change invalidates. Listeners run one after
+// another in the order they subscribed, so derived data (the materialized standings)
+// is updated before the caches built on it are invalidated. emit() resolves once every
+// listener has finished, so a route that awaits it responds with everything up to date.
+//
+// Payloads:
+//   matchCreated, matchDeleted, matchRestored  { match }  - match row or snapshot
+//   matchUpdated                               { before, after }
+//   seasonChanged                              { seasonId } - settings, status or roster
+//   seasonDeleted, seasonRestored              { seasonId } - with all of its matches
+//   playerChanged                              { playerId }
+//   playersMerged                              { sourceId, targetId }
+//   dataReset                                  {}          - bulk clear or restore
+
+export const DATA_EVENTS = [
+  'matchCreated',
+  'matchUpdated',
+  'matchDeleted',
+  'matchRestored',
+  'seasonChanged',
+  'seasonDeleted',
+  'seasonRestored',
+  'playerChanged',
+  'playersMerged',
+  'dataReset'
+]
+
+export const createDataEvents = () => {
+  const listeners = new Map(DATA_EVENTS.map(event => [event, []]))
+
+  return {
+    async emit(event, payload = {}) {
+      if (!DATA_EVENTS.includes(event)) {
+        throw new Error(`Unknown data event: ${event}`)
+      }
+      for (const listener of listeners.get(event)) {
+        await listener(payload)
+      }
+    },
+
+    // Returns a function that removes the listener
+    on(event, listener) {
+      if (!DATA_EVENTS.includes(event)) {
+        throw new Error(`Unknown data event: ${event}`)
+      }
+      listeners.get(event).push(listener)
+      return () => listeners.set(event, listeners.get(event).filter(item => item !== listener))
+    }
+  }
+}
@@ -0,0 +1,68 @@
+// Data version for conditional GETs. A counter is bumped when a write request starts
+// and again when it finishes, so a read served while the write was running is never
+// tagged with the version that follows it. Invalidations broadcast by other server
+// instances (see lib/cache-stores.js) bump it too. The ETag of a response is the
+// version plus the caller's credentials (signed-in users see more than guests); a
+// request whose If-None-Match still matches gets 304 without running the route.
+
+import crypto from 'crypto'
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS']
+
+export const createDataVersion = () => {
+  // Versions of an earlier process must not match after a restart
+  const epoch = crypto.randomBytes(4).toString('hex')
+  let version = 0
+
+  const credentialsTag = (req) => {
+    const credentials = req.cookies?.authToken || req.headers.authorization
+    if (!credentials) return 'guest'
+    return crypto.createHash('sha256').update(credentials).digest('hex').slice(0, 16)
+  }
+
+  const etag = (req) => `"${epoch}-${version}-${credentialsTag(req)}"`
+
+  const matches = (ifNoneMatch, tag) => ifNoneMatch
+    .split(',')
+    .map(value => value.trim())
+    .some(value => value === '*' || value === tag || value === `W/${tag}`)
+
+  return {
+    // Bump around every write request
+    trackWrites() {
+      return (req, res, next) => {
+        if (SAFE_METHODS.includes(req.method)) return next()
+        version++
+        res.on('finish', () => { version++ })
+        next()
+      }
+    },
+
+    // ETag and If-None-Match handling for GET and HEAD. Cache-Control lets the
+    // browser keep the response but makes it revalidate before every use. Requests
+    // for which skip(req) is true keep their own caching headers.
+    conditionalGet({ skip = null } = {}) {
+      return (req, res, next) => {
+        if (req.method !== 'GET' && req.method !== 'HEAD') return next()
+        if (skip && skip(req)) return next()
+        const tag = etag(req)
+        res.setHeader('ETag', tag)
+        res.setHeader('Cache-Control', 'private, no-cache')
+        res.removeHeader('Pragma')
+        res.removeHeader('Expires')
+        const ifNoneMatch = req.headers['if-none-match']
+        if (ifNoneMatch && matches(ifNoneMatch, tag)) {
+          res.status(304).end()
+          return
+        }
+        next()
+      }
+    },
+
+    // Bump on invalidations published by other instances
+    async subscribeTo(broadcast) {
+      if (!broadcast) return
+      await broadcast.subscribe(() => { version++ })
+    }
+  }
+}
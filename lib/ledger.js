@@ -0,0 +1,53 @@
+// Season-end settlement of the money ledger.
+// A positive balance means the player still owes money, a negative one means they paid
+// in more than they owed. Players who overpaid are paid back directly by the biggest
+// debtors, and whatever is still owed after that goes into the pot (toPlayerId null).
+// If the pot itself holds more than it is owed, it pays back the rest (fromPlayerId null).
+
+/**
+ * @param {Array<{player_id: number, name: string, balance: number}>} balances
+ * @returns {{totalOwed: number, totalCredit: number, transfers: Array<{fromPlayerId: number|null, fromName: string|null, toPlayerId: number|null, toName: string|null, amount: number}>}}
+ */
+export const buildSettlement = (balances) => {
+  const debtors = balances
+    .filter(player => Number(player.balance) > 0)
+    .map(player => ({ id: player.player_id, name: player.name, amount: Number(player.balance) }))
+    .sort((a, b) => b.amount - a.amount)
+  const creditors = balances
+    .filter(player => Number(player.balance) < 0)
+    .map(player => ({ id: player.player_id, name: player.name, amount: -Number(player.balance) }))
+    .sort((a, b) => b.amount - a.amount)
+
+  const totalOwed = debtors.reduce((sum, player) => sum + player.amount, 0)
+  const totalCredit = creditors.reduce((sum, player) => sum + player.amount, 0)
+  const transfers = []
+  const addTransfer = (from, to, amount) => transfers.push({
+    fromPlayerId: from?.id ?? null,
+    fromName: from?.name ?? null,
+    toPlayerId: to?.id ?? null,
+    toName: to?.name ?? null,
+    amount
+  })
+
+  let creditorIndex = 0
+  for (const debtor of debtors) {
+    while (debtor.amount > 0 && creditorIndex < creditors.length) {
+      const creditor = creditors[creditorIndex]
+      const amount = Math.min(debtor.amount, creditor.amount)
+      addTransfer(debtor, creditor, amount)
+      debtor.amount -= amount
+      creditor.amount -= amount
+      if (creditor.amount === 0) creditorIndex++
+    }
+    if (debtor.amount > 0) {
+      addTransfer(debtor, null, debtor.amount)
+    }
+  }
+  for (const creditor of creditors.slice(creditorIndex)) {
+    if (creditor.amount > 0) {
+      addTransfer(null, creditor, creditor.amount)
+    }
+  }
+
+  return { totalOwed, totalCredit, transfers }
+}
@@ -0,0 +1,34 @@
+// Game-by-game scoring for best-of-N matches.
+// The winner is the team that won more games; the score stored on the match
+// itself is the point total across all games, so point differentials keep working.
+
+export const MAX_GAMES_PER_MATCH = 7
+
+/**
+ * @param {Array<{team1Score: number, team2Score: number}>} games
+ * @returns {{team1Score: number, team2Score: number, team1Games: number, team2Games: number, winningTeam: number} | {error: string}}
+ */
+export const summarizeGames = (games) => {
+  const summary = { team1Score: 0, team2Score: 0, team1Games: 0, team2Games: 0 }
+
+  for (const game of games) {
+    const team1Score = parseInt(game.team1Score)
+    const team2Score = parseInt(game.team2Score)
+    if (team1Score === team2Score) {
+      return { error: 'A game cannot end in a tie' }
+    }
+    summary.team1Score += team1Score
+    summary.team2Score += team2Score
+    if (team1Score > team2Score) {
+      summary.team1Games++
+    } else {
+      summary.team2Games++
+    }
+  }
+
+  if (summary.team1Games === summary.team2Games) {
+    return { error: 'Both teams won the same number of games' }
+  }
+
+  return { ...summary, winningTeam: summary.team1Games > summary.team2Games ? 1 : 2 }
+}
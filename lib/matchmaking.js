@@ -0,0 +1,63 @@
+// Fair team suggestions for a duo match.
+// Every way to split four players into two teams is scored by how far apart the
+// two teams are (skill rating or ranking position) plus a penalty for pairs who
+// have already played together a lot, so the same partners are not suggested every time.
+
+import { DUO_SPLITS } from './round-robin.js'
+
+export const BALANCE_BASES = ['rating', 'ranking']
+
+// One unit of imbalance: 50 rating points, or one ranking position
+const RATING_POINTS_PER_UNIT = 50
+// Imbalance units added for every match a suggested pair has already played together
+const PARTNER_REPEAT_PENALTY = 0.5
+
+const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length
+
+// Elo-style chance of team 1 winning from the average team ratings
+const winProbability = (rating1, rating2) => 1 / (1 + Math.pow(10, (rating2 - rating1) / 400))
+
+/**
+ * Rank the three possible pairings of four players, most balanced first.
+ * @param {Array<{id: number, name: string, rating: number, rank: number}>} players - exactly four players
+ * @param {object} options
+ * @param {'rating'|'ranking'} [options.basis] - what "balanced" is measured on
+ * @param {(a: number, b: number) => number} [options.getTimesTogether] - matches a pair already played as teammates
+ */
+export const suggestBalancedTeams = (players, { basis = 'rating', getTimesTogether = () => 0 } = {}) => {
+  if (players.length !== 4) {
+    throw new Error('Exactly 4 players are required')
+  }
+  if (!BALANCE_BASES.includes(basis)) {
+    throw new Error(`Unknown balance basis: ${basis}`)
+  }
+
+  const summarizeTeam = (team) => ({
+    players: team.map(({ id, name, rating, rank }) => ({ id, name, rating, rank })),
+    average_rating: Math.round(average(team.map(player => player.rating))),
+    average_rank: average(team.map(player => player.rank)),
+    times_together: getTimesTogether(team[0].id, team[1].id)
+  })
+
+  return DUO_SPLITS
+    .map(([first, second]) => {
+      const team1 = summarizeTeam(first.map(index => players[index]))
+      const team2 = summarizeTeam(second.map(index => players[index]))
+
+      const imbalance = basis === 'rating'
+        ? Math.abs(team1.average_rating - team2.average_rating) / RATING_POINTS_PER_UNIT
+        : Math.abs(team1.average_rank - team2.average_rank)
+      const score = imbalance + PARTNER_REPEAT_PENALTY * (team1.times_together + team2.times_together)
+
+      return {
+        team1,
+        team2,
+        rating_difference: Math.abs(team1.average_rating - team2.average_rating),
+        rank_difference: Math.abs(team1.average_rank - team2.average_rank),
+        team1_win_probability: Math.round(winProbability(team1.average_rating, team2.average_rating) * 1000) / 10,
+        score: Math.round(score * 100) / 100
+      }
+    })
+    .sort((a, b) => a.score - b.score)
+    .map((suggestion, index) => ({ rank: index + 1, ...suggestion }))
+}
@@ -0,0 +1,112 @@
+// Versioned schema migrations shared by the SQLite and PostgreSQL backends.
+// Migrations live in migrations/ as NNN_name.js files exporting up(db) and down(db).
+// db is the backend's migration adapter (see migrationAdapter() on each database
+// class): { dialect, query(sql, params) -> rows, exec(sql) }, with dialect either
+// 'sqlite' or 'postgresql' for the statements that differ. Each migration runs in
+// its own transaction together with its schema_migrations row, so a failing
+// migration leaves the schema at the previous version.
+
+import { readdir } from 'fs/promises'
+import { dirname, join } from 'path'
+import { fileURLToPath, pathToFileURL } from 'url'
+
+export const MIGRATIONS_DIR = join(dirname(dirname(fileURLToPath(import.meta.url))), 'migrations')
+
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.js$/
+
+/**
+ * @param {string} [dir] - directory holding the migration files
+ * @returns {Promise<Array<{version: number, name: string, up: Function, down: Function}>>} migrations sorted by version
+ */
+export const loadMigrations = async (dir = MIGRATIONS_DIR) => {
+  const files = (await readdir(dir)).filter(file => MIGRATION_FILE_PATTERN.test(file))
+  const migrations = []
+  for (const file of files) {
+    const [, version, name] = file.match(MIGRATION_FILE_PATTERN)
+    const module = await import(pathToFileURL(join(dir, file)).href)
+    if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+      throw new Error(`Migration ${file} must export up and down functions`)
+    }
+    migrations.push({ version: parseInt(version), name, up: module.up, down: module.down })
+  }
+  migrations.sort((a, b) => a.version - b.version)
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}`)
+    }
+  }
+  return migrations
+}
+
+/**
+ * @param {object} adapter - backend migration adapter, plus placeholder(n) and transaction(fn)
+ * @param {Array<object>} migrations - from loadMigrations
+ */
+export const createMigrator = (adapter, migrations) => {
+  const p = (n) => adapter.placeholder(n)
+
+  const ensureMigrationsTable = () => adapter.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `)
+
+  const appliedMigrations = async () => {
+    await ensureMigrationsTable()
+    return adapter.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version')
+  }
+
+  return {
+    // Every known or applied migration with its state: applied, pending, or missing
+    // (recorded in the database but its file is gone)
+    async status() {
+      const applied = new Map((await appliedMigrations()).map(row => [Number(row.version), row]))
+      const known = migrations.map(migration => ({
+        version: migration.version,
+        name: migration.name,
+        state: applied.has(migration.version) ? 'applied' : 'pending',
+        applied_at: applied.get(migration.version)?.applied_at || null
+      }))
+      const missing = [...applied.values()]
+        .filter(row => !migrations.some(migration => migration.version === Number(row.version)))
+        .map(row => ({ version: Number(row.version), name: row.name, state: 'missing', applied_at: row.applied_at }))
+      return [...known, ...missing].sort((a, b) => a.version - b.version)
+    },
+
+    // Apply pending migrations in order, up to and including version `to` when given.
+    // Returns the applied migrations.
+    async migrate({ to = Infinity } = {}) {
+      const applied = new Set((await appliedMigrations()).map(row => Number(row.version)))
+      const pending = migrations.filter(migration => !applied.has(migration.version) && migration.version <= to)
+      for (const migration of pending) {
+        await adapter.transaction(async (db) => {
+          await migration.up(db)
+          await db.query(`INSERT INTO schema_migrations (version, name) VALUES (${p(1)}, ${p(2)})`, [migration.version, migration.name])
+        })
+      }
+      return pending
+    },
+
+    // Undo applied migrations, newest first: the last `steps` of them, or every one
+    // above version `to` when given. Returns the rolled back migrations.
+    async rollback({ steps = 1, to = null } = {}) {
+      const applied = (await appliedMigrations()).map(row => Number(row.version)).reverse()
+      const versions = to === null ? applied.slice(0, steps) : applied.filter(version => version > to)
+      const rolledBack = []
+      for (const version of versions) {
+        const migration = migrations.find(candidate => candidate.version === version)
+        if (!migration) {
+          throw new Error(`Cannot roll back migration ${version}: its file is missing`)
+        }
+        await adapter.transaction(async (db) => {
+          await migration.down(db)
+          await db.query(`DELETE FROM schema_migrations WHERE version = ${p(1)}`, [version])
+        })
+        rolledBack.push(migration)
+      }
+      return rolledBack
+    }
+  }
+}
@@ -0,0 +1,38 @@
+// Optional player details: nickname, avatar, dominant hand, preferred court side,
+// contact info and a short bio. Contact info (phone, email) is only sent to
+// signed-in users. Avatars are checked by their first bytes, not by the
+// client-supplied content type, and stored under data/avatars.
+
+export const DOMINANT_HANDS = ['right', 'left', 'ambidextrous']
+export const COURT_SIDES = ['left', 'right', 'either']
+export const AVATAR_MAX_BYTES = 2 * 1024 * 1024
+
+export const AVATAR_TYPES = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+}
+
+export const PLAYER_DETAIL_FIELDS = ['nickname', 'dominant_hand', 'preferred_side', 'phone', 'email', 'bio']
+const CONTACT_FIELDS = ['phone', 'email']
+
+/**
+ * @param {Buffer} buffer - start of the uploaded file
+ * @returns {string|null} image content type from the file signature, or null when not a supported image
+ */
+export const detectImageType = (buffer) => {
+  if (!buffer || buffer.length < 12) return null
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg'
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png'
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp'
+  return null
+}
+
+// Player row as sent to clients: contact fields dropped unless allowed
+export const toPublicPlayer = (player, { includeContact = false } = {}) => {
+  const result = { ...player }
+  if (!includeContact) {
+    for (const field of CONTACT_FIELDS) delete result[field]
+  }
+  return result
+}
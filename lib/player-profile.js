@@ -0,0 +1,194 @@
+// Career statistics for a single player, computed from their matches (oldest first)
+
+const MIN_PAIRING_MATCHES = 2
+const RECENT_FORM_LIMIT = 5
+
+const createTotals = () => ({
+  matches: 0,
+  wins: 0,
+  losses: 0,
+  points_for: 0,
+  points_against: 0,
+  money_lost: 0
+})
+
+const finalizeTotals = (totals) => ({
+  ...totals,
+  point_difference: totals.points_for - totals.points_against,
+  win_percentage: totals.matches > 0 ? Math.round((totals.wins * 1000) / totals.matches) / 10 : 0
+})
+
+// Which side the player was on and who was with/against them
+export const getPlayerSide = (match, playerId) => {
+  const team1 = [match.player1_id, match.player2_id].filter(Boolean)
+  const team2 = [match.player3_id, match.player4_id].filter(Boolean)
+  if (team1.includes(playerId)) {
+    return {
+      team: 1,
+      teammates: team1.filter(id => id !== playerId),
+      opponents: team2,
+      scoreFor: match.team1_score || 0,
+      scoreAgainst: match.team2_score || 0,
+      won: match.winning_team === 1
+    }
+  }
+  if (team2.includes(playerId)) {
+    return {
+      team: 2,
+      teammates: team2.filter(id => id !== playerId),
+      opponents: team1,
+      scoreFor: match.team2_score || 0,
+      scoreAgainst: match.team1_score || 0,
+      won: match.winning_team === 2
+    }
+  }
+  return null
+}
+
+const addResult = (totals, side, loseMoney) => {
+  totals.matches++
+  totals.points_for += side.scoreFor
+  totals.points_against += side.scoreAgainst
+  if (side.won) {
+    totals.wins++
+  } else {
+    totals.losses++
+    totals.money_lost += loseMoney
+  }
+}
+
+const summarizePairings = (pairings, playerNames) => [...pairings.entries()]
+  .filter(([, record]) => record.matches >= MIN_PAIRING_MATCHES)
+  .map(([playerId, record]) => ({
+    player_id: playerId,
+    name: playerNames.get(playerId) || null,
+    matches: record.matches,
+    wins: record.wins,
+    losses: record.matches - record.wins,
+    win_percentage: Math.round((record.wins * 1000) / record.matches) / 10
+  }))
+
+/**
+ * @param {number} playerId
+ * @param {Array} matches - the player's matches oldest first, each with season_name and lose_money
+ * @param {Map<number, string>} playerNames - id -> name lookup for partners/opponents
+ */
+export const buildPlayerProfile = (playerId, matches, playerNames = new Map()) => {
+  const lifetime = createTotals()
+  const seasons = new Map()
+  const partners = new Map()
+  const opponents = new Map()
+  const results = []
+
+  for (const match of matches) {
+    const side = getPlayerSide(match, playerId)
+    if (!side) continue
+
+    const loseMoney = Number(match.lose_money) || 0
+    addResult(lifetime, side, loseMoney)
+
+    if (!seasons.has(match.season_id)) {
+      seasons.set(match.season_id, { season_id: match.season_id, season_name: match.season_name, ...createTotals() })
+    }
+    addResult(seasons.get(match.season_id), side, loseMoney)
+
+    for (const partnerId of side.teammates) {
+      const record = partners.get(partnerId) || { matches: 0, wins: 0 }
+      record.matches++
+      if (side.won) record.wins++
+      partners.set(partnerId, record)
+    }
+
+    for (const opponentId of side.opponents) {
+      const record = opponents.get(opponentId) || { matches: 0, wins: 0 }
+      record.matches++
+      if (side.won) record.wins++
+      opponents.set(opponentId, record)
+    }
+
+    results.push({ result: side.won ? 'win' : 'loss', play_date: match.play_date, match_id: match.id })
+  }
+
+  // Streaks
+  let longestWin = 0
+  let longestLoss = 0
+  let currentType = null
+  let currentLength = 0
+  for (const { result } of results) {
+    if (result === currentType) {
+      currentLength++
+    } else {
+      currentType = result
+      currentLength = 1
+    }
+    if (result === 'win') longestWin = Math.max(longestWin, currentLength)
+    else longestLoss = Math.max(longestLoss, currentLength)
+  }
+
+  const partnerStats = summarizePairings(partners, playerNames)
+    .sort((a, b) => b.win_percentage - a.win_percentage || b.matches - a.matches)
+  const opponentStats = summarizePairings(opponents, playerNames)
+    .sort((a, b) => a.win_percentage - b.win_percentage || b.matches - a.matches)
+
+  return {
+    lifetime: finalizeTotals(lifetime),
+    seasons: [...seasons.values()].map(finalizeTotals),
+    streaks: {
+      longest_win: longestWin,
+      longest_loss: longestLoss,
+      current: currentType ? { type: currentType, length: currentLength } : null
+    },
+    best_partner: partnerStats[0] || null,
+    toughest_opponent: opponentStats[0] || null,
+    recent_form: results.slice(-RECENT_FORM_LIMIT).reverse()
+  }
+}
+
+/**
+ * Split the shared matches of two players into head-to-head (opposite sides)
+ * and partnership (same side) records. Matches are expected newest first.
+ * Results in `recent` are from player A's point of view.
+ */
+export const buildHeadToHead = (playerAId, playerBId, matches, recentLimit = RECENT_FORM_LIMIT) => {
+  const headToHead = { total_matches: 0, player_a_wins: 0, player_b_wins: 0, player_a_points: 0, player_b_points: 0 }
+  const partnership = createTotals()
+  const opponentMatches = []
+  const partnerMatches = []
+
+  for (const match of matches) {
+    const sideA = getPlayerSide(match, playerAId)
+    const sideB = getPlayerSide(match, playerBId)
+    if (!sideA || !sideB) continue
+
+    const entry = { ...match, result: sideA.won ? 'win' : 'loss' }
+    if (sideA.team === sideB.team) {
+      addResult(partnership, sideA, 0)
+      partnerMatches.push(entry)
+    } else {
+      headToHead.total_matches++
+      headToHead.player_a_points += sideA.scoreFor
+      headToHead.player_b_points += sideB.scoreFor
+      if (sideA.won) headToHead.player_a_wins++
+      else headToHead.player_b_wins++
+      opponentMatches.push(entry)
+    }
+  }
+
+  const toForm = (entries) => entries.slice(0, recentLimit).map(({ result, play_date: playDate }) => ({ result, play_date: playDate }))
+  const { matches: totalMatches, money_lost: _moneyLost, ...partnershipTotals } = finalizeTotals(partnership)
+
+  return {
+    head_to_head: {
+      ...headToHead,
+      point_difference: headToHead.player_a_points - headToHead.player_b_points,
+      recent: toForm(opponentMatches),
+      matches: opponentMatches
+    },
+    partnership: {
+      total_matches: totalMatches,
+      ...partnershipTotals,
+      recent: toForm(partnerMatches),
+      matches: partnerMatches
+    }
+  }
+}
@@ -0,0 +1,53 @@
+// Per-season ranking points formula: points per win and per loss, an optional win
+// bonus (for a shutout, or for winning by at least a margin) and the tiebreak order
+// used when players have the same points. Name is always the last tiebreaker.
+// Lifetime standings either use the global default formula or sum each season's
+// points (LIFETIME_POINTS_MODE=seasons).
+
+export const BONUS_TYPES = ['none', 'shutout', 'margin']
+export const TIEBREAKERS = ['goal_difference', 'win_percentage', 'wins', 'games_won', 'points_for']
+export const LIFETIME_POINTS_MODES = ['default', 'seasons']
+
+export const DEFAULT_POINTS_FORMULA = {
+  pointsPerWin: 4,
+  pointsPerLoss: 1,
+  bonusPoints: 0,
+  bonusType: 'none',
+  bonusMargin: null,
+  tiebreakers: ['goal_difference', 'win_percentage']
+}
+
+export const getLifetimePointsMode = () =>
+  process.env.LIFETIME_POINTS_MODE === 'seasons' ? 'seasons' : 'default'
+
+// Keep known tiebreakers only, from an array or a comma-separated string
+export const parseTiebreakers = (value) => {
+  const list = Array.isArray(value) ? value : String(value || '').split(',')
+  const tiebreakers = list.map(item => String(item).trim()).filter(item => TIEBREAKERS.includes(item))
+  return [...new Set(tiebreakers)]
+}
+
+// Formula of a season row, falling back to the default for missing columns
+export const getSeasonPointsFormula = (season) => {
+  if (!season) return DEFAULT_POINTS_FORMULA
+  return {
+    pointsPerWin: season.points_per_win ?? DEFAULT_POINTS_FORMULA.pointsPerWin,
+    pointsPerLoss: season.points_per_loss ?? DEFAULT_POINTS_FORMULA.pointsPerLoss,
+    bonusPoints: season.bonus_points ?? DEFAULT_POINTS_FORMULA.bonusPoints,
+    bonusType: season.bonus_type || DEFAULT_POINTS_FORMULA.bonusType,
+    bonusMargin: season.bonus_margin ?? null,
+    tiebreakers: season.tiebreak_order != null ? parseTiebreakers(season.tiebreak_order) : DEFAULT_POINTS_FORMULA.tiebreakers
+  }
+}
+
+// Order standings by points, then the formula's tiebreakers (all descending), then name
+export const sortStandings = (rows, tiebreakers = DEFAULT_POINTS_FORMULA.tiebreakers) => {
+  const keys = ['points', ...tiebreakers]
+  return [...rows].sort((a, b) => {
+    for (const key of keys) {
+      const diff = (Number(b[key]) || 0) - (Number(a[key]) || 0)
+      if (diff !== 0) return diff
+    }
+    return String(a.name).localeCompare(String(b.name))
+  })
+}
@@ -1,6 +1,72 @@
+// Cache for rankings, profiles and other data derived from matches, kept in a
+// pluggable store (lib/cache-stores.js): in memory by default, or in Redis so several
+// server instances share one cache. Each entry declares what it depends on
+// (CACHE_DEPENDENCIES) and data-change events (lib/data-events.js) evict only the
+// entries that depend on what changed: editing a match evicts the lifetime entries
+// plus that match's season, date and players, and leaves other seasons and dates
+// cached. An entry without dependencies is evicted by every change. A value loaded
+// while a change it depends on happened is returned but not stored, so a slow read
+// can never put stale rankings back in the cache. Invalidations are broadcast to the
+// other instances when a broadcast is configured.
+// Cache failures are logged and never fail a request: a read that cannot reach the
+// store loads the data from the database instead.
+
+import { randomUUID } from 'crypto'
+import { DATA_EVENTS } from './data-events.js'
+import { toDateOnly } from './audit.js'
+import { createMemoryCacheStore } from './cache-stores.js'
+import { withForm } from './standings.js'
+
+export const CACHE_DEPENDENCIES = {
+  LIFETIME: 'lifetime', // every match
+  PLAYERS: 'players', // player names, archive state and merges
+  SEASONS: 'seasons', // settings of any season (points formula, lose money, names)
+  DATES: 'dates', // every date-scoped entry, for changes that touch unknown dates
+  season: (seasonId) => `season:${seasonId}`,
+  date: (playDate) => `date:${toDateOnly(playDate)}`,
+  player: (playerId) => `player:${playerId}`
+}
+
+const { LIFETIME, PLAYERS, SEASONS, DATES } = CACHE_DEPENDENCIES
+
+// What a match counts towards: lifetime, its season, its date and its players
+const matchDependencies = (match) => [
+  LIFETIME,
+  CACHE_DEPENDENCIES.season(match.season_id),
+  CACHE_DEPENDENCIES.date(match.play_date),
+  ...[match.player1_id, match.player2_id, match.player3_id, match.player4_id]
+    .filter(Boolean)
+    .map(CACHE_DEPENDENCIES.player)
+]
+
+// Dependencies changed by a data event, or null when everything changed
+export const dependenciesChangedBy = (event, payload = {}) => {
+  switch (event) {
+    case 'matchCreated':
+    case 'matchDeleted':
+    case 'matchRestored':
+      return matchDependencies(payload.match)
+    case 'matchUpdated':
+      return [...new Set([...matchDependencies(payload.before), ...matchDependencies(payload.after)])]
+    case 'seasonChanged':
+      return [CACHE_DEPENDENCIES.season(payload.seasonId), SEASONS]
+    case 'seasonDeleted':
+    case 'seasonRestored':
+      return [CACHE_DEPENDENCIES.season(payload.seasonId), SEASONS, LIFETIME, DATES]
+    case 'playerChanged':
+      return [CACHE_DEPENDENCIES.player(payload.playerId), PLAYERS]
+    case 'playersMerged':
+      return [CACHE_DEPENDENCIES.player(payload.sourceId), CACHE_DEPENDENCIES.player(payload.targetId), PLAYERS, LIFETIME]
+    default:
+      return null
+  }
+}
+
 export default class RankingsCache {
-  constructor({ ttl = 5 * 60 * 1000, devLogging = false } = {}) {
-    this.cache = new Map()
+  constructor({ ttl = 5 * 60 * 1000, devLogging = false, store = createMemoryCacheStore(), broadcast = null } = {}) {
+    this.store = store
+    this.broadcast = broadcast
+    this.instanceId = randomUUID()
     this.defaultTTL = ttl
     this.stats = {
       hits: 0,
@@ -11,6 +77,8 @@ export default class RankingsCache {
       expired: 0
     }
     this.devLogging = devLogging
+    // Database to warm the common entries back up from after an invalidation
+    this.preloadDb = null
   }
 
   log(message) {
@@ -19,21 +87,29 @@ export default class RankingsCache {
     }
   }
 
-  set(key, data, ttl = this.defaultTTL) {
-    const expiresAt = Date.now() + ttl
-    this.cache.set(key, {
+  logError(action, error) {
+    console.error(`❌ Cache ${action} failed (${this.store.name} store):`, error.message)
+  }
+
+  // dependsOn: CACHE_DEPENDENCIES values, or null to be evicted by any change
+  async set(key, data, ttl = this.defaultTTL, { dependsOn = null } = {}, marker = null) {
+    const stored = await this.store.set(key, {
       data,
+      dependsOn,
       createdAt: Date.now(),
-      expiresAt,
-      accessCount: 0,
-      lastAccessed: Date.now()
-    })
-    this.stats.sets++
-    this.log(`📦 Cache SET: ${key} (TTL: ${ttl}ms)`)
+      expiresAt: Date.now() + ttl
+    }, marker)
+    if (stored) {
+      this.stats.sets++
+      this.log(`📦 Cache SET: ${key} (TTL: ${ttl}ms)`)
+    } else {
+      this.log(`🚫 Cache SKIP: ${key} changed while loading`)
+    }
+    return stored
   }
 
-  get(key) {
-    const item = this.cache.get(key)
+  async get(key) {
+    const item = await this.store.get(key)
     if (!item) {
       this.stats.misses++
       this.log(`❌ Cache MISS: ${key}`)
@@ -41,32 +117,66 @@ export default class RankingsCache {
     }
 
     if (Date.now() > item.expiresAt) {
-      this.cache.delete(key)
+      await this.store.delete(key)
       this.stats.expired++
       this.stats.misses++
       this.log(`⏰ Cache EXPIRED: ${key}`)
       return null
     }
 
-    item.accessCount++
-    item.lastAccessed = Date.now()
     this.stats.hits++
     const timeLeft = Math.round((item.expiresAt - Date.now()) / 1000)
-    this.log(`🎯 Cache HIT: ${key} (accessed ${item.accessCount} times, expires in ${timeLeft}s)`)
+    this.log(`🎯 Cache HIT: ${key} (expires in ${timeLeft}s)`)
     return item.data
   }
 
+  // Cached value of key, or load() stored with the given TTL and dependencies.
+  // Returns { data, hit }.
+  async getOrLoad(key, { ttl = this.defaultTTL, dependsOn = null } = {}, load) {
+    let cached = null
+    try {
+      cached = await this.get(key)
+    } catch (error) {
+      this.logError('read', error)
+      return { data: await load(), hit: false }
+    }
+    if (cached) {
+      return { data: cached, hit: true }
+    }
+    return { data: await this.load(key, { ttl, dependsOn }, load), hit: false }
+  }
+
+  async load(key, { ttl = this.defaultTTL, dependsOn = null }, load) {
+    let marker
+    try {
+      marker = await this.store.marker(dependsOn)
+    } catch (error) {
+      this.logError('read', error)
+      return load()
+    }
+    const data = await load()
+    try {
+      await this.set(key, data, ttl, { dependsOn }, marker)
+    } catch (error) {
+      this.logError('write', error)
+    }
+    return data
+  }
+
+  async isExpired(key) {
+    const item = await this.store.get(key)
+    if (!item) return true
+    return Date.now() > item.expiresAt
+  }
+
   async preloadCommonData(db) {
     if (!db) return
 
     try {
-      if (!this.cache.has('rankings:lifetime') || this.isExpired('rankings:lifetime')) {
-        const rankings = await db.getPlayerStatsLifetime()
-        const enhancedRankings = await Promise.all(rankings.map(async (player) => {
-          const form = await db.getPlayerForm(player.id, 5)
-          return { ...player, form }
-        }))
-        this.set('rankings:lifetime', enhancedRankings, 10 * 60 * 1000)
+      if (await this.isExpired('rankings:lifetime')) {
+        await this.load('rankings:lifetime', { ttl: 10 * 60 * 1000, dependsOn: [LIFETIME, PLAYERS, SEASONS] }, async () => {
+          return withForm(db, await db.getStandingsLifetime())
+        })
         this.stats.preloads++
         this.log('🚀 Cache PRELOAD: rankings:lifetime (10min TTL)')
       }
@@ -74,13 +184,10 @@ export default class RankingsCache {
       const activeSeason = await db.getActiveSeason()
       if (activeSeason) {
         const seasonKey = `rankings:season:${activeSeason.id}`
-        if (!this.cache.has(seasonKey) || this.isExpired(seasonKey)) {
-          const seasonRankings = await db.getPlayerStatsBySeason(activeSeason.id)
-          const enhancedSeasonRankings = await Promise.all(seasonRankings.map(async (player) => {
-            const form = await db.getPlayerFormBySeason(player.id, activeSeason.id, 5)
-            return { ...player, form }
-          }))
-          this.set(seasonKey, enhancedSeasonRankings, 3 * 60 * 1000)
+        if (await this.isExpired(seasonKey)) {
+          await this.load(seasonKey, { ttl: 3 * 60 * 1000, dependsOn: [CACHE_DEPENDENCIES.season(activeSeason.id), PLAYERS] }, async () => {
+            return withForm(db, await db.getStandingsBySeason(activeSeason.id), { seasonId: activeSeason.id })
+          })
           this.stats.preloads++
           this.log(`🚀 Cache PRELOAD: ${seasonKey} (3min TTL)`)
         }
@@ -90,73 +197,131 @@ export default class RankingsCache {
     }
   }
 
-  isExpired(key) {
-    const item = this.cache.get(key)
-    if (!item) return true
-    return Date.now() > item.expiresAt
+  schedulePreload() {
+    if (this.preloadDb) {
+      setTimeout(() => this.preloadCommonData(this.preloadDb), 100)
+    }
   }
 
-  cleanupExpired() {
-    let cleanedCount = 0
-    for (const [key, item] of this.cache.entries()) {
-      if (Date.now() > item.expiresAt) {
-        this.cache.delete(key)
-        cleanedCount++
-      }
+  // Invalidate on every data-change event, and on invalidations broadcast by other
+  // instances, then warm the common entries back up. Rejects when the broadcast
+  // cannot be subscribed to (the client keeps retrying it in the background).
+  async subscribeTo(dataEvents, db = null) {
+    this.preloadDb = db
+    for (const event of DATA_EVENTS) {
+      dataEvents.on(event, async (payload) => {
+        this.log(`📣 Cache EVENT: ${event}`)
+        const dependencies = dependenciesChangedBy(event, payload)
+        if (dependencies) {
+          await this.invalidateDependencies(dependencies)
+        } else {
+          await this.clear()
+        }
+        this.schedulePreload()
+      })
     }
 
+    if (this.broadcast) {
+      await this.broadcast.subscribe(message => this.applyBroadcast(message))
+    }
+  }
+
+  // Invalidation from another instance. A shared store already reflects it.
+  async applyBroadcast({ origin, dependencies = null, pattern = null }) {
+    if (origin === this.instanceId || this.store.shared) return
+    try {
+      const invalidated = dependencies
+        ? await this.store.invalidateDependencies(dependencies)
+        : pattern ? await this.store.invalidatePattern(pattern) : await this.store.clear()
+      this.stats.invalidations += invalidated
+      this.log(`📡 Cache REMOTE INVALIDATE: ${invalidated} entries`)
+      this.schedulePreload()
+    } catch (error) {
+      this.logError('remote invalidation', error)
+    }
+  }
+
+  async publish(message) {
+    if (!this.broadcast) return
+    try {
+      await this.broadcast.publish({ origin: this.instanceId, ...message })
+    } catch (error) {
+      this.logError('broadcast', error)
+    }
+  }
+
+  async cleanupExpired() {
+    const cleanedCount = await this.store.cleanupExpired()
     if (cleanedCount > 0) {
       this.stats.expired += cleanedCount
       this.log(`🧹 Cache CLEANUP: ${cleanedCount} expired entries removed`)
     }
-
     return cleanedCount
   }
 
-  invalidate(pattern = null) {
+  // Evict entries depending on any of the given dependencies, and entries that
+  // declared none
+  async invalidateDependencies(dependencies) {
     let invalidated = 0
+    try {
+      invalidated = await this.store.invalidateDependencies(dependencies)
+    } catch (error) {
+      this.logError('invalidation', error)
+    }
+    this.stats.invalidations += invalidated
+    this.log(`🗑️ Cache INVALIDATE: ${invalidated} entries (${dependencies.join(', ')})`)
+    await this.publish({ dependencies })
+    return invalidated
+  }
 
-    if (pattern) {
-      for (const key of this.cache.keys()) {
-        if (key.includes(pattern)) {
-          this.cache.delete(key)
-          invalidated++
-        }
-      }
-    } else {
-      invalidated = this.cache.size
-      this.cache.clear()
+  async invalidate(pattern = null) {
+    if (!pattern) {
+      await this.clear()
+      return
     }
 
+    let invalidated = 0
+    try {
+      invalidated = await this.store.invalidatePattern(pattern)
+    } catch (error) {
+      this.logError('invalidation', error)
+    }
     this.stats.invalidations += invalidated
-    this.log(`🗑️ Cache INVALIDATE: ${invalidated} entries (pattern: ${pattern || 'all'})`)
+    this.log(`🗑️ Cache INVALIDATE: ${invalidated} entries (pattern: ${pattern})`)
+    await this.publish({ pattern })
   }
 
-  clear() {
-    const size = this.cache.size
-    this.cache.clear()
+  async clear() {
+    let size = 0
+    try {
+      size = await this.store.clear()
+    } catch (error) {
+      this.logError('clear', error)
+    }
     this.stats.invalidations += size
     this.log(`🧹 Cache CLEAR: ${size} entries removed`)
+    await this.publish({})
   }
 
-  getStats() {
+  async getStats() {
     const hitRate = this.stats.hits + this.stats.misses > 0
       ? (this.stats.hits / (this.stats.hits + this.stats.misses) * 100).toFixed(2)
       : 0
 
-    let expiredCount = 0
-    for (const [, item] of this.cache.entries()) {
-      if (Date.now() > item.expiresAt) {
-        expiredCount++
-      }
+    let contents = { entries: null, expired: null, bytes: null }
+    try {
+      contents = await this.store.describe()
+    } catch (error) {
+      this.logError('stats', error)
     }
 
     return {
       ...this.stats,
       hitRate: `${hitRate}%`,
-      currentEntries: this.cache.size,
-      expiredEntries: expiredCount,
-      memoryUsage: JSON.stringify([...this.cache.entries()]).length
+      store: this.store.name,
+      currentEntries: contents.entries,
+      expiredEntries: contents.expired,
+      memoryUsage: contents.bytes
     }
   }
 
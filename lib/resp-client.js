@@ -0,0 +1,242 @@
+// Minimal client for the Redis protocol (RESP2), enough for the cache backend:
+// commands, Lua scripts and pub/sub. Works with Redis and compatible servers
+// (Valkey, KeyDB, ...). Replies come back in the order commands were sent, so one
+// connection carries any number of concurrent commands; subscriptions get their
+// own connection since a subscribed connection cannot run other commands.
+// The socket is opened on the first command and reopened after it drops; a reply that
+// cannot be parsed drops it too, since nothing after it can be matched to a command.
+
+import net from 'net'
+import tls from 'tls'
+
+const CONNECT_TIMEOUT_MS = 5000
+const RESUBSCRIBE_DELAY_MS = 1000
+
+export class RespError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'RespError'
+  }
+}
+
+export const encodeCommand = (args) => {
+  let out = `*${args.length}\r\n`
+  for (const arg of args) {
+    const value = String(arg)
+    out += `$${Buffer.byteLength(value)}\r\n${value}\r\n`
+  }
+  return out
+}
+
+// One reply starting at offset: { value, offset } with offset just past it, or null
+// when the buffer does not hold the whole reply yet
+export const parseReply = (buffer, offset = 0) => {
+  if (offset >= buffer.length) return null
+  const lineEnd = buffer.indexOf('\r\n', offset)
+  if (lineEnd === -1) return null
+  const type = String.fromCharCode(buffer[offset])
+  const line = buffer.toString('utf8', offset + 1, lineEnd)
+  const next = lineEnd + 2
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next }
+    case '-':
+      return { value: new RespError(line), offset: next }
+    case ':':
+      return { value: Number(line), offset: next }
+    case '$': {
+      const length = Number(line)
+      if (length === -1) return { value: null, offset: next }
+      if (buffer.length < next + length + 2) return null
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 }
+    }
+    case '*': {
+      const count = Number(line)
+      if (count === -1) return { value: null, offset: next }
+      const items = []
+      let position = next
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position)
+        if (!item) return null
+        items.push(item.value)
+        position = item.offset
+      }
+      return { value: items, offset: position }
+    }
+    default:
+      throw new RespError(`Unexpected reply type: ${type}`)
+  }
+}
+
+const openSocket = (options) => {
+  const host = options.hostname || 'localhost'
+  const port = parseInt(options.port) || 6379
+  return options.protocol === 'rediss:'
+    ? tls.connect({ host, port, servername: host })
+    : net.createConnection({ host, port })
+}
+
+// Commands run first on every new connection: AUTH from the URL credentials,
+// SELECT from its path (redis://:secret@host:6379/2)
+const handshakeCommands = (options) => {
+  const commands = []
+  if (options.password) {
+    commands.push(options.username
+      ? ['AUTH', decodeURIComponent(options.username), decodeURIComponent(options.password)]
+      : ['AUTH', decodeURIComponent(options.password)])
+  }
+  const database = parseInt(options.pathname.slice(1))
+  if (database) commands.push(['SELECT', database])
+  return commands
+}
+
+// onPush receives replies nobody waits for: pub/sub messages
+const createConnection = (options, { onPush = null, onClose = null } = {}) => {
+  let socket = null
+  let buffer = Buffer.alloc(0)
+  let pending = []
+
+  const fail = (error) => {
+    const waiting = pending
+    pending = []
+    for (const { reject } of waiting) reject(error)
+  }
+
+  const drain = () => {
+    let parsed
+    while ((parsed = parseReply(buffer))) {
+      buffer = buffer.subarray(parsed.offset)
+      const waiter = pending.shift()
+      if (waiter) {
+        if (parsed.value instanceof RespError) waiter.reject(parsed.value)
+        else waiter.resolve(parsed.value)
+      } else if (onPush) {
+        onPush(parsed.value)
+      }
+    }
+  }
+
+  const send = (args) => new Promise((resolve, reject) => {
+    pending.push({ resolve, reject })
+    socket.write(encodeCommand(args))
+  })
+
+  const connect = () => {
+    socket = openSocket(options)
+    buffer = Buffer.alloc(0)
+    socket.setTimeout(CONNECT_TIMEOUT_MS, () => socket.destroy(new Error('Redis connection timed out')))
+    socket.once('connect', () => socket.setTimeout(0))
+    socket.once('secureConnect', () => socket.setTimeout(0))
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk])
+      try {
+        drain()
+      } catch (error) {
+        socket.destroy(error)
+      }
+    })
+    socket.on('error', fail)
+    socket.on('close', () => {
+      socket = null
+      fail(new Error('Redis connection closed'))
+      if (onClose) onClose()
+    })
+    // Queued ahead of the caller's command; a failed handshake fails it too
+    for (const command of handshakeCommands(options)) {
+      send(command).catch(() => {})
+    }
+  }
+
+  return {
+    command(...args) {
+      if (!socket) connect()
+      return send(args)
+    },
+
+    // Drops the connection at once, failing the commands waiting for a reply
+    destroy() {
+      if (socket) socket.destroy()
+    },
+
+    close() {
+      if (socket) socket.end()
+    }
+  }
+}
+
+/**
+ * @param {string} [url] - redis:// or rediss:// URL, e.g. redis://:password@localhost:6379/0
+ */
+export const createRespClient = (url = 'redis://localhost:6379') => {
+  const options = new URL(url)
+  const connection = createConnection(options)
+  const handlers = new Map()
+  let subscriber = null
+  let closed = false
+
+  const openSubscriber = () => {
+    subscriber = createConnection(options, {
+      onPush: (reply) => {
+        if (Array.isArray(reply) && reply[0] === 'message') {
+          for (const handler of handlers.get(reply[1]) || []) {
+            try {
+              handler(reply[2])
+            } catch (error) {
+              console.error(`❌ Redis message handler failed on ${reply[1]}:`, error.message)
+            }
+          }
+        }
+      },
+      // Subscriptions are lost with the connection: subscribe again on a new one
+      onClose: () => {
+        subscriber = null
+        if (!closed && handlers.size > 0) {
+          setTimeout(() => {
+            if (!closed && !subscriber) resubscribe()
+          }, RESUBSCRIBE_DELAY_MS)
+        }
+      }
+    })
+    return subscriber
+  }
+
+  // A failed SUBSCRIBE drops the connection, so the subscription is retried on a new one
+  const subscribeOn = async (connection, channels) => {
+    try {
+      await connection.command('SUBSCRIBE', ...channels)
+    } catch (error) {
+      connection.destroy()
+      throw error
+    }
+  }
+
+  const resubscribe = () => subscribeOn(openSubscriber(), [...handlers.keys()])
+    .catch(error => console.error('❌ Redis resubscribe failed, retrying:', error.message))
+
+  return {
+    command: (...args) => connection.command(...args),
+
+    async publish(channel, message) {
+      return connection.command('PUBLISH', channel, message)
+    },
+
+    // handler(message) runs for every message published on the channel. Rejects when
+    // the channel cannot be subscribed to; the handler stays registered and the
+    // subscription is retried in the background until it succeeds.
+    async subscribe(channel, handler) {
+      if (handlers.has(channel)) {
+        handlers.get(channel).push(handler)
+        return
+      }
+      handlers.set(channel, [handler])
+      await subscribeOn(subscriber || openSubscriber(), [channel])
+    },
+
+    close() {
+      closed = true
+      connection.close()
+      if (subscriber) subscriber.close()
+    }
+  }
+}
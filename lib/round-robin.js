@@ -0,0 +1,141 @@
+// Round-robin schedule generator for a play day.
+// Each round fills up to `courts` matches. Players who have sat out the least sit
+// out next, and groups/teams are picked by trying many shuffles and keeping the one
+// that repeats the fewest partners and opponents so far.
+
+const SHUFFLE_ATTEMPTS = 200
+const PARTNER_REPEAT_WEIGHT = 4
+
+// Small deterministic PRNG so the same input always gives the same schedule
+const createRandom = (seed) => {
+  let state = seed >>> 0 || 1
+  return () => {
+    state = (state * 1664525 + 1013904223) >>> 0
+    return state / 4294967296
+  }
+}
+
+const shuffle = (items, random) => {
+  const result = [...items]
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1))
+    const swap = result[i]
+    result[i] = result[j]
+    result[j] = swap
+  }
+  return result
+}
+
+const pairKey = (a, b) => (a < b ? `${a}:${b}` : `${b}:${a}`)
+
+const createCounter = () => {
+  const counts = new Map()
+  return {
+    get: (a, b) => counts.get(pairKey(a, b)) || 0,
+    add: (a, b) => counts.set(pairKey(a, b), (counts.get(pairKey(a, b)) || 0) + 1)
+  }
+}
+
+// The three ways to split four players into two teams
+export const DUO_SPLITS = [
+  [[0, 1], [2, 3]],
+  [[0, 2], [1, 3]],
+  [[0, 3], [1, 2]]
+]
+
+/**
+ * @param {number[]} playerIds - players present on the day
+ * @param {object} options
+ * @param {'solo'|'duo'} options.matchType
+ * @param {number} [options.courts] - courts available (matches played at the same time)
+ * @param {number} [options.rounds] - number of rounds, defaults to one full rotation
+ * @param {number} [options.seed] - seed for the shuffles
+ * @returns {Array<{round: number, matches: Array<{court: number, team1: number[], team2: number[]}>, sitting_out: number[]}>}
+ */
+export const generateRoundRobin = (playerIds, { matchType = 'duo', courts = null, rounds = null, seed = 1 } = {}) => {
+  const teamSize = matchType === 'solo' ? 1 : 2
+  const playersPerMatch = teamSize * 2
+  const players = [...new Set(playerIds)]
+
+  if (players.length < playersPerMatch) {
+    throw new Error(`At least ${playersPerMatch} players are required`)
+  }
+
+  const maxMatches = Math.floor(players.length / playersPerMatch)
+  const matchesPerRound = Math.max(1, Math.min(courts || maxMatches, maxMatches))
+  const totalRounds = rounds || Math.max(1, players.length - 1)
+
+  const random = createRandom(seed)
+  const partners = createCounter()
+  const opponents = createCounter()
+  const sitOuts = new Map(players.map(playerId => [playerId, 0]))
+  const lastSatOut = new Map(players.map(playerId => [playerId, -1]))
+
+  const teamsCost = (team1, team2) => {
+    let cost = 0
+    for (const team of [team1, team2]) {
+      if (team.length === 2) cost += PARTNER_REPEAT_WEIGHT * Math.pow(partners.get(team[0], team[1]), 2)
+    }
+    for (const a of team1) {
+      for (const b of team2) cost += Math.pow(opponents.get(a, b), 2)
+    }
+    return cost
+  }
+
+  const bestSplit = (group) => {
+    if (teamSize === 1) {
+      return { team1: [group[0]], team2: [group[1]], cost: teamsCost([group[0]], [group[1]]) }
+    }
+    return DUO_SPLITS
+      .map(([first, second]) => {
+        const team1 = first.map(index => group[index])
+        const team2 = second.map(index => group[index])
+        return { team1, team2, cost: teamsCost(team1, team2) }
+      })
+      .sort((a, b) => a.cost - b.cost)[0]
+  }
+
+  const schedule = []
+  for (let round = 1; round <= totalRounds; round++) {
+    // Whoever has sat out the least sits out now; ties go to those who sat out longest ago
+    const sittingCount = players.length - matchesPerRound * playersPerMatch
+    const bySitPriority = shuffle(players, random)
+      .sort((a, b) => sitOuts.get(a) - sitOuts.get(b) || lastSatOut.get(a) - lastSatOut.get(b))
+    const sittingOut = bySitPriority.slice(0, sittingCount)
+    const playing = bySitPriority.slice(sittingCount)
+
+    let best = null
+    for (let attempt = 0; attempt < SHUFFLE_ATTEMPTS; attempt++) {
+      const order = shuffle(playing, random)
+      const matches = []
+      let cost = 0
+      for (let i = 0; i < order.length; i += playersPerMatch) {
+        const split = bestSplit(order.slice(i, i + playersPerMatch))
+        matches.push({ team1: split.team1, team2: split.team2 })
+        cost += split.cost
+      }
+      if (!best || cost < best.cost) best = { matches, cost }
+      if (cost === 0) break
+    }
+
+    for (const { team1, team2 } of best.matches) {
+      if (team1.length === 2) partners.add(team1[0], team1[1])
+      if (team2.length === 2) partners.add(team2[0], team2[1])
+      for (const a of team1) {
+        for (const b of team2) opponents.add(a, b)
+      }
+    }
+    for (const playerId of sittingOut) {
+      sitOuts.set(playerId, sitOuts.get(playerId) + 1)
+      lastSatOut.set(playerId, round)
+    }
+
+    schedule.push({
+      round,
+      matches: best.matches.map((match, index) => ({ court: index + 1, ...match })),
+      sitting_out: sittingOut
+    })
+  }
+
+  return schedule
+}
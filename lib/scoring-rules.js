@@ -0,0 +1,85 @@
+// Per-season scoring rules: target score, win-by margin, optional cap and
+// rally or side-out scoring. A game is over the first time the leader reaches the
+// target with the required margin, or reaches the cap. A final score is valid only
+// if the game ended on that last point, so 11-10 (win by 2) and 15-3 (game was over
+// at 11-3) are both rejected.
+// Rally vs side-out only changes who may score a point, not which final scores
+// are possible, so it is stored for display and not used in the check.
+// Seasons without a target score have no rules: their scores are not checked, but the
+// winner is still derived from them.
+
+import { summarizeGames } from './match-games.js'
+
+export const SCORING_SYSTEMS = ['side_out', 'rally']
+
+export const DEFAULT_SCORING_RULES = {
+  targetScore: 11,
+  winBy: 2,
+  scoreCap: null,
+  scoringSystem: 'side_out'
+}
+
+// Rules of a season row, or null when the season has none
+export const getSeasonScoringRules = (season) => {
+  if (!season || season.target_score == null) return null
+  return {
+    targetScore: season.target_score,
+    winBy: season.win_by ?? DEFAULT_SCORING_RULES.winBy,
+    scoreCap: season.score_cap ?? null,
+    scoringSystem: season.scoring_system || DEFAULT_SCORING_RULES.scoringSystem
+  }
+}
+
+const isGameOver = (leader, trailer, { targetScore, winBy, scoreCap }) =>
+  (leader >= targetScore && leader - trailer >= winBy) || (scoreCap != null && leader >= scoreCap)
+
+/**
+ * @returns {string|null} why the score is impossible under the rules, or null when valid
+ */
+export const validateGameScore = (team1Score, team2Score, rules) => {
+  if (team1Score === team2Score) {
+    return `${team1Score}-${team2Score} is a tie`
+  }
+  const winner = Math.max(team1Score, team2Score)
+  const loser = Math.min(team1Score, team2Score)
+  if (!isGameOver(winner, loser, rules)) {
+    return `${team1Score}-${team2Score} is not a finished game (to ${rules.targetScore}, win by ${rules.winBy})`
+  }
+  if (isGameOver(winner - 1, loser, rules)) {
+    return `${team1Score}-${team2Score} is impossible: the game ended before that score`
+  }
+  return null
+}
+
+// Games won when there are games, otherwise the higher score
+const deriveWinningTeam = (team1Score, team2Score, games) => {
+  if (games.length > 0) return summarizeGames(games)
+  if (team1Score === team2Score) return { error: 'A match cannot end in a tie' }
+  return { winningTeam: team1Score > team2Score ? 1 : 2 }
+}
+
+/**
+ * Check the scores of a match against the rules, if any, and derive the winner.
+ * Matches with games have the winner from games won, single-score matches from the higher score.
+ * A winningTeam sent along with the scores must be the derived one.
+ * @param {{team1Score: number, team2Score: number, winningTeam?: number, games: Array<{team1Score: number, team2Score: number}>}} scores
+ * @returns {{winningTeam: number} | {error: string}}
+ */
+export const applyScoringRules = ({ team1Score, team2Score, winningTeam, games = [] }, rules) => {
+  if (rules && games.length > 0) {
+    for (const [index, game] of games.entries()) {
+      const error = validateGameScore(game.team1Score, game.team2Score, rules)
+      if (error) return { error: `Game ${index + 1}: ${error}` }
+    }
+  } else if (rules) {
+    const error = validateGameScore(parseInt(team1Score), parseInt(team2Score), rules)
+    if (error) return { error }
+  }
+
+  const derived = deriveWinningTeam(parseInt(team1Score), parseInt(team2Score), games)
+  if (derived.error) return derived
+  if (winningTeam != null && parseInt(winningTeam) !== derived.winningTeam) {
+    return { error: `Winning team does not match the scores: team ${derived.winningTeam} won` }
+  }
+  return { winningTeam: derived.winningTeam }
+}
@@ -0,0 +1,216 @@
+// Glicko-2 skill ratings computed by replaying the match log in chronological order.
+// Each match is treated as its own rating period so ratings move after every game.
+// Duo matches are rated against the average rating/RD of the opposing team.
+
+export const DEFAULT_RATING = 1500
+export const DEFAULT_RD = 350
+export const DEFAULT_VOLATILITY = 0.06
+
+const GLICKO2_SCALE = 173.7178
+const TAU = 0.5
+const CONVERGENCE_TOLERANCE = 0.000001
+
+export const createInitialRating = () => ({
+  rating: DEFAULT_RATING,
+  rd: DEFAULT_RD,
+  volatility: DEFAULT_VOLATILITY,
+  matches: 0,
+  wins: 0,
+  losses: 0
+})
+
+const g = (phi) => 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI))
+
+const expectedScore = (mu, opponentMu, opponentPhi) => 1 / (1 + Math.exp(-g(opponentPhi) * (mu - opponentMu)))
+
+// Step 5 of the Glicko-2 paper: solve for the new volatility with the Illinois algorithm
+const computeVolatility = (phi, sigma, delta, v) => {
+  const a = Math.log(sigma * sigma)
+  const f = (x) => {
+    const ex = Math.exp(x)
+    const numerator = ex * (delta * delta - phi * phi - v - ex)
+    const denominator = 2 * Math.pow(phi * phi + v + ex, 2)
+    return numerator / denominator - (x - a) / (TAU * TAU)
+  }
+
+  let A = a
+  let B
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v)
+  } else {
+    let k = 1
+    while (f(a - k * TAU) < 0) {
+      k++
+    }
+    B = a - k * TAU
+  }
+
+  let fA = f(A)
+  let fB = f(B)
+  while (Math.abs(B - A) > CONVERGENCE_TOLERANCE) {
+    const C = A + ((A - B) * fA) / (fB - fA)
+    const fC = f(C)
+    if (fC * fB <= 0) {
+      A = B
+      fA = fB
+    } else {
+      fA = fA / 2
+    }
+    B = C
+    fB = fC
+  }
+
+  return Math.exp(A / 2)
+}
+
+// Rate a single result (score 1 = win, 0 = loss) against an opponent rating/RD
+export const updateRating = (player, opponent, score) => {
+  const mu = (player.rating - DEFAULT_RATING) / GLICKO2_SCALE
+  const phi = player.rd / GLICKO2_SCALE
+  const opponentMu = (opponent.rating - DEFAULT_RATING) / GLICKO2_SCALE
+  const opponentPhi = opponent.rd / GLICKO2_SCALE
+
+  const gPhi = g(opponentPhi)
+  const expected = expectedScore(mu, opponentMu, opponentPhi)
+  const v = 1 / (gPhi * gPhi * expected * (1 - expected))
+  const delta = v * gPhi * (score - expected)
+
+  const volatility = computeVolatility(phi, player.volatility, delta, v)
+  const phiStar = Math.sqrt(phi * phi + volatility * volatility)
+  const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v)
+  const newMu = mu + newPhi * newPhi * gPhi * (score - expected)
+
+  return {
+    rating: newMu * GLICKO2_SCALE + DEFAULT_RATING,
+    rd: newPhi * GLICKO2_SCALE,
+    volatility
+  }
+}
+
+const getMatchTeams = (match) => {
+  if (match.match_type === 'solo') {
+    return [[match.player1_id], [match.player3_id]]
+  }
+  return [
+    [match.player1_id, match.player2_id].filter(Boolean),
+    [match.player3_id, match.player4_id].filter(Boolean)
+  ]
+}
+
+const getTeamComposite = (team, ratings) => {
+  const members = team.map(playerId => ratings.get(playerId))
+  return {
+    rating: members.reduce((sum, member) => sum + member.rating, 0) / members.length,
+    rd: members.reduce((sum, member) => sum + member.rd, 0) / members.length
+  }
+}
+
+/**
+ * Replay matches (oldest first) and return a Map of playerId -> rating state.
+ * `onMatch` is called after each match with the per-player before/after values.
+ */
+export const replayRatings = (matches, { onMatch } = {}) => {
+  const ratings = new Map()
+
+  for (const match of matches) {
+    const teams = getMatchTeams(match)
+    if (teams[0].length === 0 || teams[1].length === 0) continue
+
+    for (const playerId of [...teams[0], ...teams[1]]) {
+      if (!ratings.has(playerId)) {
+        ratings.set(playerId, createInitialRating())
+      }
+    }
+
+    // Compute every update from pre-match values so teammates don't affect each other
+    const composites = teams.map(team => getTeamComposite(team, ratings))
+    const changes = []
+    teams.forEach((team, teamIndex) => {
+      const opponentIndex = teamIndex === 0 ? 1 : 0
+      const score = match.winning_team === teamIndex + 1 ? 1 : 0
+      for (const playerId of team) {
+        const before = ratings.get(playerId)
+        const updated = updateRating(before, composites[opponentIndex], score)
+        changes.push({
+          playerId,
+          score,
+          opponentIds: teams[opponentIndex],
+          teammateIds: team.filter(id => id !== playerId),
+          before,
+          after: {
+            ...updated,
+            matches: before.matches + 1,
+            wins: before.wins + score,
+            losses: before.losses + (1 - score)
+          }
+        })
+      }
+    })
+
+    for (const change of changes) {
+      ratings.set(change.playerId, change.after)
+    }
+
+    if (onMatch) {
+      onMatch({ match, changes })
+    }
+  }
+
+  return ratings
+}
+
+/**
+ * Build a ranking table sorted by rating. Players who have not played yet are
+ * listed after rated players with the default rating.
+ */
+export const buildRatingRankings = (players, matches) => {
+  const ratings = replayRatings(matches)
+
+  return players
+    .map(player => {
+      const state = ratings.get(player.id) || createInitialRating()
+      const totalMatches = state.wins + state.losses
+      return {
+        id: player.id,
+        name: player.name,
+        rating: Math.round(state.rating),
+        rd: Math.round(state.rd),
+        volatility: Number(state.volatility.toFixed(4)),
+        wins: state.wins,
+        losses: state.losses,
+        total_matches: totalMatches,
+        win_percentage: totalMatches > 0 ? Math.round((state.wins * 1000) / totalMatches) / 10 : 0
+      }
+    })
+    .sort((a, b) => {
+      if ((a.total_matches > 0) !== (b.total_matches > 0)) return a.total_matches > 0 ? -1 : 1
+      return b.rating - a.rating || a.rd - b.rd || a.name.localeCompare(b.name)
+    })
+}
+
+/**
+ * Rating after every match the player took part in, oldest first.
+ */
+export const buildRatingHistory = (playerId, matches) => {
+  const history = []
+
+  replayRatings(matches, {
+    onMatch: ({ match, changes }) => {
+      const change = changes.find(item => item.playerId === playerId)
+      if (!change) return
+      history.push({
+        match_id: match.id,
+        season_id: match.season_id,
+        play_date: match.play_date,
+        result: change.score === 1 ? 'win' : 'loss',
+        rating: Math.round(change.after.rating),
+        rd: Math.round(change.after.rd),
+        rating_change: Math.round(change.after.rating - change.before.rating),
+        opponent_ids: change.opponentIds,
+        teammate_ids: change.teammateIds
+      })
+    }
+  })
+
+  return history
+}
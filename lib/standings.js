@@ -0,0 +1,71 @@
+// Keeps the materialized standings (repositories/standings-repository.js) in step
+// with data-change events (lib/data-events.js). A match change recomputes its
+// lifetime, season and date rows for the players involved, before and after an edit;
+// season settings recompute that season's scopes; changes that move matches between
+// seasons or players rebuild everything. Subscribe before the rankings cache so caches
+// are invalidated only once the standings they read are up to date.
+
+import { DATA_EVENTS } from './data-events.js'
+import { toDateOnly } from './audit.js'
+import { dateScope, lifetimeScope, seasonScope } from '../repositories/standings-repository.js'
+
+const matchPlayerIds = (match) => [match.player1_id, match.player2_id, match.player3_id, match.player4_id]
+  .filter(Boolean)
+  .map(id => parseInt(id))
+
+const matchScopes = (match) => [seasonScope(match.season_id), dateScope(toDateOnly(match.play_date))]
+
+const refreshMatches = (matches) => ({
+  scopes: [lifetimeScope(), ...matches.flatMap(matchScopes)],
+  playerIds: [...new Set(matches.flatMap(matchPlayerIds))]
+})
+
+// What an event changes in the standings: { scopes, playerIds } to recompute,
+// { seasonId } for a season's scopes, { rebuild: true }, or null for nothing
+export const standingsChangedBy = (event, payload = {}) => {
+  switch (event) {
+    case 'matchCreated':
+    case 'matchDeleted':
+    case 'matchRestored':
+      return refreshMatches([payload.match])
+    case 'matchUpdated':
+      return refreshMatches([payload.before, payload.after])
+    case 'seasonChanged':
+      return { seasonId: payload.seasonId }
+    case 'seasonDeleted':
+    case 'seasonRestored':
+    case 'playersMerged':
+    case 'dataReset':
+      return { rebuild: true }
+    default:
+      return null
+  }
+}
+
+export const subscribeStandings = (dataEvents, db) => {
+  for (const event of DATA_EVENTS) {
+    dataEvents.on(event, async (payload) => {
+      const change = standingsChangedBy(event, payload)
+      if (!change) return
+      try {
+        if (change.rebuild) {
+          await db.rebuildStandings()
+        } else if (change.seasonId) {
+          await db.refreshSeasonStandings(change.seasonId)
+        } else {
+          await db.refreshStandings(change.scopes, change.playerIds)
+        }
+      } catch (error) {
+        // The change itself is saved; the standings catch up on the next rebuild
+        console.error(`❌ Standings update after ${event} failed (run npm run standings:rebuild):`, error.message)
+      }
+    })
+  }
+}
+
+// Rankings with each player's last five results (form), fetched in one query.
+// scope as for db.getFormForPlayers: {}, { seasonId } or { onDate }
+export const withForm = async (db, rankings, scope = {}) => {
+  const form = await db.getFormForPlayers(rankings.map(player => player.id), scope, 5)
+  return rankings.map(player => ({ ...player, form: form.get(Number(player.id)) || [] }))
+}
@@ -0,0 +1,280 @@
+// Single/double elimination brackets.
+// A bracket is a flat list of nodes (one per bracket match) linked by keys:
+//   W{round}-{position}  winners bracket
+//   L{round}-{position}  losers bracket (double elimination only)
+//   GF1 / GF2            grand final and its reset (double elimination only)
+// Only the structure and the recorded winners are stored; entries, byes and
+// statuses are always recomputed by resolveBracket() so results stay consistent.
+
+export const TOURNAMENT_FORMATS = ['single_elimination', 'double_elimination']
+
+const DEAD = Symbol('dead') // slot that will never receive an entry (bye)
+const PENDING = Symbol('pending') // slot still waiting on an earlier match
+
+const nextPowerOfTwo = (value) => {
+  let size = 2
+  while (size < value) size *= 2
+  return size
+}
+
+// Standard bracket order so seed 1 and 2 can only meet in the final: 1v8, 4v5, 2v7, 3v6...
+export const getSeedOrder = (size) => {
+  let order = [1]
+  while (order.length < size) {
+    const total = order.length * 2 + 1
+    order = order.flatMap(seed => [seed, total - seed])
+  }
+  return order
+}
+
+const createNode = (bracket, round, position, key) => ({
+  key: key || `${bracket === 'winners' ? 'W' : 'L'}${round}-${position}`,
+  bracket,
+  round,
+  position,
+  seed1: null,
+  seed2: null,
+  next_key: null,
+  next_slot: null,
+  loser_next_key: null,
+  loser_next_slot: null,
+  entry1_id: null,
+  entry2_id: null,
+  winner_entry_id: null,
+  match_id: null,
+  status: 'pending'
+})
+
+/**
+ * Build the bracket structure for `entryCount` seeded entries.
+ * Nodes are returned in dependency order (every feeder comes before its target).
+ */
+export const generateBracket = (entryCount, format = 'single_elimination') => {
+  if (entryCount < 2) {
+    throw new Error('A tournament needs at least 2 entries')
+  }
+  if (!TOURNAMENT_FORMATS.includes(format)) {
+    throw new Error(`Unknown tournament format: ${format}`)
+  }
+
+  const size = nextPowerOfTwo(entryCount)
+  const rounds = Math.log2(size)
+  const seedOrder = getSeedOrder(size)
+  const nodes = []
+
+  for (let round = 1; round <= rounds; round++) {
+    const count = size / Math.pow(2, round)
+    for (let position = 1; position <= count; position++) {
+      const node = createNode('winners', round, position)
+      if (round === 1) {
+        node.seed1 = seedOrder[(position - 1) * 2]
+        node.seed2 = seedOrder[(position - 1) * 2 + 1]
+      }
+      if (round < rounds) {
+        node.next_key = `W${round + 1}-${Math.ceil(position / 2)}`
+        node.next_slot = position % 2 === 1 ? 1 : 2
+      }
+      nodes.push(node)
+    }
+  }
+
+  if (format === 'single_elimination') {
+    return nodes
+  }
+
+  const winnersFinal = nodes[nodes.length - 1]
+  winnersFinal.next_key = 'GF1'
+  winnersFinal.next_slot = 1
+
+  // Losers bracket: odd rounds play survivors against each other, even rounds
+  // take the losers dropping down from the next winners round
+  const loserRounds = 2 * (rounds - 1)
+  for (let round = 1; round <= loserRounds; round++) {
+    const count = size / Math.pow(2, Math.floor((round + 1) / 2) + 1)
+    for (let position = 1; position <= count; position++) {
+      const node = createNode('losers', round, position)
+      if (round === loserRounds) {
+        node.next_key = 'GF1'
+        node.next_slot = 2
+      } else if (round % 2 === 1) {
+        node.next_key = `L${round + 1}-${position}`
+        node.next_slot = 1
+      } else {
+        node.next_key = `L${round + 1}-${Math.ceil(position / 2)}`
+        node.next_slot = position % 2 === 1 ? 1 : 2
+      }
+      nodes.push(node)
+    }
+  }
+
+  for (const node of nodes) {
+    if (node.bracket !== 'winners') continue
+    if (rounds === 1) {
+      node.loser_next_key = 'GF1'
+      node.loser_next_slot = 2
+    } else if (node.round === 1) {
+      node.loser_next_key = `L1-${Math.ceil(node.position / 2)}`
+      node.loser_next_slot = node.position % 2 === 1 ? 1 : 2
+    } else {
+      // Drop-ins are reversed on every other round to postpone rematches
+      const count = size / Math.pow(2, node.round)
+      const position = node.round % 2 === 0 ? count - node.position + 1 : node.position
+      node.loser_next_key = `L${2 * (node.round - 1)}-${position}`
+      node.loser_next_slot = 2
+    }
+  }
+
+  const grandFinal = createNode('grand_final', 1, 1, 'GF1')
+  grandFinal.next_key = 'GF2'
+  grandFinal.next_slot = 1
+  grandFinal.loser_next_key = 'GF2'
+  grandFinal.loser_next_slot = 2
+  nodes.push(grandFinal)
+  nodes.push(createNode('grand_final', 2, 1, 'GF2'))
+
+  return nodes
+}
+
+/**
+ * Recompute entries and statuses of every node from the seeds and recorded winners.
+ * Statuses: pending (waiting on earlier matches), ready (both entries known),
+ * completed, bye (one entry advanced automatically) and void (never played).
+ * @param {Array} nodes - bracket nodes in dependency order (mutated in place)
+ * @param {Map<number, number>} entryIdBySeed - seed -> tournament entry id
+ */
+export const resolveBracket = (nodes, entryIdBySeed) => {
+  const nodesByKey = new Map(nodes.map(node => [node.key, node]))
+  const feeders = new Map()
+  for (const node of nodes) {
+    if (node.next_key) feeders.set(`${node.next_key}:${node.next_slot}`, { key: node.key, outcome: 'winner' })
+    if (node.loser_next_key) feeders.set(`${node.loser_next_key}:${node.loser_next_slot}`, { key: node.key, outcome: 'loser' })
+  }
+
+  const outputs = new Map()
+  const slotValue = (node, slot) => {
+    const seed = node[`seed${slot}`]
+    if (seed) return entryIdBySeed.get(seed) ?? DEAD
+    const feeder = feeders.get(`${node.key}:${slot}`)
+    if (!feeder) return DEAD
+    return outputs.get(feeder.key)?.[feeder.outcome] ?? PENDING
+  }
+
+  for (const node of nodes) {
+    const entry1 = slotValue(node, 1)
+    const entry2 = slotValue(node, 2)
+    node.entry1_id = typeof entry1 === 'number' ? entry1 : null
+    node.entry2_id = typeof entry2 === 'number' ? entry2 : null
+
+    let status
+    let winner = PENDING
+    let loser = PENDING
+
+    // The reset is only played when the losers bracket champion wins the first grand final
+    const firstFinal = nodesByKey.get('GF1')
+    const resetNotNeeded = node.key === 'GF2' && firstFinal.status === 'completed' &&
+      firstFinal.winner_entry_id === firstFinal.entry1_id
+
+    if (resetNotNeeded || (entry1 === DEAD && entry2 === DEAD)) {
+      status = 'void'
+      winner = DEAD
+      loser = DEAD
+    } else if (entry1 === DEAD || entry2 === DEAD) {
+      const remaining = entry1 === DEAD ? entry2 : entry1
+      status = remaining === PENDING ? 'pending' : 'bye'
+      winner = remaining
+      loser = DEAD
+    } else if (entry1 === PENDING || entry2 === PENDING) {
+      status = 'pending'
+    } else if (node.winner_entry_id === entry1 || node.winner_entry_id === entry2) {
+      status = 'completed'
+      winner = node.winner_entry_id
+      loser = node.winner_entry_id === entry1 ? entry2 : entry1
+    } else {
+      status = 'ready'
+    }
+
+    node.status = status
+    if (status === 'bye') {
+      node.winner_entry_id = winner
+    } else if (status !== 'completed') {
+      node.winner_entry_id = null
+      node.match_id = null
+    }
+    outputs.set(node.key, { winner, loser })
+  }
+
+  return nodes
+}
+
+/**
+ * Record the winner of a ready bracket match and re-resolve the bracket.
+ */
+export const recordBracketResult = (nodes, key, winnerEntryId, matchId, entryIdBySeed) => {
+  const node = nodes.find(item => item.key === key)
+  if (!node) {
+    throw new Error('Bracket match not found')
+  }
+  if (node.status !== 'ready') {
+    throw new Error('Bracket match is not ready to be played')
+  }
+  if (winnerEntryId !== node.entry1_id && winnerEntryId !== node.entry2_id) {
+    throw new Error('Winner is not part of this bracket match')
+  }
+
+  node.winner_entry_id = winnerEntryId
+  node.match_id = matchId
+  return resolveBracket(nodes, entryIdBySeed)
+}
+
+// Whether an edited match row gives the bracket match it was played for the same result
+// as the recorded one: same season, match type, teams (partners in any order) and winner.
+// Scores, games, date and stake do not reach the bracket and may change.
+export const keepsBracketResult = (match, edited) => {
+  const team = (row, first, second) => [row[first], row[second]].filter(Boolean).map(Number).sort((a, b) => a - b).join()
+  return Number(match.season_id) === Number(edited.season_id) &&
+    match.match_type === edited.match_type &&
+    team(match, 'player1_id', 'player2_id') === team(edited, 'player1_id', 'player2_id') &&
+    team(match, 'player3_id', 'player4_id') === team(edited, 'player3_id', 'player4_id') &&
+    Number(match.winning_team) === Number(edited.winning_team)
+}
+
+// Winning entry id once the bracket is decided, otherwise null
+export const getBracketChampion = (nodes) => {
+  const reset = nodes.find(node => node.key === 'GF2')
+  if (reset) {
+    if (reset.status === 'completed') return reset.winner_entry_id
+    const firstFinal = nodes.find(node => node.key === 'GF1')
+    return reset.status === 'void' && firstFinal.status === 'completed' ? firstFinal.winner_entry_id : null
+  }
+
+  const final = nodes.find(node => node.bracket === 'winners' && !node.next_key)
+  return final && (final.status === 'completed' || final.status === 'bye') ? final.winner_entry_id : null
+}
+
+/**
+ * Order entries (arrays of player ids) by the season ranking: the best average
+ * ranking position gets seed 1. Unranked players count as last place.
+ */
+export const seedEntries = (entries, rankings) => {
+  const rankByPlayer = new Map(rankings.map((player, index) => [player.id, index + 1]))
+  const unranked = rankings.length + 1
+  const averageRank = (playerIds) =>
+    playerIds.reduce((sum, playerId) => sum + (rankByPlayer.get(playerId) || unranked), 0) / playerIds.length
+
+  return entries
+    .map((playerIds, index) => ({ playerIds, index, rank: averageRank(playerIds) }))
+    .sort((a, b) => a.rank - b.rank || a.index - b.index)
+    .map((entry, index) => ({ seed: index + 1, playerIds: entry.playerIds }))
+}
+
+// Balanced doubles teams: best ranked player with the worst ranked, and so on
+export const pairPlayersByRanking = (playerIds, rankings) => {
+  const rankByPlayer = new Map(rankings.map((player, index) => [player.id, index + 1]))
+  const unranked = rankings.length + 1
+  const sorted = [...playerIds].sort((a, b) => (rankByPlayer.get(a) || unranked) - (rankByPlayer.get(b) || unranked))
+  const teams = []
+  for (let i = 0; i < sorted.length / 2; i++) {
+    teams.push([sorted[i], sorted[sorted.length - 1 - i]])
+  }
+  return teams
+}
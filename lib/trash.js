@@ -0,0 +1,74 @@
+// Trash bin for deleted matches and seasons. Deleting moves a JSON copy of the rows
+// into the trash table and removes them, so rankings, stats and caches never see
+// trashed data. A trash item can be restored with its original ids until it is
+// older than the retention period (TRASH_RETENTION_DAYS, default 30 days); after
+// that the purge job removes it for good.
+
+import { toDateOnly } from './audit.js'
+
+export const TRASH_ENTITY_TYPES = ['match', 'season']
+export const DEFAULT_TRASH_RETENTION_DAYS = 30
+
+export const getTrashRetentionDays = () => {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS)
+  return Number.isInteger(days) && days > 0 ? days : DEFAULT_TRASH_RETENTION_DAYS
+}
+
+// Short description shown in the trash list, e.g. "2024-05-01: An & Bình 11-7 Chi & Dũng"
+export const describeMatch = (match) => {
+  const team1 = [match.player1_name, match.player2_name].filter(Boolean).join(' & ')
+  const team2 = [match.player3_name, match.player4_name].filter(Boolean).join(' & ')
+  return `${toDateOnly(match.play_date)}: ${team1} ${match.team1_score}-${match.team2_score} ${team2}`
+}
+
+// Player id columns of the rows kept in trash data, per table
+const TRASH_PLAYER_COLUMNS = {
+  matches: ['player1_id', 'player2_id', 'player3_id', 'player4_id'],
+  scheduled_matches: ['player1_id', 'player2_id', 'player3_id', 'player4_id'],
+  tournament_entries: ['player1_id', 'player2_id'],
+  season_players: ['player_id'],
+  scheduled_match_checkins: ['player_id'],
+  ledger_entries: ['player_id']
+}
+
+// Tables with one row per player and parent (the column named here)
+const TRASH_ONE_ROW_PER_PLAYER = {
+  season_players: 'season_id',
+  scheduled_match_checkins: 'scheduled_match_id'
+}
+
+// Whether trash data holds two players together in a way a merge cannot fold: in one
+// match or fixture, or in the same tournament (one entry or two).
+export const trashHoldsBothPlayers = (data, playerAId, playerBId) => {
+  const holds = (row, table, playerId) => TRASH_PLAYER_COLUMNS[table].some(column => row[column] === playerId)
+  for (const table of ['matches', 'scheduled_matches']) {
+    if ((data[table] || []).some(row => holds(row, table, playerAId) && holds(row, table, playerBId))) return true
+  }
+  const tournamentsOf = (playerId) => new Set((data.tournament_entries || [])
+    .filter(entry => holds(entry, 'tournament_entries', playerId))
+    .map(entry => entry.tournament_id))
+  const tournamentsOfB = tournamentsOf(playerBId)
+  return [...tournamentsOf(playerAId)].some(tournamentId => tournamentsOfB.has(tournamentId))
+}
+
+// Trash data with the rows of a merged player moved to the player it was merged into,
+// as mergePlayers does with live rows: where both have a row for the same parent, the
+// merged player's row is dropped. Returns null when nothing refers to the player.
+export const reassignTrashPlayer = (data, sourceId, targetId) => {
+  let changed = false
+  const reassigned = { ...data }
+  for (const [table, columns] of Object.entries(TRASH_PLAYER_COLUMNS)) {
+    if (!Array.isArray(data[table])) continue
+    const parentColumn = TRASH_ONE_ROW_PER_PLAYER[table]
+    const targetParents = new Set(data[table]
+      .filter(row => parentColumn && row.player_id === targetId)
+      .map(row => row[parentColumn]))
+    reassigned[table] = data[table].flatMap((row) => {
+      if (!columns.some(column => row[column] === sourceId)) return [row]
+      changed = true
+      if (parentColumn && targetParents.has(row[parentColumn])) return []
+      return [{ ...row, ...Object.fromEntries(columns.filter(column => row[column] === sourceId).map(column => [column, targetId])) }]
+    })
+  }
+  return changed ? reassigned : null
+}
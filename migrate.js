@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+// Schema migration CLI for Pickleball Ranking System
+// Usage: node migrate.js [up|down|status] [options]
+
+import PickleballDatabaseFactory from './database-factory.js'
+import { createMigrator, loadMigrations } from './lib/migrations.js'
+
+// Parse command line arguments
+const args = process.argv.slice(2)
+const command = args.find(arg => !arg.startsWith('-')) || 'up'
+const optionValue = (name) => {
+  const value = args.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1]
+  return value === undefined ? null : parseInt(value)
+}
+const options = {
+  to: optionValue('to'),
+  steps: optionValue('steps'),
+  help: args.includes('--help') || args.includes('-h')
+}
+
+function showHelp() {
+  console.log(`
+Pickleball Ranking System - Schema Migrations
+
+Usage: node migrate.js [command] [options]
+
+Commands:
+  up             Apply pending migrations (default)
+  down           Roll back applied migrations (default: the last one)
+  status         List migrations and whether they are applied
+
+Options:
+  --to=N         up: stop after version N; down: roll back every version above N
+  --steps=N      down: number of migrations to roll back (default: 1)
+  -h, --help     Show this help message
+
+The backend is chosen by DB_TYPE (sqlite or postgresql), as in database-factory.js.
+
+Examples:
+  node migrate.js                  # Apply all pending migrations
+  node migrate.js status           # Show applied and pending migrations
+  node migrate.js down             # Roll back the last migration
+  node migrate.js down --to=1      # Roll back everything after version 1
+`)
+}
+
+const formatMigration = (migration) => `${String(migration.version).padStart(3, '0')}_${migration.name}`
+
+async function main() {
+  if (options.help) {
+    showHelp()
+    return
+  }
+  if (!['up', 'down', 'status'].includes(command)) {
+    console.error(`❌ Unknown command "${command}". Use --help to list commands.`)
+    process.exitCode = 1
+    return
+  }
+  if ((args.some(arg => arg.startsWith('--to=')) && !Number.isInteger(options.to)) ||
+    (args.some(arg => arg.startsWith('--steps=')) && !(options.steps > 0))) {
+    console.error('❌ --to and --steps must be whole numbers')
+    process.exitCode = 1
+    return
+  }
+
+  const db = PickleballDatabaseFactory.instantiate()
+  await db.connect()
+  try {
+    const migrator = createMigrator(db.migrationAdapter(), await loadMigrations())
+
+    if (command === 'status') {
+      const migrations = await migrator.status()
+      if (migrations.length === 0) {
+        console.log('No migrations found')
+      }
+      for (const migration of migrations) {
+        const appliedAt = migration.applied_at ? ` (${new Date(migration.applied_at).toLocaleString()})` : ''
+        console.log(`${migration.state.padEnd(8)} ${formatMigration(migration)}${appliedAt}`)
+      }
+    } else if (command === 'up') {
+      const applied = await migrator.migrate({ to: options.to ?? Infinity })
+      for (const migration of applied) {
+        console.log(`⬆️  Applied ${formatMigration(migration)}`)
+      }
+      console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Schema is up to date')
+    } else {
+      const rolledBack = await migrator.rollback({ steps: options.steps ?? 1, to: options.to })
+      for (const migration of rolledBack) {
+        console.log(`⬇️  Rolled back ${formatMigration(migration)}`)
+      }
+      console.log(rolledBack.length > 0 ? `✅ Rolled back ${rolledBack.length} migration(s)` : '✅ Nothing to roll back')
+    }
+  } finally {
+    await db.close()
+  }
+}
+
+main().catch((error) => {
+  console.error('💥 Migration failed:', error.message)
+  process.exitCode = 1
+})
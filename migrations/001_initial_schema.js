@@ -0,0 +1,526 @@
+// Baseline schema: every table as it stood when versioned migrations were introduced.
+// The statements are idempotent (IF NOT EXISTS, guarded ALTERs) so databases created
+// before migrations existed are adopted as they are.
+
+const upPostgreSQL = async (db) => {
+  // Players table
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS players (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) UNIQUE NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `)
+
+  // Archived players are hidden from player lists but keep their match history
+  await db.query(`
+    DO $$ BEGIN
+      ALTER TABLE players ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP;
+    EXCEPTION WHEN duplicate_column THEN NULL;
+    END $$;
+  `)
+
+  // Optional player details (see lib/player-details.js). avatar_path is a file name under data/avatars.
+  await db.query(`
+    DO $$ BEGIN
+      ALTER TABLE players ADD COLUMN IF NOT EXISTS nickname VARCHAR(100);
+      ALTER TABLE players ADD COLUMN IF NOT EXISTS avatar_path VARCHAR(255);
+      ALTER TABLE players ADD COLUMN IF NOT EXISTS dominant_hand VARCHAR(20) CHECK (dominant_hand IN ('right', 'left', 'ambidextrous'));
+      ALTER TABLE players ADD COLUMN IF NOT EXISTS preferred_side VARCHAR(10) CHECK (preferred_side IN ('left', 'right', 'either'));
+      ALTER TABLE players ADD COLUMN IF NOT EXISTS phone VARCHAR(30);
+      ALTER TABLE players ADD COLUMN IF NOT EXISTS email VARCHAR(255);
+      ALTER TABLE players ADD COLUMN IF NOT EXISTS bio TEXT;
+    EXCEPTION WHEN duplicate_column THEN NULL;
+    END $$;
+  `)
+
+  // Seasons table - supports multiple concurrent active seasons
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS seasons (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      start_date DATE NOT NULL,
+      end_date DATE,
+      is_active BOOLEAN DEFAULT true,
+      auto_end BOOLEAN DEFAULT true,
+      description TEXT,
+      lose_money INTEGER DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      ended_at TIMESTAMP,
+      ended_by VARCHAR(255)
+    )
+  `)
+
+  // Add lose_money column if it doesn't exist (for existing databases)
+  await db.query(`
+    DO $$ BEGIN
+      ALTER TABLE seasons ADD COLUMN IF NOT EXISTS lose_money INTEGER DEFAULT 0;
+    EXCEPTION WHEN duplicate_column THEN NULL;
+    END $$;
+  `)
+
+  // Scoring rules of a season. No target score means no rules: any score is accepted.
+  await db.query(`
+    DO $$ BEGIN
+      ALTER TABLE seasons ADD COLUMN IF NOT EXISTS target_score INTEGER;
+      ALTER TABLE seasons ADD COLUMN IF NOT EXISTS win_by INTEGER DEFAULT 2;
+      ALTER TABLE seasons ADD COLUMN IF NOT EXISTS score_cap INTEGER;
+      ALTER TABLE seasons ADD COLUMN IF NOT EXISTS scoring_system VARCHAR(10) DEFAULT 'side_out' CHECK (scoring_system IN ('side_out', 'rally'));
+    EXCEPTION WHEN duplicate_column THEN NULL;
+    END $$;
+  `)
+
+  // Ranking points formula of a season (defaults match the original 4 per win, 1 per loss)
+  await db.query(`
+    DO $$ BEGIN
+      ALTER TABLE seasons ADD COLUMN IF NOT EXISTS points_per_win INTEGER NOT NULL DEFAULT 4;
+      ALTER TABLE seasons ADD COLUMN IF NOT EXISTS points_per_loss INTEGER NOT NULL DEFAULT 1;
+      ALTER TABLE seasons ADD COLUMN IF NOT EXISTS bonus_points INTEGER NOT NULL DEFAULT 0;
+      ALTER TABLE seasons ADD COLUMN IF NOT EXISTS bonus_type VARCHAR(10) NOT NULL DEFAULT 'none' CHECK (bonus_type IN ('none', 'shutout', 'margin'));
+      ALTER TABLE seasons ADD COLUMN IF NOT EXISTS bonus_margin INTEGER;
+      ALTER TABLE seasons ADD COLUMN IF NOT EXISTS tiebreak_order VARCHAR(255) NOT NULL DEFAULT 'goal_difference,win_percentage';
+    EXCEPTION WHEN duplicate_column THEN NULL;
+    END $$;
+  `)
+
+  // Matches table
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS matches (
+      id SERIAL PRIMARY KEY,
+      season_id INTEGER NOT NULL REFERENCES seasons(id),
+      play_date DATE NOT NULL,
+      match_type VARCHAR(10) DEFAULT 'duo' CHECK (match_type IN ('solo', 'duo')),
+      player1_id INTEGER NOT NULL REFERENCES players(id),
+      player2_id INTEGER REFERENCES players(id),
+      player3_id INTEGER NOT NULL REFERENCES players(id),
+      player4_id INTEGER REFERENCES players(id),
+      team1_score INTEGER NOT NULL,
+      team2_score INTEGER NOT NULL,
+      winning_team INTEGER NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `)
+
+  // Add match_type column if it doesn't exist (for existing databases)
+  await db.query(`
+    DO $$ BEGIN
+      ALTER TABLE matches ADD COLUMN IF NOT EXISTS match_type VARCHAR(10) DEFAULT 'duo' CHECK (match_type IN ('solo', 'duo'));
+    EXCEPTION WHEN duplicate_column THEN NULL;
+    END $$;
+  `)
+
+  // Make player2_id and player4_id nullable for solo matches (migration for existing databases)
+  await db.query(`
+    DO $$ BEGIN
+      ALTER TABLE matches ALTER COLUMN player2_id DROP NOT NULL;
+    EXCEPTION WHEN others THEN NULL;
+    END $$;
+  `)
+  await db.query(`
+    DO $$ BEGIN
+      ALTER TABLE matches ALTER COLUMN player4_id DROP NOT NULL;
+    EXCEPTION WHEN others THEN NULL;
+    END $$;
+  `)
+
+  // Per-match stake override (money each loser owes); NULL uses the season's lose_money
+  await db.query(`
+    ALTER TABLE matches ADD COLUMN IF NOT EXISTS stake INTEGER CHECK (stake >= 0);
+  `)
+
+  // Match games table - individual game scores of a best-of-N match.
+  // matches.team1_score/team2_score then hold the point totals across games.
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS match_games (
+      id SERIAL PRIMARY KEY,
+      match_id INTEGER NOT NULL REFERENCES matches(id) ON DELETE CASCADE,
+      game_number INTEGER NOT NULL,
+      team1_score INTEGER NOT NULL,
+      team2_score INTEGER NOT NULL,
+      UNIQUE(match_id, game_number)
+    )
+  `)
+
+  // Season players table - tracks which players participate in each season
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS season_players (
+      id SERIAL PRIMARY KEY,
+      season_id INTEGER NOT NULL REFERENCES seasons(id) ON DELETE CASCADE,
+      player_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+      joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(season_id, player_id)
+    )
+  `)
+
+  // Users table - for admin/editor authentication
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      username VARCHAR(255) UNIQUE NOT NULL,
+      password_hash VARCHAR(255) NOT NULL,
+      email VARCHAR(255),
+      role VARCHAR(50) NOT NULL CHECK (role IN ('admin', 'editor')),
+      is_active BOOLEAN DEFAULT true,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      created_by VARCHAR(255),
+      last_login TIMESTAMP
+    )
+  `)
+
+  // Tournaments - elimination brackets played inside a season
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS tournaments (
+      id SERIAL PRIMARY KEY,
+      season_id INTEGER NOT NULL REFERENCES seasons(id) ON DELETE CASCADE,
+      name VARCHAR(255) NOT NULL,
+      format VARCHAR(30) NOT NULL CHECK (format IN ('single_elimination', 'double_elimination')),
+      entry_type VARCHAR(10) NOT NULL CHECK (entry_type IN ('solo', 'duo')),
+      status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'completed')),
+      champion_entry_id INTEGER,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      created_by VARCHAR(255)
+    )
+  `)
+
+  // Tournament entries - one player (solo) or a fixed pair (duo) with its seed
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS tournament_entries (
+      id SERIAL PRIMARY KEY,
+      tournament_id INTEGER NOT NULL REFERENCES tournaments(id) ON DELETE CASCADE,
+      seed INTEGER NOT NULL,
+      player1_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+      player2_id INTEGER REFERENCES players(id) ON DELETE CASCADE,
+      UNIQUE(tournament_id, seed)
+    )
+  `)
+
+  // Tournament matches - bracket nodes linked by bracket_key (see lib/tournament-bracket.js)
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS tournament_matches (
+      id SERIAL PRIMARY KEY,
+      tournament_id INTEGER NOT NULL REFERENCES tournaments(id) ON DELETE CASCADE,
+      bracket_key VARCHAR(20) NOT NULL,
+      bracket VARCHAR(20) NOT NULL CHECK (bracket IN ('winners', 'losers', 'grand_final')),
+      round INTEGER NOT NULL,
+      position INTEGER NOT NULL,
+      seed1 INTEGER,
+      seed2 INTEGER,
+      next_key VARCHAR(20),
+      next_slot INTEGER,
+      loser_next_key VARCHAR(20),
+      loser_next_slot INTEGER,
+      entry1_id INTEGER REFERENCES tournament_entries(id) ON DELETE SET NULL,
+      entry2_id INTEGER REFERENCES tournament_entries(id) ON DELETE SET NULL,
+      winner_entry_id INTEGER REFERENCES tournament_entries(id) ON DELETE SET NULL,
+      match_id INTEGER REFERENCES matches(id) ON DELETE SET NULL,
+      status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'ready', 'completed', 'bye', 'void')),
+      UNIQUE(tournament_id, bracket_key)
+    )
+  `)
+
+  // Scheduled matches - planned games and generated fixtures that become real matches once scored.
+  // round is only set for round-robin fixtures.
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS scheduled_matches (
+      id SERIAL PRIMARY KEY,
+      season_id INTEGER NOT NULL REFERENCES seasons(id) ON DELETE CASCADE,
+      play_date DATE NOT NULL,
+      scheduled_time TIME,
+      round INTEGER,
+      court INTEGER,
+      match_type VARCHAR(10) DEFAULT 'duo' CHECK (match_type IN ('solo', 'duo')),
+      player1_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+      player2_id INTEGER REFERENCES players(id) ON DELETE CASCADE,
+      player3_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+      player4_id INTEGER REFERENCES players(id) ON DELETE CASCADE,
+      status VARCHAR(20) DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'completed', 'cancelled')),
+      match_id INTEGER REFERENCES matches(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      created_by VARCHAR(255)
+    )
+  `)
+
+  // Check-ins - players confirming (or declining) a scheduled match
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS scheduled_match_checkins (
+      id SERIAL PRIMARY KEY,
+      scheduled_match_id INTEGER NOT NULL REFERENCES scheduled_matches(id) ON DELETE CASCADE,
+      player_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+      status VARCHAR(20) NOT NULL CHECK (status IN ('confirmed', 'declined')),
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_by VARCHAR(255),
+      UNIQUE(scheduled_match_id, player_id)
+    )
+  `)
+
+  // Money ledger - payments into the pot and manual charges per season.
+  // Match stakes are not stored here: they are derived from the matches so edits stay in sync.
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS ledger_entries (
+      id SERIAL PRIMARY KEY,
+      season_id INTEGER NOT NULL REFERENCES seasons(id) ON DELETE CASCADE,
+      player_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+      entry_type VARCHAR(10) NOT NULL CHECK (entry_type IN ('payment', 'charge')),
+      amount INTEGER NOT NULL CHECK (amount > 0),
+      entry_date DATE NOT NULL DEFAULT CURRENT_DATE,
+      note TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      created_by VARCHAR(255)
+    )
+  `)
+
+  // Attendance - players marked present on a play date, including those who did not play.
+  // Players with a match on the date count as present without a row here.
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS attendance (
+      id SERIAL PRIMARY KEY,
+      play_date DATE NOT NULL,
+      player_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      created_by VARCHAR(255),
+      UNIQUE(play_date, player_id)
+    )
+  `)
+
+  // Audit log - every change made through the API, with before/after snapshots (see lib/audit.js).
+  // entity_id has no foreign key so entries outlive deleted rows.
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id SERIAL PRIMARY KEY,
+      occurred_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      actor VARCHAR(255),
+      action VARCHAR(20) NOT NULL,
+      entity_type VARCHAR(30) NOT NULL,
+      entity_id INTEGER,
+      before_data JSONB,
+      after_data JSONB,
+      reverted_by INTEGER REFERENCES audit_log(id) ON DELETE SET NULL
+    )
+  `)
+
+  // Trash - deleted matches and seasons, kept as JSON copies of their rows until restored or purged
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS trash (
+      id SERIAL PRIMARY KEY,
+      entity_type VARCHAR(20) NOT NULL CHECK (entity_type IN ('match', 'season')),
+      entity_id INTEGER NOT NULL,
+      label TEXT,
+      data JSONB NOT NULL,
+      deleted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      deleted_by VARCHAR(255)
+    )
+  `)
+
+  // Create indexes for better performance
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_matches_play_date ON matches(play_date);
+  `)
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_matches_season_id ON matches(season_id);
+  `)
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_seasons_active ON seasons(is_active);
+  `)
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_season_players_season ON season_players(season_id);
+  `)
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_season_players_player ON season_players(player_id);
+  `)
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
+  `)
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_tournaments_season ON tournaments(season_id);
+  `)
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_tournament_matches_tournament ON tournament_matches(tournament_id);
+  `)
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_scheduled_matches_date ON scheduled_matches(play_date);
+  `)
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_match_games_match ON match_games(match_id);
+  `)
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_ledger_entries_season ON ledger_entries(season_id, player_id);
+  `)
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_attendance_player ON attendance(player_id);
+  `)
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id);
+  `)
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_audit_log_occurred_at ON audit_log(occurred_at);
+  `)
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_trash_deleted_at ON trash(deleted_at);
+  `)
+}
+
+const upSQLite = async (db) => {
+  // Players table
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS players (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `)
+
+  // Seasons table
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS seasons (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      start_date DATE NOT NULL,
+      end_date DATE,
+      is_active BOOLEAN DEFAULT 1,
+      target_score INTEGER,
+      win_by INTEGER DEFAULT 2,
+      score_cap INTEGER,
+      scoring_system TEXT DEFAULT 'side_out' CHECK (scoring_system IN ('side_out', 'rally')),
+      points_per_win INTEGER NOT NULL DEFAULT 4,
+      points_per_loss INTEGER NOT NULL DEFAULT 1,
+      bonus_points INTEGER NOT NULL DEFAULT 0,
+      bonus_type TEXT NOT NULL DEFAULT 'none' CHECK (bonus_type IN ('none', 'shutout', 'margin')),
+      bonus_margin INTEGER,
+      tiebreak_order TEXT NOT NULL DEFAULT 'goal_difference,win_percentage',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `)
+
+  // Scoring rules and points formula columns for databases created before they existed.
+  // No target score means no rules: any score is accepted.
+  const seasonColumns = (await db.query('PRAGMA table_info(seasons)')).map(column => column.name)
+  const addedSeasonColumns = {
+    target_score: 'INTEGER',
+    win_by: 'INTEGER DEFAULT 2',
+    score_cap: 'INTEGER',
+    scoring_system: "TEXT DEFAULT 'side_out'",
+    points_per_win: 'INTEGER NOT NULL DEFAULT 4',
+    points_per_loss: 'INTEGER NOT NULL DEFAULT 1',
+    bonus_points: 'INTEGER NOT NULL DEFAULT 0',
+    bonus_type: "TEXT NOT NULL DEFAULT 'none'",
+    bonus_margin: 'INTEGER',
+    tiebreak_order: "TEXT NOT NULL DEFAULT 'goal_difference,win_percentage'"
+  }
+  for (const [column, definition] of Object.entries(addedSeasonColumns)) {
+    if (!seasonColumns.includes(column)) {
+      await db.exec(`ALTER TABLE seasons ADD COLUMN ${column} ${definition}`)
+    }
+  }
+
+  // Matches table
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS matches (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      season_id INTEGER NOT NULL,
+      play_date DATE NOT NULL,
+      player1_id INTEGER NOT NULL,
+      player2_id INTEGER NOT NULL,
+      player3_id INTEGER NOT NULL,
+      player4_id INTEGER NOT NULL,
+      team1_score INTEGER NOT NULL,
+      team2_score INTEGER NOT NULL,
+      winning_team INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (season_id) REFERENCES seasons(id),
+      FOREIGN KEY (player1_id) REFERENCES players(id),
+      FOREIGN KEY (player2_id) REFERENCES players(id),
+      FOREIGN KEY (player3_id) REFERENCES players(id),
+      FOREIGN KEY (player4_id) REFERENCES players(id)
+    )
+  `)
+
+  // Match games table - individual game scores of a best-of-N match.
+  // matches.team1_score/team2_score then hold the point totals across games.
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS match_games (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      match_id INTEGER NOT NULL,
+      game_number INTEGER NOT NULL,
+      team1_score INTEGER NOT NULL,
+      team2_score INTEGER NOT NULL,
+      UNIQUE(match_id, game_number),
+      FOREIGN KEY (match_id) REFERENCES matches(id) ON DELETE CASCADE
+    )
+  `)
+
+  // Scheduled matches table - planned games that become real matches once scored
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS scheduled_matches (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      season_id INTEGER NOT NULL,
+      play_date DATE NOT NULL,
+      scheduled_time TEXT,
+      round INTEGER,
+      court INTEGER,
+      match_type TEXT DEFAULT 'duo' CHECK (match_type IN ('solo', 'duo')),
+      player1_id INTEGER NOT NULL,
+      player2_id INTEGER,
+      player3_id INTEGER NOT NULL,
+      player4_id INTEGER,
+      status TEXT DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'completed', 'cancelled')),
+      match_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      created_by TEXT,
+      FOREIGN KEY (season_id) REFERENCES seasons(id) ON DELETE CASCADE,
+      FOREIGN KEY (match_id) REFERENCES matches(id) ON DELETE SET NULL
+    )
+  `)
+
+  // Scheduled match check-ins table
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS scheduled_match_checkins (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      scheduled_match_id INTEGER NOT NULL,
+      player_id INTEGER NOT NULL,
+      status TEXT NOT NULL CHECK (status IN ('confirmed', 'declined')),
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_by TEXT,
+      UNIQUE(scheduled_match_id, player_id),
+      FOREIGN KEY (scheduled_match_id) REFERENCES scheduled_matches(id) ON DELETE CASCADE,
+      FOREIGN KEY (player_id) REFERENCES players(id)
+    )
+  `)
+
+  // Create indexes for better performance
+  await db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_matches_play_date ON matches(play_date);
+    CREATE INDEX IF NOT EXISTS idx_matches_season_id ON matches(season_id);
+    CREATE INDEX IF NOT EXISTS idx_seasons_active ON seasons(is_active);
+    CREATE INDEX IF NOT EXISTS idx_scheduled_matches_date ON scheduled_matches(play_date);
+    CREATE INDEX IF NOT EXISTS idx_match_games_match ON match_games(match_id);
+  `)
+}
+
+export const up = async (db) => db.dialect === 'postgresql' ? upPostgreSQL(db) : upSQLite(db)
+
+// Children first, so foreign keys never block a drop
+const POSTGRESQL_TABLES = [
+  'trash',
+  'audit_log',
+  'attendance',
+  'ledger_entries',
+  'scheduled_match_checkins',
+  'scheduled_matches',
+  'tournament_matches',
+  'tournament_entries',
+  'tournaments',
+  'users',
+  'season_players',
+  'match_games',
+  'matches',
+  'seasons',
+  'players'
+]
+const SQLITE_TABLES = ['scheduled_match_checkins', 'scheduled_matches', 'match_games', 'matches', 'seasons', 'players']
+
+export const down = async (db) => {
+  const tables = db.dialect === 'postgresql' ? POSTGRESQL_TABLES : SQLITE_TABLES
+  for (const table of tables) {
+    await db.exec(`DROP TABLE IF EXISTS ${table}`)
+  }
+}
@@ -0,0 +1,35 @@
+// Brings the SQLite schema in line with PostgreSQL for the columns the shared
+// repositories read: matches.match_type and matches.stake, seasons.lose_money.
+// PostgreSQL already has them from the baseline, so this is a no-op there.
+// Existing SQLite seasons get the 20000 per loss the SQLite backend used to hard-code,
+// so money totals do not change.
+
+const LEGACY_SQLITE_LOSE_MONEY = 20000
+
+const columnsOf = async (db, table) => (await db.query(`PRAGMA table_info(${table})`)).map(column => column.name)
+
+export const up = async (db) => {
+  if (db.dialect === 'postgresql') return
+
+  const seasonColumns = await columnsOf(db, 'seasons')
+  if (!seasonColumns.includes('lose_money')) {
+    await db.exec('ALTER TABLE seasons ADD COLUMN lose_money INTEGER DEFAULT 0')
+    await db.exec(`UPDATE seasons SET lose_money = ${LEGACY_SQLITE_LOSE_MONEY}`)
+  }
+
+  const matchColumns = await columnsOf(db, 'matches')
+  if (!matchColumns.includes('match_type')) {
+    await db.exec("ALTER TABLE matches ADD COLUMN match_type TEXT DEFAULT 'duo' CHECK (match_type IN ('solo', 'duo'))")
+  }
+  if (!matchColumns.includes('stake')) {
+    await db.exec('ALTER TABLE matches ADD COLUMN stake INTEGER CHECK (stake >= 0)')
+  }
+}
+
+export const down = async (db) => {
+  if (db.dialect === 'postgresql') return
+
+  await db.exec('ALTER TABLE matches DROP COLUMN stake')
+  await db.exec('ALTER TABLE matches DROP COLUMN match_type')
+  await db.exec('ALTER TABLE seasons DROP COLUMN lose_money')
+}
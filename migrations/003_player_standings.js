@@ -0,0 +1,54 @@
+// Materialized standings: one row per player with matches in a scope, where a scope
+// is the lifetime (scope_key ''), a season (its id) or a play date (YYYY-MM-DD).
+// Rows are derived data, kept up to date by lib/standings.js and rebuilt at startup.
+
+const upPostgreSQL = async (db) => {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS player_standings (
+      scope_type VARCHAR(10) NOT NULL CHECK (scope_type IN ('lifetime', 'season', 'date')),
+      scope_key VARCHAR(20) NOT NULL,
+      player_id INTEGER NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+      wins INTEGER NOT NULL DEFAULT 0,
+      losses INTEGER NOT NULL DEFAULT 0,
+      total_matches INTEGER NOT NULL DEFAULT 0,
+      points_for INTEGER NOT NULL DEFAULT 0,
+      points_against INTEGER NOT NULL DEFAULT 0,
+      games_won INTEGER NOT NULL DEFAULT 0,
+      games_lost INTEGER NOT NULL DEFAULT 0,
+      points INTEGER NOT NULL DEFAULT 0,
+      money_lost BIGINT NOT NULL DEFAULT 0,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (scope_type, scope_key, player_id)
+    )
+  `)
+  await db.query('CREATE INDEX IF NOT EXISTS idx_player_standings_player ON player_standings(player_id)')
+}
+
+const upSQLite = async (db) => {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS player_standings (
+      scope_type TEXT NOT NULL CHECK (scope_type IN ('lifetime', 'season', 'date')),
+      scope_key TEXT NOT NULL,
+      player_id INTEGER NOT NULL,
+      wins INTEGER NOT NULL DEFAULT 0,
+      losses INTEGER NOT NULL DEFAULT 0,
+      total_matches INTEGER NOT NULL DEFAULT 0,
+      points_for INTEGER NOT NULL DEFAULT 0,
+      points_against INTEGER NOT NULL DEFAULT 0,
+      games_won INTEGER NOT NULL DEFAULT 0,
+      games_lost INTEGER NOT NULL DEFAULT 0,
+      points INTEGER NOT NULL DEFAULT 0,
+      money_lost INTEGER NOT NULL DEFAULT 0,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (scope_type, scope_key, player_id),
+      FOREIGN KEY (player_id) REFERENCES players(id) ON DELETE CASCADE
+    );
+    CREATE INDEX IF NOT EXISTS idx_player_standings_player ON player_standings(player_id);
+  `)
+}
+
+export const up = async (db) => db.dialect === 'postgresql' ? upPostgreSQL(db) : upSQLite(db)
+
+export const down = async (db) => {
+  await db.exec('DROP TABLE IF EXISTS player_standings')
+}
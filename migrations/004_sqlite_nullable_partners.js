@@ -0,0 +1,70 @@
+// Solo matches on SQLite: matches.player2_id and player4_id become nullable, as they
+// are on PostgreSQL. SQLite cannot drop a NOT NULL constraint, so the table is
+// rebuilt and its rows copied over. Foreign keys are not enforced by the SQLite
+// backend, so dropping the old table leaves match_games and scheduled_matches alone.
+// No-op on PostgreSQL.
+
+const MATCH_COLUMNS = [
+  'id',
+  'season_id',
+  'play_date',
+  'match_type',
+  'player1_id',
+  'player2_id',
+  'player3_id',
+  'player4_id',
+  'team1_score',
+  'team2_score',
+  'winning_team',
+  'stake',
+  'created_at'
+]
+
+const rebuildMatches = async (db, partnerConstraint) => {
+  await db.exec(`
+    CREATE TABLE matches_rebuilt (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      season_id INTEGER NOT NULL,
+      play_date DATE NOT NULL,
+      match_type TEXT DEFAULT 'duo' CHECK (match_type IN ('solo', 'duo')),
+      player1_id INTEGER NOT NULL,
+      player2_id INTEGER${partnerConstraint},
+      player3_id INTEGER NOT NULL,
+      player4_id INTEGER${partnerConstraint},
+      team1_score INTEGER NOT NULL,
+      team2_score INTEGER NOT NULL,
+      winning_team INTEGER NOT NULL,
+      stake INTEGER CHECK (stake >= 0),
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (season_id) REFERENCES seasons(id),
+      FOREIGN KEY (player1_id) REFERENCES players(id),
+      FOREIGN KEY (player2_id) REFERENCES players(id),
+      FOREIGN KEY (player3_id) REFERENCES players(id),
+      FOREIGN KEY (player4_id) REFERENCES players(id)
+    )
+  `)
+  await db.exec(`
+    INSERT INTO matches_rebuilt (${MATCH_COLUMNS.join(', ')})
+    SELECT ${MATCH_COLUMNS.join(', ')} FROM matches
+  `)
+  await db.exec('DROP TABLE matches')
+  await db.exec('ALTER TABLE matches_rebuilt RENAME TO matches')
+  await db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_matches_play_date ON matches(play_date);
+    CREATE INDEX IF NOT EXISTS idx_matches_season_id ON matches(season_id);
+  `)
+}
+
+export const up = async (db) => {
+  if (db.dialect === 'postgresql') return
+  await rebuildMatches(db, '')
+}
+
+export const down = async (db) => {
+  if (db.dialect === 'postgresql') return
+  const [{ count }] = await db.query('SELECT COUNT(*) as count FROM matches WHERE player2_id IS NULL OR player4_id IS NULL')
+  if (count > 0) {
+    throw new Error(`Cannot make partners required again: ${count} solo match(es) exist`)
+  }
+  await rebuildMatches(db, ' NOT NULL')
+}
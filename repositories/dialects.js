@@ -0,0 +1,75 @@
+// SQL dialect adapters for the shared repositories. Repository queries are written
+// once with named parameters (:seasonId) and the few functions that differ between
+// SQLite and PostgreSQL come from the dialect: placeholders, RETURNING, dates and locks.
+// A query runner binds a dialect to a backend driver (see queryRunner() on each
+// database class).
+
+const NAMED_PARAMETER = /(?<!:):([a-zA-Z_]\w*)/g
+
+const compileWith = (placeholder, reusesPlaceholders) => (sql, params = {}) => {
+  const values = []
+  const positions = new Map()
+  const text = sql.replace(NAMED_PARAMETER, (token, name) => {
+    // Not a parameter of this query, e.g. a time literal such as 'HH24:MI'
+    if (!Object.hasOwn(params, name)) return token
+    if (reusesPlaceholders && positions.has(name)) return placeholder(positions.get(name))
+    values.push(params[name])
+    positions.set(name, values.length)
+    return placeholder(values.length)
+  })
+  return { text, values }
+}
+
+export const POSTGRESQL_DIALECT = {
+  name: 'postgresql',
+  compile: compileWith(index => `$${index}`, true),
+  returning: (column) => ` RETURNING ${column}`,
+  formatDate: (expression) => `TO_CHAR(${expression}, 'YYYY-MM-DD')`,
+  dateOf: (expression) => `DATE(${expression})`,
+  // Held until the transaction ends, across every connection to the database
+  transactionLock: (name) => `SELECT pg_advisory_xact_lock(hashtext('${name}'))`
+}
+
+// Positional ? placeholders: a parameter used twice is bound twice
+export const SQLITE_DIALECT = {
+  name: 'sqlite',
+  compile: compileWith(() => '?', false),
+  returning: () => '',
+  formatDate: (expression) => `strftime('%Y-%m-%d', ${expression})`,
+  dateOf: (expression) => `DATE(${expression})`,
+  // The database file belongs to one server process, which serializes its writers
+  transactionLock: () => null
+}
+
+export const getDialect = (name) => name === 'postgresql' ? POSTGRESQL_DIALECT : SQLITE_DIALECT
+
+/**
+ * @param {object} dialect - POSTGRESQL_DIALECT or SQLITE_DIALECT
+ * @param {object} driver - { all(text, values) -> rows, run(text, values) -> { lastId, changes }, transaction(fn(driver)) }
+ */
+export const createQueryRunner = (dialect, driver) => {
+  const runnerFor = (activeDriver) => ({
+    dialect,
+    async all(sql, params) {
+      const { text, values } = dialect.compile(sql, params)
+      return activeDriver.all(text, values)
+    },
+    async get(sql, params) {
+      return (await this.all(sql, params))[0] || null
+    },
+    // Number of rows changed
+    async run(sql, params) {
+      const { text, values } = dialect.compile(sql, params)
+      return (await activeDriver.run(text, values)).changes
+    },
+    // Id of the inserted row
+    async insert(sql, params) {
+      const { text, values } = dialect.compile(sql + dialect.returning('id'), params)
+      return (await activeDriver.run(text, values)).lastId
+    },
+    async transaction(fn) {
+      return driver.transaction(transactionDriver => fn(runnerFor(transactionDriver)))
+    }
+  })
+  return runnerFor(driver)
+}
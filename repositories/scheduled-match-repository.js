@@ -0,0 +1,91 @@
+// Writes to scheduled matches and their check-ins, shared by the SQLite and
+// PostgreSQL backends. Reads stay in each backend: they aggregate check-ins with
+// JSON functions that differ between the two.
+
+/**
+ * @param {object} runner - query runner from createQueryRunner (repositories/dialects.js)
+ */
+export const createScheduledMatchRepository = (runner) => ({
+  // fixtures: [{ round?, court?, scheduledTime?, team1: [id, id?], team2: [id, id?] }]
+  async addScheduledMatches(seasonId, playDate, matchType, fixtures, createdBy = null) {
+    return runner.transaction(async (tx) => {
+      const ids = []
+      for (const fixture of fixtures) {
+        ids.push(await tx.insert(`
+          INSERT INTO scheduled_matches (
+            season_id, play_date, scheduled_time, round, court, match_type,
+            player1_id, player2_id, player3_id, player4_id, created_by
+          )
+          VALUES (:seasonId, :playDate, :scheduledTime, :round, :court, :matchType,
+            :player1Id, :player2Id, :player3Id, :player4Id, :createdBy)
+        `, {
+          seasonId,
+          playDate,
+          scheduledTime: fixture.scheduledTime || null,
+          round: fixture.round || null,
+          court: fixture.court || null,
+          matchType,
+          player1Id: fixture.team1[0],
+          player2Id: fixture.team1[1] || null,
+          player3Id: fixture.team2[0],
+          player4Id: fixture.team2[1] || null,
+          createdBy
+        }))
+      }
+      return ids
+    })
+  },
+
+  async updateScheduledMatch(scheduledMatchId, { playDate, scheduledTime, court }) {
+    await runner.run(`
+      UPDATE scheduled_matches SET play_date = :playDate, scheduled_time = :scheduledTime, court = :court
+      WHERE id = :scheduledMatchId
+    `, { playDate, scheduledTime: scheduledTime || null, court: court || null, scheduledMatchId })
+  },
+
+  async completeScheduledMatch(scheduledMatchId, matchId) {
+    await runner.run(`
+      UPDATE scheduled_matches SET status = 'completed', match_id = :matchId WHERE id = :scheduledMatchId
+    `, { matchId, scheduledMatchId })
+  },
+
+  async cancelScheduledMatch(scheduledMatchId) {
+    await runner.run(`
+      UPDATE scheduled_matches SET status = 'cancelled' WHERE id = :scheduledMatchId
+    `, { scheduledMatchId })
+  },
+
+  // status: 'confirmed' | 'declined', or null to clear the player's answer
+  async setScheduledMatchCheckIn(scheduledMatchId, playerId, status, updatedBy = null) {
+    if (!status) {
+      await runner.run(`
+        DELETE FROM scheduled_match_checkins WHERE scheduled_match_id = :scheduledMatchId AND player_id = :playerId
+      `, { scheduledMatchId, playerId })
+      return
+    }
+    await runner.run(`
+      INSERT INTO scheduled_match_checkins (scheduled_match_id, player_id, status, updated_by)
+      VALUES (:scheduledMatchId, :playerId, :status, :updatedBy)
+      ON CONFLICT (scheduled_match_id, player_id)
+      DO UPDATE SET status = excluded.status, updated_by = excluded.updated_by, updated_at = CURRENT_TIMESTAMP
+    `, { scheduledMatchId, playerId, status, updatedBy })
+  },
+
+  // Check-ins are deleted explicitly: SQLite does not enforce ON DELETE CASCADE by default
+  async deleteScheduledMatch(scheduledMatchId) {
+    await runner.transaction(async (tx) => {
+      await tx.run('DELETE FROM scheduled_match_checkins WHERE scheduled_match_id = :scheduledMatchId', { scheduledMatchId })
+      await tx.run('DELETE FROM scheduled_matches WHERE id = :scheduledMatchId', { scheduledMatchId })
+    })
+  },
+
+  // Remove fixtures of a play day that have not been played yet (used when regenerating)
+  async deletePendingScheduledMatches(seasonId, playDate) {
+    const pending = `SELECT id FROM scheduled_matches
+      WHERE season_id = :seasonId AND play_date = :playDate AND status = 'scheduled'`
+    await runner.transaction(async (tx) => {
+      await tx.run(`DELETE FROM scheduled_match_checkins WHERE scheduled_match_id IN (${pending})`, { seasonId, playDate })
+      await tx.run(`DELETE FROM scheduled_matches WHERE id IN (${pending})`, { seasonId, playDate })
+    })
+  }
+})
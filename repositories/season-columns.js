@@ -0,0 +1,15 @@
+// Column values of a season's scoring rules and points formula, in the order both
+// backends write them to the seasons table.
+
+import { DEFAULT_POINTS_FORMULA } from '../lib/points-formula.js'
+
+// points_per_win, points_per_loss, bonus_points, bonus_type, bonus_margin, tiebreak_order column values
+export const pointsFormulaValues = (formula) => {
+  const { pointsPerWin, pointsPerLoss, bonusPoints, bonusType, bonusMargin, tiebreakers } = { ...DEFAULT_POINTS_FORMULA, ...formula }
+  return [pointsPerWin, pointsPerLoss, bonusPoints, bonusType, bonusMargin ?? null, tiebreakers.join(',')]
+}
+
+// target_score, win_by, score_cap, scoring_system column values of a season's scoring rules
+export const scoringRuleValues = (rules) => rules
+  ? [rules.targetScore, rules.winBy, rules.scoreCap ?? null, rules.scoringSystem]
+  : [null, 2, null, 'side_out']
@@ -0,0 +1,197 @@
+// Materialized standings (the player_standings table, see migrations/003), shared by
+// the SQLite and PostgreSQL backends. Rows come from the stats repository's standings
+// query, restricted to the scopes and players a change touches: a new match recomputes
+// its lifetime, season and date rows for its two to four players instead of every
+// ranking. Only players with matches in a scope have a row; reads fill in the rest.
+// Writes are serialized (in process, and with a transaction lock where the dialect has
+// one) and compute inside their transaction, so an older result never overwrites a
+// newer one.
+
+import { createStatsRepository, sortSeasonStandings } from './stats-repository.js'
+
+export const STANDINGS_COLUMNS = [
+  'wins',
+  'losses',
+  'total_matches',
+  'points_for',
+  'points_against',
+  'games_won',
+  'games_lost',
+  'points',
+  'money_lost'
+]
+
+export const lifetimeScope = () => ({ type: 'lifetime', key: '' })
+export const seasonScope = (seasonId) => ({ type: 'season', key: String(seasonId) })
+// date: YYYY-MM-DD
+export const dateScope = (date) => ({ type: 'date', key: date })
+
+export const scopeLabel = (scope) => scope.type === 'lifetime' ? 'lifetime' : `${scope.type}:${scope.key}`
+
+// Filter of the stats repository's getPlayerStandings for a scope
+const statsFilter = (scope) => {
+  if (scope.type === 'season') return { seasonId: parseInt(scope.key) }
+  if (scope.type === 'date') return { onDate: scope.key }
+  return {}
+}
+
+const uniqueScopes = (scopes) => [...new Map(scopes.map(scope => [scopeLabel(scope), scope])).values()]
+
+// Every scope with matches: lifetime, each season and each play date
+const scopesWithMatches = async (runner) => {
+  const seasons = await runner.all('SELECT id FROM seasons ORDER BY id')
+  const dates = await runner.all(`
+    SELECT DISTINCT ${runner.dialect.formatDate('play_date')} as play_date FROM matches ORDER BY play_date
+  `)
+  return [lifetimeScope(), ...seasons.map(season => seasonScope(season.id)), ...dates.map(row => dateScope(row.play_date))]
+}
+
+const writeScope = async (tx, scope, playerIds) => {
+  const rows = await createStatsRepository(tx).getPlayerStandings({ ...statsFilter(scope), playerIds })
+  const params = { scopeType: scope.type, scopeKey: scope.key }
+  if (playerIds) {
+    for (const playerId of playerIds) {
+      await tx.run(`
+        DELETE FROM player_standings WHERE scope_type = :scopeType AND scope_key = :scopeKey AND player_id = :playerId
+      `, { ...params, playerId })
+    }
+  } else {
+    await tx.run('DELETE FROM player_standings WHERE scope_type = :scopeType AND scope_key = :scopeKey', params)
+  }
+
+  for (const row of rows) {
+    if (Number(row.total_matches) === 0) continue
+    await tx.run(`
+      INSERT INTO player_standings (scope_type, scope_key, player_id, ${STANDINGS_COLUMNS.join(', ')})
+      VALUES (:scopeType, :scopeKey, :playerId, ${STANDINGS_COLUMNS.map(column => `:${column}`).join(', ')})
+    `, {
+      ...params,
+      playerId: row.id,
+      ...Object.fromEntries(STANDINGS_COLUMNS.map(column => [column, Number(row[column]) || 0]))
+    })
+  }
+}
+
+/**
+ * @param {object} runner - query runner from createQueryRunner (repositories/dialects.js)
+ */
+export const createStandingsRepository = (runner) => {
+  const stats = createStatsRepository(runner)
+  let queue = Promise.resolve()
+
+  const serialized = (fn) => {
+    const run = queue.then(fn, fn)
+    queue = run.catch(() => {})
+    return run
+  }
+
+  const writeTransaction = (fn) => serialized(() => runner.transaction(async (tx) => {
+    const lock = runner.dialect.transactionLock('player_standings')
+    if (lock) await tx.all(lock)
+    return fn(tx)
+  }))
+
+  const repository = {
+    // Recompute the given scopes, for the given players only or for everyone (null)
+    async refresh(scopes, playerIds = null) {
+      if (playerIds && playerIds.length === 0) return
+      await writeTransaction(async (tx) => {
+        for (const scope of uniqueScopes(scopes)) {
+          await writeScope(tx, scope, playerIds)
+        }
+      })
+    },
+
+    // A season's settings change its points and money: recompute the season, the
+    // lifetime and every date the season has matches on
+    async refreshSeason(seasonId) {
+      await writeTransaction(async (tx) => {
+        const dates = await tx.all(`
+          SELECT DISTINCT ${tx.dialect.formatDate('play_date')} as play_date FROM matches WHERE season_id = :seasonId
+        `, { seasonId })
+        const scopes = [lifetimeScope(), seasonScope(seasonId), ...dates.map(row => dateScope(row.play_date))]
+        for (const scope of scopes) {
+          await writeScope(tx, scope, null)
+        }
+      })
+    },
+
+    // Recompute everything. Returns the number of rows written.
+    async rebuild() {
+      return writeTransaction(async (tx) => {
+        await tx.run('DELETE FROM player_standings')
+        for (const scope of await scopesWithMatches(tx)) {
+          await writeScope(tx, scope, null)
+        }
+        const { count } = await tx.get('SELECT COUNT(*) as count FROM player_standings')
+        return Number(count)
+      })
+    },
+
+    // Standings of a scope in the shape of the stats repository's getPlayerStandings
+    async getStandings(scope) {
+      const standings = await runner.all(`
+        SELECT
+          p.id,
+          p.name,
+          COALESCE(ps.wins, 0) as wins,
+          COALESCE(ps.losses, 0) as losses,
+          COALESCE(ps.total_matches, 0) as total_matches,
+          COALESCE(ps.points_for, 0) as points_for,
+          COALESCE(ps.points_against, 0) as points_against,
+          (COALESCE(ps.points_for, 0) - COALESCE(ps.points_against, 0)) as goal_difference,
+          COALESCE(ps.games_won, 0) as games_won,
+          COALESCE(ps.games_lost, 0) as games_lost,
+          COALESCE(ps.points, 0) as points,
+          CASE WHEN (COALESCE(ps.wins, 0) + COALESCE(ps.losses, 0)) > 0
+            THEN ROUND((ps.wins * 100.0) / (ps.wins + ps.losses), 1) ELSE 0 END as win_percentage,
+          COALESCE(ps.money_lost, 0) as money_lost
+        FROM players p
+        LEFT JOIN player_standings ps
+          ON ps.player_id = p.id AND ps.scope_type = :scopeType AND ps.scope_key = :scopeKey
+        ORDER BY points DESC, goal_difference DESC, win_percentage DESC, name ASC
+      `, { scopeType: scope.type, scopeKey: scope.key })
+      if (scope.type !== 'season') return standings
+      return sortSeasonStandings(runner, parseInt(scope.key), standings)
+    },
+
+    // Compare every materialized scope with a full recompute. A scope left in the table
+    // after its matches are gone is checked too (its expected rows are all zero).
+    async check() {
+      const materialized = await runner.all('SELECT DISTINCT scope_type, scope_key FROM player_standings')
+      const scopes = uniqueScopes([
+        ...await scopesWithMatches(runner),
+        ...materialized.map(row => ({ type: row.scope_type, key: row.scope_key }))
+      ])
+
+      const mismatches = []
+      for (const scope of scopes) {
+        const [expected, actual] = await Promise.all([
+          stats.getPlayerStandings(statsFilter(scope)),
+          repository.getStandings(scope)
+        ])
+        const actualById = new Map(actual.map(row => [row.id, row]))
+        for (const row of expected) {
+          const stored = actualById.get(row.id)
+          for (const column of STANDINGS_COLUMNS) {
+            const expectedValue = Number(row[column]) || 0
+            const actualValue = Number(stored?.[column]) || 0
+            if (expectedValue !== actualValue) {
+              mismatches.push({
+                scope: scopeLabel(scope),
+                player_id: row.id,
+                name: row.name,
+                column,
+                expected: expectedValue,
+                actual: actualValue
+              })
+            }
+          }
+        }
+      }
+      return { scopes_checked: scopes.length, mismatches }
+    }
+  }
+
+  return repository
+}
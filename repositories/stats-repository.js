@@ -0,0 +1,232 @@
+// Standings and recent form, shared by the SQLite and PostgreSQL backends. Every
+// variant (lifetime, season, up to a date, on a date) is the same query with a
+// different filter on the matches joined as m.
+
+import { DEFAULT_POINTS_FORMULA, getLifetimePointsMode, getSeasonPointsFormula, sortStandings } from '../lib/points-formula.js'
+
+// Games won by each team per match. A match without game rows counts as one game.
+const MATCH_GAME_TOTALS_CTE = `match_game_totals AS (
+        SELECT m.id as match_id,
+          COALESCE(g.team1_games, CASE WHEN m.winning_team = 1 THEN 1 ELSE 0 END) as team1_games,
+          COALESCE(g.team2_games, CASE WHEN m.winning_team = 2 THEN 1 ELSE 0 END) as team2_games
+        FROM matches m
+        LEFT JOIN (
+          SELECT match_id,
+            COUNT(CASE WHEN team1_score > team2_score THEN 1 END) as team1_games,
+            COUNT(CASE WHEN team2_score > team1_score THEN 1 END) as team2_games
+          FROM match_games
+          GROUP BY match_id
+        ) g ON g.match_id = m.id
+      )`
+
+// Ranking points each team earns per match: points per win/loss plus the win bonus,
+// from each match's season formula or, with useSeasonFormula false, the global default
+const matchPointsCte = (useSeasonFormula) => {
+  const f = useSeasonFormula
+    ? { win: 's.points_per_win', loss: 's.points_per_loss', bonus: 's.bonus_points', type: 's.bonus_type', margin: 's.bonus_margin' }
+    : {
+        win: DEFAULT_POINTS_FORMULA.pointsPerWin,
+        loss: DEFAULT_POINTS_FORMULA.pointsPerLoss,
+        bonus: DEFAULT_POINTS_FORMULA.bonusPoints,
+        type: `'${DEFAULT_POINTS_FORMULA.bonusType}'`,
+        margin: 'NULL'
+      }
+  const winPoints = `${f.win} + CASE
+            WHEN ${f.type} = 'shutout' AND (CASE WHEN m.winning_team = 1 THEN m.team2_score ELSE m.team1_score END) = 0 THEN ${f.bonus}
+            WHEN ${f.type} = 'margin' AND ABS(m.team1_score - m.team2_score) >= ${f.margin} THEN ${f.bonus}
+            ELSE 0 END`
+  return `match_points AS (
+        SELECT m.id as match_id,
+          CASE WHEN m.winning_team = 1 THEN ${winPoints} ELSE ${f.loss} END as team1_points,
+          CASE WHEN m.winning_team = 2 THEN ${winPoints} ELSE ${f.loss} END as team2_points
+        FROM matches m
+        JOIN seasons s ON s.id = m.season_id
+      )`
+}
+
+const PLAYER_IN_MATCH = '(m.player1_id = p.id OR m.player2_id = p.id OR m.player3_id = p.id OR m.player4_id = p.id)'
+
+const IS_WIN = `(m.winning_team = 1 AND (m.player1_id = p.id OR m.player2_id = p.id)) OR
+            (m.winning_team = 2 AND (m.player3_id = p.id OR m.player4_id = p.id))`
+
+const IS_LOSS = `(m.winning_team = 2 AND (m.player1_id = p.id OR m.player2_id = p.id)) OR
+            (m.winning_team = 1 AND (m.player3_id = p.id OR m.player4_id = p.id))`
+
+// Per-player totals of the team the player was on (team1Column) or against (team2Column)
+const teamSum = (team1Column, team2Column) => `SUM(CASE
+            WHEN m.player1_id = p.id OR m.player2_id = p.id THEN ${team1Column}
+            WHEN m.player3_id = p.id OR m.player4_id = p.id THEN ${team2Column}
+            ELSE 0 END)`
+
+// One row per player: wins, losses, points for/against, games, ranking points and
+// money lost (match stake, else the season's lose_money) over the filtered matches.
+// playerFilter restricts the players, e.g. 'WHERE p.id IN (...)'.
+const standingsSql = (matchFilter, useSeasonFormula, playerFilter = '') => `
+      WITH ${MATCH_GAME_TOTALS_CTE},
+      ${matchPointsCte(useSeasonFormula)},
+      player_match_losses AS (
+        SELECT
+          p.id as player_id,
+          COALESCE(m.stake, s.lose_money, 0) as lose_money,
+          CASE WHEN
+            ${IS_LOSS}
+            THEN 1 ELSE 0 END as is_loss
+        FROM players p
+        LEFT JOIN matches m ON ${PLAYER_IN_MATCH}
+          ${matchFilter}
+        LEFT JOIN seasons s ON m.season_id = s.id
+        ${playerFilter}
+      ),
+      player_money AS (
+        SELECT player_id, SUM(is_loss * lose_money) as total_money_lost
+        FROM player_match_losses
+        GROUP BY player_id
+      ),
+      player_points AS (
+        SELECT
+          p.id as player_id,
+          ${teamSum('COALESCE(m.team1_score, 0)', 'COALESCE(m.team2_score, 0)')} as points_for,
+          ${teamSum('COALESCE(m.team2_score, 0)', 'COALESCE(m.team1_score, 0)')} as points_against,
+          ${teamSum('mg.team1_games', 'mg.team2_games')} as games_won,
+          ${teamSum('mg.team2_games', 'mg.team1_games')} as games_lost,
+          ${teamSum('mp.team1_points', 'mp.team2_points')} as ranking_points
+        FROM players p
+        LEFT JOIN matches m ON ${PLAYER_IN_MATCH}
+          ${matchFilter}
+        LEFT JOIN match_game_totals mg ON mg.match_id = m.id
+        LEFT JOIN match_points mp ON mp.match_id = m.id
+        ${playerFilter}
+        GROUP BY p.id
+      ),
+      player_stats AS (
+        SELECT
+          p.id,
+          p.name,
+          COUNT(CASE WHEN
+            ${IS_WIN}
+            THEN 1 END) as wins,
+          COUNT(CASE WHEN
+            ${IS_LOSS}
+            THEN 1 END) as losses,
+          COUNT(CASE WHEN m.id IS NOT NULL THEN 1 END) as total_matches
+        FROM players p
+        LEFT JOIN matches m ON ${PLAYER_IN_MATCH}
+          ${matchFilter}
+        ${playerFilter}
+        GROUP BY p.id, p.name
+      )
+      SELECT
+        ps.*,
+        COALESCE(pp.points_for, 0) as points_for,
+        COALESCE(pp.points_against, 0) as points_against,
+        (COALESCE(pp.points_for, 0) - COALESCE(pp.points_against, 0)) as goal_difference,
+        COALESCE(pp.games_won, 0) as games_won,
+        COALESCE(pp.games_lost, 0) as games_lost,
+        COALESCE(pp.ranking_points, 0) as points,
+        CASE WHEN (ps.wins + ps.losses) > 0 THEN ROUND((ps.wins * 100.0) / (ps.wins + ps.losses), 1) ELSE 0 END as win_percentage,
+        COALESCE(pm.total_money_lost, 0) as money_lost
+      FROM player_stats ps
+      LEFT JOIN player_money pm ON ps.id = pm.player_id
+      LEFT JOIN player_points pp ON ps.id = pp.player_id
+      ORDER BY points DESC, goal_difference DESC, win_percentage DESC, name ASC
+    `
+
+// Filter on m for the given scope: one season, every match up to a date, or one date
+const matchScopeFilter = (dialect, { seasonId = null, upToDate = null, onDate = null }) => {
+  if (seasonId) return 'AND m.season_id = :seasonId'
+  if (upToDate) return `AND ${dialect.dateOf('m.play_date')} <= :upToDate`
+  if (onDate) return `AND ${dialect.dateOf('m.play_date')} = :onDate`
+  return ''
+}
+
+// Named parameters for a list of player ids: { params, list } where list is ':player0, ...'
+const playerIdParams = (playerIds) => {
+  const params = Object.fromEntries(playerIds.map((id, index) => [`player${index}`, id]))
+  return { params, list: Object.keys(params).map(name => `:${name}`).join(', ') }
+}
+
+// Order season standings by the season's own tiebreakers
+export const sortSeasonStandings = async (runner, seasonId, standings) => {
+  const season = await runner.get(`
+    SELECT points_per_win, points_per_loss, bonus_points, bonus_type, bonus_margin, tiebreak_order
+    FROM seasons WHERE id = :seasonId
+  `, { seasonId })
+  return sortStandings(standings, getSeasonPointsFormula(season).tiebreakers)
+}
+
+/**
+ * @param {object} runner - query runner from createQueryRunner (repositories/dialects.js)
+ */
+export const createStatsRepository = (runner) => ({
+  // Lifetime standings when no scope is given. A season is ranked with its own points
+  // formula and tiebreakers, dates with the default formula. With playerIds only those
+  // players are computed, in no particular order.
+  async getPlayerStandings(scope = {}) {
+    const { seasonId = null, upToDate = null, onDate = null, playerIds = null } = scope
+    if (playerIds && playerIds.length === 0) return []
+    const useSeasonFormula = seasonId ? true : (!upToDate && !onDate && getLifetimePointsMode() === 'seasons')
+    const { params: playerParams, list } = playerIdParams(playerIds || [])
+    const playerFilter = playerIds ? `WHERE p.id IN (${list})` : ''
+    const standings = await runner.all(
+      standingsSql(matchScopeFilter(runner.dialect, scope), useSeasonFormula, playerFilter),
+      { seasonId, upToDate, onDate, ...playerParams }
+    )
+    if (!seasonId || playerIds) return standings
+    return sortSeasonStandings(runner, seasonId, standings)
+  },
+
+  // Latest results of a player, newest first, within the same scopes as the standings
+  async getPlayerForm(playerId, { limit = 5, ...scope } = {}) {
+    const { seasonId = null, upToDate = null, onDate = null } = scope
+    return runner.all(`
+      SELECT
+        CASE WHEN
+          (m.winning_team = 1 AND (m.player1_id = :playerId OR m.player2_id = :playerId)) OR
+          (m.winning_team = 2 AND (m.player3_id = :playerId OR m.player4_id = :playerId))
+          THEN 'win' ELSE 'loss'
+        END as result,
+        ${runner.dialect.formatDate('m.play_date')} as play_date
+      FROM matches m
+      WHERE (m.player1_id = :playerId OR m.player2_id = :playerId OR m.player3_id = :playerId OR m.player4_id = :playerId)
+        ${matchScopeFilter(runner.dialect, scope)}
+      ORDER BY m.play_date DESC, m.created_at DESC
+      LIMIT :limit
+    `, { playerId, seasonId, upToDate, onDate, limit })
+  },
+
+  // getPlayerForm for many players in one query: the latest `limit` results of each,
+  // numbered per player with a window function. Returns a Map of player id to results,
+  // with an empty list for players without matches in the scope.
+  async getFormForPlayers(playerIds, { limit = 5, ...scope } = {}) {
+    const form = new Map(playerIds.map(id => [Number(id), []]))
+    if (playerIds.length === 0) return form
+    const { seasonId = null, upToDate = null, onDate = null } = scope
+    const { params, list } = playerIdParams(playerIds)
+    const rows = await runner.all(`
+      WITH appearances AS (
+        SELECT id as match_id, player1_id as player_id, 1 as team FROM matches
+        UNION ALL SELECT id, player2_id, 1 FROM matches WHERE player2_id IS NOT NULL
+        UNION ALL SELECT id, player3_id, 2 FROM matches
+        UNION ALL SELECT id, player4_id, 2 FROM matches WHERE player4_id IS NOT NULL
+      ),
+      recent AS (
+        SELECT
+          a.player_id,
+          CASE WHEN m.winning_team = a.team THEN 'win' ELSE 'loss' END as result,
+          ${runner.dialect.formatDate('m.play_date')} as play_date,
+          ROW_NUMBER() OVER (PARTITION BY a.player_id ORDER BY m.play_date DESC, m.created_at DESC) as position
+        FROM appearances a
+        JOIN matches m ON m.id = a.match_id
+        WHERE a.player_id IN (${list})
+          ${matchScopeFilter(runner.dialect, scope)}
+      )
+      SELECT player_id, result, play_date FROM recent
+      WHERE position <= :limit
+      ORDER BY player_id, position
+    `, { ...params, seasonId, upToDate, onDate, limit })
+    for (const row of rows) {
+      form.get(Number(row.player_id))?.push({ result: row.result, play_date: row.play_date })
+    }
+    return form
+  }
+})
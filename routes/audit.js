@@ -0,0 +1,149 @@
+import { Router } from 'express'
+import { param, query } from 'express-validator'
+import { asyncHandler } from '../utils/async-handler.js'
+import { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES, changedFields, toMatchSnapshot } from '../lib/audit.js'
+import { keepsBracketResult } from '../lib/tournament-bracket.js'
+
+export const createAuditRouter = ({
+  db,
+  authenticateToken,
+  requireAdmin,
+  handleValidationErrors,
+  dataEvents,
+  audit
+}) => {
+  const router = Router()
+
+  // Audit entries, newest first, with optional filters
+  router.get(
+    '/',
+    authenticateToken,
+    requireAdmin,
+    [
+      query('entityType').optional().isIn(AUDIT_ENTITY_TYPES).withMessage('Invalid entity type'),
+      query('entityId').optional().isInt({ min: 1 }).withMessage('Invalid entity ID'),
+      query('actor').optional().isString().isLength({ max: 255 }).withMessage('Invalid actor'),
+      query('action').optional().isIn(AUDIT_ACTIONS).withMessage('Invalid action'),
+      query('from').optional().isISO8601().withMessage('Invalid from date. Use YYYY-MM-DD'),
+      query('to').optional().isISO8601().withMessage('Invalid to date. Use YYYY-MM-DD'),
+      query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200'),
+      query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be a non-negative integer')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const { entityType, entityId, actor, action, from, to } = req.query
+      const limit = req.query.limit ? parseInt(req.query.limit) : 50
+      const offset = req.query.offset ? parseInt(req.query.offset) : 0
+      const { total, entries } = await db.getAuditLog({
+        entityType,
+        entityId: entityId ? parseInt(entityId) : null,
+        actor,
+        action,
+        from,
+        to,
+        limit,
+        offset
+      })
+      res.json({
+        total,
+        limit,
+        offset,
+        entries: entries.map(entry => ({
+          ...entry,
+          changed_fields: changedFields(entry.before_data, entry.after_data),
+          revertable: entry.entity_type === 'match' && entry.action === 'update' && !entry.reverted_by
+        }))
+      })
+    })
+  )
+
+  // Put a match back the way it was before an edit. Refused when the match
+  // has been changed again since, so a later edit is never silently lost.
+  router.post(
+    '/:id/revert',
+    authenticateToken,
+    requireAdmin,
+    [param('id').isInt().withMessage('Invalid audit entry ID')],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const entry = await db.getAuditEntryById(parseInt(req.params.id))
+      if (!entry) {
+        res.status(404).json({ error: 'Audit entry not found' })
+        return
+      }
+      if (entry.entity_type !== 'match' || entry.action !== 'update') {
+        res.status(400).json({ error: 'Only match edits can be reverted' })
+        return
+      }
+      if (entry.reverted_by) {
+        res.status(400).json({ error: 'This change has already been reverted' })
+        return
+      }
+
+      const match = await db.getMatchById(entry.entity_id)
+      if (!match) {
+        res.status(404).json({ error: 'Match not found' })
+        return
+      }
+      const current = toMatchSnapshot(match)
+      if (changedFields(current, entry.after_data).length > 0) {
+        res.status(409).json({ error: 'Match has been changed since this edit' })
+        return
+      }
+
+      const before = entry.before_data
+      // The match cannot go back to a season that has since been deleted
+      if (!await db.getSeasonById(before.season_id)) {
+        res.status(409).json({ error: 'The season this match was in no longer exists. Restore the season from the trash first.' })
+        return
+      }
+      // The bracket has moved the recorded winner on, so it must stay the winner
+      const tournamentMatch = await db.getTournamentMatchByMatchId(entry.entity_id)
+      if (tournamentMatch && !keepsBracketResult(match, before)) {
+        res.status(409).json({ error: `Cannot revert: the earlier version changes the result of a tournament bracket match (${tournamentMatch.tournament_name})` })
+        return
+      }
+
+      try {
+        await db.updateMatch(
+          entry.entity_id,
+          before.season_id,
+          before.play_date,
+          before.player1_id,
+          before.player2_id,
+          before.player3_id,
+          before.player4_id,
+          before.team1_score,
+          before.team2_score,
+          before.winning_team,
+          before.match_type,
+          before.games.map(game => ({ team1Score: game.team1_score, team2Score: game.team2_score })),
+          before.stake
+        )
+      } catch (error) {
+        // Foreign key violation: a player (merged away) or the season is gone
+        if (error.code === '23503') {
+          res.status(409).json({ error: 'Cannot revert: a season or player of the earlier version no longer exists' })
+          return
+        }
+        throw error
+      }
+      const reverted = toMatchSnapshot(await db.getMatchById(entry.entity_id))
+      const revertEntryId = await audit.record(req, {
+        action: 'revert',
+        entityType: 'match',
+        entityId: entry.entity_id,
+        before: current,
+        after: reverted
+      })
+      if (revertEntryId) {
+        await db.markAuditEntryReverted(entry.id, revertEntryId)
+      }
+
+      await dataEvents.emit('matchUpdated', { before: current, after: reverted })
+      res.json({ success: true, message: 'Match edit reverted successfully' })
+    })
+  )
+
+  return router
+}
@@ -2,6 +2,7 @@ import { Router } from 'express'
 import { param, validationResult } from 'express-validator'
 import ExcelJS from 'exceljs'
 import { asyncHandler } from '../utils/async-handler.js'
+import { minGamesValidation } from '../utils/validators.js'
 
 const buildRankingsSheet = (sheet, rankings) => {
   sheet.columns = [
@@ -10,6 +11,8 @@ const buildRankingsSheet = (sheet, rankings) => {
     { header: 'Thắng', key: 'wins', width: 10 },
     { header: 'Thua', key: 'losses', width: 10 },
     { header: 'Hiệu số', key: 'goal_difference', width: 12 },
+    { header: 'Ván thắng', key: 'games_won', width: 12 },
+    { header: 'Ván thua', key: 'games_lost', width: 12 },
     { header: 'Tổng trận', key: 'total_matches', width: 15 },
     { header: 'Điểm', key: 'points', width: 10 },
     { header: 'Tỷ lệ thắng (%)', key: 'win_percentage', width: 15 },
@@ -24,6 +27,27 @@ const buildRankingsSheet = (sheet, rankings) => {
   sheet.addRows(rankedData)
 }
 
+const buildPairRankingsSheet = (sheet, pairs) => {
+  sheet.columns = [
+    { header: 'Hạng', key: 'rank', width: 10 },
+    { header: 'Người chơi 1', key: 'player_a_name', width: 25 },
+    { header: 'Người chơi 2', key: 'player_b_name', width: 25 },
+    { header: 'Thắng', key: 'wins', width: 10 },
+    { header: 'Thua', key: 'losses', width: 10 },
+    { header: 'Hiệu số', key: 'goal_difference', width: 12 },
+    { header: 'Tổng trận', key: 'total_matches', width: 15 },
+    { header: 'Tỷ lệ thắng (%)', key: 'win_percentage', width: 15 }
+  ]
+  sheet.addRows(pairs.map((pair, index) => ({ rank: index + 1, ...pair })))
+}
+
+const sendWorkbook = async (res, workbook, filename) => {
+  const buffer = await workbook.xlsx.writeBuffer()
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet')
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`)
+  res.send(buffer)
+}
+
 export const createExportRouter = ({
   db,
   checkAuth,
@@ -61,6 +85,10 @@ export const createExportRouter = ({
       { header: 'Ngày bắt đầu', key: 'start_date', width: 15 },
       { header: 'Ngày kết thúc', key: 'end_date', width: 15 },
       { header: 'Đang hoạt động', key: 'is_active', width: 15 },
+      { header: 'Điểm thắng', key: 'points_per_win', width: 12 },
+      { header: 'Điểm thua', key: 'points_per_loss', width: 12 },
+      { header: 'Điểm thưởng', key: 'bonus_points', width: 12 },
+      { header: 'Tiêu chí phụ', key: 'tiebreak_order', width: 30 },
       { header: 'Ngày tạo', key: 'created_at', width: 20 }
     ]
     const seasons = await db.getSeasons()
@@ -186,6 +214,10 @@ export const createExportRouter = ({
       { header: 'Ngày bắt đầu', key: 'start_date', width: 15 },
       { header: 'Ngày kết thúc', key: 'end_date', width: 15 },
       { header: 'Đang hoạt động', key: 'is_active', width: 15 },
+      { header: 'Điểm thắng', key: 'points_per_win', width: 12 },
+      { header: 'Điểm thua', key: 'points_per_loss', width: 12 },
+      { header: 'Điểm thưởng', key: 'bonus_points', width: 12 },
+      { header: 'Tiêu chí phụ', key: 'tiebreak_order', width: 30 },
       { header: 'Ngày tạo', key: 'created_at', width: 20 }
     ]
     const seasons = await db.getSeasons()
@@ -214,5 +246,54 @@ export const createExportRouter = ({
     res.send(buffer)
   }))
 
+  router.get('/pairs/lifetime',
+    checkAuth,
+    conditionalRateLimit(exportLimiter),
+    [minGamesValidation],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+    const minGames = parseInt(req.query.minGames) || 1
+    const workbook = new ExcelJS.Workbook()
+    const pairs = await db.getPairStats({ minGames })
+    buildPairRankingsSheet(workbook.addWorksheet('Xếp hạng cặp - Toàn thời gian'), pairs)
+    await sendWorkbook(res, workbook, 'pickleball-pairs-lifetime.xlsx')
+  }))
+
+  router.get('/pairs/season/:seasonId',
+    checkAuth,
+    conditionalRateLimit(exportLimiter),
+    [
+      param('seasonId').isInt({ min: 1 }).withMessage('Invalid season ID'),
+      minGamesValidation
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+    const seasonId = parseInt(req.params.seasonId)
+    const minGames = parseInt(req.query.minGames) || 1
+    const workbook = new ExcelJS.Workbook()
+    const season = await db.getSeasonById(seasonId)
+    const seasonName = season ? season.name : `Mùa ${seasonId}`
+    const pairs = await db.getPairStats({ seasonId, minGames })
+    buildPairRankingsSheet(workbook.addWorksheet(`Xếp hạng cặp - ${seasonName}`), pairs)
+    await sendWorkbook(res, workbook, `pickleball-pairs-season-${seasonId}.xlsx`)
+  }))
+
+  router.get('/pairs/date/:date',
+    checkAuth,
+    conditionalRateLimit(exportLimiter),
+    [
+      param('date').isISO8601().withMessage('Invalid date format. Use YYYY-MM-DD'),
+      minGamesValidation
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+    const { date } = req.params
+    const minGames = parseInt(req.query.minGames) || 1
+    const workbook = new ExcelJS.Workbook()
+    const pairs = await db.getPairStats({ playDate: date, minGames })
+    buildPairRankingsSheet(workbook.addWorksheet(`Xếp hạng cặp - ${date}`), pairs)
+    await sendWorkbook(res, workbook, `pickleball-pairs-${date}.xlsx`)
+  }))
+
   return router
 }
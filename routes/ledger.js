@@ -0,0 +1,125 @@
+import { Router } from 'express'
+import { body, param } from 'express-validator'
+import { asyncHandler } from '../utils/async-handler.js'
+import { buildSettlement } from '../lib/ledger.js'
+
+const ENTRY_TYPES = ['payment', 'charge']
+
+export const createLedgerRouter = ({
+  db,
+  checkAuth,
+  authenticateToken,
+  requireEditor,
+  conditionalRateLimit,
+  createLimiter,
+  deleteLimiter,
+  handleValidationErrors,
+  audit
+}) => {
+  const router = Router()
+
+  const seasonIdValidation = param('seasonId').isInt({ min: 1 }).withMessage('Invalid season ID')
+
+  const findSeason = async (req, res) => {
+    const season = await db.getSeasonById(parseInt(req.params.seasonId))
+    if (!season) {
+      res.status(404).json({ error: 'Season not found' })
+      return null
+    }
+    return season
+  }
+
+  // Balances and ledger entries of a season
+  router.get(
+    '/season/:seasonId',
+    checkAuth,
+    [seasonIdValidation],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const season = await findSeason(req, res)
+      if (!season) return
+      const [balances, entries] = await Promise.all([
+        db.getLedgerBalances(season.id),
+        db.getLedgerEntries(season.id)
+      ])
+      res.json({ season: { id: season.id, name: season.name, lose_money: season.lose_money }, balances, entries })
+    })
+  )
+
+  // Season-end settlement: who owes whom (or the pot)
+  router.get(
+    '/season/:seasonId/settlement',
+    checkAuth,
+    [seasonIdValidation],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const season = await findSeason(req, res)
+      if (!season) return
+      const balances = await db.getLedgerBalances(season.id)
+      res.json({ season: { id: season.id, name: season.name }, balances, ...buildSettlement(balances) })
+    })
+  )
+
+  // Record a payment into the pot or a manual charge
+  router.post(
+    '/entries',
+    authenticateToken,
+    requireEditor,
+    conditionalRateLimit(createLimiter),
+    [
+      body('seasonId').isInt({ min: 1 }).withMessage('Valid season ID is required'),
+      body('playerId').isInt({ min: 1 }).withMessage('Valid player ID is required'),
+      body('entryType').optional().isIn(ENTRY_TYPES).withMessage('Entry type must be payment or charge'),
+      body('amount').isInt({ min: 1 }).withMessage('Amount must be a positive integer'),
+      body('entryDate').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Valid date is required'),
+      body('note').optional({ nullable: true }).isString().isLength({ max: 255 }).withMessage('Note must be at most 255 characters')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const { seasonId, playerId, entryType = 'payment', amount, entryDate, note } = req.body
+      const season = await db.getSeasonById(parseInt(seasonId))
+      if (!season) {
+        res.status(404).json({ error: 'Season not found' })
+        return
+      }
+      const player = await db.getPlayerById(parseInt(playerId))
+      if (!player) {
+        res.status(404).json({ error: 'Player not found' })
+        return
+      }
+      const entryId = await db.addLedgerEntry(
+        season.id,
+        player.id,
+        entryType,
+        parseInt(amount),
+        entryDate || null,
+        note ? note.trim() : null,
+        req.user.username
+      )
+      await audit.record(req, { action: 'create', entityType: 'ledger_entry', entityId: entryId, after: await db.getLedgerEntryById(entryId) })
+      res.json({ success: true, id: entryId })
+    })
+  )
+
+  router.delete(
+    '/entries/:id',
+    authenticateToken,
+    requireEditor,
+    conditionalRateLimit(deleteLimiter),
+    [param('id').isInt().withMessage('Invalid ledger entry ID')],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const entryId = parseInt(req.params.id)
+      const entry = await db.getLedgerEntryById(entryId)
+      if (!entry) {
+        res.status(404).json({ error: 'Ledger entry not found' })
+        return
+      }
+      await db.deleteLedgerEntry(entryId)
+      await audit.record(req, { action: 'delete', entityType: 'ledger_entry', entityId: entryId, before: entry })
+      res.json({ success: true, message: 'Ledger entry deleted successfully' })
+    })
+  )
+
+  return router
+}
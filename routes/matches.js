@@ -1,6 +1,35 @@
 import { Router } from 'express'
 import { body, param } from 'express-validator'
 import { asyncHandler } from '../utils/async-handler.js'
+import { keepsBracketResult } from '../lib/tournament-bracket.js'
+import { MAX_GAMES_PER_MATCH, summarizeGames } from '../lib/match-games.js'
+import { getSeasonScoringRules, applyScoringRules } from '../lib/scoring-rules.js'
+import { toMatchSnapshot } from '../lib/audit.js'
+
+const sameTeam = (teamA, teamB) =>
+  teamA.length === teamB.length && teamA.every(playerId => teamB.includes(playerId))
+
+const TOURNAMENT_MATCH_NOT_READY = 'Tournament match is not ready to be played'
+
+const hasGames = (body) => Array.isArray(body.games) && body.games.length > 0
+
+// Match scores come from the games when game scores are sent, and the winner is always
+// derived from them. Under the season's scoring rules every score is checked too.
+const resolveMatchScores = (body, rules) => {
+  let scores
+  if (!hasGames(body)) {
+    const { team1Score, team2Score, winningTeam } = body
+    scores = { team1Score, team2Score, winningTeam, games: [] }
+  } else {
+    const summary = summarizeGames(body.games)
+    if (summary.error) return summary
+    const games = body.games.map(game => ({ team1Score: parseInt(game.team1Score), team2Score: parseInt(game.team2Score) }))
+    scores = { team1Score: summary.team1Score, team2Score: summary.team2Score, winningTeam: body.winningTeam, games }
+  }
+  const ruled = applyScoringRules(scores, rules)
+  if (ruled.error) return ruled
+  return { ...scores, winningTeam: ruled.winningTeam }
+}
 
 export const createMatchRouter = ({
   db,
@@ -11,7 +40,8 @@ export const createMatchRouter = ({
   createLimiter,
   deleteLimiter,
   handleValidationErrors,
-  rankingsCache
+  dataEvents,
+  audit
 }) => {
   const router = Router()
 
@@ -51,20 +81,73 @@ export const createMatchRouter = ({
     body('player2Id').optional({ nullable: true }).isInt().withMessage('Valid player 2 ID is required for duo'),
     body('player3Id').isInt().withMessage('Valid player 3 ID is required'),
     body('player4Id').optional({ nullable: true }).isInt().withMessage('Valid player 4 ID is required for duo'),
-    body('team1Score').isInt({ min: 0 }).withMessage('Valid team 1 score is required'),
-    body('team2Score').isInt({ min: 0 }).withMessage('Valid team 2 score is required'),
-    body('winningTeam').isInt({ min: 1, max: 2 }).withMessage('Winning team must be 1 or 2')
+    body('team1Score').if((value, { req }) => !hasGames(req.body)).isInt({ min: 0 }).withMessage('Valid team 1 score is required'),
+    body('team2Score').if((value, { req }) => !hasGames(req.body)).isInt({ min: 0 }).withMessage('Valid team 2 score is required'),
+    body('winningTeam').optional({ nullable: true }).isInt({ min: 1, max: 2 }).withMessage('Winning team must be 1 or 2'),
+    body('games').optional({ nullable: true }).isArray({ max: MAX_GAMES_PER_MATCH }).withMessage(`games must be an array of at most ${MAX_GAMES_PER_MATCH} games`),
+    body('games.*.team1Score').isInt({ min: 0 }).withMessage('Valid game score is required for team 1'),
+    body('games.*.team2Score').isInt({ min: 0 }).withMessage('Valid game score is required for team 2'),
+    body('stake').optional({ nullable: true, checkFalsy: true }).isInt({ min: 0 }).withMessage('Stake must be a non-negative integer')
   ]
 
+  // Check that a match being recorded fits the tournament bracket match it plays.
+  // Returns { error } or { tournamentMatch, winnerEntryId }.
+  const resolveTournamentMatch = async (tournamentMatchId, { matchType, seasonId, team1, team2, winningTeam }) => {
+    const tournamentMatch = await db.getTournamentMatchById(tournamentMatchId)
+    if (!tournamentMatch) {
+      return { status: 404, error: 'Tournament match not found' }
+    }
+    if (tournamentMatch.status !== 'ready') {
+      return { status: 409, error: TOURNAMENT_MATCH_NOT_READY }
+    }
+    if (tournamentMatch.entry_type !== matchType || tournamentMatch.season_id !== seasonId) {
+      return { status: 400, error: 'Match type and season must match the tournament' }
+    }
+
+    const entries = await db.getTournamentEntries(tournamentMatch.tournament_id)
+    const entryPlayers = (entryId) => {
+      const entry = entries.find(item => item.id === entryId)
+      return [entry.player1_id, entry.player2_id].filter(Boolean)
+    }
+    const entry1Players = entryPlayers(tournamentMatch.entry1_id)
+    const entry2Players = entryPlayers(tournamentMatch.entry2_id)
+
+    let teamEntries
+    if (sameTeam(team1, entry1Players) && sameTeam(team2, entry2Players)) {
+      teamEntries = [tournamentMatch.entry1_id, tournamentMatch.entry2_id]
+    } else if (sameTeam(team1, entry2Players) && sameTeam(team2, entry1Players)) {
+      teamEntries = [tournamentMatch.entry2_id, tournamentMatch.entry1_id]
+    } else {
+      return { status: 400, error: 'Players do not match the tournament match entries' }
+    }
+
+    return { tournamentMatch, winnerEntryId: teamEntries[winningTeam - 1] }
+  }
+
   router.post(
     '/',
     authenticateToken,
     requireEditor,
     conditionalRateLimit(createLimiter),
-    validateMatchPayload,
+    [
+      ...validateMatchPayload,
+      body('tournamentMatchId').optional({ nullable: true }).isInt().withMessage('Invalid tournament match ID')
+    ],
     handleValidationErrors,
     asyncHandler(async (req, res) => {
-      const { matchType = 'duo', seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam } = req.body
+      const { matchType = 'duo', seasonId, playDate, player1Id, player2Id, player3Id, player4Id, tournamentMatchId } = req.body
+      const season = await db.getSeasonById(parseInt(seasonId))
+      if (!season) {
+        res.status(400).json({ error: 'Season not found' })
+        return
+      }
+      const scores = resolveMatchScores(req.body, getSeasonScoringRules(season))
+      if (scores.error) {
+        res.status(400).json({ error: scores.error })
+        return
+      }
+      const { team1Score, team2Score, winningTeam, games } = scores
+      const stake = req.body.stake != null && req.body.stake !== '' ? parseInt(req.body.stake) : null
       
       // Validate players based on match type
       if (matchType === 'solo') {
@@ -85,9 +168,37 @@ export const createMatchRouter = ({
         }
       }
       
-      const matchId = await db.addMatch(seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam, matchType)
-      rankingsCache.clear()
-      setTimeout(() => rankingsCache.preloadCommonData(db), 100)
+      let tournamentResult = null
+      if (tournamentMatchId) {
+        tournamentResult = await resolveTournamentMatch(parseInt(tournamentMatchId), {
+          matchType,
+          seasonId: parseInt(seasonId),
+          team1: [player1Id, player2Id].filter(Boolean).map(id => parseInt(id)),
+          team2: [player3Id, player4Id].filter(Boolean).map(id => parseInt(id)),
+          winningTeam: parseInt(winningTeam)
+        })
+        if (tournamentResult.error) {
+          res.status(tournamentResult.status).json({ error: tournamentResult.error })
+          return
+        }
+      }
+      
+      const matchValues = [seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam, matchType, games, stake]
+      let matchId
+      if (tournamentResult) {
+        // Records the match and advances the winner (and loser in double elimination) together
+        const recorded = await db.addTournamentMatchResult(tournamentResult.tournamentMatch.id, tournamentResult.winnerEntryId, ...matchValues)
+        if (!recorded) {
+          res.status(409).json({ error: TOURNAMENT_MATCH_NOT_READY })
+          return
+        }
+        matchId = recorded.matchId
+      } else {
+        matchId = await db.addMatch(...matchValues)
+      }
+      const match = toMatchSnapshot(await db.getMatchById(matchId))
+      await audit.record(req, { action: 'create', entityType: 'match', entityId: matchId, after: match })
+      await dataEvents.emit('matchCreated', { match })
       res.json({ success: true, id: matchId })
     })
   )
@@ -105,7 +216,19 @@ export const createMatchRouter = ({
         res.status(404).json({ error: 'Match not found' })
         return
       }
-      const { matchType = 'duo', seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam } = req.body
+      const { matchType = 'duo', seasonId, playDate, player1Id, player2Id, player3Id, player4Id } = req.body
+      const season = await db.getSeasonById(parseInt(seasonId))
+      if (!season) {
+        res.status(400).json({ error: 'Season not found' })
+        return
+      }
+      const scores = resolveMatchScores(req.body, getSeasonScoringRules(season))
+      if (scores.error) {
+        res.status(400).json({ error: scores.error })
+        return
+      }
+      const { team1Score, team2Score, winningTeam, games } = scores
+      const stake = req.body.stake != null && req.body.stake !== '' ? parseInt(req.body.stake) : null
       
       // Validate players based on match type
       if (matchType === 'solo') {
@@ -125,9 +248,26 @@ export const createMatchRouter = ({
         }
       }
       
-      await db.updateMatch(matchId, seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam, matchType)
-      rankingsCache.clear()
-      setTimeout(() => rankingsCache.preloadCommonData(db), 100)
+      const tournamentMatch = await db.getTournamentMatchByMatchId(matchId)
+      const edited = {
+        season_id: seasonId,
+        match_type: matchType,
+        player1_id: player1Id,
+        player2_id: player2Id,
+        player3_id: player3Id,
+        player4_id: player4Id,
+        winning_team: winningTeam
+      }
+      if (tournamentMatch && !keepsBracketResult(existingMatch, edited)) {
+        res.status(409).json({ error: `The teams, season and winner of a tournament bracket match cannot be changed (${tournamentMatch.tournament_name})` })
+        return
+      }
+
+      await db.updateMatch(matchId, seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam, matchType, games, stake)
+      const before = toMatchSnapshot(existingMatch)
+      const after = toMatchSnapshot(await db.getMatchById(matchId))
+      await audit.record(req, { action: 'update', entityType: 'match', entityId: matchId, before, after })
+      await dataEvents.emit('matchUpdated', { before, after })
       res.json({ success: true, message: 'Match updated successfully' })
     })
   )
@@ -146,10 +286,20 @@ export const createMatchRouter = ({
         res.status(404).json({ error: 'Match not found' })
         return
       }
-      await db.deleteMatch(matchId)
-      rankingsCache.clear()
-      setTimeout(() => rankingsCache.preloadCommonData(db), 100)
-      res.json({ success: true, message: 'Match deleted successfully' })
+      const tournamentMatch = await db.getTournamentMatchByMatchId(matchId)
+      if (tournamentMatch) {
+        res.status(409).json({ error: `Cannot delete a match that decided a tournament bracket match (${tournamentMatch.tournament_name})` })
+        return
+      }
+      await db.deleteMatch(matchId, req.user.username)
+      await audit.record(req, {
+        action: 'delete',
+        entityType: 'match',
+        entityId: matchId,
+        before: toMatchSnapshot(existingMatch)
+      })
+      await dataEvents.emit('matchDeleted', { match: existingMatch })
+      res.json({ success: true, message: 'Match moved to trash' })
     })
   )
 
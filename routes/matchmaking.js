@@ -0,0 +1,82 @@
+import { Router } from 'express'
+import { body } from 'express-validator'
+import { asyncHandler } from '../utils/async-handler.js'
+import { buildRatingRankings } from '../lib/skill-rating.js'
+import { BALANCE_BASES, suggestBalancedTeams } from '../lib/matchmaking.js'
+
+const pairKey = (a, b) => (a < b ? `${a}:${b}` : `${b}:${a}`)
+
+export const createMatchmakingRouter = ({
+  db,
+  checkAuth,
+  handleValidationErrors
+}) => {
+  const router = Router()
+
+  // Suggest the most balanced duo teams for four players. Ranking positions come
+  // from the season when one is given, lifetime otherwise; so do the partner counts.
+  router.post(
+    '/balance',
+    checkAuth,
+    [
+      body('playerIds').isArray({ min: 4, max: 4 }).withMessage('Exactly 4 player IDs are required'),
+      body('playerIds.*').isInt().withMessage('Invalid player ID'),
+      body('seasonId').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Invalid season ID'),
+      body('basis').optional().isIn(BALANCE_BASES).withMessage('Basis must be rating or ranking')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const playerIds = req.body.playerIds.map(id => parseInt(id))
+      const seasonId = req.body.seasonId ? parseInt(req.body.seasonId) : null
+      const basis = req.body.basis || 'rating'
+
+      if (new Set(playerIds).size !== playerIds.length) {
+        res.status(400).json({ error: 'Players must be different' })
+        return
+      }
+
+      if (seasonId) {
+        const season = await db.getSeasonById(seasonId)
+        if (!season) {
+          res.status(404).json({ error: 'Season not found' })
+          return
+        }
+      }
+
+      const [players, matches, rankings, pairs] = await Promise.all([
+        db.getPlayers(),
+        db.getMatchesChronological(),
+        seasonId ? db.getPlayerStatsBySeason(seasonId) : db.getPlayerStatsLifetime(),
+        db.getPairStats({ seasonId })
+      ])
+
+      const ratingById = new Map(buildRatingRankings(players, matches).map(player => [player.id, player.rating]))
+      const rankById = new Map(rankings.map((player, index) => [player.id, index + 1]))
+      const timesTogether = new Map(pairs.map(pair => [pairKey(pair.player_a_id, pair.player_b_id), pair.total_matches]))
+
+      const selectedPlayers = []
+      for (const playerId of playerIds) {
+        const player = players.find(item => item.id === playerId)
+        if (!player) {
+          res.status(404).json({ error: `Player ${playerId} not found` })
+          return
+        }
+        selectedPlayers.push({
+          id: player.id,
+          name: player.name,
+          rating: ratingById.get(player.id),
+          rank: rankById.get(player.id) || rankings.length + 1
+        })
+      }
+
+      const suggestions = suggestBalancedTeams(selectedPlayers, {
+        basis,
+        getTimesTogether: (a, b) => timesTogether.get(pairKey(a, b)) || 0
+      })
+
+      res.json({ basis, season_id: seasonId, suggestions })
+    })
+  )
+
+  return router
+}
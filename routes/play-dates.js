@@ -0,0 +1,92 @@
+import { Router } from 'express'
+import { body, param } from 'express-validator'
+import { asyncHandler } from '../utils/async-handler.js'
+import { buildAttendanceStats } from '../lib/attendance.js'
+
+export const createPlayDateRouter = ({
+  db,
+  checkAuth,
+  authenticateToken,
+  requireEditor,
+  conditionalRateLimit,
+  createLimiter,
+  handleValidationErrors,
+  audit
+}) => {
+  const router = Router()
+
+  const dateValidation = param('date').isISO8601().withMessage('Invalid date format. Use YYYY-MM-DD')
+
+  router.get('/', checkAuth, asyncHandler(async (req, res) => {
+    const playDates = await db.getPlayDates()
+    res.json(playDates)
+  }))
+
+  router.get('/latest', checkAuth, asyncHandler(async (req, res) => {
+    const latestDate = await db.getLatestPlayDate()
+    res.json({ playDate: latestDate })
+  }))
+
+  // Attendance, per-player streaks and no-shows of a season
+  router.get(
+    '/attendance/season/:seasonId',
+    checkAuth,
+    [param('seasonId').isInt({ min: 1 }).withMessage('Invalid season ID')],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const season = await db.getSeasonById(parseInt(req.params.seasonId))
+      if (!season) {
+        res.status(404).json({ error: 'Season not found' })
+        return
+      }
+      const [presence, players, seasonPlayers] = await Promise.all([
+        db.getSeasonAttendance(season.id),
+        db.getPlayers(),
+        db.getSeasonPlayers(season.id)
+      ])
+      const stats = buildAttendanceStats(presence, players, seasonPlayers.map(player => player.id))
+      res.json({ season: { id: season.id, name: season.name }, ...stats })
+    })
+  )
+
+  // Players present on a play date
+  router.get(
+    '/:date/attendance',
+    checkAuth,
+    [dateValidation],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const attendance = await db.getAttendanceByDate(req.params.date)
+      res.json(attendance)
+    })
+  )
+
+  // Set the players marked present on a play date (replaces the existing list).
+  // Players who played a match that day stay present regardless.
+  router.put(
+    '/:date/attendance',
+    authenticateToken,
+    requireEditor,
+    conditionalRateLimit(createLimiter),
+    [
+      dateValidation,
+      body('playerIds').isArray().withMessage('playerIds must be an array'),
+      body('playerIds.*').isInt({ min: 1 }).withMessage('Each player ID must be an integer')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const playerIds = [...new Set(req.body.playerIds.map(id => parseInt(id)))]
+      const previous = await db.getAttendanceByDate(req.params.date)
+      await db.setAttendance(req.params.date, playerIds, req.user.username)
+      await audit.record(req, {
+        action: 'update',
+        entityType: 'attendance',
+        before: { play_date: req.params.date, player_ids: previous.filter(row => row.marked_present).map(row => row.player_id) },
+        after: { play_date: req.params.date, player_ids: playerIds }
+      })
+      res.json({ success: true, message: 'Attendance updated successfully' })
+    })
+  )
+
+  return router
+}
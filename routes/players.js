@@ -1,6 +1,24 @@
 import { Router } from 'express'
 import { body, param } from 'express-validator'
+import multer from 'multer'
+import { mkdir, writeFile, unlink } from 'fs/promises'
+import { join } from 'path'
 import { asyncHandler } from '../utils/async-handler.js'
+import { buildRatingHistory } from '../lib/skill-rating.js'
+import { buildPlayerProfile, buildHeadToHead } from '../lib/player-profile.js'
+import { CACHE_DEPENDENCIES } from '../lib/rankings-cache.js'
+import {
+  DOMINANT_HANDS,
+  COURT_SIDES,
+  AVATAR_MAX_BYTES,
+  AVATAR_TYPES,
+  detectImageType,
+  toPublicPlayer
+} from '../lib/player-details.js'
+
+// Duplicate name, from PostgreSQL (unique_violation) or SQLite
+const isUniqueViolation = (error) =>
+  error.code === '23505' || error.message.includes('UNIQUE constraint failed')
 
 export const createPlayerRouter = ({
   db,
@@ -12,15 +30,184 @@ export const createPlayerRouter = ({
   deleteLimiter,
   handleValidationErrors,
   rankingsCache,
-  sanitizeResponse
+  dataEvents,
+  sanitizeResponse,
+  avatarDir,
+  audit
 }) => {
   const router = Router()
 
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: AVATAR_MAX_BYTES, files: 1 }
+  })
+
+  // Single "avatar" file, with multer limit errors reported as 400
+  const uploadAvatar = (req, res, next) => {
+    upload.single('avatar')(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        const message = error.code === 'LIMIT_FILE_SIZE'
+          ? `Avatar must be at most ${AVATAR_MAX_BYTES / (1024 * 1024)} MB`
+          : error.message
+        res.status(400).json({ error: message })
+        return
+      }
+      next(error)
+    })
+  }
+
+  const removeAvatarFile = async (avatarPath) => {
+    if (!avatarPath) return
+    try {
+      await unlink(join(avatarDir, avatarPath))
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error
+    }
+  }
+
+  const validatePlayerDetails = [
+    body('nickname').optional({ nullable: true }).isString().trim().isLength({ max: 100 }).withMessage('Nickname must be at most 100 characters'),
+    body('dominantHand').optional({ nullable: true, checkFalsy: true }).isIn(DOMINANT_HANDS).withMessage('Dominant hand must be right, left or ambidextrous'),
+    body('preferredSide').optional({ nullable: true, checkFalsy: true }).isIn(COURT_SIDES).withMessage('Preferred side must be left, right or either'),
+    body('phone').optional({ nullable: true, checkFalsy: true }).matches(/^[0-9+()\-.\s]{6,30}$/).withMessage('Invalid phone number'),
+    body('email').optional({ nullable: true, checkFalsy: true }).isEmail().isLength({ max: 255 }).withMessage('Invalid email'),
+    body('bio').optional({ nullable: true }).isString().isLength({ max: 1000 }).withMessage('Bio must be at most 1000 characters')
+  ]
+
+  // Details from the request body, fields left out keep the player's current value
+  const parsePlayerDetails = (requestBody, player) => {
+    const value = (key, column) => {
+      if (!(key in requestBody)) return player[column] ?? null
+      const raw = requestBody[key]
+      return raw === null || raw === undefined || String(raw).trim() === '' ? null : String(raw).trim()
+    }
+    return {
+      nickname: value('nickname', 'nickname'),
+      dominant_hand: value('dominantHand', 'dominant_hand'),
+      preferred_side: value('preferredSide', 'preferred_side'),
+      phone: value('phone', 'phone'),
+      email: value('email', 'email'),
+      bio: value('bio', 'bio')
+    }
+  }
+
   router.get('/', checkAuth, asyncHandler(async (req, res) => {
-    const players = await db.getPlayers()
-    res.json(sanitizeResponse(players))
+    const players = await db.getPlayers({ status: 'active' })
+    const includeContact = Boolean(req.user)
+    res.json(sanitizeResponse(players.map(player => toPublicPlayer(player, { includeContact }))))
   }))
 
+  router.get('/archived', authenticateToken, requireAdmin, asyncHandler(async (req, res) => {
+    const players = await db.getPlayers({ status: 'archived' })
+    res.json(sanitizeResponse(players.map(player => toPublicPlayer(player, { includeContact: true }))))
+  }))
+
+  router.get(
+    '/:id/rating-history',
+    checkAuth,
+    [param('id').isInt().withMessage('Invalid player ID')],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const playerId = parseInt(req.params.id)
+      const player = await db.getPlayerById(playerId)
+      if (!player) {
+        res.status(404).json({ error: 'Player not found' })
+        return
+      }
+
+      // Ratings replay every match, so any match change can move this player's history
+      const { data: history } = await rankingsCache.getOrLoad(
+        `rating-history:${playerId}`,
+        { ttl: 10 * 60 * 1000, dependsOn: [CACHE_DEPENDENCIES.LIFETIME] },
+        async () => buildRatingHistory(playerId, await db.getMatchesChronological())
+      )
+
+      res.json({ player: { id: player.id, name: player.name }, history })
+    })
+  )
+
+  router.get(
+    '/:id/profile',
+    checkAuth,
+    [param('id').isInt().withMessage('Invalid player ID')],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const playerId = parseInt(req.params.id)
+      const player = await db.getPlayerById(playerId)
+      if (!player) {
+        res.status(404).json({ error: 'Player not found' })
+        return
+      }
+
+      const { data: profile } = await rankingsCache.getOrLoad(
+        `profile:${playerId}`,
+        {
+          ttl: 10 * 60 * 1000,
+          dependsOn: [CACHE_DEPENDENCIES.player(playerId), CACHE_DEPENDENCIES.PLAYERS, CACHE_DEPENDENCIES.SEASONS]
+        },
+        async () => {
+          const [matches, players] = await Promise.all([
+            db.getPlayerMatchesWithSeason(playerId),
+            db.getPlayers()
+          ])
+          const playerNames = new Map(players.map(item => [item.id, item.name]))
+          return buildPlayerProfile(playerId, matches, playerNames)
+        }
+      )
+
+      res.json(sanitizeResponse({
+        player: toPublicPlayer({
+          id: player.id,
+          name: player.name,
+          nickname: player.nickname,
+          avatar_path: player.avatar_path,
+          dominant_hand: player.dominant_hand,
+          preferred_side: player.preferred_side,
+          phone: player.phone,
+          email: player.email,
+          bio: player.bio
+        }, { includeContact: Boolean(req.user) }),
+        ...profile
+      }))
+    })
+  )
+
+  router.get(
+    '/:a/vs/:b',
+    checkAuth,
+    [
+      param('a').isInt().withMessage('Invalid player ID'),
+      param('b').isInt().withMessage('Invalid player ID')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const playerAId = parseInt(req.params.a)
+      const playerBId = parseInt(req.params.b)
+      if (playerAId === playerBId) {
+        res.status(400).json({ error: 'Cannot compare a player with themselves' })
+        return
+      }
+
+      const [playerA, playerB] = await Promise.all([
+        db.getPlayerById(playerAId),
+        db.getPlayerById(playerBId)
+      ])
+      if (!playerA || !playerB) {
+        res.status(404).json({ error: 'Player not found' })
+        return
+      }
+
+      const matches = await db.getMatchesBetweenPlayers(playerAId, playerBId)
+      const comparison = buildHeadToHead(playerAId, playerBId, matches)
+
+      res.json(sanitizeResponse({
+        player_a: { id: playerA.id, name: playerA.name },
+        player_b: { id: playerB.id, name: playerB.name },
+        ...comparison
+      }))
+    })
+  )
+
   router.post(
     '/',
     authenticateToken,
@@ -34,11 +221,11 @@ export const createPlayerRouter = ({
       const { name } = req.body
       try {
         const playerId = await db.addPlayer(name)
-        rankingsCache.clear()
-        setTimeout(() => rankingsCache.preloadCommonData(db), 100)
+        await audit.record(req, { action: 'create', entityType: 'player', entityId: playerId, after: await db.getPlayerById(playerId) })
+        await dataEvents.emit('playerChanged', { playerId })
         res.json({ success: true, id: playerId, name })
       } catch (error) {
-        if (error.message.includes('UNIQUE constraint failed')) {
+        if (isUniqueViolation(error)) {
           res.status(400).json({ error: 'Player name already exists' })
           return
         }
@@ -47,6 +234,139 @@ export const createPlayerRouter = ({
     })
   )
 
+  // Rename a player and/or update their details
+  router.put(
+    '/:id',
+    authenticateToken,
+    requireAdmin,
+    [
+      param('id').isInt().withMessage('Invalid player ID'),
+      body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Player name is required'),
+      ...validatePlayerDetails
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const playerId = parseInt(req.params.id)
+      const player = await db.getPlayerById(playerId)
+      if (!player) {
+        res.status(404).json({ error: 'Player not found' })
+        return
+      }
+
+      const name = req.body.name ?? player.name
+      if (name !== player.name) {
+        try {
+          await db.renamePlayer(playerId, name)
+        } catch (error) {
+          if (isUniqueViolation(error)) {
+            res.status(400).json({ error: 'Player name already exists' })
+            return
+          }
+          throw error
+        }
+        await dataEvents.emit('playerChanged', { playerId })
+      }
+      await db.updatePlayerDetails(playerId, parsePlayerDetails(req.body, player))
+      await audit.record(req, { action: 'update', entityType: 'player', entityId: playerId, before: player, after: await db.getPlayerById(playerId) })
+
+      res.json({ success: true, id: playerId, name })
+    })
+  )
+
+  router.get(
+    '/:id/avatar',
+    checkAuth,
+    [param('id').isInt().withMessage('Invalid player ID')],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const player = await db.getPlayerById(parseInt(req.params.id))
+      if (!player || !player.avatar_path) {
+        res.status(404).json({ error: 'Avatar not found' })
+        return
+      }
+      // Versioned by its URL (?v=avatar_path), so it can be cached for a day
+      res.set('Cache-Control', 'public, max-age=86400')
+      res.removeHeader('Pragma')
+      res.removeHeader('Expires')
+      res.sendFile(join(avatarDir, player.avatar_path), (error) => {
+        if (error && !res.headersSent) {
+          res.status(404).json({ error: 'Avatar not found' })
+        }
+      })
+    })
+  )
+
+  // Upload an avatar (multipart field "avatar"): JPEG, PNG or WebP up to AVATAR_MAX_BYTES
+  router.post(
+    '/:id/avatar',
+    authenticateToken,
+    requireAdmin,
+    conditionalRateLimit(createLimiter),
+    uploadAvatar,
+    [param('id').isInt().withMessage('Invalid player ID')],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const playerId = parseInt(req.params.id)
+      const player = await db.getPlayerById(playerId)
+      if (!player) {
+        res.status(404).json({ error: 'Player not found' })
+        return
+      }
+      if (!req.file) {
+        res.status(400).json({ error: 'Avatar file is required' })
+        return
+      }
+      const contentType = detectImageType(req.file.buffer)
+      if (!contentType) {
+        res.status(400).json({ error: 'Avatar must be a JPEG, PNG or WebP image' })
+        return
+      }
+
+      const avatarPath = `player-${playerId}-${Date.now()}.${AVATAR_TYPES[contentType]}`
+      await mkdir(avatarDir, { recursive: true })
+      await writeFile(join(avatarDir, avatarPath), req.file.buffer)
+      await db.setPlayerAvatar(playerId, avatarPath)
+      await removeAvatarFile(player.avatar_path)
+      await audit.record(req, {
+        action: 'update',
+        entityType: 'player',
+        entityId: playerId,
+        before: { avatar_path: player.avatar_path },
+        after: { avatar_path: avatarPath }
+      })
+
+      res.json({ success: true, avatar_path: avatarPath })
+    })
+  )
+
+  router.delete(
+    '/:id/avatar',
+    authenticateToken,
+    requireAdmin,
+    conditionalRateLimit(deleteLimiter),
+    [param('id').isInt().withMessage('Invalid player ID')],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const playerId = parseInt(req.params.id)
+      const player = await db.getPlayerById(playerId)
+      if (!player) {
+        res.status(404).json({ error: 'Player not found' })
+        return
+      }
+      await db.setPlayerAvatar(playerId, null)
+      await removeAvatarFile(player.avatar_path)
+      await audit.record(req, {
+        action: 'update',
+        entityType: 'player',
+        entityId: playerId,
+        before: { avatar_path: player.avatar_path },
+        after: { avatar_path: null }
+      })
+      res.json({ success: true, message: 'Avatar removed successfully' })
+    })
+  )
+
+  // Archive a player: hidden from player lists, match history is kept
   router.delete(
     '/:id',
     authenticateToken,
@@ -56,10 +376,76 @@ export const createPlayerRouter = ({
     handleValidationErrors,
     asyncHandler(async (req, res) => {
       const playerId = parseInt(req.params.id)
-      await db.removePlayer(playerId)
-      rankingsCache.clear()
-      setTimeout(() => rankingsCache.preloadCommonData(db), 100)
-      res.json({ success: true, message: 'Player removed successfully' })
+      const player = await db.getPlayerById(playerId)
+      if (!player) {
+        res.status(404).json({ error: 'Player not found' })
+        return
+      }
+      await db.archivePlayer(playerId)
+      await audit.record(req, { action: 'archive', entityType: 'player', entityId: playerId, before: player, after: await db.getPlayerById(playerId) })
+      await dataEvents.emit('playerChanged', { playerId })
+      res.json({ success: true, message: 'Player archived successfully' })
+    })
+  )
+
+  router.post(
+    '/:id/restore',
+    authenticateToken,
+    requireAdmin,
+    [param('id').isInt().withMessage('Invalid player ID')],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const playerId = parseInt(req.params.id)
+      const player = await db.getPlayerById(playerId)
+      if (!player) {
+        res.status(404).json({ error: 'Player not found' })
+        return
+      }
+      await db.restorePlayer(playerId)
+      await audit.record(req, { action: 'restore', entityType: 'player', entityId: playerId, before: player, after: await db.getPlayerById(playerId) })
+      await dataEvents.emit('playerChanged', { playerId })
+      res.json({ success: true, message: 'Player restored successfully' })
+    })
+  )
+
+  // Merge a duplicate player (:id) into another one, which keeps its name
+  router.post(
+    '/:id/merge',
+    authenticateToken,
+    requireAdmin,
+    conditionalRateLimit(deleteLimiter),
+    [
+      param('id').isInt().withMessage('Invalid player ID'),
+      body('intoPlayerId').isInt({ min: 1 }).withMessage('Valid target player ID is required')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const sourceId = parseInt(req.params.id)
+      const targetId = parseInt(req.body.intoPlayerId)
+      if (sourceId === targetId) {
+        res.status(400).json({ error: 'Cannot merge a player into themselves' })
+        return
+      }
+
+      const merged = await db.mergePlayers(sourceId, targetId, req.user.username)
+      if (!merged) {
+        res.status(404).json({ error: 'Player not found' })
+        return
+      }
+      // A match, fixture or tournament with both players would end up with the same player twice
+      if (merged.conflicts) {
+        const shared = Object.entries(merged.conflicts)
+          .filter(([, count]) => count > 0)
+          .map(([kind, count]) => `${count} ${kind.replace('_', ' ')}`)
+        res.status(400).json({ error: `Cannot merge players who are in the same match, fixture or tournament (${shared.join(', ')})`, conflicts: merged.conflicts })
+        return
+      }
+
+      const { source, target, matchesMoved, avatarPath } = merged
+      await dataEvents.emit('playersMerged', { sourceId, targetId })
+      // The merged player's row is gone, so nothing refers to its avatar any more
+      await removeAvatarFile(avatarPath)
+      res.json({ success: true, message: `Merged ${source.name} into ${target.name}`, matchesMoved })
     })
   )
 
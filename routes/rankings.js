@@ -1,6 +1,12 @@
 import { Router } from 'express'
 import { param, validationResult } from 'express-validator'
 import { asyncHandler } from '../utils/async-handler.js'
+import { minGamesValidation } from '../utils/validators.js'
+import { buildRatingRankings } from '../lib/skill-rating.js'
+import { CACHE_DEPENDENCIES } from '../lib/rankings-cache.js'
+import { withForm } from '../lib/standings.js'
+
+const { LIFETIME, PLAYERS, SEASONS, DATES } = CACHE_DEPENDENCIES
 
 export const createRankingRouter = ({ db, checkAuth, rankingsCache }) => {
   const router = Router()
@@ -14,24 +20,18 @@ export const createRankingRouter = ({ db, checkAuth, rankingsCache }) => {
     next()
   }
 
-  router.get('/lifetime', checkAuth, asyncHandler(async (req, res) => {
-    const cacheKey = 'rankings:lifetime'
-    let rankings = rankingsCache.get(cacheKey)
-    let cacheHit = true
-
-    if (!rankings) {
-      cacheHit = false
-      rankings = await db.getPlayerStatsLifetime()
-      rankings = await Promise.all(rankings.map(async (player) => {
-        const form = await db.getPlayerForm(player.id, 5)
-        return { ...player, form }
-      }))
-      rankingsCache.set(cacheKey, rankings, 10 * 60 * 1000)
-    }
-
-    res.set('X-Cache', cacheHit ? 'HIT' : 'MISS')
+  // Send the cached rankings, loading and caching them on a miss
+  const sendCached = async (res, cacheKey, options, load) => {
+    const { data: rankings, hit } = await rankingsCache.getOrLoad(cacheKey, options, load)
+    res.set('X-Cache', hit ? 'HIT' : 'MISS')
     res.set('X-Cache-Key', cacheKey)
     res.json(rankings)
+  }
+
+  router.get('/lifetime', checkAuth, asyncHandler(async (req, res) => {
+    await sendCached(res, 'rankings:lifetime', { ttl: 10 * 60 * 1000, dependsOn: [LIFETIME, PLAYERS, SEASONS] }, async () => {
+      return withForm(db, await db.getStandingsLifetime())
+    })
   }))
 
   router.get('/season/:seasonId', 
@@ -40,23 +40,10 @@ export const createRankingRouter = ({ db, checkAuth, rankingsCache }) => {
     handleValidationErrors,
     asyncHandler(async (req, res) => {
     const seasonId = parseInt(req.params.seasonId)
-    const cacheKey = `rankings:season:${seasonId}`
-    let rankings = rankingsCache.get(cacheKey)
-    let cacheHit = true
-
-    if (!rankings) {
-      cacheHit = false
-      rankings = await db.getPlayerStatsBySeason(seasonId)
-      rankings = await Promise.all(rankings.map(async (player) => {
-        const form = await db.getPlayerFormBySeason(player.id, seasonId, 5)
-        return { ...player, form }
-      }))
-      rankingsCache.set(cacheKey, rankings, 3 * 60 * 1000)
-    }
-
-    res.set('X-Cache', cacheHit ? 'HIT' : 'MISS')
-    res.set('X-Cache-Key', cacheKey)
-    res.json(rankings)
+    const dependsOn = [CACHE_DEPENDENCIES.season(seasonId), PLAYERS]
+    await sendCached(res, `rankings:season:${seasonId}`, { ttl: 3 * 60 * 1000, dependsOn }, async () => {
+      return withForm(db, await db.getStandingsBySeason(seasonId), { seasonId })
+    })
   }))
 
   router.get('/date/:date', 
@@ -65,23 +52,61 @@ export const createRankingRouter = ({ db, checkAuth, rankingsCache }) => {
     handleValidationErrors,
     asyncHandler(async (req, res) => {
     const { date } = req.params
-    const cacheKey = `rankings:date:${date}`
-    let rankings = rankingsCache.get(cacheKey)
-    let cacheHit = true
+    // Money lost comes from each match's season, so season settings matter too
+    const dependsOn = [CACHE_DEPENDENCIES.date(date), DATES, PLAYERS, SEASONS]
+    await sendCached(res, `rankings:date:${date}`, { ttl: 15 * 60 * 1000, dependsOn }, async () => {
+      return withForm(db, await db.getStandingsBySpecificDate(date), { onDate: date })
+    })
+  }))
 
-    if (!rankings) {
-      cacheHit = false
-      rankings = await db.getPlayerStatsBySpecificDate(date)
-      rankings = await Promise.all(rankings.map(async (player) => {
-        const form = await db.getPlayerFormBySpecificDate(player.id, date, 5)
-        return { ...player, form }
-      }))
-      rankingsCache.set(cacheKey, rankings, 15 * 60 * 1000)
-    }
+  // Glicko-2 skill rating, replayed from the full match history
+  router.get('/rating', checkAuth, asyncHandler(async (req, res) => {
+    await sendCached(res, 'rankings:rating', { ttl: 10 * 60 * 1000, dependsOn: [LIFETIME, PLAYERS] }, async () => {
+      const [players, matches] = await Promise.all([
+        db.getPlayers(),
+        db.getMatchesChronological()
+      ])
+      return withForm(db, buildRatingRankings(players, matches))
+    })
+  }))
 
-    res.set('X-Cache', cacheHit ? 'HIT' : 'MISS')
-    res.set('X-Cache-Key', cacheKey)
-    res.json(rankings)
+  // Pair (doubles team) leaderboard, each unordered pair of teammates is one entry
+  const sendPairRankings = (res, cacheKey, filter, ttl, dependsOn) =>
+    sendCached(res, cacheKey, { ttl, dependsOn: [...dependsOn, PLAYERS] }, () => db.getPairStats(filter))
+
+  router.get('/pairs/lifetime',
+    checkAuth,
+    [minGamesValidation],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+    const minGames = parseInt(req.query.minGames) || 1
+    await sendPairRankings(res, `rankings:pairs:lifetime:${minGames}`, { minGames }, 10 * 60 * 1000, [LIFETIME])
+  }))
+
+  router.get('/pairs/season/:seasonId',
+    checkAuth,
+    [
+      param('seasonId').isInt({ min: 1 }).withMessage('Invalid season ID'),
+      minGamesValidation
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+    const seasonId = parseInt(req.params.seasonId)
+    const minGames = parseInt(req.query.minGames) || 1
+    await sendPairRankings(res, `rankings:pairs:season:${seasonId}:${minGames}`, { seasonId, minGames }, 3 * 60 * 1000, [CACHE_DEPENDENCIES.season(seasonId)])
+  }))
+
+  router.get('/pairs/date/:date',
+    checkAuth,
+    [
+      param('date').isISO8601().withMessage('Invalid date format. Use YYYY-MM-DD'),
+      minGamesValidation
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+    const { date } = req.params
+    const minGames = parseInt(req.query.minGames) || 1
+    await sendPairRankings(res, `rankings:pairs:date:${date}:${minGames}`, { playDate: date, minGames }, 15 * 60 * 1000, [CACHE_DEPENDENCIES.date(date), DATES])
   }))
 
   return router
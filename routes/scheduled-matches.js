@@ -0,0 +1,369 @@
+import { Router } from 'express'
+import { body, param, query } from 'express-validator'
+import { asyncHandler } from '../utils/async-handler.js'
+import { generateRoundRobin } from '../lib/round-robin.js'
+import { getSeasonScoringRules, applyScoringRules } from '../lib/scoring-rules.js'
+import { toMatchSnapshot } from '../lib/audit.js'
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/
+const CHECK_IN_STATUSES = ['confirmed', 'declined']
+
+const getScheduledPlayerIds = (scheduledMatch) =>
+  [scheduledMatch.player1_id, scheduledMatch.player2_id, scheduledMatch.player3_id, scheduledMatch.player4_id].filter(Boolean)
+
+export const createScheduledMatchRouter = ({
+  db,
+  checkAuth,
+  authenticateToken,
+  requireEditor,
+  conditionalRateLimit,
+  createLimiter,
+  deleteLimiter,
+  handleValidationErrors,
+  dataEvents,
+  audit
+}) => {
+  const router = Router()
+
+  router.get(
+    '/',
+    checkAuth,
+    [
+      query('seasonId').optional().isInt({ min: 1 }).withMessage('Invalid season ID'),
+      query('date').optional().isISO8601().withMessage('Invalid date format. Use YYYY-MM-DD'),
+      query('status').optional().isIn(['scheduled', 'completed', 'cancelled']).withMessage('Invalid status')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const scheduledMatches = await db.getScheduledMatches({
+        seasonId: req.query.seasonId ? parseInt(req.query.seasonId) : null,
+        playDate: req.query.date || null,
+        status: req.query.status || null
+      })
+      res.json(scheduledMatches)
+    })
+  )
+
+  // Plan a single match ahead of time
+  router.post(
+    '/',
+    authenticateToken,
+    requireEditor,
+    conditionalRateLimit(createLimiter),
+    [
+      body('seasonId').isInt({ min: 1 }).withMessage('Valid season ID is required'),
+      body('playDate').isISO8601().withMessage('Valid play date is required'),
+      body('scheduledTime').optional({ nullable: true, checkFalsy: true }).matches(TIME_PATTERN).withMessage('Time must be HH:MM'),
+      body('court').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1, max: 20 }).withMessage('Court must be between 1 and 20'),
+      body('matchType').optional().isIn(['solo', 'duo']).withMessage('Match type must be solo or duo'),
+      body('player1Id').isInt().withMessage('Valid player 1 ID is required'),
+      body('player2Id').optional({ nullable: true }).isInt().withMessage('Valid player 2 ID is required for duo'),
+      body('player3Id').isInt().withMessage('Valid player 3 ID is required'),
+      body('player4Id').optional({ nullable: true }).isInt().withMessage('Valid player 4 ID is required for duo')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const { playDate, scheduledTime, court, matchType = 'duo', player1Id, player2Id, player3Id, player4Id } = req.body
+      const seasonId = parseInt(req.body.seasonId)
+
+      const team1 = matchType === 'solo' ? [player1Id] : [player1Id, player2Id]
+      const team2 = matchType === 'solo' ? [player3Id] : [player3Id, player4Id]
+      const playerIds = [...team1, ...team2]
+      if (playerIds.some(playerId => !playerId)) {
+        res.status(400).json({ error: 'All 4 players required for duo match' })
+        return
+      }
+      if (new Set(playerIds).size !== playerIds.length) {
+        res.status(400).json({ error: 'Players must be different' })
+        return
+      }
+
+      const season = await db.getSeasonById(seasonId)
+      if (!season) {
+        res.status(404).json({ error: 'Season not found' })
+        return
+      }
+
+      const [scheduledMatchId] = await db.addScheduledMatches(seasonId, playDate, matchType, [{
+        scheduledTime,
+        court: court ? parseInt(court) : null,
+        team1,
+        team2
+      }], req.user.username)
+      await audit.record(req, {
+        action: 'create',
+        entityType: 'scheduled_match',
+        entityId: scheduledMatchId,
+        after: await db.getScheduledMatchById(scheduledMatchId)
+      })
+
+      res.json({ success: true, id: scheduledMatchId })
+    })
+  )
+
+  // Generate a round-robin schedule for a play day. Players default to the season roster.
+  router.post(
+    '/generate',
+    authenticateToken,
+    requireEditor,
+    conditionalRateLimit(createLimiter),
+    [
+      body('seasonId').isInt({ min: 1 }).withMessage('Valid season ID is required'),
+      body('playDate').isISO8601().withMessage('Valid play date is required'),
+      body('matchType').optional().isIn(['solo', 'duo']).withMessage('Match type must be solo or duo'),
+      body('playerIds').optional().isArray().withMessage('playerIds must be an array'),
+      body('playerIds.*').isInt({ min: 1 }).withMessage('Invalid player ID'),
+      body('courts').optional({ nullable: true }).isInt({ min: 1, max: 20 }).withMessage('Courts must be between 1 and 20'),
+      body('rounds').optional({ nullable: true }).isInt({ min: 1, max: 50 }).withMessage('Rounds must be between 1 and 50'),
+      body('replace').optional().isBoolean().withMessage('replace must be boolean')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const { playDate, matchType = 'duo', replace = false } = req.body
+      const seasonId = parseInt(req.body.seasonId)
+      const courts = req.body.courts ? parseInt(req.body.courts) : null
+      const rounds = req.body.rounds ? parseInt(req.body.rounds) : null
+
+      const season = await db.getSeasonById(seasonId)
+      if (!season) {
+        res.status(404).json({ error: 'Season not found' })
+        return
+      }
+
+      let playerIds = (req.body.playerIds || []).map(id => parseInt(id))
+      if (playerIds.length === 0) {
+        const seasonPlayers = await db.getSeasonPlayers(seasonId)
+        playerIds = seasonPlayers.map(player => player.id)
+      } else {
+        if (new Set(playerIds).size !== playerIds.length) {
+          res.status(400).json({ error: 'Players must be different' })
+          return
+        }
+        const activePlayerIds = new Set((await db.getPlayers({ status: 'active' })).map(player => player.id))
+        const unknownPlayerIds = playerIds.filter(playerId => !activePlayerIds.has(playerId))
+        if (unknownPlayerIds.length > 0) {
+          res.status(400).json({ error: `Unknown or archived players: ${unknownPlayerIds.join(', ')}` })
+          return
+        }
+      }
+
+      const minimumPlayers = matchType === 'solo' ? 2 : 4
+      if (playerIds.length < minimumPlayers) {
+        res.status(400).json({ error: `At least ${minimumPlayers} players are required` })
+        return
+      }
+
+      const schedule = generateRoundRobin(playerIds, {
+        matchType,
+        courts,
+        rounds,
+        seed: new Date(playDate).getTime() / 86400000
+      })
+      const fixtures = schedule.flatMap(round => round.matches.map(match => ({ round: round.round, ...match })))
+
+      if (replace) {
+        await db.deletePendingScheduledMatches(seasonId, playDate)
+      }
+      const scheduledMatchIds = await db.addScheduledMatches(seasonId, playDate, matchType, fixtures, req.user.username)
+      await audit.record(req, {
+        action: 'create',
+        entityType: 'scheduled_match',
+        after: { season_id: seasonId, play_date: playDate, match_type: matchType, replaced_pending: replace, scheduled_match_ids: scheduledMatchIds }
+      })
+
+      const scheduledMatches = await db.getScheduledMatches({ seasonId, playDate })
+      res.json({ success: true, schedule, scheduledMatches })
+    })
+  )
+
+  // Enter the score of a fixture: it becomes a regular match
+  router.post(
+    '/:id/complete',
+    authenticateToken,
+    requireEditor,
+    conditionalRateLimit(createLimiter),
+    [
+      param('id').isInt().withMessage('Invalid scheduled match ID'),
+      body('team1Score').isInt({ min: 0 }).withMessage('Valid team 1 score is required'),
+      body('team2Score').isInt({ min: 0 }).withMessage('Valid team 2 score is required'),
+      body('winningTeam').optional({ nullable: true }).isInt({ min: 1, max: 2 }).withMessage('Winning team must be 1 or 2')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const scheduledMatchId = parseInt(req.params.id)
+      const scheduledMatch = await db.getScheduledMatchById(scheduledMatchId)
+      if (!scheduledMatch) {
+        res.status(404).json({ error: 'Scheduled match not found' })
+        return
+      }
+      if (scheduledMatch.status !== 'scheduled') {
+        res.status(400).json({ error: 'Scheduled match has already been played or cancelled' })
+        return
+      }
+
+      const { team1Score, team2Score } = req.body
+      const season = await db.getSeasonById(scheduledMatch.season_id)
+      const { winningTeam, error } = applyScoringRules(req.body, getSeasonScoringRules(season))
+      if (error) {
+        res.status(400).json({ error })
+        return
+      }
+      const matchId = await db.addMatch(
+        scheduledMatch.season_id,
+        scheduledMatch.play_date,
+        scheduledMatch.player1_id,
+        scheduledMatch.player2_id,
+        scheduledMatch.player3_id,
+        scheduledMatch.player4_id,
+        team1Score,
+        team2Score,
+        winningTeam,
+        scheduledMatch.match_type
+      )
+      await db.completeScheduledMatch(scheduledMatchId, matchId)
+      await audit.record(req, {
+        action: 'complete',
+        entityType: 'scheduled_match',
+        entityId: scheduledMatchId,
+        before: scheduledMatch,
+        after: await db.getScheduledMatchById(scheduledMatchId)
+      })
+      const match = toMatchSnapshot(await db.getMatchById(matchId))
+      await audit.record(req, { action: 'create', entityType: 'match', entityId: matchId, after: match })
+      await dataEvents.emit('matchCreated', { match })
+      res.json({ success: true, id: matchId })
+    })
+  )
+
+  // Move a pending match to another date, time or court
+  router.put(
+    '/:id',
+    authenticateToken,
+    requireEditor,
+    [
+      param('id').isInt().withMessage('Invalid scheduled match ID'),
+      body('playDate').isISO8601().withMessage('Valid play date is required'),
+      body('scheduledTime').optional({ nullable: true, checkFalsy: true }).matches(TIME_PATTERN).withMessage('Time must be HH:MM'),
+      body('court').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1, max: 20 }).withMessage('Court must be between 1 and 20')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const scheduledMatchId = parseInt(req.params.id)
+      const scheduledMatch = await db.getScheduledMatchById(scheduledMatchId)
+      if (!scheduledMatch) {
+        res.status(404).json({ error: 'Scheduled match not found' })
+        return
+      }
+      if (scheduledMatch.status !== 'scheduled') {
+        res.status(400).json({ error: 'Only pending matches can be rescheduled' })
+        return
+      }
+
+      const { playDate, scheduledTime, court } = req.body
+      await db.updateScheduledMatch(scheduledMatchId, {
+        playDate,
+        scheduledTime,
+        court: court ? parseInt(court) : null
+      })
+      await audit.record(req, {
+        action: 'update',
+        entityType: 'scheduled_match',
+        entityId: scheduledMatchId,
+        before: scheduledMatch,
+        after: await db.getScheduledMatchById(scheduledMatchId)
+      })
+      res.json({ success: true, message: 'Scheduled match updated successfully' })
+    })
+  )
+
+  // Record a player's RSVP; status null clears the answer
+  router.put(
+    '/:id/check-in',
+    authenticateToken,
+    requireEditor,
+    [
+      param('id').isInt().withMessage('Invalid scheduled match ID'),
+      body('playerId').isInt().withMessage('Valid player ID is required'),
+      body('status').optional({ nullable: true }).isIn(CHECK_IN_STATUSES).withMessage('Status must be confirmed or declined')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const scheduledMatchId = parseInt(req.params.id)
+      const playerId = parseInt(req.body.playerId)
+      const scheduledMatch = await db.getScheduledMatchById(scheduledMatchId)
+      if (!scheduledMatch) {
+        res.status(404).json({ error: 'Scheduled match not found' })
+        return
+      }
+      if (scheduledMatch.status !== 'scheduled') {
+        res.status(400).json({ error: 'Check-in is only open for pending matches' })
+        return
+      }
+      if (!getScheduledPlayerIds(scheduledMatch).includes(playerId)) {
+        res.status(400).json({ error: 'Player is not part of this match' })
+        return
+      }
+
+      await db.setScheduledMatchCheckIn(scheduledMatchId, playerId, req.body.status || null, req.user.username)
+      await audit.record(req, {
+        action: 'update',
+        entityType: 'scheduled_match',
+        entityId: scheduledMatchId,
+        after: { player_id: playerId, check_in: req.body.status || null }
+      })
+      res.json({ success: true })
+    })
+  )
+
+  router.post(
+    '/:id/cancel',
+    authenticateToken,
+    requireEditor,
+    [param('id').isInt().withMessage('Invalid scheduled match ID')],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const scheduledMatchId = parseInt(req.params.id)
+      const scheduledMatch = await db.getScheduledMatchById(scheduledMatchId)
+      if (!scheduledMatch) {
+        res.status(404).json({ error: 'Scheduled match not found' })
+        return
+      }
+      if (scheduledMatch.status !== 'scheduled') {
+        res.status(400).json({ error: 'Scheduled match has already been played or cancelled' })
+        return
+      }
+
+      await db.cancelScheduledMatch(scheduledMatchId)
+      await audit.record(req, {
+        action: 'cancel',
+        entityType: 'scheduled_match',
+        entityId: scheduledMatchId,
+        before: scheduledMatch,
+        after: await db.getScheduledMatchById(scheduledMatchId)
+      })
+      res.json({ success: true, message: 'Scheduled match cancelled successfully' })
+    })
+  )
+
+  router.delete(
+    '/:id',
+    authenticateToken,
+    requireEditor,
+    conditionalRateLimit(deleteLimiter),
+    [param('id').isInt().withMessage('Invalid scheduled match ID')],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const scheduledMatchId = parseInt(req.params.id)
+      const scheduledMatch = await db.getScheduledMatchById(scheduledMatchId)
+      if (!scheduledMatch) {
+        res.status(404).json({ error: 'Scheduled match not found' })
+        return
+      }
+      await db.deleteScheduledMatch(scheduledMatchId)
+      await audit.record(req, { action: 'delete', entityType: 'scheduled_match', entityId: scheduledMatchId, before: scheduledMatch })
+      res.json({ success: true, message: 'Scheduled match deleted successfully' })
+    })
+  )
+
+  return router
+}
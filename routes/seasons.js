@@ -1,6 +1,46 @@
 import { Router } from 'express'
 import { body, param } from 'express-validator'
 import { asyncHandler } from '../utils/async-handler.js'
+import { SCORING_SYSTEMS, DEFAULT_SCORING_RULES } from '../lib/scoring-rules.js'
+import { BONUS_TYPES, TIEBREAKERS, DEFAULT_POINTS_FORMULA, parseTiebreakers } from '../lib/points-formula.js'
+
+const validateScoringRules = [
+  body('targetScore').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1, max: 99 }).withMessage('Target score must be between 1 and 99'),
+  body('winBy').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1, max: 10 }).withMessage('Win-by margin must be between 1 and 10'),
+  body('scoreCap').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1, max: 99 }).withMessage('Score cap must be between 1 and 99'),
+  body('scoringSystem').optional({ nullable: true, checkFalsy: true }).isIn(SCORING_SYSTEMS).withMessage('Scoring system must be side_out or rally')
+]
+
+const validatePointsFormula = [
+  body('pointsPerWin').optional({ nullable: true }).isInt({ min: 0, max: 100 }).withMessage('Points per win must be between 0 and 100'),
+  body('pointsPerLoss').optional({ nullable: true }).isInt({ min: 0, max: 100 }).withMessage('Points per loss must be between 0 and 100'),
+  body('bonusPoints').optional({ nullable: true }).isInt({ min: 0, max: 100 }).withMessage('Bonus points must be between 0 and 100'),
+  body('bonusType').optional({ nullable: true }).isIn(BONUS_TYPES).withMessage('Bonus type must be none, shutout or margin'),
+  body('bonusMargin').optional({ nullable: true, checkFalsy: true }).isInt({ min: 1, max: 99 }).withMessage('Bonus margin must be between 1 and 99'),
+  body('tiebreakers').optional({ nullable: true }).isArray({ max: TIEBREAKERS.length }).withMessage('Tiebreakers must be an array'),
+  body('tiebreakers.*').isIn(TIEBREAKERS).withMessage(`Tiebreakers must be among ${TIEBREAKERS.join(', ')}`)
+]
+
+// Points formula from the request body, missing fields take the default
+const parsePointsFormula = ({ pointsPerWin, pointsPerLoss, bonusPoints, bonusType, bonusMargin, tiebreakers }) => ({
+  pointsPerWin: pointsPerWin != null ? parseInt(pointsPerWin) : DEFAULT_POINTS_FORMULA.pointsPerWin,
+  pointsPerLoss: pointsPerLoss != null ? parseInt(pointsPerLoss) : DEFAULT_POINTS_FORMULA.pointsPerLoss,
+  bonusPoints: bonusPoints != null ? parseInt(bonusPoints) : DEFAULT_POINTS_FORMULA.bonusPoints,
+  bonusType: bonusType || DEFAULT_POINTS_FORMULA.bonusType,
+  bonusMargin: bonusMargin ? parseInt(bonusMargin) : null,
+  tiebreakers: tiebreakers ? parseTiebreakers(tiebreakers) : DEFAULT_POINTS_FORMULA.tiebreakers
+})
+
+// Scoring rules from the request body: null (no rules) when no target score is given
+const parseScoringRules = ({ targetScore, winBy, scoreCap, scoringSystem }) => {
+  if (!targetScore) return null
+  return {
+    targetScore: parseInt(targetScore),
+    winBy: parseInt(winBy) || DEFAULT_SCORING_RULES.winBy,
+    scoreCap: scoreCap ? parseInt(scoreCap) : null,
+    scoringSystem: scoringSystem || DEFAULT_SCORING_RULES.scoringSystem
+  }
+}
 
 export const createSeasonRouter = ({
   db,
@@ -12,7 +52,8 @@ export const createSeasonRouter = ({
   createLimiter,
   deleteLimiter,
   handleValidationErrors,
-  rankingsCache
+  dataEvents,
+  audit
 }) => {
   const router = Router()
 
@@ -42,7 +83,9 @@ export const createSeasonRouter = ({
       body('endDate').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Valid end date is required'),
       body('autoEnd').optional().isBoolean().withMessage('autoEnd must be boolean'),
       body('description').optional({ nullable: true, checkFalsy: true }).isString().withMessage('Description must be string'),
-      body('loseMoney').optional().isInt({ min: 0 }).withMessage('Lose money must be a non-negative integer')
+      body('loseMoney').optional().isInt({ min: 0 }).withMessage('Lose money must be a non-negative integer'),
+      ...validateScoringRules,
+      ...validatePointsFormula
     ],
     handleValidationErrors,
     asyncHandler(async (req, res) => {
@@ -56,16 +99,28 @@ export const createSeasonRouter = ({
         return
       }
 
+      const scoringRules = parseScoringRules(req.body)
+      if (scoringRules?.scoreCap && scoringRules.scoreCap < scoringRules.targetScore) {
+        res.status(400).json({ success: false, error: 'Score cap cannot be lower than the target score' })
+        return
+      }
+
+      const pointsFormula = parsePointsFormula(req.body)
+      if (pointsFormula.bonusType === 'margin' && !pointsFormula.bonusMargin) {
+        res.status(400).json({ success: false, error: 'A margin bonus requires a bonus margin' })
+        return
+      }
+
       const expiredSeasons = await db.checkAndEndExpiredSeasons()
       if (expiredSeasons.length > 0) {
         console.log(`🏁 Auto-ended ${expiredSeasons.length} expired season(s)`)
       }
 
-      const seasonId = await db.createSeason(name, startDate, endDate, autoEnd, description, loseMoney)
-      rankingsCache.clear()
-      setTimeout(() => rankingsCache.preloadCommonData(db), 100)
+      const seasonId = await db.createSeason(name, startDate, endDate, autoEnd, description, loseMoney, scoringRules, pointsFormula)
+      await audit.record(req, { action: 'create', entityType: 'season', entityId: seasonId, after: await db.getSeasonById(seasonId) })
+      await dataEvents.emit('seasonChanged', { seasonId })
 
-      res.json({ success: true, id: seasonId, name, startDate, endDate, autoEnd, description, loseMoney })
+      res.json({ success: true, id: seasonId, name, startDate, endDate, autoEnd, description, loseMoney, scoringRules, pointsFormula })
     })
   )
 
@@ -80,7 +135,9 @@ export const createSeasonRouter = ({
       body('endDate').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Valid end date is required'),
       body('autoEnd').optional().isBoolean().withMessage('autoEnd must be boolean'),
       body('description').optional({ nullable: true, checkFalsy: true }).isString().withMessage('Description must be string'),
-      body('loseMoney').optional().isInt({ min: 0 }).withMessage('Lose money must be a non-negative integer')
+      body('loseMoney').optional().isInt({ min: 0 }).withMessage('Lose money must be a non-negative integer'),
+      ...validateScoringRules,
+      ...validatePointsFormula
     ],
     handleValidationErrors,
     asyncHandler(async (req, res) => {
@@ -95,9 +152,27 @@ export const createSeasonRouter = ({
         return
       }
 
-      await db.updateSeason(seasonId, name, startDate, endDate, autoEnd, description, loseMoney)
-      rankingsCache.clear()
-      setTimeout(() => rankingsCache.preloadCommonData(db), 100)
+      const scoringRules = parseScoringRules(req.body)
+      if (scoringRules?.scoreCap && scoringRules.scoreCap < scoringRules.targetScore) {
+        res.status(400).json({ success: false, error: 'Score cap cannot be lower than the target score' })
+        return
+      }
+
+      const pointsFormula = parsePointsFormula(req.body)
+      if (pointsFormula.bonusType === 'margin' && !pointsFormula.bonusMargin) {
+        res.status(400).json({ success: false, error: 'A margin bonus requires a bonus margin' })
+        return
+      }
+
+      const season = await db.getSeasonById(seasonId)
+      if (!season) {
+        res.status(404).json({ success: false, error: 'Season not found' })
+        return
+      }
+
+      await db.updateSeason(seasonId, name, startDate, endDate, autoEnd, description, loseMoney, scoringRules, pointsFormula)
+      await audit.record(req, { action: 'update', entityType: 'season', entityId: seasonId, before: season, after: await db.getSeasonById(seasonId) })
+      await dataEvents.emit('seasonChanged', { seasonId })
       res.json({ success: true, message: 'Season updated successfully' })
     })
   )
@@ -115,9 +190,14 @@ export const createSeasonRouter = ({
       const seasonId = parseInt(req.params.id)
       const endDate = req.body.endDate || new Date().toISOString().split('T')[0]
       const endedBy = req.user.username
+      const season = await db.getSeasonById(seasonId)
+      if (!season) {
+        res.status(404).json({ success: false, error: 'Season not found' })
+        return
+      }
       await db.endSeason(seasonId, endDate, endedBy)
-      rankingsCache.clear()
-      setTimeout(() => rankingsCache.preloadCommonData(db), 100)
+      await audit.record(req, { action: 'end', entityType: 'season', entityId: seasonId, before: season, after: await db.getSeasonById(seasonId) })
+      await dataEvents.emit('seasonChanged', { seasonId })
       res.json({ success: true, message: 'Season ended successfully' })
     })
   )
@@ -141,8 +221,8 @@ export const createSeasonRouter = ({
         return
       }
       await db.reactivateSeason(seasonId)
-      rankingsCache.clear()
-      setTimeout(() => rankingsCache.preloadCommonData(db), 100)
+      await audit.record(req, { action: 'reactivate', entityType: 'season', entityId: seasonId, before: season, after: await db.getSeasonById(seasonId) })
+      await dataEvents.emit('seasonChanged', { seasonId })
       console.log(`✅ Season ${seasonId} reactivated by ${username}`)
       res.json({ success: true, message: 'Season reactivated successfully' })
     })
@@ -166,10 +246,10 @@ export const createSeasonRouter = ({
         res.status(400).json({ error: 'Cannot delete active season. Please end the season first.' })
         return
       }
-      await db.deleteSeason(seasonId)
-      rankingsCache.clear()
-      setTimeout(() => rankingsCache.preloadCommonData(db), 100)
-      res.json({ success: true, message: 'Season deleted successfully' })
+      await db.deleteSeason(seasonId, req.user.username)
+      await audit.record(req, { action: 'delete', entityType: 'season', entityId: seasonId, before: season })
+      await dataEvents.emit('seasonDeleted', { seasonId })
+      res.json({ success: true, message: 'Season moved to trash' })
     })
   )
 
@@ -179,9 +259,9 @@ export const createSeasonRouter = ({
     requireEditor,
     asyncHandler(async (req, res) => {
       const expiredSeasons = await db.checkAndEndExpiredSeasons()
-      if (expiredSeasons.length > 0) {
-        rankingsCache.clear()
-        setTimeout(() => rankingsCache.preloadCommonData(db), 100)
+      for (const season of expiredSeasons) {
+        await audit.record(req, { action: 'end', entityType: 'season', entityId: season.id, after: season })
+        await dataEvents.emit('seasonChanged', { seasonId: season.id })
       }
       res.json({ success: true, ended: expiredSeasons.length, seasons: expiredSeasons })
     })
@@ -218,11 +298,18 @@ export const createSeasonRouter = ({
     asyncHandler(async (req, res) => {
       const seasonId = parseInt(req.params.id)
       const { playerIds } = req.body
-      
+      const previousPlayers = await db.getSeasonPlayers(seasonId)
+
       await db.setSeasonPlayers(seasonId, playerIds)
-      rankingsCache.clear()
-      setTimeout(() => rankingsCache.preloadCommonData(db), 100)
-      
+      await audit.record(req, {
+        action: 'update',
+        entityType: 'season_players',
+        entityId: seasonId,
+        before: { player_ids: previousPlayers.map(player => player.id) },
+        after: { player_ids: playerIds.map(id => parseInt(id)) }
+      })
+      await dataEvents.emit('seasonChanged', { seasonId })
+
       res.json({ success: true, message: 'Season players updated successfully' })
     })
   )
@@ -242,6 +329,7 @@ export const createSeasonRouter = ({
       const playerId = parseInt(req.params.playerId)
       
       await db.addPlayerToSeason(seasonId, playerId)
+      await audit.record(req, { action: 'create', entityType: 'season_players', entityId: seasonId, after: { player_id: playerId } })
       res.json({ success: true, message: 'Player added to season' })
     })
   )
@@ -261,6 +349,7 @@ export const createSeasonRouter = ({
       const playerId = parseInt(req.params.playerId)
       
       await db.removePlayerFromSeason(seasonId, playerId)
+      await audit.record(req, { action: 'delete', entityType: 'season_players', entityId: seasonId, before: { player_id: playerId } })
       res.json({ success: true, message: 'Player removed from season' })
     })
   )
@@ -0,0 +1,36 @@
+import { Router } from 'express'
+import { asyncHandler } from '../utils/async-handler.js'
+
+export const createStandingsRouter = ({
+  db,
+  authenticateToken,
+  requireAdmin,
+  rankingsCache
+}) => {
+  const router = Router()
+
+  // Compare the materialized standings with a full recompute
+  router.get(
+    '/check',
+    authenticateToken,
+    requireAdmin,
+    asyncHandler(async (req, res) => {
+      const { scopes_checked, mismatches } = await db.checkStandings()
+      res.json({ consistent: mismatches.length === 0, scopes_checked, mismatches })
+    })
+  )
+
+  // Recompute every scope, then drop the rankings cached from the old rows
+  router.post(
+    '/rebuild',
+    authenticateToken,
+    requireAdmin,
+    asyncHandler(async (req, res) => {
+      const rows = await db.rebuildStandings()
+      await rankingsCache.clear()
+      res.json({ message: 'Standings rebuilt', rows })
+    })
+  )
+
+  return router
+}
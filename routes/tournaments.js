@@ -0,0 +1,175 @@
+import { Router } from 'express'
+import { body, param, query } from 'express-validator'
+import { asyncHandler } from '../utils/async-handler.js'
+import {
+  TOURNAMENT_FORMATS,
+  generateBracket,
+  resolveBracket,
+  seedEntries,
+  pairPlayersByRanking
+} from '../lib/tournament-bracket.js'
+
+const withEntryName = (entry) => ({
+  ...entry,
+  name: entry.player2_name ? `${entry.player1_name} & ${entry.player2_name}` : entry.player1_name
+})
+
+export const createTournamentRouter = ({
+  db,
+  checkAuth,
+  authenticateToken,
+  requireAdmin,
+  conditionalRateLimit,
+  createLimiter,
+  deleteLimiter,
+  handleValidationErrors,
+  audit
+}) => {
+  const router = Router()
+
+  router.get(
+    '/',
+    checkAuth,
+    [query('seasonId').optional().isInt({ min: 1 }).withMessage('Invalid season ID')],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const seasonId = req.query.seasonId ? parseInt(req.query.seasonId) : null
+      const tournaments = await db.getTournaments(seasonId)
+      res.json(tournaments)
+    })
+  )
+
+  router.get(
+    '/:id',
+    checkAuth,
+    [param('id').isInt().withMessage('Invalid tournament ID')],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const tournamentId = parseInt(req.params.id)
+      const tournament = await db.getTournamentById(tournamentId)
+      if (!tournament) {
+        res.status(404).json({ error: 'Tournament not found' })
+        return
+      }
+
+      const [entries, matches] = await Promise.all([
+        db.getTournamentEntries(tournamentId),
+        db.getTournamentMatches(tournamentId)
+      ])
+      res.json({ ...tournament, entries: entries.map(withEntryName), matches })
+    })
+  )
+
+  router.post(
+    '/',
+    authenticateToken,
+    requireAdmin,
+    conditionalRateLimit(createLimiter),
+    [
+      body('name').isLength({ min: 1, max: 100 }).withMessage('Tournament name is required'),
+      body('seasonId').isInt({ min: 1 }).withMessage('Valid season ID is required'),
+      body('format').isIn(TOURNAMENT_FORMATS).withMessage('Format must be single_elimination or double_elimination'),
+      body('entryType').isIn(['solo', 'duo']).withMessage('Entry type must be solo or duo'),
+      body('playerIds').optional().isArray().withMessage('playerIds must be an array'),
+      body('playerIds.*').isInt().withMessage('Invalid player ID'),
+      body('teams').optional().isArray().withMessage('teams must be an array'),
+      body('teams.*').isArray({ min: 2, max: 2 }).withMessage('Each team must have exactly 2 players'),
+      body('teams.*.*').isInt().withMessage('Invalid player ID')
+    ],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const { name, format, entryType } = req.body
+      const seasonId = parseInt(req.body.seasonId)
+      const playerIds = (req.body.playerIds || []).map(id => parseInt(id))
+      const teams = (req.body.teams || []).map(team => team.map(id => parseInt(id)))
+
+      const season = await db.getSeasonById(seasonId)
+      if (!season) {
+        res.status(404).json({ error: 'Season not found' })
+        return
+      }
+
+      // Seeds come from the current season ranking
+      const rankings = await db.getPlayerStatsBySeason(seasonId)
+
+      let entries
+      if (entryType === 'solo') {
+        entries = playerIds.map(playerId => [playerId])
+      } else if (teams.length > 0) {
+        entries = teams
+      } else {
+        if (playerIds.length % 2 !== 0) {
+          res.status(400).json({ error: 'An even number of players is required to build duo teams' })
+          return
+        }
+        entries = pairPlayersByRanking(playerIds, rankings)
+      }
+
+      if (entries.length < 2) {
+        res.status(400).json({ error: 'A tournament needs at least 2 entries' })
+        return
+      }
+
+      const allPlayerIds = entries.flat()
+      if (new Set(allPlayerIds).size !== allPlayerIds.length) {
+        res.status(400).json({ error: 'A player can only have one entry per tournament' })
+        return
+      }
+
+      const seasonPlayers = await db.getSeasonPlayers(seasonId)
+      if (seasonPlayers.length > 0) {
+        const seasonPlayerIds = new Set(seasonPlayers.map(player => player.id))
+        if (allPlayerIds.some(playerId => !seasonPlayerIds.has(playerId))) {
+          res.status(400).json({ error: 'All players must be enrolled in the season' })
+          return
+        }
+      }
+
+      const seededEntries = seedEntries(entries, rankings)
+      const tournamentId = await db.createTournament({
+        seasonId,
+        name,
+        format,
+        entryType,
+        createdBy: req.user.username
+      }, seededEntries)
+
+      try {
+        const savedEntries = await db.getTournamentEntries(tournamentId)
+        const entryIdBySeed = new Map(savedEntries.map(entry => [entry.seed, entry.id]))
+        const nodes = resolveBracket(generateBracket(seededEntries.length, format), entryIdBySeed)
+        await db.saveTournamentMatches(tournamentId, nodes)
+      } catch (error) {
+        await db.deleteTournament(tournamentId)
+        throw error
+      }
+      await audit.record(req, { action: 'create', entityType: 'tournament', entityId: tournamentId, after: await db.getTournamentById(tournamentId) })
+
+      res.json({ success: true, id: tournamentId })
+    })
+  )
+
+  router.delete(
+    '/:id',
+    authenticateToken,
+    requireAdmin,
+    conditionalRateLimit(deleteLimiter),
+    [param('id').isInt().withMessage('Invalid tournament ID')],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const tournamentId = parseInt(req.params.id)
+      const tournament = await db.getTournamentById(tournamentId)
+      if (!tournament) {
+        res.status(404).json({ error: 'Tournament not found' })
+        return
+      }
+
+      // Matches already recorded stay in the season, only the bracket is removed
+      await db.deleteTournament(tournamentId)
+      await audit.record(req, { action: 'delete', entityType: 'tournament', entityId: tournamentId, before: tournament })
+      res.json({ success: true, message: 'Tournament deleted successfully' })
+    })
+  )
+
+  return router
+}
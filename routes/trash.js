@@ -0,0 +1,100 @@
+import { Router } from 'express'
+import { param } from 'express-validator'
+import { asyncHandler } from '../utils/async-handler.js'
+import { toMatchSnapshot } from '../lib/audit.js'
+import { getTrashRetentionDays } from '../lib/trash.js'
+
+export const createTrashRouter = ({
+  db,
+  authenticateToken,
+  requireAdmin,
+  conditionalRateLimit,
+  deleteLimiter,
+  handleValidationErrors,
+  dataEvents,
+  audit
+}) => {
+  const router = Router()
+
+  // Deleted matches and seasons that can still be restored, newest first.
+  // Expired items are purged first so nothing past the retention period is offered.
+  router.get(
+    '/',
+    authenticateToken,
+    requireAdmin,
+    asyncHandler(async (req, res) => {
+      const retentionDays = getTrashRetentionDays()
+      await db.purgeExpiredTrash(retentionDays)
+      const items = await db.getTrash(retentionDays)
+      res.json({ retention_days: retentionDays, items })
+    })
+  )
+
+  router.post(
+    '/:id/restore',
+    authenticateToken,
+    requireAdmin,
+    [param('id').isInt().withMessage('Invalid trash item ID')],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      await db.purgeExpiredTrash(getTrashRetentionDays())
+      let restored
+      try {
+        restored = await db.restoreFromTrash(parseInt(req.params.id))
+      } catch (error) {
+        // Foreign key violation: the season or a player the rows refer to is gone
+        if (error.code === '23503') {
+          res.status(409).json({
+            error: error.constraint === 'matches_season_id_fkey'
+              ? 'The season of this match is in the trash. Restore the season first.'
+              : 'Cannot restore: a season or player it refers to no longer exists'
+          })
+          return
+        }
+        throw error
+      }
+      if (!restored) {
+        res.status(404).json({ error: 'Trash item not found or expired' })
+        return
+      }
+
+      const after = restored.entity_type === 'match'
+        ? toMatchSnapshot(await db.getMatchById(restored.entity_id))
+        : await db.getSeasonById(restored.entity_id)
+      await audit.record(req, { action: 'restore', entityType: restored.entity_type, entityId: restored.entity_id, after })
+
+      if (restored.entity_type === 'match') {
+        await dataEvents.emit('matchRestored', { match: after })
+      } else {
+        await dataEvents.emit('seasonRestored', { seasonId: restored.entity_id })
+      }
+      res.json({ success: true, message: `${restored.entity_type === 'match' ? 'Match' : 'Season'} restored successfully` })
+    })
+  )
+
+  // Delete a trash item for good
+  router.delete(
+    '/:id',
+    authenticateToken,
+    requireAdmin,
+    conditionalRateLimit(deleteLimiter),
+    [param('id').isInt().withMessage('Invalid trash item ID')],
+    handleValidationErrors,
+    asyncHandler(async (req, res) => {
+      const purged = await db.purgeTrashItem(parseInt(req.params.id))
+      if (!purged) {
+        res.status(404).json({ error: 'Trash item not found' })
+        return
+      }
+      await audit.record(req, {
+        action: 'purge',
+        entityType: purged.entity_type,
+        entityId: purged.entity_id,
+        before: { label: purged.label }
+      })
+      res.json({ success: true, message: 'Trash item permanently deleted' })
+    })
+  )
+
+  return router
+}
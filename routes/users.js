@@ -10,7 +10,8 @@ export const createUserRouter = ({
   conditionalRateLimit,
   createLimiter,
   deleteLimiter,
-  handleValidationErrors
+  handleValidationErrors,
+  audit
 }) => {
   const router = Router()
 
@@ -64,7 +65,8 @@ export const createUserRouter = ({
       const passwordHash = await bcrypt.hash(password, 10)
 
       const userId = await db.createUser(username, passwordHash, email || null, role, createdBy)
-      
+      await audit.record(req, { action: 'create', entityType: 'user', entityId: userId, after: { id: userId, username, email: email || null, role } })
+
       res.json({ 
         success: true, 
         message: 'User created successfully',
@@ -118,6 +120,8 @@ export const createUserRouter = ({
         role || existingUser.role,
         isActive !== undefined ? isActive : existingUser.is_active
       )
+      const updatedUser = (await db.getUsers()).find(u => u.id === userId)
+      await audit.record(req, { action: 'update', entityType: 'user', entityId: userId, before: existingUser, after: updatedUser })
 
       res.json({ success: true, message: 'User updated successfully' })
     })
@@ -141,6 +145,8 @@ export const createUserRouter = ({
 
       const passwordHash = await bcrypt.hash(password, 10)
       await db.updateUserPassword(userId, passwordHash)
+      // The password itself is never logged, only that it changed
+      await audit.record(req, { action: 'update', entityType: 'user', entityId: userId, after: { password_changed: true } })
 
       res.json({ success: true, message: 'Password updated successfully' })
     })
@@ -168,6 +174,7 @@ export const createUserRouter = ({
       }
 
       await db.deleteUser(userId)
+      await audit.record(req, { action: 'delete', entityType: 'user', entityId: userId, before: userToDelete })
       res.json({ success: true, message: 'User deleted successfully' })
     })
   )
@@ -21,6 +21,21 @@ import { createSeasonRouter } from './routes/seasons.js'
 import { createMatchRouter } from './routes/matches.js'
 import { createRankingRouter } from './routes/rankings.js'
 import { createExportRouter } from './routes/export.js'
+import { createTournamentRouter } from './routes/tournaments.js'
+import { createScheduledMatchRouter } from './routes/scheduled-matches.js'
+import { createMatchmakingRouter } from './routes/matchmaking.js'
+import { createLedgerRouter } from './routes/ledger.js'
+import { createPlayDateRouter } from './routes/play-dates.js'
+import { createAuditRouter } from './routes/audit.js'
+import { createTrashRouter } from './routes/trash.js'
+import { createStandingsRouter } from './routes/standings.js'
+import { createAuditLog } from './lib/audit.js'
+import RankingsCache from './lib/rankings-cache.js'
+import { createCacheBackendFromEnv } from './lib/cache-stores.js'
+import { createDataEvents } from './lib/data-events.js'
+import { createDataVersion } from './lib/data-version.js'
+import { getTrashRetentionDays } from './lib/trash.js'
+import { subscribeStandings } from './lib/standings.js'
 import { createUserRouter } from './routes/users.js'
 
 // Load environment variables
@@ -70,210 +85,11 @@ const withCookieDefaults = (options = {}) => {
   return base
 }
 
-// Enhanced in-memory cache for rankings with better hit rates and TTL
-class RankingsCache {
-  constructor() {
-    this.cache = new Map()
-    this.defaultTTL = 5 * 60 * 1000 // 5 minutes default TTL
-    this.stats = {
-      hits: 0,
-      misses: 0,
-      sets: 0,
-      invalidations: 0,
-      preloads: 0,
-      expired: 0
-    }
-  }
-
-  set(key, data, ttl = this.defaultTTL) {
-    const expiresAt = Date.now() + ttl
-    this.cache.set(key, { 
-      data, 
-      createdAt: Date.now(),
-      expiresAt,
-      accessCount: 0,
-      lastAccessed: Date.now()
-    })
-    this.stats.sets++
-    
-    // Log cache activity in development
-    if (process.env.NODE_ENV === 'development') {
-      console.log(`📦 Cache SET: ${key} (TTL: ${ttl}ms)`)
-    }
-  }
-
-  get(key) {
-    const item = this.cache.get(key)
-    if (!item) {
-      this.stats.misses++
-      // Log misses to understand patterns
-      if (process.env.NODE_ENV === 'development') {
-        console.log(`❌ Cache MISS: ${key}`)
-      }
-      return null
-    }
-    
-    // Check if item has expired
-    if (Date.now() > item.expiresAt) {
-      this.cache.delete(key)
-      this.stats.expired++
-      this.stats.misses++
-      
-      if (process.env.NODE_ENV === 'development') {
-        console.log(`⏰ Cache EXPIRED: ${key}`)
-      }
-      return null
-    }
-    
-    // Update access stats
-    item.accessCount++
-    item.lastAccessed = Date.now()
-    this.stats.hits++
-    
-    if (process.env.NODE_ENV === 'development') {
-      const timeLeft = Math.round((item.expiresAt - Date.now()) / 1000)
-      console.log(`🎯 Cache HIT: ${key} (accessed ${item.accessCount} times, expires in ${timeLeft}s)`)
-    }
-    
-    return item.data
-  }
-
-  // Preload commonly accessed data
-  async preloadCommonData(db) {
-    try {
-      // Preload lifetime rankings (most common request) with longer TTL
-      if (!this.cache.has('rankings:lifetime') || this.isExpired('rankings:lifetime')) {
-        const rankings = await db.getPlayerStatsLifetime()
-        const enhancedRankings = await Promise.all(rankings.map(async (player) => {
-          const form = await db.getPlayerForm(player.id, 5)
-          return { ...player, form }
-        }))
-        this.set('rankings:lifetime', enhancedRankings, 10 * 60 * 1000) // 10 minutes for lifetime data
-        this.stats.preloads++
-        
-        if (process.env.NODE_ENV === 'development') {
-          console.log('🚀 Cache PRELOAD: rankings:lifetime (10min TTL)')
-        }
-      }
-
-      // Preload active season rankings
-      const activeSeason = await db.getActiveSeason()
-      if (activeSeason && (!this.cache.has(`rankings:season:${activeSeason.id}`) || this.isExpired(`rankings:season:${activeSeason.id}`))) {
-        const seasonRankings = await db.getPlayerStatsBySeason(activeSeason.id)
-        const enhancedSeasonRankings = await Promise.all(seasonRankings.map(async (player) => {
-          const form = await db.getPlayerFormBySeason(player.id, activeSeason.id, 5)
-          return { ...player, form }
-        }))
-        this.set(`rankings:season:${activeSeason.id}`, enhancedSeasonRankings, 3 * 60 * 1000) // 3 minutes for season data
-        this.stats.preloads++
-        
-        if (process.env.NODE_ENV === 'development') {
-          console.log(`🚀 Cache PRELOAD: rankings:season:${activeSeason.id} (3min TTL)`)
-        }
-      }
-    } catch (error) {
-      console.log('Cache preload error (non-critical):', error.message)
-    }
-  }
-
-  // Check if a cache entry has expired
-  isExpired(key) {
-    const item = this.cache.get(key)
-    if (!item) return true
-    return Date.now() > item.expiresAt
-  }
-
-  // Clean up expired entries manually
-  cleanupExpired() {
-    let cleanedCount = 0
-    for (const [key, item] of this.cache.entries()) {
-      if (Date.now() > item.expiresAt) {
-        this.cache.delete(key)
-        cleanedCount++
-      }
-    }
-    
-    if (cleanedCount > 0) {
-      this.stats.expired += cleanedCount
-      if (process.env.NODE_ENV === 'development') {
-        console.log(`🧹 Cache CLEANUP: ${cleanedCount} expired entries removed`)
-      }
-    }
-    
-    return cleanedCount
-  }
-
-  invalidate(pattern = null) {
-    let invalidated = 0
-    
-    if (pattern) {
-      // Invalidate keys matching pattern
-      for (const key of this.cache.keys()) {
-        if (key.includes(pattern)) {
-          this.cache.delete(key)
-          invalidated++
-        }
-      }
-    } else {
-      // Clear all cache
-      invalidated = this.cache.size
-      this.cache.clear()
-    }
-    
-    this.stats.invalidations += invalidated
-    
-    if (process.env.NODE_ENV === 'development') {
-      console.log(`🗑️ Cache INVALIDATE: ${invalidated} entries (pattern: ${pattern || 'all'})`)
-    }
-  }
-
-  clear() {
-    const size = this.cache.size
-    this.cache.clear()
-    this.stats.invalidations += size
-    
-    if (process.env.NODE_ENV === 'development') {
-      console.log(`🧹 Cache CLEAR: ${size} entries removed`)
-    }
-  }
-
-  // Get cache statistics
-  getStats() {
-    const hitRate = this.stats.hits + this.stats.misses > 0 
-      ? (this.stats.hits / (this.stats.hits + this.stats.misses) * 100).toFixed(2)
-      : 0
-    
-    // Count expired entries
-    let expiredCount = 0
-    for (const [key, item] of this.cache.entries()) {
-      if (Date.now() > item.expiresAt) {
-        expiredCount++
-      }
-    }
-    
-    return {
-      ...this.stats,
-      hitRate: `${hitRate}%`,
-      currentEntries: this.cache.size,
-      expiredEntries: expiredCount,
-      memoryUsage: JSON.stringify([...this.cache.entries()]).length
-    }
-  }
-  
-  // Reset statistics
-  resetStats() {
-    this.stats = {
-      hits: 0,
-      misses: 0,
-      sets: 0,
-      invalidations: 0,
-      preloads: 0,
-      expired: 0
-    }
-  }
-}
-
-const rankingsCache = new RankingsCache()
+// Cache store from CACHE_STORE / REDIS_URL: in memory unless Redis is configured
+const rankingsCache = new RankingsCache({
+  devLogging: process.env.NODE_ENV === 'development',
+  ...createCacheBackendFromEnv()
+})
 
 // Security helper functions
 function formatSecureTimestamp(date = new Date()) {
@@ -408,8 +224,27 @@ const hashedEditorPassword = await bcrypt.hash(EDITOR_PASSWORD, 10)
 
 // Initialize database
 const db = new PickleballDatabase()
+const audit = createAuditLog(db)
 await db.init()
 
+// Materialized standings are derived data: rebuild them so changes made while the
+// server was down (or by an older version) are reflected
+const standingsRows = await db.rebuildStandings()
+console.log(`📊 Standings rebuilt (${standingsRows} rows)`)
+
+// Routes announce data changes; the standings are updated first, then the rankings
+// cache evicts what depends on them. With REDIS_URL set, startup fails if the
+// invalidation broadcast cannot be subscribed to: this instance would keep serving
+// data other instances have changed.
+const dataEvents = createDataEvents()
+subscribeStandings(dataEvents, db)
+await rankingsCache.subscribeTo(dataEvents, db)
+
+// ETags of rankings, matches and players follow a version bumped on every write,
+// here and (through the cache broadcast) on other instances
+const dataVersion = createDataVersion()
+await dataVersion.subscribeTo(rankingsCache.broadcast)
+
 // Preload common cache data for better hit rates
 setTimeout(async () => {
   console.log('🚀 Preloading cache with common data...')
@@ -418,17 +253,31 @@ setTimeout(async () => {
 }, 2000) // Wait 2 seconds after startup
 
 // Periodic cache stats logging and cleanup (every 15 minutes)
-setInterval(() => {
+setInterval(async () => {
   // Clean up expired entries
-  const cleanedCount = rankingsCache.cleanupExpired()
+  const cleanedCount = await rankingsCache.cleanupExpired()
   
   // Log stats
-  const stats = rankingsCache.getStats()
+  const stats = await rankingsCache.getStats()
   if (stats.hits + stats.misses > 0) {
     console.log(`📊 Cache Stats: ${stats.currentEntries} entries (${stats.expiredEntries} expired), ${stats.hitRate} hit rate, ${stats.hits + stats.misses} total operations, ${cleanedCount} cleaned`)
   }
 }, 15 * 60 * 1000) // 15 minutes
 
+// Purge trash items older than the retention period (at startup, then hourly)
+const purgeExpiredTrash = async () => {
+  try {
+    const purgedCount = await db.purgeExpiredTrash(getTrashRetentionDays())
+    if (purgedCount > 0) {
+      console.log(`🗑️ Purged ${purgedCount} expired trash item(s)`)
+    }
+  } catch (error) {
+    console.error('Error purging expired trash:', error)
+  }
+}
+setTimeout(purgeExpiredTrash, 5000)
+setInterval(purgeExpiredTrash, 60 * 60 * 1000) // 1 hour
+
 // Trust proxy (required for Cloudflare and other reverse proxies)
 // Proxy configuration for Nginx Proxy Manager
 if (process.env.TRUST_PROXY === 'true' || process.env.BEHIND_PROXY === 'true' || process.env.NODE_ENV === 'production') {
@@ -1116,6 +965,15 @@ app.use((req, res, next) => {
   next();
 });
 
+// Conditional GETs: 304 while the data version is unchanged. Mounted after the access
+// log so 304 responses are logged too. An avatar is the same image for every caller
+// and its URL changes with the file, so it keeps its public caching instead.
+const isAvatarRequest = (req) => /^\/\d+\/avatar$/.test(req.path)
+app.use(dataVersion.trackWrites())
+app.use('/api/rankings', dataVersion.conditionalGet())
+app.use('/api/matches', dataVersion.conditionalGet())
+app.use('/api/players', dataVersion.conditionalGet({ skip: isAvatarRequest }))
+
 // Apply global CSRF protection
 app.use(globalCSRFProtection)
 
@@ -1464,7 +1322,10 @@ app.use('/api/players', createPlayerRouter({
   deleteLimiter,
   handleValidationErrors,
   rankingsCache,
-  sanitizeResponse
+  dataEvents,
+  sanitizeResponse,
+  avatarDir: join(__dirname, 'data', 'avatars'),
+  audit
 }))
 
 app.use('/api/seasons', createSeasonRouter({
@@ -1477,7 +1338,8 @@ app.use('/api/seasons', createSeasonRouter({
   createLimiter,
   deleteLimiter,
   handleValidationErrors,
-  rankingsCache
+  dataEvents,
+  audit
 }))
 
 app.use('/api/matches', createMatchRouter({
@@ -1489,7 +1351,8 @@ app.use('/api/matches', createMatchRouter({
   createLimiter,
   deleteLimiter,
   handleValidationErrors,
-  rankingsCache
+  dataEvents,
+  audit
 }))
 
 app.use('/api/rankings', createRankingRouter({
@@ -1506,16 +1369,98 @@ app.use('/api/export-excel', createExportRouter({
   exportLimiter
 }))
 
-app.use('/api/users', createUserRouter({
+app.use('/api/tournaments', createTournamentRouter({
   db,
+  checkAuth,
   authenticateToken,
   requireAdmin,
   conditionalRateLimit,
   createLimiter,
   deleteLimiter,
+  handleValidationErrors,
+  audit
+}))
+
+app.use('/api/scheduled-matches', createScheduledMatchRouter({
+  db,
+  checkAuth,
+  authenticateToken,
+  requireEditor,
+  conditionalRateLimit,
+  createLimiter,
+  deleteLimiter,
+  handleValidationErrors,
+  dataEvents,
+  audit
+}))
+
+app.use('/api/matchmaking', createMatchmakingRouter({
+  db,
+  checkAuth,
   handleValidationErrors
 }))
 
+app.use('/api/ledger', createLedgerRouter({
+  db,
+  checkAuth,
+  authenticateToken,
+  requireEditor,
+  conditionalRateLimit,
+  createLimiter,
+  deleteLimiter,
+  handleValidationErrors,
+  audit
+}))
+
+app.use('/api/play-dates', createPlayDateRouter({
+  db,
+  checkAuth,
+  authenticateToken,
+  requireEditor,
+  conditionalRateLimit,
+  createLimiter,
+  handleValidationErrors,
+  audit
+}))
+
+app.use('/api/admin/audit', createAuditRouter({
+  db,
+  authenticateToken,
+  requireAdmin,
+  handleValidationErrors,
+  dataEvents,
+  audit
+}))
+
+app.use('/api/admin/trash', createTrashRouter({
+  db,
+  authenticateToken,
+  requireAdmin,
+  conditionalRateLimit,
+  deleteLimiter,
+  handleValidationErrors,
+  dataEvents,
+  audit
+}))
+
+app.use('/api/admin/standings', createStandingsRouter({
+  db,
+  authenticateToken,
+  requireAdmin,
+  rankingsCache
+}))
+
+app.use('/api/users', createUserRouter({
+  db,
+  authenticateToken,
+  requireAdmin,
+  conditionalRateLimit,
+  createLimiter,
+  deleteLimiter,
+  handleValidationErrors,
+  audit
+}))
+
 // Players Routes
 // Legacy player routes migrated to modular router
 
@@ -1594,7 +1539,7 @@ app.post('/api/seasons',
       const seasonId = await db.createSeason(name, startDate, endDate, autoEnd, description, loseMoney)
       
       // Invalidate all cache when seasons change
-      rankingsCache.clear()
+      await rankingsCache.clear()
       
       // Preload common data for better hit rates
       setTimeout(() => rankingsCache.preloadCommonData(db), 100)
@@ -1644,7 +1589,7 @@ app.put('/api/seasons/:id',
       await db.updateSeason(seasonId, name, startDate, endDate, autoEnd, description, loseMoney)
       
       // Invalidate all cache when seasons are updated
-      rankingsCache.clear()
+      await rankingsCache.clear()
       
       // Preload common data for better hit rates
       setTimeout(() => rankingsCache.preloadCommonData(db), 100)
@@ -1674,7 +1619,7 @@ app.post('/api/seasons/:id/end',
       await db.endSeason(seasonId, endDate, endedBy)
       
       // Invalidate all cache when seasons are ended
-      rankingsCache.clear()
+      await rankingsCache.clear()
       
       // Preload common data for better hit rates
       setTimeout(() => rankingsCache.preloadCommonData(db), 100)
@@ -1721,7 +1666,7 @@ app.post('/api/seasons/:id/reactivate',
       await db.reactivateSeason(seasonId)
       
       // Invalidate cache
-      rankingsCache.clear()
+      await rankingsCache.clear()
       setTimeout(() => rankingsCache.preloadCommonData(db), 100)
       
       console.log(`✅ Season ${seasonId} reactivated by ${username}`)
@@ -1766,7 +1711,7 @@ app.delete('/api/seasons/:id',
       await db.deleteSeason(seasonId)
       
       // Invalidate all cache when seasons are deleted
-      rankingsCache.clear()
+      await rankingsCache.clear()
       
       // Preload common data for better hit rates
       setTimeout(() => rankingsCache.preloadCommonData(db), 100)
@@ -1789,7 +1734,7 @@ app.post('/api/seasons/check-expired',
       
       if (expiredSeasons.length > 0) {
         // Invalidate cache
-        rankingsCache.clear()
+        await rankingsCache.clear()
         setTimeout(() => rankingsCache.preloadCommonData(db), 100)
       }
       
@@ -1884,7 +1829,7 @@ app.post('/api/matches',
       const matchId = await db.addMatch(seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam)
       
       // Invalidate all cache after adding match
-      rankingsCache.clear()
+      await rankingsCache.clear()
       
       // Preload common data for better hit rates
       setTimeout(() => rankingsCache.preloadCommonData(db), 100)
@@ -1974,7 +1919,7 @@ app.put('/api/matches/:id',
       await db.updateMatch(matchId, seasonId, playDate, player1Id, player2Id, player3Id, player4Id, team1Score, team2Score, winningTeam)
       
       // Invalidate all cache after updating match
-      rankingsCache.clear()
+      await rankingsCache.clear()
       
       // Preload common data for better hit rates
       setTimeout(() => rankingsCache.preloadCommonData(db), 100)
@@ -2009,7 +1954,7 @@ app.delete('/api/matches/:id',
       await db.deleteMatch(matchId)
       
       // Invalidate all cache after deleting match
-      rankingsCache.clear()
+      await rankingsCache.clear()
       
       // Preload common data for better hit rates
       setTimeout(() => rankingsCache.preloadCommonData(db), 100)
@@ -2022,32 +1967,11 @@ app.delete('/api/matches/:id',
   }
 )
 
-// Play dates Routes
-app.get('/api/play-dates', checkAuth, async (req, res) => {
-  try {
-    const playDates = await db.getPlayDates()
-    res.json(playDates)
-  } catch (error) {
-    console.error('Error getting play dates:', error)
-    res.status(500).json({ error: 'Failed to get play dates' })
-  }
-})
-
-app.get('/api/play-dates/latest', checkAuth, async (req, res) => {
-  try {
-    const latestDate = await db.getLatestPlayDate()
-    res.json({ playDate: latestDate })
-  } catch (error) {
-    console.error('Error getting latest play date:', error)
-    res.status(500).json({ error: 'Failed to get latest play date' })
-  }
-})
-
 // Rankings Routes
 app.get('/api/rankings/lifetime', checkAuth, async (req, res) => {
   try {
     const cacheKey = 'rankings:lifetime'
-    let rankings = rankingsCache.get(cacheKey)
+    let rankings = await rankingsCache.get(cacheKey)
     let cacheHit = true
     
     if (!rankings) {
@@ -2061,7 +1985,7 @@ app.get('/api/rankings/lifetime', checkAuth, async (req, res) => {
       }))
       
       // Lifetime data changes less frequently, use longer TTL
-      rankingsCache.set(cacheKey, rankings, 10 * 60 * 1000) // 10 minutes
+      await rankingsCache.set(cacheKey, rankings, 10 * 60 * 1000) // 10 minutes
     }
     
     // Add cache info to response headers
@@ -2079,7 +2003,7 @@ app.get('/api/rankings/season/:seasonId', checkAuth, async (req, res) => {
   try {
     const seasonId = parseInt(req.params.seasonId)
     const cacheKey = `rankings:season:${seasonId}`
-    let rankings = rankingsCache.get(cacheKey)
+    let rankings = await rankingsCache.get(cacheKey)
     let cacheHit = true
     
     if (!rankings) {
@@ -2093,7 +2017,7 @@ app.get('/api/rankings/season/:seasonId', checkAuth, async (req, res) => {
       }))
       
       // Season data changes more frequently during active season, shorter TTL
-      rankingsCache.set(cacheKey, rankings, 3 * 60 * 1000) // 3 minutes
+      await rankingsCache.set(cacheKey, rankings, 3 * 60 * 1000) // 3 minutes
     }
     
     // Add cache info to response headers
@@ -2111,7 +2035,7 @@ app.get('/api/rankings/date/:date', checkAuth, async (req, res) => {
   try {
     const { date } = req.params
     const cacheKey = `rankings:date:${date}`
-    let rankings = rankingsCache.get(cacheKey)
+    let rankings = await rankingsCache.get(cacheKey)
     let cacheHit = true
     
     if (!rankings) {
@@ -2125,7 +2049,7 @@ app.get('/api/rankings/date/:date', checkAuth, async (req, res) => {
       }))
       
       // Date-specific data is historical and rarely changes, longer TTL
-      rankingsCache.set(cacheKey, rankings, 15 * 60 * 1000) // 15 minutes
+      await rankingsCache.set(cacheKey, rankings, 15 * 60 * 1000) // 15 minutes
     }
     
     // Add cache info to response headers
@@ -2427,9 +2351,9 @@ app.delete('/api/clear-all-data',
       
       // Clear all data from database
       await db.clearAllData()
-      
-      // Clear all cache after clearing database
-      rankingsCache.clear()
+      await audit.record(req, { action: 'delete', entityType: 'data' })
+
+      await dataEvents.emit('dataReset')
       
       console.log('✅ All data cleared successfully')
       res.json({ 
@@ -2631,12 +2555,9 @@ app.post('/api/restore-data',
       
       console.log('✅ Data restore completed')
       console.log(`📊 Results: ${results.playersImported} players, ${results.seasonsImported} seasons, ${results.matchesImported} matches`)
-      
-      // Invalidate all cache after data restore
-      rankingsCache.clear()
-      
-      // Preload common data for better hit rates
-      setTimeout(() => rankingsCache.preloadCommonData(db), 100)
+      await audit.record(req, { action: 'create', entityType: 'data', after: { clear_existing: clearExisting, ...results } })
+
+      await dataEvents.emit('dataReset')
       
       res.json({
         success: true,
@@ -2652,12 +2573,12 @@ app.post('/api/restore-data',
 )
 
 // Cache Stats Route (development only)
-app.get('/api/cache-stats', checkAuth, (req, res) => {
+app.get('/api/cache-stats', checkAuth, async (req, res) => {
   if (process.env.NODE_ENV !== 'development') {
     return res.status(404).json({ error: 'Endpoint not available in production' })
   }
   
-  const stats = rankingsCache.getStats()
+  const stats = await rankingsCache.getStats()
   res.json({
     success: true,
     cacheStats: stats,
@@ -2674,8 +2595,8 @@ app.get('/api/cache-stats', checkAuth, (req, res) => {
 })
 
 // System Health Route (admin only)
-app.get('/api/health', authenticateToken, (req, res) => {
-  const stats = rankingsCache.getStats()
+app.get('/api/health', authenticateToken, async (req, res) => {
+  const stats = await rankingsCache.getStats()
   const uptime = process.uptime()
   const serverStatus = serverMonitor.getStatus()
   
@@ -2709,7 +2630,7 @@ app.get('/api/performance', authenticateToken, async (req, res) => {
     return res.status(404).json({ error: 'Endpoint not available in production' })
   }
   
-  const stats = rankingsCache.getStats()
+  const stats = await rankingsCache.getStats()
   const memUsage = process.memoryUsage()
   
   // Get database pool stats
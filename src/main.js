@@ -1,6 +1,60 @@
 import './style.css'
 import ExcelJS from 'exceljs'
 
+// Standings tiebreakers a season can use, in the order they are offered
+const TIEBREAKER_LABELS = {
+  goal_difference: 'Hiệu số',
+  win_percentage: 'Tỷ lệ thắng',
+  wins: 'Số trận thắng',
+  games_won: 'Số ván thắng',
+  points_for: 'Tổng điểm ghi được'
+}
+
+const AUDIT_PAGE_SIZE = 50
+
+const AUDIT_ACTION_LABELS = {
+  create: 'Tạo',
+  update: 'Sửa',
+  delete: 'Xóa',
+  archive: 'Lưu trữ',
+  restore: 'Khôi phục',
+  merge: 'Gộp',
+  end: 'Kết thúc',
+  reactivate: 'Mở lại',
+  cancel: 'Hủy',
+  complete: 'Hoàn thành',
+  revert: 'Hoàn tác',
+  purge: 'Xóa vĩnh viễn'
+}
+
+const AUDIT_ENTITY_LABELS = {
+  match: 'trận đấu',
+  season: 'mùa giải',
+  season_players: 'người chơi trong mùa',
+  player: 'người chơi',
+  user: 'tài khoản',
+  scheduled_match: 'lịch thi đấu',
+  tournament: 'giải đấu',
+  ledger_entry: 'khoản quỹ',
+  attendance: 'điểm danh',
+  data: 'toàn bộ dữ liệu'
+}
+
+// Player details choices, '' meaning not set
+const DOMINANT_HAND_LABELS = {
+  '': 'Chưa rõ',
+  right: 'Tay phải',
+  left: 'Tay trái',
+  ambidextrous: 'Cả hai tay'
+}
+
+const COURT_SIDE_LABELS = {
+  '': 'Chưa rõ',
+  left: 'Bên trái',
+  right: 'Bên phải',
+  either: 'Bên nào cũng được'
+}
+
 // Pickleball Ranking System with PostgreSQL Database
 class PickleballRankingSystem {
   constructor() {
@@ -8,7 +62,7 @@ class PickleballRankingSystem {
     this.matches = []
     this.seasons = []
     this.playDates = []
-    this.currentViewMode = 'daily' // daily, season, lifetime
+    this.currentViewMode = 'daily' // daily, season, lifetime, rating
     this.selectedDate = null
     this.selectedSeason = null
     this.autoSaveEnabled = true
@@ -20,6 +74,14 @@ class PickleballRankingSystem {
     this.currentWinningTeam = null
     this.isManualWinnerMode = false
     this.matchType = 'duo' // 'solo' or 'duo'
+    this.tournaments = []
+    this.selectedTournament = null
+    this.scheduledMatches = []
+    this.selectedLedgerSeason = null
+    this.selectedAttendanceSeason = null
+    this.selectedAttendanceDate = null
+    this.auditOffset = 0
+    this.etagCache = new Map() // url -> { etag, body, contentType } of the last GET response
     this.init()
   }
 
@@ -332,19 +394,54 @@ class PickleballRankingSystem {
       throw new Error('CSRF token required')
     }
     
+    // Let the browser set the multipart boundary for file uploads
     const headers = {
-      'Content-Type': 'application/json',
+      ...(options.body instanceof FormData ? {} : { 'Content-Type': 'application/json' }),
       'X-CSRF-Token': csrfToken,
       ...options.headers
     }
     
-    return fetch(url, {
+    return this.fetchConditional(url, {
       ...options,
       headers,
       credentials: 'include'
     })
   }
 
+  // GET with If-None-Match: while the data on the server is unchanged it answers 304
+  // and the response stored for the URL is returned instead (rankings, matches and
+  // players send ETags)
+  async fetchConditional(url, options = {}) {
+    if ((options.method || 'GET').toUpperCase() !== 'GET') {
+      return fetch(url, options)
+    }
+
+    const cached = this.etagCache.get(url)
+    const headers = new Headers(options.headers)
+    if (cached) {
+      headers.set('If-None-Match', cached.etag)
+    }
+    const response = await fetch(url, { ...options, headers })
+
+    if (response.status === 304 && cached) {
+      return new Response(cached.body, {
+        status: 200,
+        headers: { 'Content-Type': cached.contentType }
+      })
+    }
+    const etag = response.headers.get('ETag')
+    if (response.ok && etag) {
+      this.etagCache.set(url, {
+        etag,
+        body: await response.clone().arrayBuffer(),
+        contentType: response.headers.get('Content-Type') || 'application/json'
+      })
+    } else {
+      this.etagCache.delete(url)
+    }
+    return response
+  }
+
   updateAuthHeader() {
     const header = document.querySelector('header')
     let authDiv = header.querySelector('.auth-section')
@@ -461,9 +558,10 @@ class PickleballRankingSystem {
 
   async loadPlayers() {
     try {
-      const response = await fetch(`${this.apiBase}/players`)
+      const response = await this.fetchConditional(`${this.apiBase}/players`)
       if (response.ok) {
         this.players = await response.json()
+        this.updateComparisonSelects()
       }
     } catch (error) {
       console.error('Error loading players:', error)
@@ -495,7 +593,7 @@ class PickleballRankingSystem {
 
   async loadMatches() {
     try {
-      const response = await fetch(`${this.apiBase}/matches`)
+      const response = await this.fetchConditional(`${this.apiBase}/matches`)
       if (response.ok) {
         this.matches = await response.json()
       }
@@ -572,6 +670,37 @@ class PickleballRankingSystem {
         }
       })
 
+      // Player profile links (using event delegation)
+      document.addEventListener('click', (e) => {
+        const link = e.target.closest('.player-link')
+        if (link && link.dataset.playerId) {
+          this.showPlayerProfile(parseInt(link.dataset.playerId))
+        }
+      })
+
+      // Pair leaderboard
+      const pairMinGamesInput = document.getElementById('pairMinGames')
+      if (pairMinGamesInput) {
+        pairMinGamesInput.addEventListener('change', async () => {
+          await this.renderPairRankings()
+        })
+      }
+
+      const exportPairRankingsBtn = document.getElementById('exportPairRankings')
+      if (exportPairRankingsBtn) {
+        exportPairRankingsBtn.addEventListener('click', async () => {
+          await this.exportPairRankings()
+        })
+      }
+
+      // Head-to-head comparison
+      const comparePlayersBtn = document.getElementById('comparePlayers')
+      if (comparePlayersBtn) {
+        comparePlayersBtn.addEventListener('click', async () => {
+          await this.showComparison()
+        })
+      }
+
       // Record match
       const recordMatchBtn = document.getElementById('recordMatch')
       if (recordMatchBtn) {
@@ -618,6 +747,13 @@ class PickleballRankingSystem {
         })
       }
 
+      const viewModeRatingBtn = document.getElementById('viewModeRating')
+      if (viewModeRatingBtn) {
+        viewModeRatingBtn.addEventListener('click', () => {
+          this.switchViewMode('rating')
+        })
+      }
+
       // Date and season selectors
       const dateSelector = document.getElementById('dateSelector')
       if (dateSelector) {
@@ -649,6 +785,89 @@ class PickleballRankingSystem {
         })
       }
 
+      // Tournaments
+      const addTournamentBtn = document.getElementById('addTournament')
+      if (addTournamentBtn) {
+        addTournamentBtn.addEventListener('click', () => {
+          this.showTournamentModal()
+        })
+      }
+
+      const tournamentSelector = document.getElementById('tournamentSelector')
+      if (tournamentSelector) {
+        tournamentSelector.addEventListener('change', (e) => {
+          this.selectedTournament = parseInt(e.target.value) || null
+          this.renderTournamentBracket()
+        })
+      }
+
+      // Money ledger
+      const ledgerSeasonSelect = document.getElementById('ledgerSeasonSelect')
+      if (ledgerSeasonSelect) {
+        ledgerSeasonSelect.addEventListener('change', (e) => {
+          this.selectedLedgerSeason = parseInt(e.target.value) || null
+          this.renderLedger()
+        })
+      }
+
+      const ledgerEntryForm = document.getElementById('ledgerEntryForm')
+      if (ledgerEntryForm) {
+        ledgerEntryForm.addEventListener('submit', async (e) => {
+          e.preventDefault()
+          await this.addLedgerEntry()
+        })
+      }
+
+      // Attendance
+      const attendanceDate = document.getElementById('attendanceDate')
+      if (attendanceDate) {
+        attendanceDate.addEventListener('change', (e) => {
+          this.selectedAttendanceDate = e.target.value || null
+          this.renderAttendanceDate()
+        })
+      }
+
+      const attendanceSeasonSelect = document.getElementById('attendanceSeasonSelect')
+      if (attendanceSeasonSelect) {
+        attendanceSeasonSelect.addEventListener('change', (e) => {
+          this.selectedAttendanceSeason = parseInt(e.target.value) || null
+          this.renderAttendanceStats()
+        })
+      }
+
+      const saveAttendanceBtn = document.getElementById('saveAttendance')
+      if (saveAttendanceBtn) {
+        saveAttendanceBtn.addEventListener('click', async () => {
+          await this.saveAttendance()
+        })
+      }
+
+      // Audit log
+      const auditFilters = document.getElementById('auditFilters')
+      if (auditFilters) {
+        auditFilters.addEventListener('submit', (e) => {
+          e.preventDefault()
+          this.auditOffset = 0
+          this.renderAuditLog()
+        })
+      }
+
+      const auditPrev = document.getElementById('auditPrev')
+      if (auditPrev) {
+        auditPrev.addEventListener('click', () => {
+          this.auditOffset = Math.max(0, this.auditOffset - AUDIT_PAGE_SIZE)
+          this.renderAuditLog()
+        })
+      }
+
+      const auditNext = document.getElementById('auditNext')
+      if (auditNext) {
+        auditNext.addEventListener('click', () => {
+          this.auditOffset += AUDIT_PAGE_SIZE
+          this.renderAuditLog()
+        })
+      }
+
       // User management
       const addUserBtn = document.getElementById('addUser')
       if (addUserBtn) {
@@ -689,6 +908,13 @@ class PickleballRankingSystem {
         team2ScoreInput.addEventListener('input', () => this.updateAutoWinner())
       }
 
+      // Game-by-game scores (best-of-N)
+      const matchGamesList = document.getElementById('matchGamesList')
+      const addMatchGameBtn = document.getElementById('addMatchGame')
+      if (matchGamesList && addMatchGameBtn) {
+        this.setupGameRows(matchGamesList, addMatchGameBtn, () => this.onMatchGamesChange())
+      }
+
       // Manual winner toggle
       const useManualWinnerBtn = document.getElementById('useManualWinner')
       const useAutoWinnerBtn = document.getElementById('useAutoWinner')
@@ -711,6 +937,38 @@ class PickleballRankingSystem {
         matchSeasonSelect.addEventListener('change', async (e) => {
           const seasonId = parseInt(e.target.value)
           await this.updatePlayerSelectsBySeason(seasonId)
+          await this.renderScheduledMatches()
+        })
+      }
+
+      const matchDateInput = document.getElementById('matchDate')
+      if (matchDateInput) {
+        matchDateInput.addEventListener('change', async () => {
+          await this.renderScheduledMatches()
+        })
+      }
+
+      // Balanced team suggestions
+      const suggestTeamsBtn = document.getElementById('suggestTeams')
+      if (suggestTeamsBtn) {
+        suggestTeamsBtn.addEventListener('click', async () => {
+          await this.suggestTeams()
+        })
+      }
+
+      // Planned matches
+      const planMatchBtn = document.getElementById('planMatch')
+      if (planMatchBtn) {
+        planMatchBtn.addEventListener('click', async () => {
+          await this.showPlanMatchModal()
+        })
+      }
+
+      // Round-robin schedule
+      const generateScheduleBtn = document.getElementById('generateSchedule')
+      if (generateScheduleBtn) {
+        generateScheduleBtn.addEventListener('click', async () => {
+          await this.generateSchedule()
         })
       }
 
@@ -778,12 +1036,23 @@ class PickleballRankingSystem {
       this.updatePlayerSelects()
       this.setTodaysDate()
       this.renderMatchHistory()
+      this.renderScheduledMatches()
     } else if (tabName === 'players') {
       this.renderPlayers()
     } else if (tabName === 'seasons') {
       this.renderSeasons()
+    } else if (tabName === 'tournaments') {
+      this.renderTournaments()
+    } else if (tabName === 'ledger') {
+      this.renderLedger()
+    } else if (tabName === 'attendance') {
+      this.renderAttendance()
     } else if (tabName === 'users') {
       this.renderUsers()
+    } else if (tabName === 'audit') {
+      this.renderAuditLog()
+    } else if (tabName === 'trash') {
+      this.renderTrash()
     }
   }
 
@@ -913,7 +1182,7 @@ class PickleballRankingSystem {
     const player = this.players.find(p => p.id === playerId)
     if (!player) return
 
-    const confirmDelete = confirm(`Bạn có chắc muốn xóa người chơi "${player.name}"? Tất cả lịch sử thi đấu của người này cũng sẽ bị xóa.`)
+    const confirmDelete = confirm(`Lưu trữ người chơi "${player.name}"? Người chơi sẽ bị ẩn khỏi danh sách chọn nhưng lịch sử thi đấu vẫn được giữ lại.`)
     if (!confirmDelete) return
 
     try {
@@ -928,15 +1197,251 @@ class PickleballRankingSystem {
         this.renderRankings()
         this.renderMatchHistory()
         this.updatePlayerSelects()
-        this.updateFileStatus(`✅ Đã xóa người chơi: ${player.name}`, 'success')
+        this.updateFileStatus(`✅ Đã lưu trữ người chơi: ${player.name}`, 'success')
       } else {
         const data = await response.json()
         this.updateFileStatus(`❌ ${data.error}`, 'error')
       }
     } catch (error) {
       console.error('Error removing player:', error)
-      this.updateFileStatus('❌ Lỗi khi xóa người chơi', 'error')
+      this.updateFileStatus('❌ Lỗi khi lưu trữ người chơi', 'error')
+    }
+  }
+
+  async restorePlayer(playerId) {
+    try {
+      const response = await this.makeAuthenticatedRequest(`${this.apiBase}/players/${playerId}/restore`, {
+        method: 'POST'
+      })
+      const data = await response.json()
+
+      if (response.ok) {
+        await this.loadPlayers()
+        this.renderPlayers()
+        this.updatePlayerSelects()
+        this.updateFileStatus('✅ Đã khôi phục người chơi', 'success')
+      } else {
+        this.updateFileStatus(`❌ ${data.error}`, 'error')
+      }
+    } catch (error) {
+      console.error('Error restoring player:', error)
+      this.updateFileStatus('❌ Lỗi khi khôi phục người chơi', 'error')
+    }
+  }
+
+  // Rename a player, or merge them into another player (duplicate records)
+  showPlayerModal(playerId) {
+    const player = this.players.find(p => p.id === playerId)
+    if (!player) return
+
+    const modal = document.createElement('div')
+    modal.className = 'modal'
+    modal.innerHTML = `
+      <div class="modal-content">
+        <h2>Người chơi: ${player.name}</h2>
+        <div class="player-avatar-editor">
+          ${this.renderPlayerAvatar(player, 'large')}
+          <div>
+            <input type="file" id="playerAvatarFile" accept="image/jpeg,image/png,image/webp">
+            <small class="form-hint">JPEG, PNG hoặc WebP, tối đa 2 MB</small>
+            <div class="form-actions">
+              <button type="button" id="uploadPlayerAvatar">Tải ảnh lên</button>
+              ${player.avatar_path ? '<button type="button" id="removePlayerAvatar">Xóa ảnh</button>' : ''}
+            </div>
+          </div>
+        </div>
+        <form id="playerDetailsForm">
+          <div class="form-row">
+            <div class="form-group">
+              <label for="renamePlayerName">Tên:</label>
+              <input type="text" id="renamePlayerName" value="${this.escapeHtml(player.name)}" maxlength="100" required>
+            </div>
+            <div class="form-group">
+              <label for="playerNickname">Biệt danh:</label>
+              <input type="text" id="playerNickname" value="${this.escapeHtml(player.nickname)}" maxlength="100">
+            </div>
+          </div>
+          <div class="form-row">
+            <div class="form-group">
+              <label for="playerDominantHand">Tay thuận:</label>
+              <select id="playerDominantHand">
+                ${Object.entries(DOMINANT_HAND_LABELS).map(([value, label]) => `
+                  <option value="${value}" ${(player.dominant_hand || '') === value ? 'selected' : ''}>${label}</option>
+                `).join('')}
+              </select>
+            </div>
+            <div class="form-group">
+              <label for="playerPreferredSide">Bên sân ưa thích:</label>
+              <select id="playerPreferredSide">
+                ${Object.entries(COURT_SIDE_LABELS).map(([value, label]) => `
+                  <option value="${value}" ${(player.preferred_side || '') === value ? 'selected' : ''}>${label}</option>
+                `).join('')}
+              </select>
+            </div>
+          </div>
+          <div class="form-row">
+            <div class="form-group">
+              <label for="playerPhone">Điện thoại:</label>
+              <input type="tel" id="playerPhone" value="${this.escapeHtml(player.phone)}" maxlength="30">
+            </div>
+            <div class="form-group">
+              <label for="playerEmail">Email:</label>
+              <input type="email" id="playerEmail" value="${this.escapeHtml(player.email)}" maxlength="255">
+            </div>
+          </div>
+          <div class="form-group">
+            <label for="playerBio">Giới thiệu:</label>
+            <textarea id="playerBio" rows="3" maxlength="1000">${this.escapeHtml(player.bio)}</textarea>
+          </div>
+          <div class="form-actions">
+            <button type="submit">Lưu thông tin</button>
+          </div>
+        </form>
+        <form id="mergePlayerForm">
+          <div class="form-group">
+            <label for="mergeIntoPlayer">Gộp vào người chơi:</label>
+            <select id="mergeIntoPlayer" required>
+              <option value="">-- Chọn người chơi --</option>
+              ${this.players.filter(p => p.id !== playerId).map(p => `<option value="${p.id}">${p.name}</option>`).join('')}
+            </select>
+            <small class="form-hint">Toàn bộ trận đấu, mùa giải, điểm danh và sổ quỹ của "${player.name}" sẽ được chuyển sang người được chọn, sau đó "${player.name}" bị xóa.</small>
+          </div>
+          <div class="form-actions">
+            <button type="submit">Gộp</button>
+            <button type="button" id="cancelPlayerModal">Hủy</button>
+          </div>
+        </form>
+        <div id="playerModalError" class="error-message"></div>
+      </div>
+    `
+
+    document.body.appendChild(modal)
+    const errorDiv = document.getElementById('playerModalError')
+
+    const refreshAfterChange = async (message) => {
+      document.body.removeChild(modal)
+      await this.loadPlayers()
+      await this.loadMatches()
+      this.renderPlayers()
+      this.renderRankings()
+      this.renderMatchHistory()
+      this.updatePlayerSelects()
+      this.updateFileStatus(message, 'success')
+    }
+
+    document.getElementById('playerDetailsForm').addEventListener('submit', async (e) => {
+      e.preventDefault()
+      const name = document.getElementById('renamePlayerName').value.trim()
+      if (!name) return
+
+      try {
+        const response = await this.makeAuthenticatedRequest(`${this.apiBase}/players/${playerId}`, {
+          method: 'PUT',
+          body: JSON.stringify({
+            name,
+            nickname: document.getElementById('playerNickname').value.trim() || null,
+            dominantHand: document.getElementById('playerDominantHand').value || null,
+            preferredSide: document.getElementById('playerPreferredSide').value || null,
+            phone: document.getElementById('playerPhone').value.trim() || null,
+            email: document.getElementById('playerEmail').value.trim() || null,
+            bio: document.getElementById('playerBio').value.trim() || null
+          })
+        })
+        const data = await response.json()
+
+        if (response.ok) {
+          await refreshAfterChange(`✅ Đã cập nhật người chơi "${name}"`)
+        } else {
+          errorDiv.textContent = data.error
+        }
+      } catch (error) {
+        console.error('Error updating player:', error)
+        errorDiv.textContent = 'Lỗi khi cập nhật người chơi'
+      }
+    })
+
+    document.getElementById('uploadPlayerAvatar').addEventListener('click', async () => {
+      const file = document.getElementById('playerAvatarFile').files[0]
+      if (!file) {
+        errorDiv.textContent = 'Vui lòng chọn ảnh'
+        return
+      }
+      const formData = new FormData()
+      formData.append('avatar', file)
+
+      try {
+        const response = await this.makeAuthenticatedRequest(`${this.apiBase}/players/${playerId}/avatar`, {
+          method: 'POST',
+          body: formData
+        })
+        const data = await response.json()
+
+        if (response.ok) {
+          await refreshAfterChange(`✅ Đã cập nhật ảnh đại diện của "${player.name}"`)
+        } else {
+          errorDiv.textContent = data.error
+        }
+      } catch (error) {
+        console.error('Error uploading avatar:', error)
+        errorDiv.textContent = 'Lỗi khi tải ảnh lên'
+      }
+    })
+
+    const removeAvatarBtn = document.getElementById('removePlayerAvatar')
+    if (removeAvatarBtn) {
+      removeAvatarBtn.addEventListener('click', async () => {
+        try {
+          const response = await this.makeAuthenticatedRequest(`${this.apiBase}/players/${playerId}/avatar`, {
+            method: 'DELETE'
+          })
+          const data = await response.json()
+
+          if (response.ok) {
+            await refreshAfterChange(`✅ Đã xóa ảnh đại diện của "${player.name}"`)
+          } else {
+            errorDiv.textContent = data.error
+          }
+        } catch (error) {
+          console.error('Error removing avatar:', error)
+          errorDiv.textContent = 'Lỗi khi xóa ảnh'
+        }
+      })
     }
+
+    document.getElementById('mergePlayerForm').addEventListener('submit', async (e) => {
+      e.preventDefault()
+      const intoPlayerId = parseInt(document.getElementById('mergeIntoPlayer').value)
+      const target = this.players.find(p => p.id === intoPlayerId)
+      if (!target) return
+      if (!confirm(`Gộp "${player.name}" vào "${target.name}"? Thao tác này không thể hoàn tác.`)) return
+
+      try {
+        const response = await this.makeAuthenticatedRequest(`${this.apiBase}/players/${playerId}/merge`, {
+          method: 'POST',
+          body: JSON.stringify({ intoPlayerId })
+        })
+        const data = await response.json()
+
+        if (response.ok) {
+          await refreshAfterChange(`✅ Đã gộp "${player.name}" vào "${target.name}" (${data.matchesMoved} trận)`)
+        } else {
+          errorDiv.textContent = data.error
+        }
+      } catch (error) {
+        console.error('Error merging players:', error)
+        errorDiv.textContent = 'Lỗi khi gộp người chơi'
+      }
+    })
+
+    document.getElementById('cancelPlayerModal').addEventListener('click', () => {
+      document.body.removeChild(modal)
+    })
+
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        document.body.removeChild(modal)
+      }
+    })
   }
 
   async recordMatch() {
@@ -1000,6 +1505,13 @@ class PickleballRankingSystem {
       return
     }
 
+    const games = this.readGameRows(document.getElementById('matchGamesList'))
+    if (games.length > 0 && this.summarizeGameRows(games).hasTiedGame) {
+      this.updateFileStatus('❌ Một ván không thể có tỷ số hòa', 'error')
+      return
+    }
+    const stakeValue = parseInt(document.getElementById('matchStake').value)
+
     // Use auto-selected winner if available
     let finalWinningTeam = winningTeam
     if (!this.isManualWinnerMode && this.currentWinningTeam) {
@@ -1024,7 +1536,9 @@ class PickleballRankingSystem {
           player4Id,
           team1Score,
           team2Score,
-          winningTeam: finalWinningTeam
+          winningTeam: finalWinningTeam,
+          games,
+          stake: stakeValue >= 0 ? stakeValue : null
         })
       })
 
@@ -1039,6 +1553,9 @@ class PickleballRankingSystem {
         document.getElementById('team1Score').value = ''
         document.getElementById('team2Score').value = ''
         document.getElementById('winningTeam').value = ''
+        document.getElementById('matchGamesList').innerHTML = ''
+        document.getElementById('matchStake').value = ''
+        this.onMatchGamesChange()
         
         // Reset to auto winner mode and duo mode
         this.toggleWinnerMode(false)
@@ -1060,41 +1577,569 @@ class PickleballRankingSystem {
     }
   }
 
-  renderPlayers() {
+  // Suggest the most balanced split of the four selected players
+  async suggestTeams() {
+    const container = document.getElementById('teamSuggestions')
+    const seasonId = parseInt(document.getElementById('matchSeason').value)
+    const basis = document.getElementById('suggestBasis').value
+    const playerIds = ['player1', 'player2', 'player3', 'player4']
+      .map(selectId => parseInt(document.getElementById(selectId).value))
+
+    if (playerIds.some(id => isNaN(id)) || new Set(playerIds).size !== 4) {
+      this.updateFileStatus('❌ Vui lòng chọn 4 người chơi khác nhau để gợi ý đội', 'error')
+      return
+    }
+
     try {
-      const container = document.getElementById('playersList')
-      if (!container) {
-        console.warn('Players list container not found')
+      const response = await this.makeAuthenticatedRequest(`${this.apiBase}/matchmaking/balance`, {
+        method: 'POST',
+        body: JSON.stringify({ playerIds, seasonId: isNaN(seasonId) ? null : seasonId, basis })
+      })
+      const data = await response.json()
+
+      if (!response.ok) {
+        this.updateFileStatus(`❌ ${data.error}`, 'error')
         return
       }
 
-      const userRole = this.user?.role
-      
-      container.innerHTML = this.players.map(player => `
-        <div class="player-card">
-          <span class="player-name">${player.name}</span>
-          ${userRole === 'admin' ? `
-            <button class="delete-btn" data-player-id="${player.id}">❌</button>
-          ` : ''}
+      const formatTeam = (team) => team.players.map(player => player.name).join(' & ')
+      const formatBalance = (suggestion) => basis === 'rating'
+        ? `Chênh ${suggestion.rating_difference} điểm · Đội 1 thắng ${suggestion.team1_win_probability}%`
+        : `Chênh ${suggestion.rank_difference} bậc xếp hạng`
+
+      container.innerHTML = data.suggestions.map((suggestion, index) => `
+        <div class="team-suggestion ${index === 0 ? 'best' : ''}">
+          <div class="team-suggestion-teams">
+            <strong>${formatTeam(suggestion.team1)}</strong>
+            <span>vs</span>
+            <strong>${formatTeam(suggestion.team2)}</strong>
+          </div>
+          <div class="team-suggestion-meta">
+            ${formatBalance(suggestion)} · Đã đánh cặp ${suggestion.team1.times_together} / ${suggestion.team2.times_together} trận
+          </div>
+          <button type="button" class="small-btn" data-action="apply-suggestion" data-index="${index}">Áp dụng</button>
         </div>
       `).join('')
+
+      container.querySelectorAll('[data-action="apply-suggestion"]').forEach(button => {
+        button.addEventListener('click', (e) => {
+          const suggestion = data.suggestions[parseInt(e.target.dataset.index)]
+          const [player1, player2] = suggestion.team1.players
+          const [player3, player4] = suggestion.team2.players
+          document.getElementById('player1').value = player1.id
+          document.getElementById('player2').value = player2.id
+          document.getElementById('player3').value = player3.id
+          document.getElementById('player4').value = player4.id
+          container.innerHTML = ''
+        })
+      })
     } catch (error) {
-      console.error('Error rendering players:', error)
+      console.error('Error suggesting teams:', error)
+      this.updateFileStatus('❌ Lỗi khi gợi ý đội', 'error')
     }
   }
 
-  renderSeasons() {
-    try {
-      const container = document.getElementById('seasonsList')
-      if (!container) {
-        console.warn('Seasons list container not found')
-        return
-      }
+  // Round-robin schedule for the date/season selected in the match form
+  async renderScheduledMatches() {
+    const container = document.getElementById('scheduledMatchesList')
+    if (!container) return
 
-      const userRole = this.user?.role
-      const activeSeasons = this.seasons.filter(s => s.is_active)
-      const endedSeasons = this.seasons.filter(s => !s.is_active)
-      
+    const playDate = document.getElementById('matchDate')?.value
+    const seasonId = parseInt(document.getElementById('matchSeason')?.value)
+    if (!playDate || isNaN(seasonId)) {
+      container.innerHTML = '<div class="empty-state">Chọn ngày đánh và mùa giải để xem lịch thi đấu</div>'
+      return
+    }
+
+    let scheduledMatches = []
+    try {
+      const response = await fetch(`${this.apiBase}/scheduled-matches?seasonId=${seasonId}&date=${playDate}`)
+      if (response.ok) scheduledMatches = await response.json()
+    } catch (error) {
+      console.error('Error loading scheduled matches:', error)
+    }
+    this.scheduledMatches = scheduledMatches
+
+    if (scheduledMatches.length === 0) {
+      container.innerHTML = '<div class="empty-state">Chưa có lịch thi đấu cho ngày này</div>'
+      return
+    }
+
+    const checkInLabels = { confirmed: '✅', declined: '❌' }
+    const renderPlayer = (match, playerId, name) => {
+      if (!playerId) return ''
+      if (match.status !== 'scheduled') return `<span class="checkin-chip">${name}</span>`
+      const checkIn = match.checkins.find(item => item.player_id === playerId)
+      const status = checkIn ? checkIn.status : 'pending'
+      return `
+        <button type="button" class="checkin-chip checkin-${status}" data-action="check-in"
+          data-id="${match.id}" data-player-id="${playerId}" data-status="${status}" title="Bấm để đổi trạng thái xác nhận">
+          ${checkInLabels[status] || '❔'} ${name}
+        </button>
+      `
+    }
+    const renderTeam = (match, team) => team === 1
+      ? renderPlayer(match, match.player1_id, match.player1_name) + renderPlayer(match, match.player2_id, match.player2_name)
+      : renderPlayer(match, match.player3_id, match.player3_name) + renderPlayer(match, match.player4_id, match.player4_name)
+
+    const renderScore = (match) => {
+      if (match.status === 'completed') return `<strong class="scheduled-score">${match.team1_score} - ${match.team2_score}</strong>`
+      if (match.status === 'cancelled') return '<span class="scheduled-score">Đã hủy</span>'
+      return `
+        <span class="scheduled-score">
+          <input type="number" min="0" id="scheduledScore1-${match.id}" placeholder="0">
+          -
+          <input type="number" min="0" id="scheduledScore2-${match.id}" placeholder="0">
+        </span>
+      `
+    }
+
+    // Round-robin fixtures are grouped by round, individually planned matches come last
+    const groups = [...new Set(scheduledMatches.map(match => match.round))]
+    container.innerHTML = groups.map(round => `
+      <div class="schedule-round">
+        <h4>${round ? `Lượt ${round}` : 'Trận đã lên lịch'}</h4>
+        ${scheduledMatches.filter(match => match.round === round).map(match => `
+          <div class="scheduled-match scheduled-match-${match.status}">
+            <span class="scheduled-court">
+              ${match.scheduled_time ? `${match.scheduled_time}<br>` : ''}Sân ${match.court || '-'}
+            </span>
+            <span class="scheduled-team">${renderTeam(match, 1)}</span>
+            ${renderScore(match)}
+            <span class="scheduled-team">${renderTeam(match, 2)}</span>
+            ${match.status === 'scheduled' ? `
+              <span class="scheduled-actions">
+                <button data-action="complete-scheduled" data-id="${match.id}" class="small-btn">💾 Lưu</button>
+                <button data-action="reschedule" data-id="${match.id}" class="edit-btn" title="Đổi lịch">🕒</button>
+                <button data-action="cancel-scheduled" data-id="${match.id}" class="small-btn" title="Hủy trận">🚫</button>
+                <button data-action="delete-scheduled" data-id="${match.id}" class="delete-btn" title="Xóa trận">🗑️</button>
+              </span>
+            ` : ''}
+          </div>
+        `).join('')}
+      </div>
+    `).join('')
+
+    container.querySelectorAll('[data-action]').forEach(button => {
+      button.addEventListener('click', async (e) => {
+        const { action, id, playerId, status } = e.currentTarget.dataset
+        const scheduledMatchId = parseInt(id)
+        if (action === 'complete-scheduled') {
+          await this.completeScheduledMatch(scheduledMatchId)
+        } else if (action === 'check-in') {
+          await this.toggleScheduledCheckIn(scheduledMatchId, parseInt(playerId), status)
+        } else if (action === 'reschedule') {
+          this.showRescheduleModal(scheduledMatchId)
+        } else if (action === 'cancel-scheduled') {
+          await this.cancelScheduledMatch(scheduledMatchId)
+        } else if (action === 'delete-scheduled') {
+          await this.deleteScheduledMatch(scheduledMatchId)
+        }
+      })
+    })
+  }
+
+  async generateSchedule() {
+    const playDate = document.getElementById('matchDate').value
+    const seasonId = parseInt(document.getElementById('matchSeason').value)
+    const courts = parseInt(document.getElementById('scheduleCourts').value) || null
+    const rounds = parseInt(document.getElementById('scheduleRounds').value) || null
+
+    if (!playDate || isNaN(seasonId)) {
+      this.updateFileStatus('❌ Vui lòng chọn ngày đánh và mùa giải', 'error')
+      return
+    }
+
+    const container = document.getElementById('scheduledMatchesList')
+    const hasPending = container && container.querySelector('.scheduled-match-scheduled')
+    if (hasPending && !confirm('Thay thế các trận chưa đánh trong lịch hiện tại?')) return
+
+    try {
+      const response = await this.makeAuthenticatedRequest(`${this.apiBase}/scheduled-matches/generate`, {
+        method: 'POST',
+        body: JSON.stringify({
+          seasonId,
+          playDate,
+          matchType: this.matchType,
+          courts,
+          rounds,
+          replace: Boolean(hasPending)
+        })
+      })
+      const data = await response.json()
+
+      if (response.ok) {
+        await this.renderScheduledMatches()
+        this.updateFileStatus(`✅ Đã tạo lịch ${data.schedule.length} lượt đấu`, 'success')
+      } else {
+        this.updateFileStatus(`❌ ${data.error}`, 'error')
+      }
+    } catch (error) {
+      console.error('Error generating schedule:', error)
+      this.updateFileStatus('❌ Lỗi khi tạo lịch thi đấu', 'error')
+    }
+  }
+
+  async completeScheduledMatch(scheduledMatchId) {
+    const team1Score = parseInt(document.getElementById(`scheduledScore1-${scheduledMatchId}`).value)
+    const team2Score = parseInt(document.getElementById(`scheduledScore2-${scheduledMatchId}`).value)
+
+    if (isNaN(team1Score) || isNaN(team2Score) || team1Score < 0 || team2Score < 0) {
+      this.updateFileStatus('❌ Vui lòng nhập tỷ số hợp lệ', 'error')
+      return
+    }
+    if (team1Score === team2Score) {
+      this.updateFileStatus('❌ Tỷ số hòa, không xác định được đội thắng', 'error')
+      return
+    }
+
+    try {
+      const response = await this.makeAuthenticatedRequest(`${this.apiBase}/scheduled-matches/${scheduledMatchId}/complete`, {
+        method: 'POST',
+        body: JSON.stringify({
+          team1Score,
+          team2Score,
+          winningTeam: team1Score > team2Score ? 1 : 2
+        })
+      })
+      const data = await response.json()
+
+      if (response.ok) {
+        await this.loadMatches()
+        await this.loadPlayDates()
+        await this.renderScheduledMatches()
+        this.renderMatchHistory()
+        this.updateFileStatus('✅ Đã ghi nhận kết quả trận đấu', 'success')
+      } else {
+        this.updateFileStatus(`❌ ${data.error}`, 'error')
+      }
+    } catch (error) {
+      console.error('Error completing scheduled match:', error)
+      this.updateFileStatus('❌ Lỗi khi ghi nhận kết quả', 'error')
+    }
+  }
+
+  async deleteScheduledMatch(scheduledMatchId) {
+    try {
+      const response = await this.makeAuthenticatedRequest(`${this.apiBase}/scheduled-matches/${scheduledMatchId}`, {
+        method: 'DELETE'
+      })
+      const data = await response.json()
+
+      if (response.ok) {
+        await this.renderScheduledMatches()
+      } else {
+        this.updateFileStatus(`❌ ${data.error}`, 'error')
+      }
+    } catch (error) {
+      console.error('Error deleting scheduled match:', error)
+      this.updateFileStatus('❌ Lỗi khi xóa trận', 'error')
+    }
+  }
+
+  // Cycle a player's RSVP: not answered -> confirmed -> declined -> not answered
+  async toggleScheduledCheckIn(scheduledMatchId, playerId, currentStatus) {
+    const nextStatus = { pending: 'confirmed', confirmed: 'declined', declined: null }[currentStatus]
+
+    try {
+      const response = await this.makeAuthenticatedRequest(`${this.apiBase}/scheduled-matches/${scheduledMatchId}/check-in`, {
+        method: 'PUT',
+        body: JSON.stringify({ playerId, status: nextStatus })
+      })
+      const data = await response.json()
+
+      if (response.ok) {
+        await this.renderScheduledMatches()
+      } else {
+        this.updateFileStatus(`❌ ${data.error}`, 'error')
+      }
+    } catch (error) {
+      console.error('Error updating check-in:', error)
+      this.updateFileStatus('❌ Lỗi khi cập nhật xác nhận', 'error')
+    }
+  }
+
+  async cancelScheduledMatch(scheduledMatchId) {
+    if (!confirm('Hủy trận đấu đã lên lịch này?')) return
+
+    try {
+      const response = await this.makeAuthenticatedRequest(`${this.apiBase}/scheduled-matches/${scheduledMatchId}/cancel`, {
+        method: 'POST'
+      })
+      const data = await response.json()
+
+      if (response.ok) {
+        await this.renderScheduledMatches()
+      } else {
+        this.updateFileStatus(`❌ ${data.error}`, 'error')
+      }
+    } catch (error) {
+      console.error('Error cancelling scheduled match:', error)
+      this.updateFileStatus('❌ Lỗi khi hủy trận', 'error')
+    }
+  }
+
+  showRescheduleModal(scheduledMatchId) {
+    const scheduledMatch = this.scheduledMatches.find(match => match.id === scheduledMatchId)
+    if (!scheduledMatch) return
+
+    const modal = document.createElement('div')
+    modal.className = 'modal'
+    modal.innerHTML = `
+      <div class="modal-content">
+        <h2>Đổi lịch trận đấu</h2>
+        <form id="rescheduleForm">
+          <div class="form-group">
+            <label for="reschedulePlayDate">Ngày đánh:</label>
+            <input type="date" id="reschedulePlayDate" value="${scheduledMatch.play_date}" required>
+          </div>
+          <div class="form-row">
+            <div class="form-group">
+              <label for="rescheduleTime">Giờ:</label>
+              <input type="time" id="rescheduleTime" value="${scheduledMatch.scheduled_time || ''}">
+            </div>
+            <div class="form-group">
+              <label for="rescheduleCourt">Sân:</label>
+              <input type="number" id="rescheduleCourt" min="1" max="20" value="${scheduledMatch.court || ''}">
+            </div>
+          </div>
+          <div class="form-actions">
+            <button type="submit">Lưu</button>
+            <button type="button" id="cancelReschedule">Hủy</button>
+          </div>
+        </form>
+        <div id="rescheduleError" class="error-message"></div>
+      </div>
+    `
+
+    document.body.appendChild(modal)
+
+    document.getElementById('rescheduleForm').addEventListener('submit', async (e) => {
+      e.preventDefault()
+      const errorDiv = document.getElementById('rescheduleError')
+
+      try {
+        const response = await this.makeAuthenticatedRequest(`${this.apiBase}/scheduled-matches/${scheduledMatchId}`, {
+          method: 'PUT',
+          body: JSON.stringify({
+            playDate: document.getElementById('reschedulePlayDate').value,
+            scheduledTime: document.getElementById('rescheduleTime').value || null,
+            court: parseInt(document.getElementById('rescheduleCourt').value) || null
+          })
+        })
+        const data = await response.json()
+
+        if (response.ok) {
+          document.body.removeChild(modal)
+          await this.renderScheduledMatches()
+          this.updateFileStatus('✅ Đã đổi lịch trận đấu', 'success')
+        } else {
+          errorDiv.textContent = data.error
+        }
+      } catch (error) {
+        console.error('Error rescheduling match:', error)
+        errorDiv.textContent = 'Lỗi khi đổi lịch trận đấu'
+      }
+    })
+
+    document.getElementById('cancelReschedule').addEventListener('click', () => {
+      document.body.removeChild(modal)
+    })
+
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        document.body.removeChild(modal)
+      }
+    })
+  }
+
+  // Plan a single match ahead of time for the season selected in the match form
+  async showPlanMatchModal() {
+    const seasonId = parseInt(document.getElementById('matchSeason').value)
+    if (isNaN(seasonId)) {
+      this.updateFileStatus('❌ Vui lòng chọn mùa giải trước', 'error')
+      return
+    }
+
+    let seasonPlayers = []
+    try {
+      const response = await this.makeAuthenticatedRequest(`${this.apiBase}/seasons/${seasonId}/players`)
+      if (response.ok) seasonPlayers = await response.json()
+    } catch (error) {
+      console.error('Error loading season players:', error)
+    }
+    if (seasonPlayers.length === 0) seasonPlayers = this.players
+
+    const playerOptions = seasonPlayers.map(player => `<option value="${player.id}">${player.name}</option>`).join('')
+    const isSolo = this.matchType === 'solo'
+
+    const modal = document.createElement('div')
+    modal.className = 'modal'
+    modal.innerHTML = `
+      <div class="modal-content modal-content-large">
+        <h2>Lên lịch trận đấu (${isSolo ? 'Đơn' : 'Đôi'})</h2>
+        <form id="planMatchForm">
+          <div class="form-row">
+            <div class="form-group">
+              <label for="planPlayDate">Ngày đánh:</label>
+              <input type="date" id="planPlayDate" value="${document.getElementById('matchDate').value}" required>
+            </div>
+            <div class="form-group">
+              <label for="planTime">Giờ:</label>
+              <input type="time" id="planTime">
+            </div>
+            <div class="form-group">
+              <label for="planCourt">Sân:</label>
+              <input type="number" id="planCourt" min="1" max="20">
+            </div>
+          </div>
+          <div class="form-row">
+            <div class="form-group">
+              <label>Đội 1:</label>
+              <select id="planPlayer1" required><option value="">Chọn người chơi...</option>${playerOptions}</select>
+              ${isSolo ? '' : `<select id="planPlayer2" required><option value="">Chọn người chơi...</option>${playerOptions}</select>`}
+            </div>
+            <div class="form-group">
+              <label>Đội 2:</label>
+              <select id="planPlayer3" required><option value="">Chọn người chơi...</option>${playerOptions}</select>
+              ${isSolo ? '' : `<select id="planPlayer4" required><option value="">Chọn người chơi...</option>${playerOptions}</select>`}
+            </div>
+          </div>
+          <div class="form-actions">
+            <button type="submit">Lên lịch</button>
+            <button type="button" id="cancelPlanMatch">Hủy</button>
+          </div>
+        </form>
+        <div id="planMatchError" class="error-message"></div>
+      </div>
+    `
+
+    document.body.appendChild(modal)
+
+    document.getElementById('planMatchForm').addEventListener('submit', async (e) => {
+      e.preventDefault()
+      const errorDiv = document.getElementById('planMatchError')
+      const playerValue = (id) => parseInt(document.getElementById(id)?.value) || null
+      const playDate = document.getElementById('planPlayDate').value
+
+      try {
+        const response = await this.makeAuthenticatedRequest(`${this.apiBase}/scheduled-matches`, {
+          method: 'POST',
+          body: JSON.stringify({
+            seasonId,
+            playDate,
+            scheduledTime: document.getElementById('planTime').value || null,
+            court: parseInt(document.getElementById('planCourt').value) || null,
+            matchType: this.matchType,
+            player1Id: playerValue('planPlayer1'),
+            player2Id: playerValue('planPlayer2'),
+            player3Id: playerValue('planPlayer3'),
+            player4Id: playerValue('planPlayer4')
+          })
+        })
+        const data = await response.json()
+
+        if (response.ok) {
+          document.body.removeChild(modal)
+          document.getElementById('matchDate').value = playDate
+          await this.renderScheduledMatches()
+          this.updateFileStatus('✅ Đã lên lịch trận đấu', 'success')
+        } else {
+          errorDiv.textContent = data.error
+        }
+      } catch (error) {
+        console.error('Error planning match:', error)
+        errorDiv.textContent = 'Lỗi khi lên lịch trận đấu'
+      }
+    })
+
+    document.getElementById('cancelPlanMatch').addEventListener('click', () => {
+      document.body.removeChild(modal)
+    })
+
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        document.body.removeChild(modal)
+      }
+    })
+  }
+
+  renderPlayers() {
+    try {
+      const container = document.getElementById('playersList')
+      if (!container) {
+        console.warn('Players list container not found')
+        return
+      }
+
+      const userRole = this.user?.role
+      
+      container.innerHTML = this.players.map(player => `
+        <div class="player-card">
+          <span class="player-name">${player.name}</span>
+          ${userRole === 'admin' ? `
+            <div class="player-card-actions">
+              <button data-action="edit-player" data-id="${player.id}" class="small-btn" title="Đổi tên / gộp">✏️</button>
+              <button class="delete-btn" data-player-id="${player.id}" title="Lưu trữ">❌</button>
+            </div>
+          ` : ''}
+        </div>
+      `).join('')
+
+      container.querySelectorAll('[data-action="edit-player"]').forEach(button => {
+        button.addEventListener('click', (e) => {
+          this.showPlayerModal(parseInt(e.currentTarget.dataset.id))
+        })
+      })
+
+      if (userRole === 'admin') {
+        this.renderArchivedPlayers()
+      }
+    } catch (error) {
+      console.error('Error rendering players:', error)
+    }
+  }
+
+  async renderArchivedPlayers() {
+    const container = document.getElementById('archivedPlayersList')
+    if (!container) return
+
+    let archivedPlayers = []
+    try {
+      const response = await this.makeAuthenticatedRequest(`${this.apiBase}/players/archived`)
+      if (response.ok) archivedPlayers = await response.json()
+    } catch (error) {
+      console.error('Error loading archived players:', error)
+    }
+
+    container.innerHTML = archivedPlayers.length === 0
+      ? '<div class="empty-state">Không có người chơi nào được lưu trữ</div>'
+      : archivedPlayers.map(player => `
+        <div class="player-card player-card-archived">
+          <span class="player-name">${player.name}</span>
+          <button data-action="restore-player" data-id="${player.id}" class="small-btn" title="Khôi phục">↩️ Khôi phục</button>
+        </div>
+      `).join('')
+
+    container.querySelectorAll('[data-action="restore-player"]').forEach(button => {
+      button.addEventListener('click', async (e) => {
+        await this.restorePlayer(parseInt(e.currentTarget.dataset.id))
+      })
+    })
+  }
+
+  renderSeasons() {
+    try {
+      const container = document.getElementById('seasonsList')
+      if (!container) {
+        console.warn('Seasons list container not found')
+        return
+      }
+
+      const userRole = this.user?.role
+      const activeSeasons = this.seasons.filter(s => s.is_active)
+      const endedSeasons = this.seasons.filter(s => !s.is_active)
+      
       let html = ''
       
       // Active seasons section
@@ -1158,53 +2203,981 @@ class PickleballRankingSystem {
                 <h4>${season.name}</h4>
                 <span class="season-status ended">Đã kết thúc</span>
               </div>
-              <div class="season-info">
-                <p>📅 Từ: ${this.formatDate(season.start_date)}</p>
-                <p>🏁 Đến: ${endDateDisplay}</p>
-                ${endedAtInfo}
-                ${endedByInfo}
-                ${descriptionInfo}
+              <div class="season-info">
+                <p>📅 Từ: ${this.formatDate(season.start_date)}</p>
+                <p>🏁 Đến: ${endDateDisplay}</p>
+                ${endedAtInfo}
+                ${endedByInfo}
+                ${descriptionInfo}
+              </div>
+              ${userRole === 'admin' || userRole === 'editor' ? `
+                <div class="season-actions">
+                  <button data-action="reactivate-season" data-id="${season.id}" class="activate-btn">✅ Kích hoạt lại</button>
+                  <button data-action="delete-season" data-id="${season.id}" class="delete-btn">🗑️ Xóa</button>
+                </div>
+              ` : ''}
+            </div>`
+        })
+        
+        html += `</div></div>`
+      }
+      
+      // Empty state
+      if (this.seasons.length === 0) {
+        html = `<div class="empty-state"><p>📋 Chưa có mùa giải nào. Tạo mùa giải đầu tiên để bắt đầu!</p></div>`
+      }
+      
+      container.innerHTML = html
+
+      // Add event listeners for season actions
+      if (userRole === 'admin' || userRole === 'editor') {
+        container.querySelectorAll('[data-action]').forEach(button => {
+          button.addEventListener('click', (e) => {
+            const action = e.target.dataset.action
+            const seasonId = parseInt(e.target.dataset.id)
+            
+            if (action === 'end-season') {
+              this.endSeason(seasonId)
+            } else if (action === 'reactivate-season') {
+              this.reactivateSeason(seasonId)
+            } else if (action === 'edit-season') {
+              this.editSeason(seasonId)
+            } else if (action === 'delete-season') {
+              this.deleteSeason(seasonId)
+            }
+          })
+        })
+      }
+    } catch (error) {
+      console.error('Error rendering seasons:', error)
+    }
+  }
+
+  // Ledger methods
+  async renderLedger() {
+    const seasonSelect = document.getElementById('ledgerSeasonSelect')
+    const balancesContainer = document.getElementById('ledgerBalances')
+    if (!seasonSelect || !balancesContainer) return
+
+    if (this.seasons.length === 0) {
+      seasonSelect.innerHTML = '<option value="">-- Chưa có mùa giải --</option>'
+      balancesContainer.innerHTML = '<div class="empty-state">Chưa có mùa giải nào</div>'
+      return
+    }
+    if (!this.seasons.some(season => season.id === this.selectedLedgerSeason)) {
+      this.selectedLedgerSeason = (this.seasons.find(season => season.is_active) || this.seasons[0]).id
+    }
+    seasonSelect.innerHTML = this.seasons.map(season => `
+      <option value="${season.id}" ${season.id === this.selectedLedgerSeason ? 'selected' : ''}>${season.name}</option>
+    `).join('')
+
+    const playerSelect = document.getElementById('ledgerPlayer')
+    if (playerSelect) {
+      playerSelect.innerHTML = '<option value="">-- Chọn người chơi --</option>' +
+        this.players.map(player => `<option value="${player.id}">${player.name}</option>`).join('')
+    }
+
+    let ledger = null
+    let settlement = null
+    try {
+      const [ledgerResponse, settlementResponse] = await Promise.all([
+        fetch(`${this.apiBase}/ledger/season/${this.selectedLedgerSeason}`),
+        fetch(`${this.apiBase}/ledger/season/${this.selectedLedgerSeason}/settlement`)
+      ])
+      if (ledgerResponse.ok) ledger = await ledgerResponse.json()
+      if (settlementResponse.ok) settlement = await settlementResponse.json()
+    } catch (error) {
+      console.error('Error loading ledger:', error)
+    }
+
+    if (!ledger) {
+      balancesContainer.innerHTML = '<div class="empty-state">Không tải được sổ quỹ</div>'
+      return
+    }
+
+    balancesContainer.innerHTML = ledger.balances.length === 0
+      ? '<div class="empty-state">Chưa có khoản thu nào trong mùa giải này</div>'
+      : `
+        <table class="rankings-table ledger-table">
+          <thead>
+            <tr>
+              <th>Người chơi</th>
+              <th>Trận thua</th>
+              <th>Tiền thua</th>
+              <th>Phụ thu</th>
+              <th>Đã nộp</th>
+              <th>Còn nợ</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${ledger.balances.map(row => `
+              <tr>
+                <td>${row.name}</td>
+                <td>${row.matches_lost}</td>
+                <td>${this.formatMoney(row.match_charges)}</td>
+                <td>${this.formatMoney(row.other_charges)}</td>
+                <td>${this.formatMoney(row.paid)}</td>
+                <td class="${row.balance > 0 ? 'ledger-owed' : row.balance < 0 ? 'ledger-credit' : ''}">${this.formatMoney(row.balance)}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `
+
+    const settlementContainer = document.getElementById('ledgerSettlement')
+    if (settlementContainer) {
+      const partyLabel = (name) => name || '💰 Quỹ'
+      settlementContainer.innerHTML = !settlement || settlement.transfers.length === 0
+        ? '<div class="empty-state">Không còn khoản nào cần thanh toán</div>'
+        : `
+          <ul class="ledger-settlement">
+            ${settlement.transfers.map(transfer => `
+              <li>
+                <strong>${partyLabel(transfer.fromName)}</strong> → <strong>${partyLabel(transfer.toName)}</strong>:
+                ${this.formatMoney(transfer.amount)}
+              </li>
+            `).join('')}
+          </ul>
+          <p class="form-hint">Tổng còn nợ: ${this.formatMoney(settlement.totalOwed)} · Nộp thừa: ${this.formatMoney(settlement.totalCredit)}</p>
+        `
+    }
+
+    const entriesContainer = document.getElementById('ledgerEntries')
+    if (entriesContainer) {
+      const canEdit = this.user?.role === 'admin' || this.user?.role === 'editor'
+      const entryTypeLabels = { payment: 'Nộp quỹ', charge: 'Phụ thu' }
+      entriesContainer.innerHTML = ledger.entries.length === 0
+        ? '<div class="empty-state">Chưa có khoản nộp nào</div>'
+        : `
+          <div class="ledger-entries">
+            ${ledger.entries.map(entry => `
+              <div class="ledger-entry ledger-entry-${entry.entry_type}">
+                <span>${this.formatDate(entry.entry_date)}</span>
+                <span><strong>${entry.player_name}</strong> · ${entryTypeLabels[entry.entry_type]}</span>
+                <span>${this.formatMoney(entry.amount)}</span>
+                <span class="ledger-note">${entry.note || ''}</span>
+                ${canEdit ? `<button data-action="delete-ledger-entry" data-id="${entry.id}" class="delete-btn" title="Xóa">🗑️</button>` : ''}
+              </div>
+            `).join('')}
+          </div>
+        `
+      entriesContainer.querySelectorAll('[data-action="delete-ledger-entry"]').forEach(button => {
+        button.addEventListener('click', async (e) => {
+          await this.deleteLedgerEntry(parseInt(e.currentTarget.dataset.id))
+        })
+      })
+    }
+  }
+
+  async addLedgerEntry() {
+    const playerId = parseInt(document.getElementById('ledgerPlayer').value)
+    const amount = parseInt(document.getElementById('ledgerAmount').value)
+    if (!this.selectedLedgerSeason || isNaN(playerId) || isNaN(amount) || amount <= 0) {
+      this.updateFileStatus('❌ Vui lòng chọn người chơi và nhập số tiền hợp lệ', 'error')
+      return
+    }
+
+    try {
+      const response = await this.makeAuthenticatedRequest(`${this.apiBase}/ledger/entries`, {
+        method: 'POST',
+        body: JSON.stringify({
+          seasonId: this.selectedLedgerSeason,
+          playerId,
+          entryType: document.getElementById('ledgerEntryType').value,
+          amount,
+          entryDate: document.getElementById('ledgerEntryDate').value || null,
+          note: document.getElementById('ledgerNote').value.trim() || null
+        })
+      })
+      const data = await response.json()
+
+      if (response.ok) {
+        document.getElementById('ledgerAmount').value = ''
+        document.getElementById('ledgerNote').value = ''
+        await this.renderLedger()
+        this.updateFileStatus('✅ Đã ghi nhận khoản nộp', 'success')
+      } else {
+        this.updateFileStatus(`❌ ${data.error}`, 'error')
+      }
+    } catch (error) {
+      console.error('Error adding ledger entry:', error)
+      this.updateFileStatus('❌ Lỗi khi ghi nhận khoản nộp', 'error')
+    }
+  }
+
+  async deleteLedgerEntry(entryId) {
+    if (!confirm('Xóa khoản này khỏi sổ quỹ?')) return
+
+    try {
+      const response = await this.makeAuthenticatedRequest(`${this.apiBase}/ledger/entries/${entryId}`, {
+        method: 'DELETE'
+      })
+      const data = await response.json()
+
+      if (response.ok) {
+        await this.renderLedger()
+        this.updateFileStatus('✅ Đã xóa khoản nộp', 'success')
+      } else {
+        this.updateFileStatus(`❌ ${data.error}`, 'error')
+      }
+    } catch (error) {
+      console.error('Error deleting ledger entry:', error)
+      this.updateFileStatus('❌ Lỗi khi xóa khoản nộp', 'error')
+    }
+  }
+
+  // Attendance methods
+  async renderAttendance() {
+    if (!this.selectedAttendanceDate) {
+      this.selectedAttendanceDate = new Date().toISOString().split('T')[0]
+    }
+    const dateInput = document.getElementById('attendanceDate')
+    if (dateInput) dateInput.value = this.selectedAttendanceDate
+
+    await Promise.all([this.renderAttendanceDate(), this.renderAttendanceStats()])
+  }
+
+  async renderAttendanceDate() {
+    const container = document.getElementById('attendancePlayers')
+    if (!container || !this.selectedAttendanceDate) return
+
+    let attendance = []
+    try {
+      const response = await fetch(`${this.apiBase}/play-dates/${this.selectedAttendanceDate}/attendance`)
+      if (response.ok) attendance = await response.json()
+    } catch (error) {
+      console.error('Error loading attendance:', error)
+    }
+
+    const byPlayer = new Map(attendance.map(row => [row.player_id, row]))
+    container.innerHTML = this.players.length === 0
+      ? '<div class="empty-state">Chưa có người chơi nào</div>'
+      : this.players.map(player => {
+        const row = byPlayer.get(player.id)
+        return `
+          <label class="player-checkbox-item">
+            <input type="checkbox" name="attendancePlayers" value="${player.id}"
+              ${row ? 'checked' : ''} ${row?.played ? 'disabled' : ''}>
+            <span>${player.name}</span>
+            ${row?.played ? '<span class="attendance-played">đã thi đấu</span>' : ''}
+          </label>
+        `
+      }).join('')
+  }
+
+  async renderAttendanceStats() {
+    const seasonSelect = document.getElementById('attendanceSeasonSelect')
+    const statsContainer = document.getElementById('attendanceStats')
+    const noShowsContainer = document.getElementById('attendanceNoShows')
+    if (!seasonSelect || !statsContainer || !noShowsContainer) return
+
+    if (this.seasons.length === 0) {
+      seasonSelect.innerHTML = '<option value="">-- Chưa có mùa giải --</option>'
+      statsContainer.innerHTML = '<div class="empty-state">Chưa có mùa giải nào</div>'
+      noShowsContainer.innerHTML = ''
+      return
+    }
+    if (!this.seasons.some(season => season.id === this.selectedAttendanceSeason)) {
+      this.selectedAttendanceSeason = (this.seasons.find(season => season.is_active) || this.seasons[0]).id
+    }
+    seasonSelect.innerHTML = this.seasons.map(season => `
+      <option value="${season.id}" ${season.id === this.selectedAttendanceSeason ? 'selected' : ''}>${season.name}</option>
+    `).join('')
+
+    let stats = null
+    try {
+      const response = await fetch(`${this.apiBase}/play-dates/attendance/season/${this.selectedAttendanceSeason}`)
+      if (response.ok) stats = await response.json()
+    } catch (error) {
+      console.error('Error loading attendance stats:', error)
+    }
+
+    if (!stats) {
+      statsContainer.innerHTML = '<div class="empty-state">Không tải được dữ liệu điểm danh</div>'
+      noShowsContainer.innerHTML = ''
+      return
+    }
+
+    const sessionCount = stats.sessions.length
+    statsContainer.innerHTML = sessionCount === 0
+      ? '<div class="empty-state">Chưa có buổi chơi nào trong mùa giải này</div>'
+      : `
+        <table class="rankings-table attendance-table">
+          <thead>
+            <tr>
+              <th>Người chơi</th>
+              <th>Có mặt</th>
+              <th>Tỷ lệ</th>
+              <th>Chuỗi hiện tại</th>
+              <th>Chuỗi dài nhất</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${stats.players.map(row => `
+              <tr>
+                <td>${row.name}</td>
+                <td>${row.attended}/${sessionCount}</td>
+                <td>${row.attendance_percentage}%</td>
+                <td>${row.current_streak > 0 ? `🔥 ${row.current_streak}` : '0'}</td>
+                <td>${row.longest_streak}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      `
+
+    const sessionsWithNoShows = stats.sessions.filter(session => session.no_shows.length > 0).reverse()
+    noShowsContainer.innerHTML = sessionsWithNoShows.length === 0
+      ? '<div class="empty-state">Không có ai vắng mặt</div>'
+      : `
+        <div class="attendance-no-shows">
+          ${sessionsWithNoShows.map(session => `
+            <div class="attendance-session">
+              <span class="attendance-session-date">${this.formatDate(session.play_date)} · ${session.present_count} có mặt</span>
+              <span>${session.no_shows.map(player => player.name).join(', ')}</span>
+            </div>
+          `).join('')}
+        </div>
+      `
+  }
+
+  async saveAttendance() {
+    if (!this.selectedAttendanceDate) {
+      this.updateFileStatus('❌ Vui lòng chọn ngày chơi', 'error')
+      return
+    }
+    const playerIds = Array.from(document.querySelectorAll('input[name="attendancePlayers"]:checked:not(:disabled)'))
+      .map(input => parseInt(input.value))
+
+    try {
+      const response = await this.makeAuthenticatedRequest(`${this.apiBase}/play-dates/${this.selectedAttendanceDate}/attendance`, {
+        method: 'PUT',
+        body: JSON.stringify({ playerIds })
+      })
+      const data = await response.json()
+
+      if (response.ok) {
+        await this.renderAttendance()
+        this.updateFileStatus('✅ Đã lưu điểm danh', 'success')
+      } else {
+        this.updateFileStatus(`❌ ${data.error}`, 'error')
+      }
+    } catch (error) {
+      console.error('Error saving attendance:', error)
+      this.updateFileStatus('❌ Lỗi khi lưu điểm danh', 'error')
+    }
+  }
+
+  // Audit log methods
+  async renderAuditLog() {
+    const container = document.getElementById('auditEntries')
+    if (!container) return
+
+    const params = new URLSearchParams({ limit: AUDIT_PAGE_SIZE, offset: this.auditOffset })
+    const filters = {
+      entityType: document.getElementById('auditEntityType').value,
+      action: document.getElementById('auditAction').value,
+      actor: document.getElementById('auditActor').value.trim(),
+      from: document.getElementById('auditFrom').value,
+      to: document.getElementById('auditTo').value
+    }
+    for (const [key, value] of Object.entries(filters)) {
+      if (value) params.set(key, value)
+    }
+
+    let log = null
+    try {
+      const response = await this.makeAuthenticatedRequest(`${this.apiBase}/admin/audit?${params}`)
+      if (response.ok) log = await response.json()
+    } catch (error) {
+      console.error('Error loading audit log:', error)
+    }
+
+    if (!log) {
+      container.innerHTML = '<div class="empty-state">Không tải được nhật ký</div>'
+      return
+    }
+
+    const formatValue = (value) => value === null || value === undefined
+      ? '—'
+      : this.escapeHtml(typeof value === 'object' ? JSON.stringify(value) : value)
+
+    container.innerHTML = log.entries.length === 0
+      ? '<div class="empty-state">Không có thay đổi nào</div>'
+      : `
+        <div class="audit-entries">
+          ${log.entries.map(entry => {
+            const fields = entry.changed_fields.length > 0
+              ? entry.changed_fields
+              : Object.keys(entry.after_data || entry.before_data || {})
+            return `
+              <div class="audit-entry audit-action-${entry.action}">
+                <div class="audit-entry-header">
+                  <span class="audit-time">${new Date(entry.occurred_at).toLocaleString('vi-VN')}</span>
+                  <strong>${this.escapeHtml(entry.actor || 'hệ thống')}</strong>
+                  <span>${AUDIT_ACTION_LABELS[entry.action] || entry.action} ${AUDIT_ENTITY_LABELS[entry.entity_type] || entry.entity_type}${entry.entity_id ? ` #${entry.entity_id}` : ''}</span>
+                  ${entry.reverted_by ? '<span class="audit-reverted">đã hoàn tác</span>' : ''}
+                  ${entry.revertable ? `<button data-action="revert-audit-entry" data-id="${entry.id}" class="small-btn">↩️ Hoàn tác</button>` : ''}
+                </div>
+                ${fields.length > 0 ? `
+                  <table class="audit-changes">
+                    ${fields.map(field => `
+                      <tr>
+                        <td>${this.escapeHtml(field)}</td>
+                        <td>${formatValue(entry.before_data?.[field])}</td>
+                        <td>→</td>
+                        <td>${formatValue(entry.after_data?.[field])}</td>
+                      </tr>
+                    `).join('')}
+                  </table>
+                ` : ''}
+              </div>
+            `
+          }).join('')}
+        </div>
+      `
+
+    container.querySelectorAll('[data-action="revert-audit-entry"]').forEach(button => {
+      button.addEventListener('click', async (e) => {
+        await this.revertAuditEntry(parseInt(e.currentTarget.dataset.id))
+      })
+    })
+
+    const pageInfo = document.getElementById('auditPageInfo')
+    if (pageInfo) {
+      const last = Math.min(log.offset + log.entries.length, log.total)
+      pageInfo.textContent = log.total > 0 ? `${log.offset + 1}–${last} / ${log.total}` : ''
+    }
+    document.getElementById('auditPrev').disabled = log.offset === 0
+    document.getElementById('auditNext').disabled = log.offset + log.entries.length >= log.total
+  }
+
+  async revertAuditEntry(entryId) {
+    if (!confirm('Hoàn tác lần sửa trận đấu này? Trận đấu sẽ trở lại như trước khi sửa.')) return
+
+    try {
+      const response = await this.makeAuthenticatedRequest(`${this.apiBase}/admin/audit/${entryId}/revert`, {
+        method: 'POST'
+      })
+      const data = await response.json()
+
+      if (response.ok) {
+        await this.loadMatches()
+        this.renderMatchHistory()
+        this.renderRankings()
+        await this.renderAuditLog()
+        this.updateFileStatus('✅ Đã hoàn tác lần sửa trận đấu', 'success')
+      } else {
+        this.updateFileStatus(`❌ ${data.error}`, 'error')
+      }
+    } catch (error) {
+      console.error('Error reverting change:', error)
+      this.updateFileStatus('❌ Lỗi khi hoàn tác thay đổi', 'error')
+    }
+  }
+
+  // Trash methods
+  async renderTrash() {
+    const container = document.getElementById('trashItems')
+    if (!container) return
+
+    let trash = null
+    try {
+      const response = await this.makeAuthenticatedRequest(`${this.apiBase}/admin/trash`)
+      if (response.ok) trash = await response.json()
+    } catch (error) {
+      console.error('Error loading trash:', error)
+    }
+
+    if (!trash) {
+      container.innerHTML = '<div class="empty-state">Không tải được thùng rác</div>'
+      return
+    }
+
+    const description = document.getElementById('trashDescription')
+    if (description) {
+      description.textContent = `Trận đấu và mùa giải đã xóa được giữ ${trash.retention_days} ngày. Sau thời hạn này chúng sẽ bị xóa vĩnh viễn.`
+    }
+
+    container.innerHTML = trash.items.length === 0
+      ? '<div class="empty-state">Thùng rác trống</div>'
+      : `
+        <div class="trash-items">
+          ${trash.items.map(item => `
+            <div class="trash-item">
+              <div class="trash-item-info">
+                <span class="trash-type">${item.entity_type === 'season' ? '🏆 Mùa giải' : '🏓 Trận đấu'}</span>
+                <strong>${this.escapeHtml(item.label || `#${item.entity_id}`)}</strong>
+                ${item.entity_type === 'season' ? `<span class="trash-meta">${item.match_count} trận đấu</span>` : ''}
+                <span class="trash-meta">Xóa bởi ${this.escapeHtml(item.deleted_by || 'hệ thống')} lúc ${new Date(item.deleted_at).toLocaleString('vi-VN')}</span>
+                <span class="trash-meta">Xóa vĩnh viễn sau ${new Date(item.expires_at).toLocaleDateString('vi-VN')}</span>
+              </div>
+              <div class="trash-item-actions">
+                <button data-action="restore-trash-item" data-id="${item.id}" class="small-btn">↩️ Khôi phục</button>
+                <button data-action="purge-trash-item" data-id="${item.id}" class="delete-btn">🗑️ Xóa vĩnh viễn</button>
               </div>
-              ${userRole === 'admin' || userRole === 'editor' ? `
-                <div class="season-actions">
-                  <button data-action="reactivate-season" data-id="${season.id}" class="activate-btn">✅ Kích hoạt lại</button>
-                  <button data-action="delete-season" data-id="${season.id}" class="delete-btn">🗑️ Xóa</button>
-                </div>
-              ` : ''}
-            </div>`
+            </div>
+          `).join('')}
+        </div>
+      `
+
+    container.querySelectorAll('[data-action="restore-trash-item"]').forEach(button => {
+      button.addEventListener('click', async (e) => {
+        await this.restoreTrashItem(parseInt(e.currentTarget.dataset.id))
+      })
+    })
+    container.querySelectorAll('[data-action="purge-trash-item"]').forEach(button => {
+      button.addEventListener('click', async (e) => {
+        await this.purgeTrashItem(parseInt(e.currentTarget.dataset.id))
+      })
+    })
+  }
+
+  async restoreTrashItem(trashId) {
+    try {
+      const response = await this.makeAuthenticatedRequest(`${this.apiBase}/admin/trash/${trashId}/restore`, {
+        method: 'POST'
+      })
+      const data = await response.json()
+
+      if (response.ok) {
+        await Promise.all([
+          this.loadSeasons(),
+          this.loadMatches(),
+          this.loadPlayDates()
+        ])
+        this.renderSeasons()
+        this.updateSeasonSelector()
+        this.updateDateSelector()
+        this.renderMatchHistory()
+        this.renderRankings()
+        await this.renderTrash()
+        this.updateFileStatus('✅ Đã khôi phục từ thùng rác', 'success')
+      } else {
+        this.updateFileStatus(`❌ ${data.error}`, 'error')
+      }
+    } catch (error) {
+      console.error('Error restoring trash item:', error)
+      this.updateFileStatus('❌ Lỗi khi khôi phục', 'error')
+    }
+  }
+
+  async purgeTrashItem(trashId) {
+    if (!confirm('Xóa vĩnh viễn mục này? Hành động này không thể hoàn tác.')) return
+
+    try {
+      const response = await this.makeAuthenticatedRequest(`${this.apiBase}/admin/trash/${trashId}`, {
+        method: 'DELETE'
+      })
+      const data = await response.json()
+
+      if (response.ok) {
+        await this.renderTrash()
+        this.updateFileStatus('✅ Đã xóa vĩnh viễn', 'success')
+      } else {
+        this.updateFileStatus(`❌ ${data.error}`, 'error')
+      }
+    } catch (error) {
+      console.error('Error purging trash item:', error)
+      this.updateFileStatus('❌ Lỗi khi xóa vĩnh viễn', 'error')
+    }
+  }
+
+  // Tournament methods
+  async renderTournaments() {
+    try {
+      const response = await fetch(`${this.apiBase}/tournaments`)
+      if (response.ok) {
+        this.tournaments = await response.json()
+      }
+    } catch (error) {
+      console.error('Error loading tournaments:', error)
+    }
+
+    const selector = document.getElementById('tournamentSelector')
+    if (!selector) return
+
+    if (this.tournaments.length === 0) {
+      selector.innerHTML = '<option value="">-- Chưa có giải đấu --</option>'
+      this.selectedTournament = null
+    } else {
+      if (!this.tournaments.some(t => t.id === this.selectedTournament)) {
+        this.selectedTournament = this.tournaments[0].id
+      }
+      selector.innerHTML = this.tournaments.map(tournament => `
+        <option value="${tournament.id}" ${tournament.id === this.selectedTournament ? 'selected' : ''}>
+          ${tournament.name} (${tournament.season_name})${tournament.status === 'completed' ? ' 🏆' : ''}
+        </option>
+      `).join('')
+    }
+
+    await this.renderTournamentBracket()
+  }
+
+  getBracketRoundLabel(node, rounds, isDoubleElimination) {
+    if (node.bracket === 'grand_final') {
+      return node.round === 1 ? 'Chung kết tổng' : 'Chung kết phụ'
+    }
+    if (node.bracket === 'losers') {
+      return node.round === rounds ? 'Chung kết nhánh thua' : `Nhánh thua - Vòng ${node.round}`
+    }
+    if (node.round === rounds) return isDoubleElimination ? 'Chung kết nhánh thắng' : 'Chung kết'
+    if (node.round === rounds - 1) return 'Bán kết'
+    return `Vòng ${node.round}`
+  }
+
+  async renderTournamentBracket() {
+    const container = document.getElementById('tournamentBracket')
+    if (!container) return
+
+    if (!this.selectedTournament) {
+      container.innerHTML = '<div class="empty-state">Chưa có giải đấu nào</div>'
+      return
+    }
+
+    let tournament = null
+    try {
+      const response = await fetch(`${this.apiBase}/tournaments/${this.selectedTournament}`)
+      if (response.ok) tournament = await response.json()
+    } catch (error) {
+      console.error('Error loading tournament:', error)
+    }
+
+    if (!tournament) {
+      container.innerHTML = '<div class="empty-state">Không tải được giải đấu</div>'
+      return
+    }
+
+    const userRole = this.user?.role
+    const canRecord = userRole === 'admin' || userRole === 'editor'
+    const entriesById = new Map(tournament.entries.map(entry => [entry.id, entry]))
+    const entryLabel = (entryId) => {
+      const entry = entriesById.get(entryId)
+      return entry ? `<span class="bracket-seed">${entry.seed}</span>${entry.name}` : '<span class="bracket-tbd">Chờ xác định</span>'
+    }
+    const champion = entriesById.get(tournament.champion_entry_id)
+
+    const renderNode = (node) => {
+      if (node.status === 'void') return ''
+      const isBye = node.status === 'bye'
+      const slot = (entryId) => `
+        <div class="bracket-slot ${node.winner_entry_id && node.winner_entry_id === entryId ? 'bracket-slot-winner' : ''}">
+          ${isBye && !entryId ? '<span class="bracket-tbd">Miễn đấu</span>' : entryLabel(entryId)}
+        </div>
+      `
+      return `
+        <div class="bracket-match bracket-${node.status}">
+          ${slot(node.entry1_id)}
+          ${slot(node.entry2_id)}
+          ${node.status === 'ready' && canRecord ? `
+            <button data-action="record-tournament-match" data-id="${node.id}" class="small-btn">📝 Ghi kết quả</button>
+          ` : ''}
+        </div>
+      `
+    }
+
+    const renderBracket = (bracket, title) => {
+      const nodes = tournament.matches.filter(node => node.bracket === bracket)
+      if (nodes.length === 0) return ''
+      const rounds = Math.max(...nodes.map(node => node.round))
+      let columns = ''
+      for (let round = 1; round <= rounds; round++) {
+        const roundNodes = nodes.filter(node => node.round === round)
+        const cards = roundNodes.map(renderNode).join('')
+        if (!cards.trim()) continue
+        columns += `
+          <div class="bracket-round">
+            <h4>${this.getBracketRoundLabel(roundNodes[0], rounds, tournament.format === 'double_elimination')}</h4>
+            ${cards}
+          </div>
+        `
+      }
+      return `
+        <h3 class="profile-section-title">${title}</h3>
+        <div class="bracket-rounds">${columns}</div>
+      `
+    }
+
+    container.innerHTML = `
+      <div class="tournament-info">
+        <span>🏆 ${tournament.season_name}</span>
+        <span>${tournament.format === 'double_elimination' ? 'Loại kép' : 'Loại trực tiếp'}</span>
+        <span>${tournament.entry_type === 'solo' ? '🏓 Đơn' : '👥 Đôi'}</span>
+        <span>${tournament.entries.length} đội/người</span>
+        ${userRole === 'admin' ? `<button data-action="delete-tournament" data-id="${tournament.id}" class="delete-btn">🗑️ Xóa giải</button>` : ''}
+      </div>
+      ${champion ? `<div class="tournament-champion">🥇 Vô địch: ${champion.name}</div>` : ''}
+      ${renderBracket('winners', tournament.format === 'double_elimination' ? 'Nhánh thắng' : 'Sơ đồ thi đấu')}
+      ${renderBracket('losers', 'Nhánh thua')}
+      ${renderBracket('grand_final', 'Chung kết')}
+    `
+
+    container.querySelectorAll('[data-action]').forEach(button => {
+      button.addEventListener('click', (e) => {
+        const action = e.target.dataset.action
+        const id = parseInt(e.target.dataset.id)
+        if (action === 'record-tournament-match') {
+          const node = tournament.matches.find(item => item.id === id)
+          this.showTournamentResultModal(tournament, node)
+        } else if (action === 'delete-tournament') {
+          this.deleteTournament(id)
+        }
+      })
+    })
+  }
+
+  async showTournamentModal() {
+    const activeSeasons = this.seasons.filter(s => s.is_active)
+    if (activeSeasons.length === 0) {
+      this.updateFileStatus('❌ Cần có mùa giải đang hoạt động để tạo giải đấu', 'error')
+      return
+    }
+
+    const modal = document.createElement('div')
+    modal.className = 'modal'
+    modal.innerHTML = `
+      <div class="modal-content modal-content-large">
+        <h2>Tạo giải đấu mới</h2>
+        <form id="tournamentForm">
+          <div class="form-group">
+            <label for="tournamentName">Tên giải đấu:</label>
+            <input type="text" id="tournamentName" required>
+          </div>
+          <div class="form-row">
+            <div class="form-group">
+              <label for="tournamentSeason">Mùa giải:</label>
+              <select id="tournamentSeason">
+                ${activeSeasons.map(season => `<option value="${season.id}">${season.name}</option>`).join('')}
+              </select>
+            </div>
+            <div class="form-group">
+              <label for="tournamentFormat">Thể thức:</label>
+              <select id="tournamentFormat">
+                <option value="single_elimination">Loại trực tiếp</option>
+                <option value="double_elimination">Loại kép (thua 2 trận mới bị loại)</option>
+              </select>
+            </div>
+            <div class="form-group">
+              <label for="tournamentEntryType">Nội dung:</label>
+              <select id="tournamentEntryType">
+                <option value="solo">Đơn</option>
+                <option value="duo">Đôi</option>
+              </select>
+            </div>
+          </div>
+          <div class="form-group season-players-section">
+            <label>Người chơi tham gia:</label>
+            <small class="form-hint">Hạt giống được xếp theo bảng xếp hạng mùa giải. Nội dung đôi sẽ ghép người xếp hạng cao với người xếp hạng thấp.</small>
+            <div class="player-checkbox-list" id="tournamentPlayerList"></div>
+          </div>
+          <div class="form-actions">
+            <button type="submit">Tạo giải đấu</button>
+            <button type="button" id="cancelTournament">Hủy</button>
+          </div>
+        </form>
+        <div id="tournamentError" class="error-message"></div>
+      </div>
+    `
+
+    document.body.appendChild(modal)
+
+    const loadSeasonPlayers = async () => {
+      const seasonId = parseInt(document.getElementById('tournamentSeason').value)
+      let seasonPlayers = []
+      try {
+        const response = await this.makeAuthenticatedRequest(`${this.apiBase}/seasons/${seasonId}/players`)
+        if (response.ok) seasonPlayers = await response.json()
+      } catch (error) {
+        console.error('Error loading season players:', error)
+      }
+      if (seasonPlayers.length === 0) seasonPlayers = this.players
+
+      document.getElementById('tournamentPlayerList').innerHTML = seasonPlayers.map(player => `
+        <label class="player-checkbox-item">
+          <input type="checkbox" name="tournamentPlayers" value="${player.id}" checked>
+          <span>${player.name}</span>
+        </label>
+      `).join('')
+    }
+    await loadSeasonPlayers()
+    document.getElementById('tournamentSeason').addEventListener('change', loadSeasonPlayers)
+
+    document.getElementById('tournamentForm').addEventListener('submit', async (e) => {
+      e.preventDefault()
+      const errorDiv = document.getElementById('tournamentError')
+      const name = document.getElementById('tournamentName').value.trim()
+      const entryType = document.getElementById('tournamentEntryType').value
+      const playerIds = Array.from(modal.querySelectorAll('input[name="tournamentPlayers"]:checked'))
+        .map(cb => parseInt(cb.value))
+
+      if (!name) {
+        errorDiv.textContent = 'Vui lòng nhập tên giải đấu'
+        return
+      }
+      if (playerIds.length < (entryType === 'duo' ? 4 : 2)) {
+        errorDiv.textContent = 'Không đủ người chơi để tạo giải đấu'
+        return
+      }
+      if (entryType === 'duo' && playerIds.length % 2 !== 0) {
+        errorDiv.textContent = 'Nội dung đôi cần số người chơi chẵn'
+        return
+      }
+
+      try {
+        const response = await this.makeAuthenticatedRequest(`${this.apiBase}/tournaments`, {
+          method: 'POST',
+          body: JSON.stringify({
+            name,
+            seasonId: parseInt(document.getElementById('tournamentSeason').value),
+            format: document.getElementById('tournamentFormat').value,
+            entryType,
+            playerIds
+          })
         })
-        
-        html += `</div></div>`
+        const data = await response.json()
+
+        if (response.ok) {
+          document.body.removeChild(modal)
+          this.selectedTournament = data.id
+          await this.renderTournaments()
+          this.updateFileStatus('✅ Đã tạo giải đấu', 'success')
+        } else {
+          errorDiv.textContent = data.error
+        }
+      } catch (error) {
+        console.error('Error creating tournament:', error)
+        errorDiv.textContent = 'Lỗi khi tạo giải đấu'
       }
-      
-      // Empty state
-      if (this.seasons.length === 0) {
-        html = `<div class="empty-state"><p>📋 Chưa có mùa giải nào. Tạo mùa giải đầu tiên để bắt đầu!</p></div>`
+    })
+
+    document.getElementById('cancelTournament').addEventListener('click', () => {
+      document.body.removeChild(modal)
+    })
+
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        document.body.removeChild(modal)
       }
-      
-      container.innerHTML = html
+    })
+  }
 
-      // Add event listeners for season actions
-      if (userRole === 'admin' || userRole === 'editor') {
-        container.querySelectorAll('[data-action]').forEach(button => {
-          button.addEventListener('click', (e) => {
-            const action = e.target.dataset.action
-            const seasonId = parseInt(e.target.dataset.id)
-            
-            if (action === 'end-season') {
-              this.endSeason(seasonId)
-            } else if (action === 'reactivate-season') {
-              this.reactivateSeason(seasonId)
-            } else if (action === 'edit-season') {
-              this.editSeason(seasonId)
-            } else if (action === 'delete-season') {
-              this.deleteSeason(seasonId)
-            }
+  // Bracket results go through the regular match endpoint so they count in the season rankings
+  showTournamentResultModal(tournament, node) {
+    const entry1 = tournament.entries.find(entry => entry.id === node.entry1_id)
+    const entry2 = tournament.entries.find(entry => entry.id === node.entry2_id)
+    if (!entry1 || !entry2) return
+
+    const modal = document.createElement('div')
+    modal.className = 'modal'
+    modal.innerHTML = `
+      <div class="modal-content">
+        <h2>Ghi kết quả: ${entry1.name} vs ${entry2.name}</h2>
+        <form id="tournamentResultForm">
+          <div class="form-group">
+            <label for="tournamentMatchDate">Ngày đánh:</label>
+            <input type="date" id="tournamentMatchDate" value="${new Date().toISOString().split('T')[0]}" required>
+          </div>
+          <div class="form-row">
+            <div class="form-group">
+              <label for="tournamentScore1">${entry1.name}:</label>
+              <input type="number" id="tournamentScore1" min="0" required>
+            </div>
+            <div class="form-group">
+              <label for="tournamentScore2">${entry2.name}:</label>
+              <input type="number" id="tournamentScore2" min="0" required>
+            </div>
+          </div>
+          <div class="form-actions">
+            <button type="submit">Lưu kết quả</button>
+            <button type="button" id="cancelTournamentResult">Hủy</button>
+          </div>
+        </form>
+        <div id="tournamentResultError" class="error-message"></div>
+      </div>
+    `
+
+    document.body.appendChild(modal)
+
+    document.getElementById('tournamentResultForm').addEventListener('submit', async (e) => {
+      e.preventDefault()
+      const errorDiv = document.getElementById('tournamentResultError')
+      const playDate = document.getElementById('tournamentMatchDate').value
+      const team1Score = parseInt(document.getElementById('tournamentScore1').value)
+      const team2Score = parseInt(document.getElementById('tournamentScore2').value)
+
+      if (!playDate || isNaN(team1Score) || isNaN(team2Score) || team1Score < 0 || team2Score < 0) {
+        errorDiv.textContent = 'Vui lòng nhập ngày và tỷ số hợp lệ'
+        return
+      }
+      if (team1Score === team2Score) {
+        errorDiv.textContent = 'Trận loại trực tiếp không thể hòa'
+        return
+      }
+
+      try {
+        const response = await this.makeAuthenticatedRequest(`${this.apiBase}/matches`, {
+          method: 'POST',
+          body: JSON.stringify({
+            matchType: tournament.entry_type,
+            seasonId: tournament.season_id,
+            playDate,
+            player1Id: entry1.player1_id,
+            player2Id: entry1.player2_id,
+            player3Id: entry2.player1_id,
+            player4Id: entry2.player2_id,
+            team1Score,
+            team2Score,
+            winningTeam: team1Score > team2Score ? 1 : 2,
+            tournamentMatchId: node.id
           })
         })
+        const data = await response.json()
+
+        if (response.ok) {
+          document.body.removeChild(modal)
+          await this.loadMatches()
+          await this.loadPlayDates()
+          await this.renderTournaments()
+          this.updateFileStatus('✅ Đã ghi nhận kết quả trận đấu', 'success')
+        } else {
+          errorDiv.textContent = data.error
+        }
+      } catch (error) {
+        console.error('Error recording tournament match:', error)
+        errorDiv.textContent = 'Lỗi khi ghi nhận kết quả'
+      }
+    })
+
+    document.getElementById('cancelTournamentResult').addEventListener('click', () => {
+      document.body.removeChild(modal)
+    })
+
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        document.body.removeChild(modal)
+      }
+    })
+  }
+
+  async deleteTournament(tournamentId) {
+    if (!confirm('Xóa giải đấu này? Các trận đã ghi nhận vẫn được giữ trong mùa giải.')) return
+
+    try {
+      const response = await this.makeAuthenticatedRequest(`${this.apiBase}/tournaments/${tournamentId}`, {
+        method: 'DELETE'
+      })
+      const data = await response.json()
+
+      if (response.ok) {
+        this.selectedTournament = null
+        await this.renderTournaments()
+        this.updateFileStatus('✅ Đã xóa giải đấu', 'success')
+      } else {
+        this.updateFileStatus(`❌ ${data.error}`, 'error')
       }
     } catch (error) {
-      console.error('Error rendering seasons:', error)
+      console.error('Error deleting tournament:', error)
+      this.updateFileStatus('❌ Lỗi khi xóa giải đấu', 'error')
     }
   }
 
@@ -1457,16 +3430,20 @@ class PickleballRankingSystem {
 
   async renderRankings() {
     let rankings = []
+    this.renderPairRankings()
     
     try {
       if (this.currentViewMode === 'daily' && this.selectedDate) {
-        const response = await fetch(`${this.apiBase}/rankings/date/${this.selectedDate}`)
+        const response = await this.fetchConditional(`${this.apiBase}/rankings/date/${this.selectedDate}`)
         if (response.ok) rankings = await response.json()
       } else if (this.currentViewMode === 'season' && this.selectedSeason) {
-        const response = await fetch(`${this.apiBase}/rankings/season/${this.selectedSeason}`)
+        const response = await this.fetchConditional(`${this.apiBase}/rankings/season/${this.selectedSeason}`)
         if (response.ok) rankings = await response.json()
       } else if (this.currentViewMode === 'lifetime') {
-        const response = await fetch(`${this.apiBase}/rankings/lifetime`)
+        const response = await this.fetchConditional(`${this.apiBase}/rankings/lifetime`)
+        if (response.ok) rankings = await response.json()
+      } else if (this.currentViewMode === 'rating') {
+        const response = await this.fetchConditional(`${this.apiBase}/rankings/rating`)
         if (response.ok) rankings = await response.json()
       }
     } catch (error) {
@@ -1476,14 +3453,64 @@ class PickleballRankingSystem {
     const container = document.getElementById('rankingsTable')
     if (!container) return
 
+    const thead = container.querySelector('thead')
     const tbody = container.querySelector('tbody')
+
+    if (this.currentViewMode === 'rating') {
+      thead.innerHTML = `
+        <tr>
+          <th>Hạng</th>
+          <th>Tên</th>
+          <th title="Điểm kỹ năng Glicko-2">Kỹ năng</th>
+          <th title="Độ lệch điểm (càng nhỏ càng chắc chắn)">± RD</th>
+          <th>Thắng</th>
+          <th>Thua</th>
+          <th>Tổng trận</th>
+          <th>Tỷ lệ thắng</th>
+          <th>Phong độ</th>
+        </tr>
+      `
+      tbody.innerHTML = rankings.map((player, index) => `
+        <tr>
+          <td>${index + 1}</td>
+          <td>${this.renderPlayerNameCell(player)}</td>
+          <td>${player.rating}</td>
+          <td>±${player.rd}</td>
+          <td>${player.wins}</td>
+          <td>${player.losses}</td>
+          <td>${player.total_matches}</td>
+          <td>${player.win_percentage}%</td>
+          <td class="form-indicator">${this.renderForm(player.form || [])}</td>
+        </tr>
+      `).join('')
+
+      this.updateViewModeDisplay()
+      return
+    }
+
+    thead.innerHTML = `
+      <tr>
+        <th>Hạng</th>
+        <th>Tên</th>
+        <th>Thắng</th>
+        <th>Thua</th>
+        <th>Hiệu số</th>
+        <th title="Số ván thắng - thua">Ván</th>
+        <th>Tổng trận</th>
+        <th>Điểm</th>
+        <th>Tỷ lệ thắng</th>
+        <th>Tiền thua</th>
+        <th>Phong độ</th>
+      </tr>
+    `
     tbody.innerHTML = rankings.map((player, index) => `
       <tr>
         <td>${index + 1}</td>
-        <td>${player.name}</td>
+        <td>${this.renderPlayerNameCell(player)}</td>
         <td>${player.wins}</td>
         <td>${player.losses}</td>
         <td>${player.goal_difference > 0 ? '+' : ''}${player.goal_difference}</td>
+        <td>${player.games_won ?? 0} - ${player.games_lost ?? 0}</td>
         <td>${player.total_matches}</td>
         <td>${player.points}</td>
         <td>${player.win_percentage}%</td>
@@ -1496,6 +3523,78 @@ class PickleballRankingSystem {
     this.updateViewModeDisplay()
   }
 
+  // Pair rankings follow the current view scope; the skill view falls back to lifetime
+  getPairRankingsScope() {
+    if (this.currentViewMode === 'daily' && this.selectedDate) return `date/${this.selectedDate}`
+    if (this.currentViewMode === 'season' && this.selectedSeason) return `season/${this.selectedSeason}`
+    return 'lifetime'
+  }
+
+  getPairMinGames() {
+    const input = document.getElementById('pairMinGames')
+    return Math.max(1, parseInt(input?.value) || 1)
+  }
+
+  async renderPairRankings() {
+    const tbody = document.querySelector('#pairRankingsTable tbody')
+    if (!tbody) return
+
+    let pairs = []
+    try {
+      const response = await this.fetchConditional(`${this.apiBase}/rankings/pairs/${this.getPairRankingsScope()}?minGames=${this.getPairMinGames()}`)
+      if (response.ok) pairs = await response.json()
+    } catch (error) {
+      console.error('Error loading pair rankings:', error)
+    }
+
+    if (pairs.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="7" class="empty-state">Chưa có cặp đôi nào đủ số trận</td></tr>'
+      return
+    }
+
+    tbody.innerHTML = pairs.map((pair, index) => `
+      <tr>
+        <td>${index + 1}</td>
+        <td>
+          <span class="player-link" data-player-id="${pair.player_a_id}" title="Xem hồ sơ">${pair.player_a_name}</span>
+          &amp;
+          <span class="player-link" data-player-id="${pair.player_b_id}" title="Xem hồ sơ">${pair.player_b_name}</span>
+        </td>
+        <td>${pair.wins}</td>
+        <td>${pair.losses}</td>
+        <td>${pair.goal_difference > 0 ? '+' : ''}${pair.goal_difference}</td>
+        <td>${pair.total_matches}</td>
+        <td>${pair.win_percentage}%</td>
+      </tr>
+    `).join('')
+  }
+
+  async exportPairRankings() {
+    try {
+      const scope = this.getPairRankingsScope()
+      const response = await fetch(`${this.apiBase}/export-excel/pairs/${scope}?minGames=${this.getPairMinGames()}`)
+
+      if (response.ok) {
+        const blob = await response.blob()
+        const url = window.URL.createObjectURL(blob)
+        const a = document.createElement('a')
+        a.classList.add('hidden')
+        a.href = url
+        a.download = `pickleball-pairs-${scope.replace('/', '-')}-${new Date().toISOString().split('T')[0]}.xlsx`
+        document.body.appendChild(a)
+        a.click()
+        window.URL.revokeObjectURL(url)
+        document.body.removeChild(a)
+        this.updateFileStatus('✅ Đã xuất bảng xếp hạng cặp đôi ra Excel', 'success')
+      } else {
+        this.updateFileStatus('❌ Lỗi khi xuất dữ liệu ra Excel', 'error')
+      }
+    } catch (error) {
+      console.error('Error exporting pair rankings:', error)
+      this.updateFileStatus('❌ Lỗi khi xuất dữ liệu ra Excel', 'error')
+    }
+  }
+
   renderForm(form) {
     if (!form || form.length === 0) return ''
     
@@ -1505,18 +3604,323 @@ class PickleballRankingSystem {
     }).join('')
   }
 
+  getPlayerName(playerId) {
+    const player = this.players.find(p => p.id === playerId)
+    return player ? player.name : `#${playerId}`
+  }
+
+  async showPlayerProfile(playerId) {
+    let profile = null
+    let ratingData = null
+    try {
+      const [profileResponse, ratingResponse] = await Promise.all([
+        this.fetchConditional(`${this.apiBase}/players/${playerId}/profile`),
+        this.fetchConditional(`${this.apiBase}/players/${playerId}/rating-history`)
+      ])
+      if (profileResponse.ok) profile = await profileResponse.json()
+      if (ratingResponse.ok) ratingData = await ratingResponse.json()
+    } catch (error) {
+      console.error('Error loading player profile:', error)
+    }
+
+    if (!profile) {
+      this.updateFileStatus('❌ Không tải được hồ sơ người chơi', 'error')
+      return
+    }
+
+    const { player, lifetime, seasons, streaks, best_partner: bestPartner, toughest_opponent: toughestOpponent, recent_form: recentForm } = profile
+    const history = ratingData ? ratingData.history : []
+    const latest = history[history.length - 1]
+    const peak = history.reduce((max, item) => Math.max(max, item.rating), 0)
+    const recentMatches = history.slice(-5).reverse()
+    const currentStreak = streaks.current
+      ? `${streaks.current.length} ${streaks.current.type === 'win' ? 'thắng' : 'thua'}`
+      : '—'
+
+    const modal = document.createElement('div')
+    modal.className = 'modal'
+    modal.innerHTML = `
+      <div class="modal-content modal-content-large player-profile">
+        <div class="profile-header">
+          ${this.renderPlayerAvatar(player, 'large')}
+          <div>
+            <h2>${player.name}${player.nickname ? ` <span class="player-nickname">“${this.escapeHtml(player.nickname)}”</span>` : ''}</h2>
+            <div class="profile-details">
+              ${player.dominant_hand ? `<span>✋ ${DOMINANT_HAND_LABELS[player.dominant_hand]}</span>` : ''}
+              ${player.preferred_side ? `<span>🎯 ${COURT_SIDE_LABELS[player.preferred_side]}</span>` : ''}
+              ${player.phone ? `<span>📞 ${this.escapeHtml(player.phone)}</span>` : ''}
+              ${player.email ? `<span>✉️ ${this.escapeHtml(player.email)}</span>` : ''}
+            </div>
+            ${player.bio ? `<p class="profile-bio">${this.escapeHtml(player.bio)}</p>` : ''}
+          </div>
+        </div>
+        <div class="profile-summary">
+          <div class="profile-stat">
+            <span class="profile-stat-label">Thắng / Thua</span>
+            <span class="profile-stat-value">${lifetime.wins} / ${lifetime.losses}</span>
+          </div>
+          <div class="profile-stat">
+            <span class="profile-stat-label">Tỷ lệ thắng</span>
+            <span class="profile-stat-value">${lifetime.win_percentage}%</span>
+          </div>
+          <div class="profile-stat">
+            <span class="profile-stat-label">Điểm ghi / thủng</span>
+            <span class="profile-stat-value">${lifetime.points_for} / ${lifetime.points_against}</span>
+          </div>
+          <div class="profile-stat">
+            <span class="profile-stat-label">Tiền thua</span>
+            <span class="profile-stat-value">${this.formatMoney(lifetime.money_lost)}</span>
+          </div>
+          <div class="profile-stat">
+            <span class="profile-stat-label">Chuỗi thắng dài nhất</span>
+            <span class="profile-stat-value">${streaks.longest_win}</span>
+          </div>
+          <div class="profile-stat">
+            <span class="profile-stat-label">Chuỗi thua dài nhất</span>
+            <span class="profile-stat-value">${streaks.longest_loss}</span>
+          </div>
+          <div class="profile-stat">
+            <span class="profile-stat-label">Chuỗi hiện tại</span>
+            <span class="profile-stat-value">${currentStreak}</span>
+          </div>
+          <div class="profile-stat">
+            <span class="profile-stat-label">Kỹ năng hiện tại</span>
+            <span class="profile-stat-value">${latest ? `${latest.rating} ±${latest.rd}` : '—'}</span>
+          </div>
+          <div class="profile-stat">
+            <span class="profile-stat-label">Kỹ năng cao nhất</span>
+            <span class="profile-stat-value">${latest ? peak : '—'}</span>
+          </div>
+        </div>
+        <div class="profile-summary">
+          <div class="profile-stat">
+            <span class="profile-stat-label">🤝 Đồng đội ăn ý nhất</span>
+            <span class="profile-stat-value">${bestPartner
+              ? `${bestPartner.name} (${bestPartner.wins}/${bestPartner.matches} · ${bestPartner.win_percentage}%)`
+              : '—'}</span>
+          </div>
+          <div class="profile-stat">
+            <span class="profile-stat-label">😤 Đối thủ khó chịu nhất</span>
+            <span class="profile-stat-value">${toughestOpponent
+              ? `${toughestOpponent.name} (${toughestOpponent.wins}/${toughestOpponent.matches} · ${toughestOpponent.win_percentage}%)`
+              : '—'}</span>
+          </div>
+          <div class="profile-stat">
+            <span class="profile-stat-label">Phong độ</span>
+            <span class="profile-stat-value form-indicator">${this.renderForm(recentForm) || '—'}</span>
+          </div>
+        </div>
+        ${seasons.length > 0 ? `
+          <h3 class="profile-section-title">🏆 Theo mùa giải</h3>
+          <div class="table-container">
+            <table class="profile-season-table">
+              <thead>
+                <tr>
+                  <th>Mùa giải</th>
+                  <th>Thắng</th>
+                  <th>Thua</th>
+                  <th>Tỷ lệ thắng</th>
+                  <th>Hiệu số</th>
+                  <th>Tiền thua</th>
+                </tr>
+              </thead>
+              <tbody>
+                ${seasons.map(season => `
+                  <tr>
+                    <td>${season.season_name}</td>
+                    <td>${season.wins}</td>
+                    <td>${season.losses}</td>
+                    <td>${season.win_percentage}%</td>
+                    <td>${season.point_difference > 0 ? '+' : ''}${season.point_difference}</td>
+                    <td>${this.formatMoney(season.money_lost)}</td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          </div>
+        ` : ''}
+        <h3 class="profile-section-title">📈 Diễn biến điểm kỹ năng</h3>
+        ${this.renderRatingChart(history)}
+        ${recentMatches.length > 0 ? `
+          <h3 class="profile-section-title">Trận gần đây</h3>
+          <ul class="profile-recent-list">
+            ${recentMatches.map(item => `
+              <li class="${item.result === 'win' ? 'stat-win' : 'stat-loss'}">
+                ${this.formatDate(item.play_date)} · ${item.result === 'win' ? 'Thắng' : 'Thua'}
+                vs ${item.opponent_ids.map(id => this.getPlayerName(id)).join(' & ')}
+                (${item.rating_change > 0 ? '+' : ''}${item.rating_change})
+              </li>
+            `).join('')}
+          </ul>
+        ` : ''}
+        <div class="form-actions">
+          <button type="button" id="closePlayerProfile">Đóng</button>
+        </div>
+      </div>
+    `
+
+    document.body.appendChild(modal)
+
+    document.getElementById('closePlayerProfile').addEventListener('click', () => {
+      document.body.removeChild(modal)
+    })
+
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        document.body.removeChild(modal)
+      }
+    })
+  }
+
+  updateComparisonSelects() {
+    const playerOptions = this.players.map(player =>
+      `<option value="${player.id}">${player.name}</option>`
+    ).join('')
+
+    const selects = ['comparePlayerA', 'comparePlayerB']
+    selects.forEach(selectId => {
+      const select = document.getElementById(selectId)
+      if (select) {
+        const previousValue = select.value
+        select.innerHTML = `<option value="">Chọn người chơi...</option>${playerOptions}`
+        select.value = previousValue
+      }
+    })
+  }
+
+  async showComparison() {
+    const container = document.getElementById('comparisonResult')
+    const playerAId = parseInt(document.getElementById('comparePlayerA').value)
+    const playerBId = parseInt(document.getElementById('comparePlayerB').value)
+    if (!container) return
+
+    if (!playerAId || !playerBId) {
+      this.updateFileStatus('❌ Vui lòng chọn hai người chơi để so sánh', 'error')
+      return
+    }
+    if (playerAId === playerBId) {
+      this.updateFileStatus('❌ Vui lòng chọn hai người chơi khác nhau', 'error')
+      return
+    }
+
+    let data = null
+    try {
+      const response = await this.fetchConditional(`${this.apiBase}/players/${playerAId}/vs/${playerBId}`)
+      if (response.ok) data = await response.json()
+    } catch (error) {
+      console.error('Error loading head-to-head:', error)
+    }
+
+    if (!data) {
+      this.updateFileStatus('❌ Không tải được dữ liệu so sánh', 'error')
+      return
+    }
+
+    const { player_a: playerA, player_b: playerB, head_to_head: headToHead, partnership } = data
+
+    container.innerHTML = `
+      <div class="comparison-grid">
+        <div class="comparison-card">
+          <h4>⚔️ Đối đầu</h4>
+          ${headToHead.total_matches > 0 ? `
+            <div class="comparison-score">
+              <span>${playerA.name}</span>
+              <strong>${headToHead.player_a_wins} - ${headToHead.player_b_wins}</strong>
+              <span>${playerB.name}</span>
+            </div>
+            <p>Tổng điểm: ${headToHead.player_a_points} - ${headToHead.player_b_points}
+              (${headToHead.point_difference > 0 ? '+' : ''}${headToHead.point_difference})</p>
+            <p class="form-indicator">Gần đây (${playerA.name}): ${this.renderForm(headToHead.recent)}</p>
+            ${this.renderComparisonMatches(headToHead.matches)}
+          ` : '<div class="empty-state">Hai người chơi chưa từng đối đầu</div>'}
+        </div>
+        <div class="comparison-card">
+          <h4>🤝 Đánh cặp</h4>
+          ${partnership.total_matches > 0 ? `
+            <div class="comparison-score">
+              <span>Thắng</span>
+              <strong>${partnership.wins} - ${partnership.losses}</strong>
+              <span>Thua</span>
+            </div>
+            <p>Tỷ lệ thắng: ${partnership.win_percentage}% · Hiệu số:
+              ${partnership.point_difference > 0 ? '+' : ''}${partnership.point_difference}</p>
+            <p class="form-indicator">Gần đây: ${this.renderForm(partnership.recent)}</p>
+            ${this.renderComparisonMatches(partnership.matches)}
+          ` : '<div class="empty-state">Hai người chơi chưa từng đánh cặp</div>'}
+        </div>
+      </div>
+    `
+  }
+
+  renderComparisonMatches(matches) {
+    const formatTeam = (nameA, nameB) => nameB ? `${nameA} & ${nameB}` : nameA
+
+    return `
+      <ul class="profile-recent-list">
+        ${matches.slice(0, 10).map(match => `
+          <li class="${match.result === 'win' ? 'stat-win' : 'stat-loss'}">
+            ${this.formatDate(match.play_date)} ·
+            ${formatTeam(match.player1_name, match.player2_name)}
+            ${match.team1_score} - ${match.team2_score}
+            ${formatTeam(match.player3_name, match.player4_name)}
+          </li>
+        `).join('')}
+      </ul>
+    `
+  }
+
+  // Simple inline SVG line chart for a player's rating history
+  renderRatingChart(history) {
+    if (!history || history.length === 0) {
+      return '<div class="empty-state">Chưa có trận đấu nào để vẽ biểu đồ</div>'
+    }
+
+    const width = 560
+    const height = 220
+    const padding = { top: 16, right: 16, bottom: 28, left: 48 }
+    const ratings = history.map(item => item.rating)
+    const minRating = Math.min(...ratings) - 25
+    const maxRating = Math.max(...ratings) + 25
+    const plotWidth = width - padding.left - padding.right
+    const plotHeight = height - padding.top - padding.bottom
+
+    const x = (index) => padding.left + (history.length === 1 ? plotWidth / 2 : (index / (history.length - 1)) * plotWidth)
+    const y = (rating) => padding.top + (1 - (rating - minRating) / (maxRating - minRating)) * plotHeight
+
+    const points = history.map((item, index) => `${x(index).toFixed(1)},${y(item.rating).toFixed(1)}`).join(' ')
+    const dots = history.map((item, index) => `
+      <circle cx="${x(index).toFixed(1)}" cy="${y(item.rating).toFixed(1)}" r="3.5"
+        class="${item.result === 'win' ? 'rating-dot-win' : 'rating-dot-loss'}">
+        <title>${this.formatDate(item.play_date)}: ${item.rating} (${item.rating_change > 0 ? '+' : ''}${item.rating_change})</title>
+      </circle>
+    `).join('')
+
+    return `
+      <svg class="rating-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Biểu đồ điểm kỹ năng">
+        <line x1="${padding.left}" y1="${padding.top}" x2="${padding.left}" y2="${height - padding.bottom}" class="rating-axis"/>
+        <line x1="${padding.left}" y1="${height - padding.bottom}" x2="${width - padding.right}" y2="${height - padding.bottom}" class="rating-axis"/>
+        <text x="${padding.left - 6}" y="${padding.top + 4}" class="rating-label" text-anchor="end">${Math.round(maxRating)}</text>
+        <text x="${padding.left - 6}" y="${height - padding.bottom}" class="rating-label" text-anchor="end">${Math.round(minRating)}</text>
+        <text x="${padding.left}" y="${height - 8}" class="rating-label">${this.formatDate(history[0].play_date)}</text>
+        <text x="${width - padding.right}" y="${height - 8}" class="rating-label" text-anchor="end">${this.formatDate(history[history.length - 1].play_date)}</text>
+        <polyline points="${points}" class="rating-line"/>
+        ${dots}
+      </svg>
+    `
+  }
+
   async renderMatchHistory() {
     let matches = []
     
     try {
       if (this.currentViewMode === 'daily' && this.selectedDate) {
-        const response = await fetch(`${this.apiBase}/matches/by-date/${this.selectedDate}`)
+        const response = await this.fetchConditional(`${this.apiBase}/matches/by-date/${this.selectedDate}`)
         if (response.ok) matches = await response.json()
       } else if (this.currentViewMode === 'season' && this.selectedSeason) {
-        const response = await fetch(`${this.apiBase}/matches/by-season/${this.selectedSeason}`)
+        const response = await this.fetchConditional(`${this.apiBase}/matches/by-season/${this.selectedSeason}`)
         if (response.ok) matches = await response.json()
       } else {
-        const response = await fetch(`${this.apiBase}/matches`)
+        const response = await this.fetchConditional(`${this.apiBase}/matches`)
         if (response.ok) matches = await response.json()
       }
     } catch (error) {
@@ -1568,6 +3972,11 @@ class PickleballRankingSystem {
               <div class="team-score">${match.team2_score}</div>
             </div>
           </div>
+          ${match.games && match.games.length > 0 ? `
+            <div class="match-games-summary">
+              ${match.games.map(game => `<span>${game.team1_score} - ${game.team2_score}</span>`).join('')}
+            </div>
+          ` : ''}
         </div>
       `
     }).join('')
@@ -1617,6 +4026,11 @@ class PickleballRankingSystem {
   async updatePlayerSelectsBySeason(seasonId) {
     try {
       const selects = ['player1', 'player2', 'player3', 'player4']
+      // Team suggestions only make sense once the season roster is loaded
+      const suggestTeamsBtn = document.getElementById('suggestTeams')
+      const teamSuggestions = document.getElementById('teamSuggestions')
+      if (suggestTeamsBtn) suggestTeamsBtn.disabled = true
+      if (teamSuggestions) teamSuggestions.innerHTML = ''
       
       if (!seasonId) {
         // No season selected - disable player selects
@@ -1667,6 +4081,7 @@ class PickleballRankingSystem {
           select.disabled = false
         }
       })
+      if (suggestTeamsBtn) suggestTeamsBtn.disabled = seasonPlayers.length < 4
     } catch (error) {
       console.error('Error updating player selects by season:', error)
     }
@@ -1741,6 +4156,9 @@ class PickleballRankingSystem {
       const seasonName = season ? season.name : 'Không xác định'
       modeText = `Bảng xếp hạng mùa giải: ${seasonName}`
       exportText = `📊 Xuất Excel (${seasonName})`
+    } else if (this.currentViewMode === 'rating') {
+      modeText = 'Bảng xếp hạng kỹ năng (Glicko-2)'
+      exportText = '📊 Xuất Excel (Toàn bộ dữ liệu)'
     } else {
       modeText = 'Bảng xếp hạng tổng (toàn thời gian)'
       exportText = '📊 Xuất Excel (Toàn thời gian)'
@@ -1773,6 +4191,7 @@ class PickleballRankingSystem {
     }
     
     const seasonPlayerIds = seasonPlayers.map(p => p.id)
+    const seasonTiebreakers = (season?.tiebreak_order ?? 'goal_difference,win_percentage').split(',').filter(Boolean)
     
     const modal = document.createElement('div')
     modal.className = 'modal'
@@ -1811,6 +4230,79 @@ class PickleballRankingSystem {
               </label>
             </div>
           </div>
+
+          <div class="form-group season-rules-section">
+            <label>
+              <input type="checkbox" id="seasonUseRules" ${!isEdit || season?.target_score ? 'checked' : ''}>
+              Áp dụng luật tính điểm (máy chủ sẽ kiểm tra tỷ số và tự xác định đội thắng)
+            </label>
+            <div class="form-row" id="seasonRulesFields">
+              <div class="form-group">
+                <label for="seasonTargetScore">Điểm kết thúc ván:</label>
+                <input type="number" id="seasonTargetScore" min="1" max="99" value="${season?.target_score || 11}">
+              </div>
+              <div class="form-group">
+                <label for="seasonWinBy">Cách biệt tối thiểu:</label>
+                <input type="number" id="seasonWinBy" min="1" max="10" value="${season?.win_by || 2}">
+              </div>
+              <div class="form-group">
+                <label for="seasonScoreCap">Điểm trần (tuỳ chọn):</label>
+                <input type="number" id="seasonScoreCap" min="1" max="99" value="${season?.score_cap || ''}" placeholder="Không giới hạn">
+              </div>
+              <div class="form-group">
+                <label for="seasonScoringSystem">Cách tính điểm:</label>
+                <select id="seasonScoringSystem">
+                  <option value="side_out" ${season?.scoring_system !== 'rally' ? 'selected' : ''}>Side-out (chỉ đội giao bóng ghi điểm)</option>
+                  <option value="rally" ${season?.scoring_system === 'rally' ? 'selected' : ''}>Rally (mỗi pha bóng đều tính điểm)</option>
+                </select>
+              </div>
+            </div>
+          </div>
+
+          <div class="form-group season-rules-section">
+            <label>Công thức tính điểm xếp hạng:</label>
+            <div class="form-row">
+              <div class="form-group">
+                <label for="seasonPointsPerWin">Điểm mỗi trận thắng:</label>
+                <input type="number" id="seasonPointsPerWin" min="0" max="100" value="${season?.points_per_win ?? 4}">
+              </div>
+              <div class="form-group">
+                <label for="seasonPointsPerLoss">Điểm mỗi trận thua:</label>
+                <input type="number" id="seasonPointsPerLoss" min="0" max="100" value="${season?.points_per_loss ?? 1}">
+              </div>
+            </div>
+            <div class="form-row">
+              <div class="form-group">
+                <label for="seasonBonusType">Điểm thưởng khi thắng:</label>
+                <select id="seasonBonusType">
+                  <option value="none" ${!season?.bonus_type || season.bonus_type === 'none' ? 'selected' : ''}>Không có</option>
+                  <option value="shutout" ${season?.bonus_type === 'shutout' ? 'selected' : ''}>Thắng trắng (đối thủ 0 điểm)</option>
+                  <option value="margin" ${season?.bonus_type === 'margin' ? 'selected' : ''}>Thắng cách biệt</option>
+                </select>
+              </div>
+              <div class="form-group">
+                <label for="seasonBonusMargin">Cách biệt tối thiểu:</label>
+                <input type="number" id="seasonBonusMargin" min="1" max="99" value="${season?.bonus_margin || ''}" placeholder="VD: 6">
+              </div>
+              <div class="form-group">
+                <label for="seasonBonusPoints">Số điểm thưởng:</label>
+                <input type="number" id="seasonBonusPoints" min="0" max="100" value="${season?.bonus_points ?? 0}">
+              </div>
+            </div>
+            <div class="form-row">
+              ${[0, 1, 2].map(index => `
+                <div class="form-group">
+                  <label for="seasonTiebreaker${index}">Tiêu chí phụ ${index + 1}:</label>
+                  <select id="seasonTiebreaker${index}" class="season-tiebreaker">
+                    <option value="">—</option>
+                    ${Object.entries(TIEBREAKER_LABELS).map(([key, label]) => `
+                      <option value="${key}" ${seasonTiebreakers[index] === key ? 'selected' : ''}>${label}</option>
+                    `).join('')}
+                  </select>
+                </div>
+              `).join('')}
+            </div>
+          </div>
           
           <div class="form-group season-players-section">
             <label>Thành viên tham gia giải:</label>
@@ -1847,6 +4339,24 @@ class PickleballRankingSystem {
       document.getElementById('selectedPlayerCount').textContent = checked
     }
     updateSelectedCount()
+
+    // Scoring rules fields are only editable when rules are enabled
+    const useRulesCheckbox = document.getElementById('seasonUseRules')
+    const updateRulesFields = () => {
+      document.getElementById('seasonRulesFields').querySelectorAll('input, select').forEach(field => {
+        field.disabled = !useRulesCheckbox.checked
+      })
+    }
+    useRulesCheckbox.addEventListener('change', updateRulesFields)
+    updateRulesFields()
+
+    const bonusTypeSelect = document.getElementById('seasonBonusType')
+    const updateBonusFields = () => {
+      document.getElementById('seasonBonusMargin').disabled = bonusTypeSelect.value !== 'margin'
+      document.getElementById('seasonBonusPoints').disabled = bonusTypeSelect.value === 'none'
+    }
+    bonusTypeSelect.addEventListener('change', updateBonusFields)
+    updateBonusFields()
     
     // Player checkbox change handler
     modal.querySelectorAll('input[name="seasonPlayers"]').forEach(cb => {
@@ -1877,6 +4387,21 @@ class PickleballRankingSystem {
       console.log('📝 LoseMoney input value:', loseMoneyInput ? loseMoneyInput.value : 'NOT FOUND')
       const loseMoney = parseInt(loseMoneyInput?.value) || 0
       console.log('📝 Parsed loseMoney:', loseMoney)
+      const scoringRules = useRulesCheckbox.checked ? {
+        targetScore: parseInt(document.getElementById('seasonTargetScore').value) || null,
+        winBy: parseInt(document.getElementById('seasonWinBy').value) || 2,
+        scoreCap: parseInt(document.getElementById('seasonScoreCap').value) || null,
+        scoringSystem: document.getElementById('seasonScoringSystem').value
+      } : { targetScore: null }
+      const bonusType = bonusTypeSelect.value
+      const pointsFormula = {
+        pointsPerWin: parseInt(document.getElementById('seasonPointsPerWin').value) || 0,
+        pointsPerLoss: parseInt(document.getElementById('seasonPointsPerLoss').value) || 0,
+        bonusType,
+        bonusPoints: bonusType === 'none' ? 0 : parseInt(document.getElementById('seasonBonusPoints').value) || 0,
+        bonusMargin: bonusType === 'margin' ? parseInt(document.getElementById('seasonBonusMargin').value) || null : null,
+        tiebreakers: [...new Set(Array.from(modal.querySelectorAll('.season-tiebreaker')).map(select => select.value).filter(Boolean))]
+      }
       const errorDiv = document.getElementById('seasonError')
       
       // Get selected players
@@ -1899,10 +4424,23 @@ class PickleballRankingSystem {
         errorDiv.textContent = 'Cần chọn ngày kết thúc để bật tự động kết thúc'
         return
       }
+
+      if (useRulesCheckbox.checked && !scoringRules.targetScore) {
+        errorDiv.textContent = 'Vui lòng nhập điểm kết thúc ván'
+        return
+      }
+      if (scoringRules.scoreCap && scoringRules.scoreCap < scoringRules.targetScore) {
+        errorDiv.textContent = 'Điểm trần không được nhỏ hơn điểm kết thúc ván'
+        return
+      }
+      if (bonusType === 'margin' && !pointsFormula.bonusMargin) {
+        errorDiv.textContent = 'Vui lòng nhập cách biệt tối thiểu để được thưởng điểm'
+        return
+      }
       
       const result = isEdit ? 
-        await this.updateSeason(seasonId, name, description, startDate, endDate, autoEnd, selectedPlayerIds, loseMoney) :
-        await this.createSeason(name, description, startDate, endDate, autoEnd, selectedPlayerIds, loseMoney)
+        await this.updateSeason(seasonId, name, description, startDate, endDate, autoEnd, selectedPlayerIds, loseMoney, { ...scoringRules, ...pointsFormula }) :
+        await this.createSeason(name, description, startDate, endDate, autoEnd, selectedPlayerIds, loseMoney, { ...scoringRules, ...pointsFormula })
       
       if (result.success) {
         document.body.removeChild(modal)
@@ -1923,7 +4461,7 @@ class PickleballRankingSystem {
     })
   }
 
-  async createSeason(name, description, startDate, endDate, autoEnd, playerIds = [], loseMoney = 0) {
+  async createSeason(name, description, startDate, endDate, autoEnd, playerIds = [], loseMoney = 0, seasonSettings = {}) {
     try {
       const response = await this.makeAuthenticatedRequest(`${this.apiBase}/seasons`, {
         method: 'POST',
@@ -1933,7 +4471,8 @@ class PickleballRankingSystem {
           startDate,
           endDate,
           autoEnd,
-          loseMoney
+          loseMoney,
+          ...seasonSettings
         })
       })
 
@@ -1961,11 +4500,11 @@ class PickleballRankingSystem {
     }
   }
 
-  async updateSeason(seasonId, name, description, startDate, endDate, autoEnd, playerIds = [], loseMoney = 0) {
+  async updateSeason(seasonId, name, description, startDate, endDate, autoEnd, playerIds = [], loseMoney = 0, seasonSettings = {}) {
     try {
       const response = await this.makeAuthenticatedRequest(`${this.apiBase}/seasons/${seasonId}`, {
         method: 'PUT',
-        body: JSON.stringify({ name, description, startDate, endDate, autoEnd, loseMoney })
+        body: JSON.stringify({ name, description, startDate, endDate, autoEnd, loseMoney, ...seasonSettings })
       })
 
       const data = await response.json()
@@ -2097,8 +4636,8 @@ class PickleballRankingSystem {
     // Show confirmation dialog
     const confirmDelete = confirm(
       `Bạn có chắc chắn muốn xóa mùa giải "${season.name}"?\n\n` +
-      `⚠️ CẢNH BÁO: Tất cả dữ liệu trận đấu và thống kê liên quan đến mùa giải này sẽ bị xóa vĩnh viễn!\n\n` +
-      `Hành động này không thể hoàn tác.`
+      `Mùa giải cùng tất cả trận đấu, giải đấu, lịch thi đấu và sổ quỹ của nó sẽ được chuyển vào thùng rác.\n\n` +
+      `Quản trị viên có thể khôi phục trong tab "Thùng rác" trước khi hết thời hạn lưu giữ.`
     )
 
     if (!confirmDelete) {
@@ -2128,7 +4667,7 @@ class PickleballRankingSystem {
           await this.switchViewMode('lifetime')
         }
         
-        this.updateFileStatus(`✅ Đã xóa mùa giải "${season.name}" thành công`, 'success')
+        this.updateFileStatus(`✅ Đã chuyển mùa giải "${season.name}" vào thùng rác`, 'success')
       } else {
         this.updateFileStatus(`❌ ${data.error || 'Lỗi khi xóa mùa giải'}`, 'error')
       }
@@ -2220,6 +4759,36 @@ class PickleballRankingSystem {
     })
   }
 
+  escapeHtml(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;')
+  }
+
+  // Avatar image of a player, or their initial when they have none
+  renderPlayerAvatar(player, size = 'small') {
+    if (player?.avatar_path) {
+      return `<img class="player-avatar player-avatar-${size}" src="${this.apiBase}/players/${player.id}/avatar?v=${encodeURIComponent(player.avatar_path)}" alt="">`
+    }
+    const initial = this.escapeHtml((player?.name || '?').charAt(0).toUpperCase())
+    return `<span class="player-avatar player-avatar-${size} player-avatar-initial">${initial}</span>`
+  }
+
+  // Name cell of the rankings tables: avatar, profile link and nickname
+  renderPlayerNameCell(player) {
+    const details = this.players.find(p => p.id === player.id) || player
+    return `
+      <span class="player-name-cell">
+        ${this.renderPlayerAvatar(details)}
+        <span class="player-link" data-player-id="${player.id}" title="Xem hồ sơ">${player.name}</span>
+        ${details.nickname ? `<span class="player-nickname">“${this.escapeHtml(details.nickname)}”</span>` : ''}
+      </span>
+    `
+  }
+
   formatMoney(amount) {
     return new Intl.NumberFormat('vi-VN', {
       style: 'currency',
@@ -2604,7 +5173,7 @@ class PickleballRankingSystem {
       `📅 ${this.formatDate(match.play_date)}\n` +
       `${team1Display} vs ${team2Display}\n` +
       `📊 ${match.team1_score} - ${match.team2_score}\n\n` +
-      `Hành động này không thể hoàn tác.`
+      `Trận đấu sẽ được chuyển vào thùng rác, quản trị viên có thể khôi phục trước khi hết thời hạn lưu giữ.`
     )
 
     if (!confirmDelete) return
@@ -2622,7 +5191,7 @@ class PickleballRankingSystem {
         this.renderRankings()
         this.renderMatchHistory()
         this.updateDateSelector()
-        this.updateFileStatus('✅ Đã xóa trận đấu thành công', 'success')
+        this.updateFileStatus('✅ Đã chuyển trận đấu vào thùng rác', 'success')
       } else {
         this.updateFileStatus(`❌ ${data.error}`, 'error')
       }
@@ -2715,6 +5284,16 @@ class PickleballRankingSystem {
             </div>
           </div>
 
+          <div class="form-group match-games-section">
+            <div class="match-games-header">
+              <label>Tỷ số từng ván <small>(để trống nếu chỉ có một tỷ số)</small></label>
+              <button type="button" id="addEditMatchGame" class="small-btn">➕ Thêm ván</button>
+            </div>
+            <div id="editMatchGamesList" class="match-games-list">
+              ${(match.games || []).map(game => this.renderGameRow(game)).join('')}
+            </div>
+          </div>
+
           <div class="form-group">
             <label for="editWinningTeam">Đội thắng:</label>
             <select id="editWinningTeam" required>
@@ -2723,6 +5302,12 @@ class PickleballRankingSystem {
             </select>
           </div>
 
+          <div class="form-group">
+            <label for="editMatchStake">💰 Tiền cược trận này (VNĐ):</label>
+            <input type="number" id="editMatchStake" min="0" step="1000" value="${match.stake ?? ''}" placeholder="Theo mùa giải">
+            <small class="form-hint">Để trống để dùng mức tiền thua của mùa giải.</small>
+          </div>
+
           <div class="form-actions">
             <button type="submit">Cập nhật trận đấu</button>
             <button type="button" id="cancelEditMatch">Hủy</button>
@@ -2763,6 +5348,27 @@ class PickleballRankingSystem {
       if (teamTitles[1]) teamTitles[1].textContent = 'Đội 2'
       playerLabels.forEach(label => label.textContent = 'Người chơi 1:')
     })
+
+    // Game rows drive the match score and winner
+    const editGamesList = document.getElementById('editMatchGamesList')
+    const syncEditGames = () => {
+      const games = this.readGameRows(editGamesList)
+      const hasGames = games.length > 0
+      const team1ScoreInput = document.getElementById('editTeam1Score')
+      const team2ScoreInput = document.getElementById('editTeam2Score')
+      const winningTeamSelect = document.getElementById('editWinningTeam')
+      team1ScoreInput.readOnly = hasGames
+      team2ScoreInput.readOnly = hasGames
+      winningTeamSelect.disabled = hasGames
+      if (hasGames) {
+        const summary = this.summarizeGameRows(games)
+        team1ScoreInput.value = summary.team1Score
+        team2ScoreInput.value = summary.team2Score
+        if (summary.winningTeam) winningTeamSelect.value = summary.winningTeam
+      }
+    }
+    this.setupGameRows(editGamesList, document.getElementById('addEditMatchGame'), syncEditGames)
+    syncEditGames()
     
     document.getElementById('editMatchForm').addEventListener('submit', async (e) => {
       e.preventDefault()
@@ -2775,6 +5381,8 @@ class PickleballRankingSystem {
       const team1Score = parseInt(document.getElementById('editTeam1Score').value)
       const team2Score = parseInt(document.getElementById('editTeam2Score').value)
       const winningTeam = parseInt(document.getElementById('editWinningTeam').value)
+      const stakeValue = parseInt(document.getElementById('editMatchStake').value)
+      const stake = stakeValue >= 0 ? stakeValue : null
       const errorDiv = document.getElementById('editMatchError')
 
       let player2Id = null
@@ -2814,6 +5422,19 @@ class PickleballRankingSystem {
         return
       }
 
+      const games = this.readGameRows(editGamesList)
+      if (games.length > 0) {
+        const summary = this.summarizeGameRows(games)
+        if (summary.hasTiedGame) {
+          errorDiv.textContent = 'Một ván không thể có tỷ số hòa'
+          return
+        }
+        if (!summary.winningTeam) {
+          errorDiv.textContent = 'Số ván thắng của hai đội không được bằng nhau'
+          return
+        }
+      }
+
       try {
         const response = await this.makeAuthenticatedRequest(`${this.apiBase}/matches/${match.id}`, {
           method: 'PUT',
@@ -2827,7 +5448,9 @@ class PickleballRankingSystem {
             player4Id,
             team1Score,
             team2Score,
-            winningTeam
+            winningTeam,
+            games,
+            stake
           })
         })
 
@@ -2861,6 +5484,83 @@ class PickleballRankingSystem {
     })
   }
 
+  // Game-by-game score rows (best-of-N), shared by the record form and the edit modal
+  renderGameRow(game = {}) {
+    return `
+      <div class="match-game-row">
+        <span class="match-game-label"></span>
+        <input type="number" min="0" class="game-team1-score" value="${game.team1_score ?? ''}" placeholder="0">
+        <span>-</span>
+        <input type="number" min="0" class="game-team2-score" value="${game.team2_score ?? ''}" placeholder="0">
+        <button type="button" class="delete-btn" data-action="remove-game" title="Xóa ván">✕</button>
+      </div>
+    `
+  }
+
+  setupGameRows(container, addButton, onChange) {
+    const renumber = () => {
+      container.querySelectorAll('.match-game-label').forEach((label, index) => {
+        label.textContent = `Ván ${index + 1}`
+      })
+    }
+    renumber()
+
+    addButton.addEventListener('click', () => {
+      container.insertAdjacentHTML('beforeend', this.renderGameRow())
+      renumber()
+      onChange()
+    })
+    container.addEventListener('click', (e) => {
+      if (e.target.dataset.action !== 'remove-game') return
+      e.target.closest('.match-game-row').remove()
+      renumber()
+      onChange()
+    })
+    container.addEventListener('input', onChange)
+  }
+
+  // Rows left completely empty are ignored
+  readGameRows(container) {
+    if (!container) return []
+    return Array.from(container.querySelectorAll('.match-game-row'))
+      .map(row => ({
+        team1Score: row.querySelector('.game-team1-score').value,
+        team2Score: row.querySelector('.game-team2-score').value
+      }))
+      .filter(game => game.team1Score !== '' || game.team2Score !== '')
+      .map(game => ({ team1Score: parseInt(game.team1Score) || 0, team2Score: parseInt(game.team2Score) || 0 }))
+  }
+
+  summarizeGameRows(games) {
+    const summary = { team1Score: 0, team2Score: 0, team1Games: 0, team2Games: 0, winningTeam: null, hasTiedGame: false }
+    for (const game of games) {
+      summary.team1Score += game.team1Score
+      summary.team2Score += game.team2Score
+      if (game.team1Score > game.team2Score) {
+        summary.team1Games++
+      } else if (game.team2Score > game.team1Score) {
+        summary.team2Games++
+      } else {
+        summary.hasTiedGame = true
+      }
+    }
+    if (summary.team1Games !== summary.team2Games) {
+      summary.winningTeam = summary.team1Games > summary.team2Games ? 1 : 2
+    }
+    return summary
+  }
+
+  // Record form: match scores become read-only totals while game rows are used
+  onMatchGamesChange() {
+    const hasGames = this.readGameRows(document.getElementById('matchGamesList')).length > 0
+    document.getElementById('team1Score').readOnly = hasGames
+    document.getElementById('team2Score').readOnly = hasGames
+    if (hasGames && this.isManualWinnerMode) {
+      this.toggleWinnerMode(false)
+    }
+    this.updateAutoWinner()
+  }
+
   // Auto-winner detection based on scores
   updateAutoWinner() {
     if (this.isManualWinnerMode) return // Don't auto-update if in manual mode
@@ -2872,6 +5572,28 @@ class PickleballRankingSystem {
 
     if (!team1ScoreInput || !team2ScoreInput || !winnerDisplay) return
 
+    // With game rows the winner is whoever won more games
+    const games = this.readGameRows(document.getElementById('matchGamesList'))
+    if (games.length > 0) {
+      const summary = this.summarizeGameRows(games)
+      team1ScoreInput.value = summary.team1Score
+      team2ScoreInput.value = summary.team2Score
+      if (winningTeamSelect) {
+        winningTeamSelect.value = summary.winningTeam || ''
+      }
+      if (summary.winningTeam) {
+        const wonGames = Math.max(summary.team1Games, summary.team2Games)
+        const lostGames = Math.min(summary.team1Games, summary.team2Games)
+        winnerDisplay.textContent = `🏆 Đội ${summary.winningTeam} thắng ${wonGames} - ${lostGames} ván (tổng điểm ${summary.team1Score} - ${summary.team2Score})`
+        winnerDisplay.className = 'winner-display-auto'
+      } else {
+        winnerDisplay.textContent = `⚖️ Số ván thắng đang bằng nhau (${summary.team1Games} - ${summary.team2Games})`
+        winnerDisplay.className = 'winner-display-manual'
+      }
+      this.currentWinningTeam = summary.winningTeam
+      return
+    }
+
     const team1Score = parseInt(team1ScoreInput.value) || 0
     const team2Score = parseInt(team2ScoreInput.value) || 0
 
@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+// Materialized standings CLI for Pickleball Ranking System
+// Usage: node standings.js [check|rebuild]
+
+import PickleballDatabaseFactory from './database-factory.js'
+
+// Parse command line arguments
+const args = process.argv.slice(2)
+const command = args.find(arg => !arg.startsWith('-')) || 'check'
+const help = args.includes('--help') || args.includes('-h')
+
+function showHelp() {
+  console.log(`
+Pickleball Ranking System - Materialized Standings
+
+Usage: node standings.js [command]
+
+Commands:
+  check          Compare the player_standings table with a full recompute (default)
+  rebuild        Recompute every scope from the matches
+
+Options:
+  -h, --help     Show this help message
+
+The backend is chosen by DB_TYPE (sqlite or postgresql), as in database-factory.js.
+check exits with status 1 when it finds mismatches.
+`)
+}
+
+async function main() {
+  if (help) {
+    showHelp()
+    return
+  }
+  if (!['check', 'rebuild'].includes(command)) {
+    console.error(`❌ Unknown command "${command}". Use --help to list commands.`)
+    process.exitCode = 1
+    return
+  }
+
+  const db = PickleballDatabaseFactory.instantiate()
+  await db.connect()
+  try {
+    if (command === 'rebuild') {
+      const rows = await db.rebuildStandings()
+      console.log(`✅ Standings rebuilt (${rows} rows)`)
+      return
+    }
+
+    const { scopes_checked: scopesChecked, mismatches } = await db.checkStandings()
+    for (const mismatch of mismatches) {
+      console.log(`${mismatch.scope.padEnd(18)} ${mismatch.name} (#${mismatch.player_id}) ${mismatch.column}: expected ${mismatch.expected}, stored ${mismatch.actual}`)
+    }
+    if (mismatches.length > 0) {
+      console.error(`❌ ${mismatches.length} mismatch(es) in ${scopesChecked} scope(s). Run npm run standings:rebuild to fix them.`)
+      process.exitCode = 1
+    } else {
+      console.log(`✅ Standings are consistent (${scopesChecked} scope(s) checked)`)
+    }
+  } finally {
+    await db.close()
+  }
+}
+
+main().catch((error) => {
+  console.error('💥 Standings command failed:', error.message)
+  process.exitCode = 1
+})
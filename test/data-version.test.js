@@ -0,0 +1,71 @@
+// Conditional GETs (lib/data-version.js): ETags per data version and caller, 304 while
+// nothing was written, and routes that keep their own caching headers.
+
+import { after, before, describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import express from 'express'
+import { createDataVersion } from '../lib/data-version.js'
+
+describe('conditional GETs', () => {
+  let server
+  let baseUrl
+  const logged = []
+
+  before(async () => {
+    const dataVersion = createDataVersion()
+    const app = express()
+    // Stands in for the access log, mounted ahead of the conditional GETs as in server.js
+    app.use((req, res, next) => {
+      res.on('finish', () => logged.push(`${req.method} ${req.originalUrl} ${res.statusCode}`))
+      next()
+    })
+    app.use(dataVersion.trackWrites())
+    app.use('/api/players', dataVersion.conditionalGet({ skip: (req) => /^\/\d+\/avatar$/.test(req.path) }))
+    app.get('/api/players', (req, res) => res.json(['An']))
+    app.post('/api/players', (req, res) => res.json({ success: true }))
+    app.get('/api/players/:id/avatar', (req, res) => {
+      res.set('Cache-Control', 'public, max-age=86400')
+      res.send('image')
+    })
+    server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening))
+    })
+    baseUrl = `http://127.0.0.1:${server.address().port}`
+  })
+
+  after(() => new Promise(resolve => server.close(resolve)))
+
+  const request = (path, { method = 'GET', headers = {} } = {}) => fetch(`${baseUrl}${path}`, { method, headers })
+
+  test('answers 304 while nothing was written, and logs it', async () => {
+    const first = await request('/api/players')
+    const etag = first.headers.get('etag')
+    assert.equal(first.status, 200)
+    assert.equal(first.headers.get('cache-control'), 'private, no-cache')
+
+    const again = await request('/api/players', { headers: { 'If-None-Match': etag } })
+    assert.equal(again.status, 304)
+    assert.equal(logged.at(-1), 'GET /api/players 304')
+  })
+
+  test('a write changes the ETag', async () => {
+    const etag = (await request('/api/players')).headers.get('etag')
+    await request('/api/players', { method: 'POST' })
+    const response = await request('/api/players', { headers: { 'If-None-Match': etag } })
+    assert.equal(response.status, 200)
+    assert.notEqual(response.headers.get('etag'), etag)
+  })
+
+  test('callers with different credentials get different ETags', async () => {
+    const guest = (await request('/api/players')).headers.get('etag')
+    const signedIn = await request('/api/players', { headers: { Authorization: 'Bearer token', 'If-None-Match': guest } })
+    assert.equal(signedIn.status, 200)
+    assert.notEqual(signedIn.headers.get('etag'), guest)
+  })
+
+  test('skipped routes keep their own caching headers', async () => {
+    const avatar = await request('/api/players/1/avatar', { headers: { Authorization: 'Bearer token' } })
+    assert.equal(avatar.headers.get('cache-control'), 'public, max-age=86400')
+    assert.doesNotMatch(avatar.headers.get('etag') || '', /-[0-9a-f]{16}"$/)
+  })
+})
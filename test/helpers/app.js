@@ -0,0 +1,97 @@
+// The API routers wired as in server.js, on a test database, with authentication and
+// rate limits replaced by pass-throughs: every request runs as an admin.
+
+import express from 'express'
+import os from 'os'
+import { join } from 'path'
+import { validationResult } from 'express-validator'
+import { createPlayerRouter } from '../../routes/players.js'
+import { createSeasonRouter } from '../../routes/seasons.js'
+import { createMatchRouter } from '../../routes/matches.js'
+import { createRankingRouter } from '../../routes/rankings.js'
+import { createTrashRouter } from '../../routes/trash.js'
+import { createLedgerRouter } from '../../routes/ledger.js'
+import { createScheduledMatchRouter } from '../../routes/scheduled-matches.js'
+import { createTournamentRouter } from '../../routes/tournaments.js'
+import { createAuditRouter } from '../../routes/audit.js'
+import { createAuditLog } from '../../lib/audit.js'
+import { createDataEvents } from '../../lib/data-events.js'
+import { subscribeStandings } from '../../lib/standings.js'
+import RankingsCache from '../../lib/rankings-cache.js'
+
+const signedIn = (req, res, next) => {
+  req.user = { username: 'admin', role: 'admin' }
+  req.isAuthenticated = true
+  next()
+}
+
+const pass = (req, res, next) => next()
+
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req)
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Validation failed', details: errors.array() })
+  }
+  next()
+}
+
+// Listens on a free port. Returns { request(method, path, body), rankingsCache, close() };
+// request resolves to { status, headers, body } with the JSON body parsed.
+export const startApp = async (db) => {
+  const rankingsCache = new RankingsCache()
+  const dataEvents = createDataEvents()
+  subscribeStandings(dataEvents, db)
+  await rankingsCache.subscribeTo(dataEvents)
+
+  const shared = {
+    db,
+    checkAuth: signedIn,
+    authenticateToken: signedIn,
+    requireAdmin: pass,
+    requireEditor: pass,
+    conditionalRateLimit: () => pass,
+    handleValidationErrors,
+    rankingsCache,
+    dataEvents,
+    audit: createAuditLog(db)
+  }
+
+  const app = express()
+  app.use(express.json())
+  app.use('/api/players', createPlayerRouter({
+    ...shared,
+    sanitizeResponse: (data) => data,
+    avatarDir: join(os.tmpdir(), 'pickleball-test-avatars')
+  }))
+  app.use('/api/seasons', createSeasonRouter(shared))
+  app.use('/api/matches', createMatchRouter(shared))
+  app.use('/api/rankings', createRankingRouter(shared))
+  app.use('/api/tournaments', createTournamentRouter(shared))
+  app.use('/api/scheduled-matches', createScheduledMatchRouter(shared))
+  app.use('/api/ledger', createLedgerRouter(shared))
+  app.use('/api/admin/audit', createAuditRouter(shared))
+  app.use('/api/admin/trash', createTrashRouter(shared))
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening))
+  })
+  const baseUrl = `http://127.0.0.1:${server.address().port}`
+
+  return {
+    rankingsCache,
+
+    async request(method, path, body = undefined) {
+      const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+      })
+      const text = await response.text()
+      return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null }
+    },
+
+    close() {
+      return new Promise(resolve => server.close(resolve))
+    }
+  }
+}
@@ -0,0 +1,49 @@
+// Fresh, migrated databases for the backends the repositories are shared by:
+// SQLite in memory, and the PostgreSQL backend on PGlite (see pglite-pool.js).
+// Both run their real migrations; the returned object is the backend's database class.
+
+import { createPglitePool } from './pglite-pool.js'
+
+// Dates come back as Date objects from PostgreSQL; read them the same way everywhere
+process.env.TZ = 'UTC'
+
+export const BACKENDS = ['sqlite', 'postgresql']
+
+const quietly = async (fn) => {
+  const log = console.log
+  console.log = () => {}
+  try {
+    return await fn()
+  } finally {
+    console.log = log
+  }
+}
+
+export const openDatabase = (backend) => quietly(async () => {
+  if (backend === 'sqlite') {
+    const { default: PickleballDatabaseSQLite } = await import('../../database.js')
+    const db = new PickleballDatabaseSQLite()
+    db.dbPath = ':memory:'
+    await db.init()
+    return db
+  }
+
+  // The constructor requires connection settings, which PGlite does not use
+  process.env.DB_NAME ||= 'pickleball_test'
+  process.env.DB_USER ||= 'test'
+  process.env.DB_PASSWORD ||= 'test'
+  const { default: PickleballDatabasePostgreSQL } = await import('../../database-postgresql.js')
+  const db = new PickleballDatabasePostgreSQL()
+  db.pool = await createPglitePool()
+  await db.runMigrations()
+  return db
+})
+
+// Players named after the given names, returned as a name -> id map
+export const addPlayers = async (db, names) => {
+  const ids = {}
+  for (const name of names) {
+    ids[name] = await db.addPlayer(name)
+  }
+  return ids
+}
@@ -0,0 +1,51 @@
+// A pg Pool stand-in backed by PGlite (PostgreSQL compiled to WebAssembly, in process),
+// so the PostgreSQL backend runs in tests without a server. PGlite has one connection:
+// a checked-out client holds it until release(), and pool.query() waits its turn,
+// like a pg Pool with max: 1.
+
+import { PGlite } from '@electric-sql/pglite'
+
+const toPgResult = (result) => ({
+  rows: result.rows,
+  rowCount: result.affectedRows || result.rows.length
+})
+
+export const createPglitePool = async () => {
+  const pglite = await PGlite.create()
+  let turn = Promise.resolve()
+
+  // Run fn once every earlier holder of the connection is done
+  const exclusive = () => {
+    let release
+    const previous = turn
+    turn = new Promise(resolve => { release = resolve })
+    return previous.then(() => release)
+  }
+
+  // Without parameters a query may hold several statements, as with pg
+  const run = async (text, values = []) => {
+    if (values.length > 0) return toPgResult(await pglite.query(text, values))
+    const results = await pglite.exec(text)
+    return toPgResult(results[results.length - 1] || { rows: [] })
+  }
+
+  return {
+    async query(text, values) {
+      const release = await exclusive()
+      try {
+        return await run(text, values)
+      } finally {
+        release()
+      }
+    },
+
+    async connect() {
+      const release = await exclusive()
+      return { query: run, release }
+    },
+
+    async end() {
+      await pglite.close()
+    }
+  }
+}
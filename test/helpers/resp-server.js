@@ -0,0 +1,271 @@
+// In-process stand-in for a Redis server: the subset of commands the cache backend
+// uses (strings, sets, expiry, SCAN, EVAL, pub/sub), spoken over RESP on a local port.
+// EVAL runs the actual Lua scripts in fengari (a Lua VM in JavaScript), with
+// redis.call bound to the same commands. Tests can drop connections, fail the next
+// call of a command and send malformed replies.
+
+import net from 'net'
+import fengari from 'fengari'
+import { parseReply } from '../../lib/resp-client.js'
+
+const { lua, lauxlib, lualib, to_luastring } = fengari
+
+const OK = Symbol('OK')
+
+const encodeReply = (value) => {
+  if (value === OK) return '+OK\r\n'
+  if (value === null) return '$-1\r\n'
+  if (value instanceof Error) return `-${value.message}\r\n`
+  if (typeof value === 'number') return `:${value}\r\n`
+  if (Array.isArray(value)) return `*${value.length}\r\n${value.map(encodeReply).join('')}`
+  return `$${Buffer.byteLength(value)}\r\n${value}\r\n`
+}
+
+const globToRegExp = (pattern) => new RegExp(`^${pattern
+  .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+  .replace(/\*/g, '.*')
+  .replace(/\?/g, '.')}$`)
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.password] - required with AUTH before any other command
+ */
+export const startRespServer = async ({ password = null } = {}) => {
+  // key -> { value: string | Set, expiresAt: ms or null }
+  const keys = new Map()
+  const sockets = new Set()
+  const subscriptions = new Map()
+  const failures = new Map()
+
+  const lookup = (key) => {
+    const item = keys.get(key)
+    if (item && item.expiresAt !== null && item.expiresAt <= Date.now()) {
+      keys.delete(key)
+      return null
+    }
+    return item || null
+  }
+
+  const setOf = (key) => {
+    const item = lookup(key)
+    if (!item) return null
+    if (!(item.value instanceof Set)) throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value')
+    return item.value
+  }
+
+  const stringOf = (key) => {
+    const item = lookup(key)
+    if (!item) return null
+    if (item.value instanceof Set) throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value')
+    return item.value
+  }
+
+  const publish = (channel, message) => {
+    const subscribers = subscriptions.get(channel) || new Set()
+    for (const socket of subscribers) {
+      socket.write(encodeReply(['message', channel, message]))
+    }
+    return subscribers.size
+  }
+
+  // Data commands, shared by clients and redis.call in scripts
+  const COMMANDS = {
+    PING: () => 'PONG',
+    SELECT: () => OK,
+    GET: ([key]) => stringOf(key),
+    MGET: (names) => names.map(stringOf),
+    SET: ([key, value, option, ttl]) => {
+      const expiresAt = option?.toUpperCase() === 'PX' ? Date.now() + Number(ttl) : null
+      keys.set(key, { value, expiresAt })
+      return OK
+    },
+    DEL: (names) => names.filter(key => lookup(key) && keys.delete(key)).length,
+    INCR: ([key]) => {
+      const value = Number(stringOf(key) || 0) + 1
+      keys.set(key, { value: String(value), expiresAt: lookup(key)?.expiresAt ?? null })
+      return value
+    },
+    SADD: ([key, ...members]) => {
+      let set = setOf(key)
+      if (!set) {
+        set = new Set()
+        keys.set(key, { value: set, expiresAt: null })
+      }
+      const before = set.size
+      for (const member of members) set.add(member)
+      return set.size - before
+    },
+    SMEMBERS: ([key]) => [...(setOf(key) || [])],
+    PTTL: ([key]) => {
+      const item = lookup(key)
+      if (!item) return -2
+      return item.expiresAt === null ? -1 : item.expiresAt - Date.now()
+    },
+    PEXPIRE: ([key, ttl]) => {
+      const item = lookup(key)
+      if (!item) return 0
+      item.expiresAt = Date.now() + Number(ttl)
+      return 1
+    },
+    // Everything in one batch: cursor 0 right away
+    SCAN: ([, ...options]) => {
+      const matchAt = options.findIndex(option => option.toUpperCase() === 'MATCH')
+      const pattern = matchAt === -1 ? /.*/ : globToRegExp(options[matchAt + 1])
+      return ['0', [...keys.keys()].filter(key => lookup(key) && pattern.test(key))]
+    },
+    EVAL: ([script, count, ...rest]) => runScript(script, rest.slice(0, Number(count)), rest.slice(Number(count))),
+    PUBLISH: ([channel, message]) => publish(channel, message)
+  }
+
+  const execute = (args) => {
+    const name = args[0].toUpperCase()
+    const command = COMMANDS[name]
+    if (!command) return new Error(`ERR unknown command '${args[0]}'`)
+    try {
+      return command(args.slice(1))
+    } catch (error) {
+      return error
+    }
+  }
+
+  const pushLua = (L, value) => {
+    if (value === null) lua.lua_pushboolean(L, false)
+    else if (value === OK) lua.lua_pushstring(L, to_luastring('OK'))
+    else if (typeof value === 'number') lua.lua_pushinteger(L, value)
+    else if (Array.isArray(value)) {
+      lua.lua_createtable(L, value.length, 0)
+      value.forEach((item, index) => {
+        pushLua(L, item)
+        lua.lua_rawseti(L, -2, index + 1)
+      })
+    } else lua.lua_pushstring(L, to_luastring(value))
+  }
+
+  const fromLua = (L, index) => {
+    switch (lua.lua_type(L, index)) {
+      case lua.LUA_TNUMBER:
+        return Number(lua.lua_tointeger(L, index))
+      case lua.LUA_TSTRING:
+        return lua.lua_tojsstring(L, index)
+      case lua.LUA_TTABLE: {
+        const items = []
+        for (let i = 1; lua.lua_rawgeti(L, index, i) !== lua.LUA_TNIL; i++) {
+          items.push(fromLua(L, -1))
+          lua.lua_pop(L, 1)
+        }
+        lua.lua_pop(L, 1)
+        return items
+      }
+      default:
+        return null
+    }
+  }
+
+  const setGlobalArray = (L, name, values) => {
+    pushLua(L, values)
+    lua.lua_setglobal(L, to_luastring(name))
+  }
+
+  function runScript(script, scriptKeys, args) {
+    const L = lauxlib.luaL_newstate()
+    lualib.luaL_openlibs(L)
+    lua.lua_createtable(L, 0, 1)
+    lua.lua_pushjsfunction(L, (state) => {
+      const callArgs = []
+      for (let i = 1; i <= lua.lua_gettop(state); i++) callArgs.push(lua.lua_tojsstring(state, i))
+      const reply = execute(callArgs)
+      if (reply instanceof Error) return lauxlib.luaL_error(state, to_luastring(reply.message))
+      pushLua(state, reply)
+      return 1
+    })
+    lua.lua_setfield(L, -2, to_luastring('call'))
+    lua.lua_setglobal(L, to_luastring('redis'))
+    setGlobalArray(L, 'KEYS', scriptKeys)
+    setGlobalArray(L, 'ARGV', args)
+    if (lauxlib.luaL_loadstring(L, to_luastring(script)) !== lua.LUA_OK || lua.lua_pcall(L, 0, 1, 0) !== lua.LUA_OK) {
+      return new Error(`ERR Error running script: ${lua.lua_tojsstring(L, -1)}`)
+    }
+    return fromLua(L, -1)
+  }
+
+  const subscribe = (socket, channels) => channels.map(channel => {
+    if (!subscriptions.has(channel)) subscriptions.set(channel, new Set())
+    subscriptions.get(channel).add(socket)
+    socket.channels.add(channel)
+    return ['subscribe', channel, socket.channels.size]
+  })
+
+  const handle = (socket, args) => {
+    const name = args[0].toUpperCase()
+    const failure = failures.get(name)
+    if (failure) {
+      failures.delete(name)
+      return [new Error(failure)]
+    }
+    if (name === 'AUTH') {
+      const given = args[args.length - 1]
+      socket.authenticated = !password || given === password
+      return [socket.authenticated ? OK : new Error('WRONGPASS invalid username-password pair')]
+    }
+    if (!socket.authenticated) return [new Error('NOAUTH Authentication required.')]
+    if (name === 'SUBSCRIBE') return subscribe(socket, args.slice(1))
+    if (socket.channels.size > 0 && name !== 'PING') {
+      return [new Error(`ERR Can't execute '${args[0]}': only (P)SUBSCRIBE / (P)UNSUBSCRIBE / PING / QUIT are allowed in this context`)]
+    }
+    return [execute(args)]
+  }
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket)
+    socket.authenticated = !password
+    socket.channels = new Set()
+    let buffer = Buffer.alloc(0)
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk])
+      let parsed
+      while ((parsed = parseReply(buffer))) {
+        buffer = buffer.subarray(parsed.offset)
+        for (const reply of handle(socket, parsed.value)) socket.write(encodeReply(reply))
+      }
+    })
+    socket.on('error', () => {})
+    socket.on('close', () => {
+      sockets.delete(socket)
+      for (const channel of socket.channels) subscriptions.get(channel).delete(socket)
+    })
+  })
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  const { port } = server.address()
+
+  return {
+    url: `redis://127.0.0.1:${port}`,
+    keys,
+
+    // Connections subscribed to a channel
+    subscribers(channel) {
+      return subscriptions.get(channel)?.size || 0
+    },
+
+    // The next call of the command gets this error reply
+    failNext(command, message) {
+      failures.set(command.toUpperCase(), message)
+    },
+
+    // Bytes written as they are to every subscribed connection
+    sendToSubscribers(raw) {
+      for (const socket of sockets) {
+        if (socket.channels.size > 0) socket.write(raw)
+      }
+    },
+
+    dropConnections() {
+      for (const socket of sockets) socket.destroy()
+    },
+
+    close() {
+      this.dropConnections()
+      return new Promise(resolve => server.close(resolve))
+    }
+  }
+}
@@ -0,0 +1,266 @@
+// Rankings cache invalidation: values loaded during a change are not stored, each
+// data-change event evicts exactly the entries depending on it, and every write route
+// is followed by reads that see the change.
+
+import { after, before, beforeEach, describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import RankingsCache, { CACHE_DEPENDENCIES, dependenciesChangedBy } from '../lib/rankings-cache.js'
+import { createDataEvents } from '../lib/data-events.js'
+import { addPlayers, openDatabase } from './helpers/databases.js'
+import { startApp } from './helpers/app.js'
+
+const { LIFETIME, PLAYERS, SEASONS, DATES } = CACHE_DEPENDENCIES
+
+describe('getOrLoad', () => {
+  let cache
+
+  beforeEach(() => {
+    cache = new RankingsCache()
+  })
+
+  const options = { dependsOn: [CACHE_DEPENDENCIES.season(1), PLAYERS] }
+
+  test('stores a value loaded while nothing changed', async () => {
+    assert.deepEqual(await cache.getOrLoad('rankings:season:1', options, async () => ['An']), { data: ['An'], hit: false })
+    assert.deepEqual(await cache.getOrLoad('rankings:season:1', options, async () => ['Bình']), { data: ['An'], hit: true })
+  })
+
+  test('returns but does not store a value loaded while a dependency changed', async () => {
+    const { data } = await cache.getOrLoad('rankings:season:1', options, async () => {
+      await cache.invalidateDependencies([CACHE_DEPENDENCIES.season(1)])
+      return ['stale']
+    })
+    assert.deepEqual(data, ['stale'])
+    assert.equal(await cache.get('rankings:season:1'), null)
+    assert.deepEqual(await cache.getOrLoad('rankings:season:1', options, async () => ['fresh']), { data: ['fresh'], hit: false })
+    assert.equal(cache.stats.sets, 1)
+  })
+
+  test('stores a value loaded while something else changed', async () => {
+    await cache.getOrLoad('rankings:season:1', options, async () => {
+      await cache.invalidateDependencies([CACHE_DEPENDENCIES.season(2), CACHE_DEPENDENCIES.date('2026-03-01')])
+      return ['An']
+    })
+    assert.deepEqual(await cache.get('rankings:season:1'), ['An'])
+  })
+
+  test('a value without dependencies is not stored after any change', async () => {
+    await cache.getOrLoad('stats', {}, async () => {
+      await cache.invalidateDependencies([CACHE_DEPENDENCIES.season(2)])
+      return { players: 1 }
+    })
+    assert.equal(await cache.get('stats'), null)
+  })
+
+  test('a value loaded during a clear or a pattern invalidation is not stored', async () => {
+    for (const change of [() => cache.clear(), () => cache.invalidate('profile:')]) {
+      await cache.getOrLoad('rankings:season:1', options, async () => {
+        await change()
+        return ['stale']
+      })
+      assert.equal(await cache.get('rankings:season:1'), null)
+    }
+  })
+})
+
+describe('invalidation by data-change event', () => {
+  const match = { season_id: 1, play_date: '2026-03-01', player1_id: 1, player2_id: 2, player3_id: 3, player4_id: 4 }
+  const movedMatch = { season_id: 2, play_date: '2026-03-02', player1_id: 1, player2_id: 2, player3_id: 3, player4_id: 5 }
+
+  // Cache keys named after what they depend on
+  const ENTRIES = {
+    lifetime: [LIFETIME],
+    players: [PLAYERS],
+    seasons: [SEASONS],
+    dates: [DATES],
+    'season:1': [CACHE_DEPENDENCIES.season(1)],
+    'season:2': [CACHE_DEPENDENCIES.season(2)],
+    'date:2026-03-01': [CACHE_DEPENDENCIES.date('2026-03-01')],
+    'date:2026-03-02': [CACHE_DEPENDENCIES.date('2026-03-02')],
+    ...Object.fromEntries([1, 2, 3, 4, 5, 6].map(id => [`player:${id}`, [CACHE_DEPENDENCIES.player(id)]])),
+    none: null
+  }
+
+  const matchKeys = ['lifetime', 'season:1', 'date:2026-03-01', 'player:1', 'player:2', 'player:3', 'player:4', 'none']
+
+  const CASES = [
+    ['matchCreated', { match }, matchKeys],
+    ['matchDeleted', { match }, matchKeys],
+    ['matchRestored', { match }, matchKeys],
+    ['matchUpdated', { before: match, after: movedMatch }, [...matchKeys, 'season:2', 'date:2026-03-02', 'player:5']],
+    ['seasonChanged', { seasonId: 1 }, ['season:1', 'seasons', 'none']],
+    ['seasonDeleted', { seasonId: 1 }, ['season:1', 'seasons', 'lifetime', 'dates', 'none']],
+    ['seasonRestored', { seasonId: 1 }, ['season:1', 'seasons', 'lifetime', 'dates', 'none']],
+    ['playerChanged', { playerId: 5 }, ['player:5', 'players', 'none']],
+    ['playersMerged', { sourceId: 5, targetId: 1 }, ['player:5', 'player:1', 'players', 'lifetime', 'none']],
+    ['dataReset', {}, Object.keys(ENTRIES)]
+  ]
+
+  for (const [event, payload, evicted] of CASES) {
+    test(`${event} evicts exactly the entries depending on it`, async () => {
+      const cache = new RankingsCache()
+      const dataEvents = createDataEvents()
+      await cache.subscribeTo(dataEvents)
+      for (const [key, dependsOn] of Object.entries(ENTRIES)) {
+        await cache.set(key, key, undefined, { dependsOn })
+      }
+
+      await dataEvents.emit(event, payload)
+
+      const remaining = []
+      for (const key of Object.keys(ENTRIES)) {
+        if (await cache.get(key)) remaining.push(key)
+      }
+      assert.deepEqual(remaining, Object.keys(ENTRIES).filter(key => !evicted.includes(key)))
+    })
+  }
+
+  test('match dates are compared as days', () => {
+    const dependencies = dependenciesChangedBy('matchCreated', { match: { ...match, play_date: new Date(2026, 2, 1) } })
+    assert.ok(dependencies.includes(CACHE_DEPENDENCIES.date('2026-03-01')))
+  })
+})
+
+describe('reads after writes', () => {
+  let db
+  let app
+  let ids
+  let seasonId
+  let matchId
+
+  before(async () => {
+    db = await openDatabase('postgresql')
+    ids = await addPlayers(db, ['An', 'Bình', 'Chi', 'Dũng', 'Em'])
+    app = await startApp(db)
+  })
+
+  after(async () => {
+    await app.close()
+    await db.close()
+  })
+
+  const get = async (path) => {
+    const response = await app.request('GET', path)
+    assert.equal(response.status, 200, `GET ${path}`)
+    return response.body
+  }
+
+  const send = async (method, path, body) => {
+    const response = await app.request(method, path, body)
+    assert.equal(response.status, 200, `${method} ${path}: ${JSON.stringify(response.body)}`)
+    return response.body
+  }
+
+  // Every cached read the assertions use, loaded so each write has entries to evict
+  const warm = async () => {
+    await get('/api/rankings/lifetime')
+    await get(`/api/rankings/season/${seasonId}`)
+    await get('/api/rankings/date/2026-03-01')
+    await get('/api/rankings/date/2026-03-08')
+    await get('/api/rankings/rating')
+    await get(`/api/players/${ids.An}/profile`)
+  }
+
+  const playerIn = (rankings, name) => rankings.find(player => player.name === name)
+  const winsOf = async (path, name) => Number(playerIn(await get(path), name)?.wins ?? 0)
+
+  const matchBody = (overrides = {}) => ({
+    seasonId,
+    playDate: '2026-03-01',
+    player1Id: ids.An,
+    player2Id: ids.Bình,
+    player3Id: ids.Chi,
+    player4Id: ids.Dũng,
+    team1Score: 11,
+    team2Score: 5,
+    winningTeam: 1,
+    ...overrides
+  })
+
+  test('creating a season', async () => {
+    seasonId = (await send('POST', '/api/seasons', { name: 'Spring', startDate: '2026-03-01', loseMoney: 20000 })).id
+    assert.ok((await get('/api/seasons')).some(season => season.id === seasonId))
+    await warm()
+  })
+
+  test('recording a match', async () => {
+    matchId = (await send('POST', '/api/matches', matchBody())).id
+    assert.equal(await winsOf('/api/rankings/lifetime', 'An'), 1)
+    assert.equal(await winsOf(`/api/rankings/season/${seasonId}`, 'An'), 1)
+    assert.equal(await winsOf('/api/rankings/date/2026-03-01', 'An'), 1)
+    assert.deepEqual(playerIn(await get('/api/rankings/lifetime'), 'An').form.map(item => item.result), ['win'])
+    assert.equal(await winsOf('/api/rankings/rating', 'An'), 1)
+    assert.equal((await get(`/api/players/${ids.An}/profile`)).lifetime.wins, 1)
+    await warm()
+  })
+
+  test('editing a match, including moving it to another date', async () => {
+    await send('PUT', `/api/matches/${matchId}`, matchBody({ playDate: '2026-03-08', team1Score: 5, team2Score: 11, winningTeam: 2 }))
+    assert.equal(await winsOf('/api/rankings/lifetime', 'An'), 0)
+    assert.equal(await winsOf('/api/rankings/lifetime', 'Chi'), 1)
+    assert.equal(await winsOf(`/api/rankings/season/${seasonId}`, 'Chi'), 1)
+    assert.equal(await winsOf('/api/rankings/date/2026-03-01', 'Chi'), 0)
+    assert.equal(await winsOf('/api/rankings/date/2026-03-08', 'Chi'), 1)
+    assert.equal(await winsOf('/api/rankings/rating', 'An'), 0)
+    assert.equal((await get(`/api/players/${ids.An}/profile`)).lifetime.wins, 0)
+    await warm()
+  })
+
+  test('changing season settings', async () => {
+    await send('PUT', `/api/seasons/${seasonId}`, { name: 'Spring', startDate: '2026-03-01', loseMoney: 30000 })
+    assert.equal(Number(playerIn(await get(`/api/rankings/season/${seasonId}`), 'An').money_lost), 30000)
+    assert.equal(Number(playerIn(await get('/api/rankings/date/2026-03-08'), 'An').money_lost), 30000)
+    await warm()
+  })
+
+  test('renaming a player', async () => {
+    await send('PUT', `/api/players/${ids.An}`, { name: 'An Nguyễn' })
+    for (const path of ['/api/rankings/lifetime', `/api/rankings/season/${seasonId}`, '/api/rankings/date/2026-03-08']) {
+      assert.ok(playerIn(await get(path), 'An Nguyễn'), path)
+      assert.equal(playerIn(await get(path), 'An'), undefined, path)
+    }
+    await warm()
+  })
+
+  test('deleting a match and restoring it from the trash', async () => {
+    await send('DELETE', `/api/matches/${matchId}`)
+    assert.equal(await winsOf('/api/rankings/lifetime', 'Chi'), 0)
+    assert.equal(await winsOf('/api/rankings/date/2026-03-08', 'Chi'), 0)
+    await warm()
+
+    const { items } = await get('/api/admin/trash')
+    const trashed = items.find(item => item.entity_type === 'match' && item.entity_id === matchId)
+    await send('POST', `/api/admin/trash/${trashed.id}/restore`)
+    assert.equal(await winsOf('/api/rankings/lifetime', 'Chi'), 1)
+    assert.equal(await winsOf(`/api/rankings/season/${seasonId}`, 'Chi'), 1)
+    assert.equal(await winsOf('/api/rankings/date/2026-03-08', 'Chi'), 1)
+    await warm()
+  })
+
+  test('merging players', async () => {
+    await send('POST', '/api/matches', matchBody({ player1Id: ids.Em, player2Id: null, player4Id: null, matchType: 'solo' }))
+    await warm()
+    await send('POST', `/api/players/${ids.Em}/merge`, { intoPlayerId: ids.Dũng })
+    const lifetime = await get('/api/rankings/lifetime')
+    assert.equal(playerIn(lifetime, 'Em'), undefined)
+    assert.equal(Number(playerIn(lifetime, 'Dũng').wins), 2)
+    assert.equal(await winsOf('/api/rankings/date/2026-03-01', 'Dũng'), 1)
+    await warm()
+  })
+
+  test('deleting a season and restoring it from the trash', async () => {
+    await send('POST', `/api/seasons/${seasonId}/end`, { endDate: '2026-03-31' })
+    await warm()
+    await send('DELETE', `/api/seasons/${seasonId}`)
+    assert.equal(await winsOf('/api/rankings/lifetime', 'Dũng'), 0)
+    assert.equal(await winsOf('/api/rankings/date/2026-03-08', 'Chi'), 0)
+    await warm()
+
+    const { items } = await get('/api/admin/trash')
+    const trashed = items.find(item => item.entity_type === 'season' && item.entity_id === seasonId)
+    await send('POST', `/api/admin/trash/${trashed.id}/restore`)
+    assert.equal(await winsOf('/api/rankings/lifetime', 'Dũng'), 2)
+    assert.equal(await winsOf(`/api/rankings/season/${seasonId}`, 'Chi'), 1)
+    assert.equal(await winsOf('/api/rankings/date/2026-03-08', 'Chi'), 1)
+  })
+})
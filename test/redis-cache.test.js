@@ -0,0 +1,246 @@
+// Redis cache backend against the in-process RESP server (helpers/resp-server.js):
+// the shared store and its stale-value check, the invalidation broadcast between
+// instances, and how the client recovers from dropped connections, malformed
+// replies and failed subscriptions.
+
+import { after, afterEach, before, beforeEach, describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import RankingsCache, { CACHE_DEPENDENCIES } from '../lib/rankings-cache.js'
+import { createMemoryCacheStore, createRedisBroadcast, createRedisCacheStore } from '../lib/cache-stores.js'
+import { createRespClient } from '../lib/resp-client.js'
+import { createDataEvents } from '../lib/data-events.js'
+import { startRespServer } from './helpers/resp-server.js'
+
+const PREFIX = 'test:cache:'
+const CHANNEL = `${PREFIX}invalidations`
+
+const entry = (data, dependsOn) => ({ data, dependsOn, createdAt: Date.now(), expiresAt: Date.now() + 60 * 1000 })
+
+const waitFor = async (check, what, timeout = 5000) => {
+  const started = Date.now()
+  while (!(await check())) {
+    if (Date.now() - started > timeout) throw new Error(`Timed out waiting for ${what}`)
+    await new Promise(resolve => setTimeout(resolve, 20))
+  }
+}
+
+describe('Redis cache store', () => {
+  let server
+  let client
+  let store
+
+  before(async () => {
+    server = await startRespServer()
+    client = createRespClient(server.url)
+    store = createRedisCacheStore(client, { prefix: PREFIX })
+  })
+
+  beforeEach(async () => {
+    await store.clear()
+  })
+
+  after(async () => {
+    client.close()
+    await server.close()
+  })
+
+  test('stores, reads and deletes entries', async () => {
+    assert.equal(await store.set('rankings:lifetime', entry(['An'], ['lifetime'])), true)
+    assert.deepEqual((await store.get('rankings:lifetime')).data, ['An'])
+    await store.delete('rankings:lifetime')
+    assert.equal(await store.get('rankings:lifetime'), null)
+  })
+
+  test('refuses a value when one of its dependencies changed since the marker', async () => {
+    const marker = await store.marker(['season:1', 'players'])
+    await store.invalidateDependencies(['season:1'])
+    assert.equal(await store.set('rankings:season:1', entry(['stale'], ['season:1', 'players']), marker), false)
+    assert.equal(await store.get('rankings:season:1'), null)
+
+    const unrelated = await store.marker(['season:1', 'players'])
+    await store.invalidateDependencies(['season:2'])
+    assert.equal(await store.set('rankings:season:1', entry(['An'], ['season:1', 'players']), unrelated), true)
+  })
+
+  test('evicts entries by dependency, and entries without dependencies on any change', async () => {
+    await store.set('season:1', entry(1, ['season:1']))
+    await store.set('season:2', entry(2, ['season:2']))
+    await store.set('stats', entry(3, null))
+    const marker = await store.marker(null)
+
+    assert.equal(await store.invalidateDependencies(['season:1']), 2)
+    assert.equal(await store.get('season:1'), null)
+    assert.equal(await store.get('stats'), null)
+    assert.equal((await store.get('season:2')).data, 2)
+    assert.equal(await store.set('stats', entry(3, null), marker), false)
+    assert.ok(!server.keys.has(`${PREFIX}index:season:1`))
+  })
+
+  test('a pattern invalidation or a clear refuses every value loaded before it', async () => {
+    await store.set('profile:1', entry(1, ['player:1']))
+    await store.set('rankings:lifetime', entry(2, ['lifetime']))
+    const marker = await store.marker(['lifetime'])
+
+    assert.equal(await store.invalidatePattern('profile:'), 1)
+    assert.equal((await store.get('rankings:lifetime')).data, 2)
+    assert.equal(await store.set('rankings:lifetime', entry(3, ['lifetime']), marker), false)
+
+    assert.ok(await store.clear() >= 1)
+    assert.deepEqual(await store.describe(), { entries: 0, expired: 0, bytes: null })
+  })
+
+  test('a value loaded by one instance is not stored after another invalidated it', async () => {
+    const otherClient = createRespClient(server.url)
+    const first = new RankingsCache({ store })
+    const second = new RankingsCache({ store: createRedisCacheStore(otherClient, { prefix: PREFIX }) })
+    const options = { dependsOn: [CACHE_DEPENDENCIES.season(1)] }
+
+    const { data } = await first.getOrLoad('rankings:season:1', options, async () => {
+      await second.invalidateDependencies([CACHE_DEPENDENCIES.season(1)])
+      return ['stale']
+    })
+    assert.deepEqual(data, ['stale'])
+    assert.equal(await second.get('rankings:season:1'), null)
+
+    await first.getOrLoad('rankings:season:1', options, async () => ['fresh'])
+    assert.deepEqual(await second.getOrLoad('rankings:season:1', options, async () => ['unused']), { data: ['fresh'], hit: true })
+    otherClient.close()
+  })
+})
+
+describe('invalidation broadcast', () => {
+  let server
+  let clients = []
+
+  before(async () => {
+    server = await startRespServer()
+  })
+
+  afterEach(() => {
+    for (const client of clients) client.close()
+    clients = []
+  })
+
+  after(async () => {
+    await server.close()
+  })
+
+  const connect = (url = server.url) => {
+    const client = createRespClient(url)
+    clients.push(client)
+    return client
+  }
+
+  // A server instance: its own memory cache, invalidations shared over the broadcast
+  const startInstance = async () => {
+    const cache = new RankingsCache({
+      store: createMemoryCacheStore(),
+      broadcast: createRedisBroadcast(connect(), { channel: CHANNEL })
+    })
+    const dataEvents = createDataEvents()
+    await cache.subscribeTo(dataEvents)
+    return { cache, dataEvents }
+  }
+
+  const cached = async (cache, key) => (await cache.store.get(key)) !== null
+
+  test('an invalidation on one instance evicts the entries of every other instance', async () => {
+    const instances = [await startInstance(), await startInstance(), await startInstance()]
+    for (const { cache } of instances) {
+      await cache.set('rankings:season:1', 1, undefined, { dependsOn: [CACHE_DEPENDENCIES.season(1)] })
+      await cache.set('rankings:season:2', 2, undefined, { dependsOn: [CACHE_DEPENDENCIES.season(2)] })
+    }
+
+    await instances[0].dataEvents.emit('seasonChanged', { seasonId: 1 })
+
+    for (const { cache } of instances) {
+      await waitFor(async () => !(await cached(cache, 'rankings:season:1')), 'the remote invalidation')
+      assert.equal(await cached(cache, 'rankings:season:2'), true)
+    }
+  })
+
+  test('every handler subscribed to a channel receives each message', async () => {
+    const client = connect()
+    const received = []
+    await client.subscribe('news', message => received.push(`first:${message}`))
+    await client.subscribe('news', message => received.push(`second:${message}`))
+    assert.equal(server.subscribers('news'), 1)
+
+    await connect().publish('news', 'hello')
+    await waitFor(() => received.length === 2, 'both handlers')
+    assert.deepEqual(received.sort(), ['first:hello', 'second:hello'])
+  })
+
+  test('malformed messages and failing handlers are logged and dropped', async () => {
+    const broadcast = createRedisBroadcast(connect(), { channel: CHANNEL })
+    const received = []
+    await broadcast.subscribe(message => {
+      if (message.fail) throw new Error('handler failed')
+      received.push(message)
+    })
+    const publisher = connect()
+
+    await publisher.publish(CHANNEL, '{not json')
+    await publisher.publish(CHANNEL, JSON.stringify({ fail: true }))
+    await publisher.publish(CHANNEL, JSON.stringify({ dependencies: ['lifetime'] }))
+    await waitFor(() => received.length === 1, 'the valid message')
+    assert.deepEqual(received, [{ dependencies: ['lifetime'] }])
+  })
+
+  test('a malformed reply drops the subscriber connection, which subscribes again', async () => {
+    const received = []
+    await connect().subscribe('news', message => received.push(message))
+
+    server.sendToSubscribers('!not a reply\r\n')
+    await waitFor(() => server.subscribers('news') === 0, 'the connection to drop')
+    await waitFor(() => server.subscribers('news') === 1, 'the new subscription')
+
+    await connect().publish('news', 'after')
+    await waitFor(() => received.length === 1, 'the message')
+    assert.deepEqual(received, ['after'])
+  })
+
+  test('after the connections drop, commands reconnect and subscriptions are renewed', async () => {
+    const { cache } = await startInstance()
+    const other = await startInstance()
+    await cache.set('rankings:lifetime', 1, undefined, { dependsOn: [CACHE_DEPENDENCIES.LIFETIME] })
+
+    server.dropConnections()
+    await waitFor(() => server.subscribers(CHANNEL) === 0, 'the connections to drop')
+    await waitFor(() => server.subscribers(CHANNEL) === 2, 'both instances to subscribe again')
+
+    await other.dataEvents.emit('matchCreated', {
+      match: { season_id: 1, play_date: '2026-03-01', player1_id: 1, player2_id: 2, player3_id: 3, player4_id: 4 }
+    })
+    await waitFor(async () => !(await cached(cache, 'rankings:lifetime')), 'the remote invalidation')
+  })
+
+  test('a failed SUBSCRIBE rejects and is retried until it succeeds', async () => {
+    server.failNext('SUBSCRIBE', 'ERR try again later')
+    const cache = new RankingsCache({
+      store: createMemoryCacheStore(),
+      broadcast: createRedisBroadcast(connect(), { channel: `${PREFIX}retried` })
+    })
+    await assert.rejects(cache.subscribeTo(createDataEvents()), /try again later/)
+
+    await waitFor(() => server.subscribers(`${PREFIX}retried`) === 1, 'the retried subscription')
+    await cache.set('rankings:lifetime', 1, undefined, { dependsOn: [CACHE_DEPENDENCIES.LIFETIME] })
+    await connect().publish(`${PREFIX}retried`, JSON.stringify({ origin: 'other', dependencies: [CACHE_DEPENDENCIES.LIFETIME] }))
+    await waitFor(async () => !(await cached(cache, 'rankings:lifetime')), 'the remote invalidation')
+  })
+
+  test('connections authenticate with the password from the URL', async () => {
+    const secured = await startRespServer({ password: 'secret' })
+    const url = new URL(secured.url)
+    try {
+      url.password = 'secret'
+      assert.equal(await connect(url.href).command('PING'), 'PONG')
+      url.password = 'wrong'
+      await assert.rejects(connect(url.href).command('PING'), /NOAUTH/)
+    } finally {
+      for (const client of clients) client.close()
+      clients = []
+      await secured.close()
+    }
+  })
+})
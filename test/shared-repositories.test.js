@@ -0,0 +1,227 @@
+// Contract tests for the queries shared by both backends (repositories/): the same
+// data and the same assertions run against SQLite and against PostgreSQL (PGlite).
+
+import { after, before, describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { BACKENDS, addPlayers, openDatabase } from './helpers/databases.js'
+import { dateScope, lifetimeScope, seasonScope } from '../repositories/standings-repository.js'
+
+const STANDING_COLUMNS = ['wins', 'losses', 'total_matches', 'points_for', 'points_against', 'points', 'money_lost', 'games_won', 'games_lost']
+
+// Standings as [name, { column: number }] in ranking order, comparable across backends
+const standingsOf = (rows, columns = STANDING_COLUMNS) => rows.map(row => [
+  row.name,
+  Object.fromEntries(columns.map(column => [column, Number(row[column])]))
+])
+
+const namesOf = (rows) => rows.map(row => row.name)
+
+for (const backend of BACKENDS) {
+  describe(`shared repositories on ${backend}`, () => {
+    let db
+    let ids
+    let spring
+    let summer
+
+    // Spring (4/1 points, 20000 per loss) and Summer (3/0 points, ties broken by
+    // wins, 10000 per loss). The solo match has its own stake.
+    before(async () => {
+      db = await openDatabase(backend)
+      ids = await addPlayers(db, ['An', 'Bình', 'Chi', 'Dũng', 'Em'])
+      const { An, Bình, Chi, Dũng, Em } = ids
+      spring = await db.createSeason('Spring', '2026-03-01', null, true, '', 20000)
+      await db.addMatch(spring, '2026-03-01', An, Bình, Chi, Dũng, 11, 5, 1)
+      await db.addMatch(spring, '2026-03-01', An, Chi, Bình, Dũng, 7, 11, 2)
+      await db.addMatch(spring, '2026-03-02', An, null, Em, null, 11, 9, 1, 'solo', [], 50000)
+      summer = await db.createSeason('Summer', '2026-06-01', null, true, '', 10000, null, {
+        pointsPerWin: 3,
+        pointsPerLoss: 0,
+        tiebreakers: ['wins']
+      })
+      await db.addMatch(summer, '2026-06-01', Bình, Em, Chi, Dũng, 22, 4, 1, 'duo', [
+        { team1Score: 11, team2Score: 0 },
+        { team1Score: 11, team2Score: 4 }
+      ])
+    })
+
+    after(async () => {
+      await db.close()
+    })
+
+    describe('standings', () => {
+      test('lifetime standings use the default formula and each match\'s money', async () => {
+        assert.deepEqual(standingsOf(await db.getPlayerStatsLifetime()), [
+          ['Bình', { wins: 3, losses: 0, total_matches: 3, points_for: 44, points_against: 16, points: 12, money_lost: 0, games_won: 4, games_lost: 0 }],
+          ['An', { wins: 2, losses: 1, total_matches: 3, points_for: 29, points_against: 25, points: 9, money_lost: 20000, games_won: 2, games_lost: 1 }],
+          ['Dũng', { wins: 1, losses: 2, total_matches: 3, points_for: 20, points_against: 40, points: 6, money_lost: 30000, games_won: 1, games_lost: 3 }],
+          ['Em', { wins: 1, losses: 1, total_matches: 2, points_for: 31, points_against: 15, points: 5, money_lost: 50000, games_won: 2, games_lost: 1 }],
+          ['Chi', { wins: 0, losses: 3, total_matches: 3, points_for: 16, points_against: 44, points: 3, money_lost: 50000, games_won: 0, games_lost: 4 }]
+        ])
+      })
+
+      test('season standings use the season formula and tiebreakers', async () => {
+        assert.deepEqual(standingsOf(await db.getPlayerStatsBySeason(spring), ['wins', 'losses', 'points', 'money_lost']), [
+          ['An', { wins: 2, losses: 1, points: 9, money_lost: 20000 }],
+          ['Bình', { wins: 2, losses: 0, points: 8, money_lost: 0 }],
+          ['Dũng', { wins: 1, losses: 1, points: 5, money_lost: 20000 }],
+          ['Chi', { wins: 0, losses: 2, points: 2, money_lost: 40000 }],
+          ['Em', { wins: 0, losses: 1, points: 1, money_lost: 50000 }]
+        ])
+        // Bình and Em tie on points and wins, so the name decides; so do the rest
+        assert.deepEqual(standingsOf(await db.getPlayerStatsBySeason(summer), ['wins', 'points', 'money_lost']), [
+          ['Bình', { wins: 1, points: 3, money_lost: 0 }],
+          ['Em', { wins: 1, points: 3, money_lost: 0 }],
+          ['An', { wins: 0, points: 0, money_lost: 0 }],
+          ['Chi', { wins: 0, points: 0, money_lost: 10000 }],
+          ['Dũng', { wins: 0, points: 0, money_lost: 10000 }]
+        ])
+      })
+
+      test('standings on a date count that day only, ties broken by goal difference', async () => {
+        const standings = await db.getPlayerStatsBySpecificDate('2026-03-01')
+        assert.deepEqual(namesOf(standings), ['Bình', 'An', 'Dũng', 'Chi', 'Em'])
+        assert.deepEqual(standingsOf(standings, ['points', 'points_for', 'points_against']).slice(1, 3), [
+          ['An', { points: 5, points_for: 18, points_against: 16 }],
+          ['Dũng', { points: 5, points_for: 16, points_against: 18 }]
+        ])
+      })
+
+      test('standings up to a date leave later matches out', async () => {
+        const standings = await db.getPlayerStatsByPlayDate('2026-03-02')
+        assert.equal(Number(standings.find(row => row.name === 'Bình').total_matches), 2)
+        assert.equal(Number(standings.find(row => row.name === 'Em').total_matches), 1)
+      })
+
+      test('standings of some players only', async () => {
+        const rows = await db.stats.getPlayerStandings({ seasonId: spring, playerIds: [ids.Chi, ids.Em] })
+        assert.deepEqual(namesOf(rows).sort(), ['Chi', 'Em'])
+        assert.deepEqual(await db.stats.getPlayerStandings({ playerIds: [] }), [])
+      })
+    })
+
+    describe('materialized standings', () => {
+      test('a rebuild matches the computed standings in every scope', async () => {
+        assert.ok(await db.rebuildStandings() > 0)
+        assert.deepEqual(standingsOf(await db.getStandingsLifetime()), standingsOf(await db.getPlayerStatsLifetime()))
+        assert.deepEqual(standingsOf(await db.getStandingsBySeason(summer)), standingsOf(await db.getPlayerStatsBySeason(summer)))
+        assert.deepEqual(standingsOf(await db.getStandingsBySpecificDate('2026-03-01')), standingsOf(await db.getPlayerStatsBySpecificDate('2026-03-01')))
+        assert.deepEqual((await db.checkStandings()).mismatches, [])
+      })
+
+      test('the checker finds a missed change and a refresh of its scopes repairs it', async () => {
+        const { An, Bình, Chi, Dũng } = ids
+        const matchId = await db.addMatch(summer, '2026-06-02', Chi, Dũng, An, Bình, 11, 2, 1)
+
+        const { mismatches } = await db.checkStandings()
+        assert.deepEqual([...new Set(mismatches.map(mismatch => mismatch.scope))].sort(), ['date:2026-06-02', 'lifetime', `season:${summer}`])
+
+        await db.refreshStandings([lifetimeScope(), seasonScope(summer), dateScope('2026-06-02')], [An, Bình, Chi, Dũng])
+        assert.deepEqual((await db.checkStandings()).mismatches, [])
+        assert.deepEqual(namesOf(await db.getStandingsBySpecificDate('2026-06-02')).slice(0, 2), ['Chi', 'Dũng'])
+
+        await db.deleteMatch(matchId)
+        await db.rebuildStandings()
+      })
+    })
+
+    describe('form', () => {
+      test('latest results first, within the scope', async () => {
+        assert.deepEqual(await db.getPlayerForm(ids.Em, 5), [
+          { result: 'win', play_date: '2026-06-01' },
+          { result: 'loss', play_date: '2026-03-02' }
+        ])
+        assert.deepEqual(await db.getPlayerForm(ids.An, 1), [{ result: 'win', play_date: '2026-03-02' }])
+        assert.deepEqual(await db.getPlayerFormBySeason(ids.Bình, summer, 5), [{ result: 'win', play_date: '2026-06-01' }])
+        assert.deepEqual(await db.getPlayerFormBySpecificDate(ids.Chi, '2026-03-01', 5), [
+          { result: 'loss', play_date: '2026-03-01' },
+          { result: 'loss', play_date: '2026-03-01' }
+        ])
+      })
+
+      test('the batched lookup returns what the per-player lookup does', async () => {
+        const playerIds = Object.values(ids)
+        for (const [scope, perPlayer] of [
+          [{}, (id) => db.getPlayerForm(id, 3)],
+          [{ seasonId: spring }, (id) => db.getPlayerFormBySeason(id, spring, 3)],
+          [{ onDate: '2026-03-02' }, (id) => db.getPlayerFormBySpecificDate(id, '2026-03-02', 3)]
+        ]) {
+          const batched = await db.getFormForPlayers(playerIds, scope, 3)
+          for (const id of playerIds) {
+            // Matches on the same day may come in either order: compare as multisets
+            const sorted = (form) => form.map(item => `${item.play_date}:${item.result}`).sort()
+            assert.deepEqual(sorted(batched.get(id)), sorted(await perPlayer(id)), `player ${id}, scope ${JSON.stringify(scope)}`)
+          }
+        }
+        assert.deepEqual(await db.getFormForPlayers([], {}, 5), new Map())
+      })
+    })
+
+    describe('scheduled matches', () => {
+      const scheduledOf = async (seasonId) => (await db.getScheduledMatches({ seasonId })).map(match => ({
+        id: match.id,
+        status: match.status,
+        court: match.court,
+        scheduled_time: match.scheduled_time,
+        players: [match.player1_name, match.player2_name, match.player3_name, match.player4_name],
+        checkins: match.checkins
+      }))
+
+      test('fixtures are added, edited, checked in, completed and cancelled', async () => {
+        const { An, Bình, Chi, Dũng, Em } = ids
+        const [first, second] = await db.addScheduledMatches(summer, '2026-06-10', 'duo', [
+          { round: 1, court: 1, scheduledTime: '18:30', team1: [An, Bình], team2: [Chi, Dũng] },
+          { round: 1, court: 2, team1: [Em, An], team2: [Bình, Chi] }
+        ], 'admin')
+
+        await db.updateScheduledMatch(first, { playDate: '2026-06-10', scheduledTime: '19:00', court: 3 })
+        await db.setScheduledMatchCheckIn(first, An, 'confirmed', 'admin')
+        await db.setScheduledMatchCheckIn(first, An, 'declined', 'admin')
+        await db.setScheduledMatchCheckIn(first, Chi, 'confirmed', 'admin')
+        await db.setScheduledMatchCheckIn(first, Chi, null)
+
+        const scheduled = await scheduledOf(summer)
+        assert.deepEqual(scheduled.find(match => match.id === first), {
+          id: first,
+          status: 'scheduled',
+          court: 3,
+          scheduled_time: '19:00',
+          players: ['An', 'Bình', 'Chi', 'Dũng'],
+          checkins: [{ player_id: An, status: 'declined' }]
+        })
+
+        const matchId = await db.addMatch(summer, '2026-06-10', An, Bình, Chi, Dũng, 11, 8, 1)
+        await db.completeScheduledMatch(first, matchId)
+        await db.cancelScheduledMatch(second)
+        const completed = await db.getScheduledMatchById(first)
+        assert.equal(completed.status, 'completed')
+        assert.equal(completed.match_id, matchId)
+        assert.equal((await db.getScheduledMatchById(second)).status, 'cancelled')
+        await db.deleteMatch(matchId)
+      })
+
+      test('solo fixtures leave the partner columns empty', async () => {
+        const [id] = await db.addScheduledMatches(summer, '2026-06-11', 'solo', [
+          { team1: [ids.An], team2: [ids.Em] }
+        ])
+        const match = (await scheduledOf(summer)).find(item => item.id === id)
+        assert.deepEqual(match.players, ['An', null, 'Em', null])
+        await db.deleteScheduledMatch(id)
+        assert.equal(await db.getScheduledMatchById(id), null)
+      })
+
+      test('regenerating a play day removes only its pending fixtures', async () => {
+        const { An, Bình, Chi, Dũng } = ids
+        const [played, pending] = await db.addScheduledMatches(summer, '2026-06-12', 'duo', [
+          { team1: [An, Bình], team2: [Chi, Dũng] },
+          { team1: [An, Chi], team2: [Bình, Dũng] }
+        ])
+        await db.setScheduledMatchCheckIn(pending, An, 'confirmed')
+        await db.cancelScheduledMatch(played)
+
+        await db.deletePendingScheduledMatches(summer, '2026-06-12')
+        assert.equal((await db.getScheduledMatchById(played)).status, 'cancelled')
+        assert.equal(await db.getScheduledMatchById(pending), null)
+      })
+    })
+  })
+}
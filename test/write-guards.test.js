@@ -0,0 +1,215 @@
+// Write routes answer with a 4xx, and leave the data as it was, when a request refers
+// to rows that are missing or would leave them inconsistent.
+
+import { after, before, describe, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { toMatchSnapshot } from '../lib/audit.js'
+import { addPlayers, openDatabase } from './helpers/databases.js'
+import { startApp } from './helpers/app.js'
+
+let db
+let app
+let ids
+let seasonId
+
+before(async () => {
+  db = await openDatabase('postgresql')
+  ids = await addPlayers(db, ['An', 'Bình', 'Chi', 'Dũng', 'Em'])
+  await db.archivePlayer(ids.Em)
+  app = await startApp(db)
+  seasonId = (await app.request('POST', '/api/seasons', { name: 'Spring', startDate: '2026-03-01', loseMoney: 20000 })).body.id
+})
+
+after(async () => {
+  await app.close()
+  await db.close()
+})
+
+describe('ledger entries', () => {
+  test('an unknown player is not found', async () => {
+    const response = await app.request('POST', '/api/ledger/entries', { seasonId, playerId: 9999, amount: 20000 })
+    assert.equal(response.status, 404)
+    assert.deepEqual(await db.getLedgerEntries(seasonId), [])
+  })
+
+  test('a known player is recorded', async () => {
+    const response = await app.request('POST', '/api/ledger/entries', { seasonId, playerId: ids.An, amount: 20000 })
+    assert.equal(response.status, 200)
+    assert.equal((await db.getLedgerEntries(seasonId)).length, 1)
+  })
+})
+
+describe('generating a schedule', () => {
+  const generate = (playerIds) =>
+    app.request('POST', '/api/scheduled-matches/generate', { seasonId, playDate: '2026-03-01', matchType: 'solo', playerIds })
+
+  test('unknown, archived or repeated players are rejected', async () => {
+    for (const playerIds of [[ids.An, ids.Bình, 9999], [ids.An, ids.Bình, ids.Em], [ids.An, ids.Bình, ids.An], [ids.An, 0]]) {
+      const response = await generate(playerIds)
+      assert.equal(response.status, 400, JSON.stringify(playerIds))
+    }
+    assert.deepEqual(await db.getScheduledMatches({ seasonId }), [])
+  })
+
+  test('active players are scheduled', async () => {
+    const response = await generate([ids.An, ids.Bình, ids.Chi])
+    assert.equal(response.status, 200)
+    assert.ok(response.body.scheduledMatches.length > 0)
+  })
+})
+
+describe('match winner', () => {
+  const matchBody = (overrides = {}) => ({
+    seasonId,
+    playDate: '2026-03-01',
+    player1Id: ids.An,
+    player2Id: ids.Bình,
+    player3Id: ids.Chi,
+    player4Id: ids.Dũng,
+    team1Score: 11,
+    team2Score: 5,
+    ...overrides
+  })
+
+  test('is derived from the score in a season without scoring rules', async () => {
+    const response = await app.request('POST', '/api/matches', matchBody())
+    assert.equal(response.status, 200)
+    assert.equal((await db.getMatchById(response.body.id)).winning_team, 1)
+  })
+
+  test('a winning team that disagrees with the score or the games is rejected', async () => {
+    const matchCount = (await db.getMatches()).length
+    for (const overrides of [
+      { winningTeam: 2 },
+      { team1Score: 5, team2Score: 5, winningTeam: 1 },
+      { games: [{ team1Score: 11, team2Score: 5 }, { team1Score: 5, team2Score: 11 }, { team1Score: 11, team2Score: 3 }], winningTeam: 2 }
+    ]) {
+      const response = await app.request('POST', '/api/matches', matchBody(overrides))
+      assert.equal(response.status, 400, JSON.stringify(overrides))
+    }
+    assert.equal((await db.getMatches()).length, matchCount)
+  })
+
+  test('an edit cannot hand the win to the losing team', async () => {
+    const matchId = (await app.request('POST', '/api/matches', matchBody({ winningTeam: 1 }))).body.id
+    const response = await app.request('PUT', `/api/matches/${matchId}`, matchBody({ team1Score: 11, team2Score: 9, winningTeam: 2 }))
+    assert.equal(response.status, 400)
+    assert.equal((await db.getMatchById(matchId)).team2_score, 5)
+  })
+})
+
+describe('merging players', () => {
+  let merging
+
+  before(async () => {
+    merging = await addPlayers(db, ['Giang', 'Hà', 'Khoa', 'Linh', 'Minh', 'Nam'])
+  })
+
+  const merge = (sourceId, targetId) => app.request('POST', `/api/players/${sourceId}/merge`, { intoPlayerId: targetId })
+
+  const assertRejected = async (sourceId, targetId, kind) => {
+    const response = await merge(sourceId, targetId)
+    assert.equal(response.status, 400)
+    assert.equal(response.body.conflicts[kind], 1)
+    assert.ok(await db.getPlayerById(sourceId))
+  }
+
+  test('a player that is gone is not found', async () => {
+    assert.equal((await merge(9999, merging.Giang)).status, 404)
+    assert.equal((await merge(merging.Giang, 9999)).status, 404)
+    assert.equal(await db.mergePlayers(9999, merging.Giang), null)
+  })
+
+  test('players in the same fixture are not merged', async () => {
+    await db.addScheduledMatches(seasonId, '2026-03-08', 'solo', [{ team1: [merging.Giang], team2: [merging.Hà] }])
+    await assertRejected(merging.Giang, merging.Hà, 'scheduled_matches')
+  })
+
+  test('players in the same tournament are not merged', async () => {
+    await db.createTournament(
+      { seasonId, name: 'Cup', format: 'single_elimination', entryType: 'solo', createdBy: 'admin' },
+      [{ seed: 1, playerIds: [merging.Khoa] }, { seed: 2, playerIds: [merging.Linh] }]
+    )
+    await assertRejected(merging.Linh, merging.Khoa, 'tournaments')
+  })
+
+  test('players in the same trashed match are not merged', async () => {
+    const matchId = (await app.request('POST', '/api/matches', {
+      seasonId, playDate: '2026-03-08', matchType: 'solo', player1Id: merging.Minh, player3Id: merging.Nam, team1Score: 11, team2Score: 4
+    })).body.id
+    assert.equal((await app.request('DELETE', `/api/matches/${matchId}`)).status, 200)
+    await assertRejected(merging.Nam, merging.Minh, 'trash_items')
+  })
+})
+
+describe('tournament bracket matches', () => {
+  let bracketPlayers
+  let tournamentId
+
+  before(async () => {
+    bracketPlayers = await addPlayers(db, ['Oanh', 'Phong', 'Quân', 'Sơn'])
+    tournamentId = (await app.request('POST', '/api/tournaments', {
+      name: 'Open', seasonId, format: 'single_elimination', entryType: 'solo', playerIds: Object.values(bracketPlayers)
+    })).body.id
+  })
+
+  const getBracket = async () => (await app.request('GET', `/api/tournaments/${tournamentId}`)).body
+
+  // The result of a first-round bracket match, won by its first entry
+  const resultFor = async (key) => {
+    const bracket = await getBracket()
+    const node = bracket.matches.find(item => item.key === key)
+    const playerOf = (entryId) => bracket.entries.find(entry => entry.id === entryId).player1_id
+    return {
+      tournamentMatchId: node.id,
+      seasonId,
+      playDate: '2026-03-15',
+      matchType: 'solo',
+      player1Id: playerOf(node.entry1_id),
+      player3Id: playerOf(node.entry2_id),
+      team1Score: 11,
+      team2Score: 6
+    }
+  }
+
+  let matchId
+
+  test('of two results sent at once for a bracket match, one is recorded and the other conflicts', async () => {
+    const result = await resultFor('W1-1')
+    const matchCount = (await db.getMatches()).length
+    const responses = await Promise.all([app.request('POST', '/api/matches', result), app.request('POST', '/api/matches', result)])
+    assert.deepEqual(responses.map(response => response.status).sort(), [200, 409])
+    assert.equal((await db.getMatches()).length, matchCount + 1)
+
+    matchId = responses.find(response => response.status === 200).body.id
+    const node = (await getBracket()).matches.find(item => item.key === 'W1-1')
+    assert.equal(node.status, 'completed')
+    assert.equal(node.match_id, matchId)
+  })
+
+  test('an edit may change the score but not the winner', async () => {
+    const result = await resultFor('W1-1')
+    assert.equal((await app.request('PUT', `/api/matches/${matchId}`, { ...result, team1Score: 6, team2Score: 11 })).status, 409)
+    assert.equal((await app.request('PUT', `/api/matches/${matchId}`, { ...result, team1Score: 11, team2Score: 8 })).status, 200)
+    assert.equal((await db.getMatchById(matchId)).team2_score, 8)
+  })
+
+  test('the match cannot be deleted', async () => {
+    assert.equal((await app.request('DELETE', `/api/matches/${matchId}`)).status, 409)
+    assert.ok(await db.getMatchById(matchId))
+  })
+
+  test('an edit that handed the win to the other side cannot be reverted', async () => {
+    const current = toMatchSnapshot(await db.getMatchById(matchId))
+    const entryId = await db.addAuditEntry({
+      actor: 'admin',
+      action: 'update',
+      entityType: 'match',
+      entityId: matchId,
+      before: { ...current, team1_score: 9, team2_score: 11, winning_team: 2 },
+      after: current
+    })
+    assert.equal((await app.request('POST', `/api/admin/audit/${entryId}/revert`)).status, 409)
+    assert.equal((await db.getMatchById(matchId)).winning_team, 1)
+  })
+})
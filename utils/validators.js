@@ -0,0 +1,4 @@
+import { query } from 'express-validator'
+
+// Shared by the pair leaderboard and its exports
+export const minGamesValidation = query('minGames').optional().isInt({ min: 1 }).withMessage('minGames must be a positive integer')